@@ -5,6 +5,7 @@
 
 const express = require('express');
 const { testConnection } = require('../src/config/database');
+const { getKeyring, assertProductionKeyConfig } = require('../src/config/jwt-keys');
 const coreHandler = require('../src/routes/core');
 const authHandler = require('../src/routes/auth');
 // PostgreSQL migration complete for these handlers
@@ -16,12 +17,19 @@ const commerceHandler = require('../src/routes/commerce');
 const managementHandler = require('../src/routes/management');
 const statsHandler = require('../src/routes/stats');
 const reportsHandler = require('../src/routes/reports');
-// const adminHandler = require('../src/routes/admin');
+const adminHandler = require('../src/routes/admin');
 // const expensesHandler = require('../src/routes/expenses');
 // const investmentsHandler = require('../src/routes/investments');
 
+// Fail the cold start rather than sign tokens with the placeholder secret in production
+assertProductionKeyConfig();
+
 const app = express();
 
+// Vercel terminates requests at its edge proxy; trust one hop so req.ip is the client address
+const trustProxy = process.env.TRUST_PROXY;
+app.set('trust proxy', /^\d+$/.test(trustProxy || '') ? Number(trustProxy) : (trustProxy || 1));
+
 // Middleware
 app.use(express.json());
 
@@ -62,7 +70,8 @@ app.use((req, res, next) => {
     res.setHeader('Access-Control-Allow-Origin', origin || '*');
   }
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, X-API-Key, Idempotency-Key');
+  res.setHeader('Access-Control-Expose-Headers', 'Idempotent-Replayed');
   res.setHeader('Access-Control-Allow-Credentials', 'true');
   res.setHeader('Access-Control-Max-Age', '86400'); // 24 hours
   
@@ -105,10 +114,16 @@ app.use('/reports', reportsHandler);
 // Mount legacy core router LAST to avoid overlapping routes shadowing the newer implementations
 app.use('/api', coreHandler);
 app.use('/api/stats', statsHandler);
-// app.use('/api/admin', adminHandler);
+app.use('/api/admin', adminHandler);
 // app.use('/api/expenses', expensesHandler);
 // app.use('/api/investments', investmentsHandler);
 
+// Public signing keys (also served at /api/auth/jwks.json)
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(getKeyring().getJwks());
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.status(200).json({ 
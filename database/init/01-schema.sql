@@ -7,8 +7,8 @@ CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 -- Users table (for authentication and user management)
 CREATE TABLE users (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    email VARCHAR(255) UNIQUE NOT NULL,
-    password_hash VARCHAR(255) NOT NULL,
+    email VARCHAR(255) UNIQUE,
+    password_hash VARCHAR(255),
     role VARCHAR(50) NOT NULL CHECK (role IN ('admin', 'farm_manager', 'farmer', 'customer')),
     first_name VARCHAR(100),
     farm_id UUID,
@@ -17,8 +17,11 @@ CREATE TABLE users (
     address TEXT,
     is_active BOOLEAN DEFAULT true,
     email_verified BOOLEAN DEFAULT false,
+    phone_verified BOOLEAN DEFAULT false,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    -- Phone/OTP accounts have no email or password
+    CONSTRAINT users_email_or_phone_check CHECK (email IS NOT NULL OR phone IS NOT NULL)
 );
 
 -- Farms table
@@ -34,6 +37,8 @@ CREATE TABLE farms (
     website VARCHAR(255),
     banner_image TEXT,
     build_year VARCHAR(10),
+    vat_registered BOOLEAN DEFAULT false,
+    vat_registration_number VARCHAR(50),
     owner_id UUID NOT NULL,
     manager_id UUID,
     is_active BOOLEAN DEFAULT true,
@@ -65,6 +70,8 @@ CREATE TABLE products (
     product_type VARCHAR(50) NOT NULL CHECK (product_type IN ('animal', 'produce', 'dairy', 'other')),
     status VARCHAR(20) DEFAULT 'unsold' CHECK (status IN ('sold','unsold')),
     base_price DECIMAL(10,2) NOT NULL CHECK (base_price >= 0),
+    -- Shipping weight of one unit, for products not sold by the kg
+    weight_kg DECIMAL(10,3) CHECK (weight_kg IS NULL OR weight_kg >= 0),
     is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
@@ -181,6 +188,17 @@ CREATE TABLE orders (
     shipping_address TEXT NOT NULL,
     billing_address TEXT,
     notes TEXT,
+    customer_phone VARCHAR(30),
+    temp_cart_id VARCHAR(100),
+    cancellation_reason TEXT,
+    coupon_id UUID,
+    coupon_code VARCHAR(50),
+    delivery_district VARCHAR(100),
+    delivery_upazila VARCHAR(100),
+    delivery_latitude DECIMAL(9,6),
+    delivery_longitude DECIMAL(9,6),
+    subscription_id UUID,
+    scheduled_delivery_date DATE,
     order_date TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     confirmed_at TIMESTAMP WITH TIME ZONE,
     shipped_at TIMESTAMP WITH TIME ZONE,
@@ -197,6 +215,15 @@ CREATE TABLE order_items (
     quantity DECIMAL(10,2) NOT NULL CHECK (quantity > 0),
     unit_price DECIMAL(10,2) NOT NULL CHECK (unit_price >= 0),
     total_price DECIMAL(10,2) NOT NULL CHECK (total_price >= 0),
+    fulfilment_id UUID,
+    -- Share of the order discount, and the VAT on what is left (taxable_amount excludes VAT;
+    -- inclusive VAT is part of total_price, exclusive VAT is charged on top)
+    discount_amount DECIMAL(10,2) DEFAULT 0 CHECK (discount_amount >= 0),
+    tax_rule_id UUID,
+    tax_rate DECIMAL(5,2) DEFAULT 0 CHECK (tax_rate >= 0),
+    tax_inclusive BOOLEAN DEFAULT false,
+    taxable_amount DECIMAL(10,2) DEFAULT 0 CHECK (taxable_amount >= 0),
+    tax_amount DECIMAL(10,2) DEFAULT 0 CHECK (tax_amount >= 0),
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -232,6 +259,19 @@ CREATE TABLE shopping_cart (
     UNIQUE(user_id, store_product_id)
 );
 
+-- Checkout stock reservations: holds on store product stock that expire if the order is not placed
+CREATE TABLE stock_reservations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    customer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    store_product_id UUID NOT NULL REFERENCES store_products(id) ON DELETE CASCADE,
+    quantity DECIMAL(10,2) NOT NULL CHECK (quantity > 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'consumed', 'released', 'expired')),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Product reviews table
 CREATE TABLE product_reviews (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -257,6 +297,476 @@ CREATE TABLE wishlist (
     UNIQUE(user_id, store_product_id)
 );
 
+-- User sessions table (refresh tokens, stored hashed, for server-side revocation)
+CREATE TABLE user_sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    refresh_token_hash VARCHAR(128) NOT NULL UNIQUE,
+    previous_refresh_token_hash VARCHAR(128),
+    user_agent TEXT,
+    ip_address VARCHAR(64),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    last_used_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_reason VARCHAR(50),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Password reset tokens table (single-use, stored hashed)
+CREATE TABLE password_reset_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(128) NOT NULL UNIQUE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    requested_ip VARCHAR(64),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Email verification tokens table (single-use, stored hashed)
+CREATE TABLE email_verification_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(128) NOT NULL UNIQUE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Login throttles table (failed login attempts per account email and per client IP)
+CREATE TABLE login_throttles (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    scope VARCHAR(10) NOT NULL CHECK (scope IN ('account', 'ip')),
+    throttle_key VARCHAR(255) NOT NULL,
+    failed_count INTEGER NOT NULL DEFAULT 0,
+    last_failed_at TIMESTAMP WITH TIME ZONE,
+    locked_until TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(scope, throttle_key)
+);
+
+-- Idempotency-Key records for mutating endpoints: the fingerprint of the first request with a
+-- key and its stored response, replayed to retries until expires_at. owner is 'user:<id>' or
+-- 'api_key:<id>'.
+CREATE TABLE idempotency_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    owner VARCHAR(100) NOT NULL,
+    idempotency_key VARCHAR(255) NOT NULL,
+    method VARCHAR(10) NOT NULL,
+    path TEXT NOT NULL,
+    request_hash VARCHAR(64) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'completed')),
+    response_status INTEGER,
+    response_body JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    UNIQUE(owner, idempotency_key)
+);
+
+-- Farm members table (per-farm team roles; farms.owner_id is always an owner)
+CREATE TABLE farm_members (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    farm_id UUID NOT NULL REFERENCES farms(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'manager', 'accountant', 'worker')),
+    added_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(farm_id, user_id)
+);
+
+-- Farm invitations table (emailed invites to join a farm team, token stored hashed)
+CREATE TABLE farm_invitations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    farm_id UUID NOT NULL REFERENCES farms(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('manager', 'accountant', 'worker')),
+    token_hash VARCHAR(128) NOT NULL UNIQUE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'revoked')),
+    invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    accepted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    responded_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Phone OTPs table (one-time login codes sent by SMS, stored hashed)
+CREATE TABLE phone_otps (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    phone VARCHAR(20) NOT NULL,
+    code_hash VARCHAR(128) NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    consumed_at TIMESTAMP WITH TIME ZONE,
+    requested_ip VARCHAR(64),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Farm API keys table (farm-scoped keys for POS/integration clients, stored hashed)
+CREATE TABLE farm_api_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    farm_id UUID NOT NULL REFERENCES farms(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    key_prefix VARCHAR(20) NOT NULL,
+    key_hash VARCHAR(128) NOT NULL UNIQUE,
+    permissions TEXT[] NOT NULL DEFAULT '{}',
+    created_by UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    last_used_ip VARCHAR(64),
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Two-factor authentication (TOTP secret stored encrypted; enabled_at is NULL while enrolment is pending)
+CREATE TABLE user_two_factor (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    secret_encrypted TEXT NOT NULL,
+    enabled_at TIMESTAMP WITH TIME ZONE,
+    last_used_counter BIGINT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Single-use 2FA recovery codes (stored hashed)
+CREATE TABLE user_recovery_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(128) NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Pending second login step after a correct password (token stored hashed)
+CREATE TABLE two_factor_challenges (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(128) NOT NULL UNIQUE,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    ip_address VARCHAR(64),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    consumed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Per-farm fulfilments of an order (each farm ships, prices delivery and cancels its own part)
+CREATE TABLE order_fulfilments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    farm_id UUID NOT NULL REFERENCES farms(id) ON DELETE RESTRICT,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded')),
+    subtotal_amount DECIMAL(10,2) NOT NULL CHECK (subtotal_amount >= 0),
+    discount_amount DECIMAL(10,2) DEFAULT 0 CHECK (discount_amount >= 0),
+    tax_amount DECIMAL(10,2) DEFAULT 0 CHECK (tax_amount >= 0),
+    shipping_amount DECIMAL(10,2) DEFAULT 0 CHECK (shipping_amount >= 0),
+    final_amount DECIMAL(10,2) NOT NULL CHECK (final_amount >= 0),
+    delivery_zone_id UUID,
+    cancellation_reason TEXT,
+    cancelled_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(order_id, farm_id)
+);
+
+-- Payment requests and payments for an order (payment_info is the instructions shown to the customer)
+CREATE TABLE order_payments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    provider VARCHAR(30) NOT NULL DEFAULT 'manual',
+    method VARCHAR(50),
+    amount DECIMAL(10,2) CHECK (amount >= 0),
+    currency VARCHAR(3) DEFAULT 'BDT',
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'paid', 'failed', 'cancelled', 'refunded')),
+    payment_info TEXT,
+    payment_message TEXT,
+    payment_reference VARCHAR(255),
+    provider_ref VARCHAR(255),
+    transaction_id VARCHAR(255),
+    redirect_url TEXT,
+    gateway_response JSONB,
+    failure_reason TEXT,
+    paid_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Courier details for a farm's fulfilment of an order
+CREATE TABLE order_shipments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    fulfilment_id UUID NOT NULL REFERENCES order_fulfilments(id) ON DELETE CASCADE,
+    courier_contact VARCHAR(255),
+    courier_ref_id VARCHAR(255),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(fulfilment_id)
+);
+
+-- Refund requests, one per farm fulfilment; approved by the farm or an admin
+CREATE TABLE order_refunds (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    fulfilment_id UUID NOT NULL REFERENCES order_fulfilments(id) ON DELETE CASCADE,
+    farm_id UUID NOT NULL REFERENCES farms(id) ON DELETE CASCADE,
+    status VARCHAR(20) DEFAULT 'requested' CHECK (status IN ('requested', 'approved', 'rejected', 'refunded', 'failed')),
+    reason TEXT NOT NULL,
+    amount DECIMAL(10,2) NOT NULL CHECK (amount >= 0),
+    is_full BOOLEAN DEFAULT false,
+    payment_id UUID REFERENCES order_payments(id) ON DELETE SET NULL,
+    provider_refund_ref VARCHAR(255),
+    failure_reason TEXT,
+    requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    review_note TEXT,
+    refunded_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Items and quantities covered by a refund
+CREATE TABLE order_refund_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    refund_id UUID NOT NULL REFERENCES order_refunds(id) ON DELETE CASCADE,
+    order_item_id UUID NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+    quantity DECIMAL(10,2) NOT NULL CHECK (quantity > 0),
+    amount DECIMAL(10,2) NOT NULL CHECK (amount >= 0),
+    restocked BOOLEAN DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Audit trail of every refund action
+CREATE TABLE order_refund_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    refund_id UUID NOT NULL REFERENCES order_refunds(id) ON DELETE CASCADE,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('requested', 'approved', 'rejected', 'restocked', 'refunded', 'failed')),
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    actor_role VARCHAR(20) NOT NULL CHECK (actor_role IN ('customer', 'farm', 'admin', 'system')),
+    note TEXT,
+    details JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT clock_timestamp()
+);
+
+-- Farm-side amendments of a pending fulfilment (quantity changes, removed or substituted items).
+-- They apply straight away; the customer accepts them or rejects them, which cancels the fulfilment.
+CREATE TABLE order_amendments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    fulfilment_id UUID NOT NULL REFERENCES order_fulfilments(id) ON DELETE CASCADE,
+    farm_id UUID NOT NULL REFERENCES farms(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'proposed' CHECK (status IN ('proposed', 'accepted', 'rejected', 'cancelled')),
+    reason TEXT,
+    changes JSONB NOT NULL,
+    previous_final_amount DECIMAL(10,2) NOT NULL,
+    amended_final_amount DECIMAL(10,2) NOT NULL,
+    proposed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    responded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    responded_at TIMESTAMP WITH TIME ZONE,
+    response_note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Coupons and promo codes; farm_id NULL makes a coupon platform-wide.
+-- category_ids / product_ids (products.id) limit the discount to those items when not empty.
+CREATE TABLE coupons (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(50) NOT NULL,
+    farm_id UUID REFERENCES farms(id) ON DELETE CASCADE,
+    description TEXT,
+    discount_type VARCHAR(10) NOT NULL CHECK (discount_type IN ('percent', 'flat')),
+    discount_value DECIMAL(10,2) NOT NULL CHECK (discount_value > 0),
+    max_discount_amount DECIMAL(10,2) CHECK (max_discount_amount IS NULL OR max_discount_amount > 0),
+    min_order_amount DECIMAL(10,2) DEFAULT 0 CHECK (min_order_amount >= 0),
+    starts_at TIMESTAMP WITH TIME ZONE,
+    ends_at TIMESTAMP WITH TIME ZONE,
+    usage_limit INTEGER CHECK (usage_limit IS NULL OR usage_limit > 0),
+    per_customer_limit INTEGER CHECK (per_customer_limit IS NULL OR per_customer_limit > 0),
+    category_ids UUID[] NOT NULL DEFAULT '{}',
+    product_ids UUID[] NOT NULL DEFAULT '{}',
+    is_active BOOLEAN DEFAULT true,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (discount_type <> 'percent' OR discount_value <= 100),
+    CHECK (starts_at IS NULL OR ends_at IS NULL OR ends_at > starts_at)
+);
+
+-- Coupon uses; redemptions of cancelled orders do not count towards the usage limits
+CREATE TABLE coupon_redemptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    coupon_id UUID NOT NULL REFERENCES coupons(id) ON DELETE CASCADE,
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    customer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    discount_amount DECIMAL(10,2) NOT NULL CHECK (discount_amount >= 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(coupon_id, order_id)
+);
+
+-- VAT rates by product category and/or product type; only VAT-registered farms charge VAT.
+-- The most specific active rule applies: category and type, category, type, then the default
+-- rule (neither set). Inclusive rates are already part of the store price.
+CREATE TABLE tax_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    category_id UUID REFERENCES product_categories(id) ON DELETE CASCADE,
+    product_type VARCHAR(50),
+    rate DECIMAL(5,2) NOT NULL CHECK (rate >= 0 AND rate <= 100),
+    is_inclusive BOOLEAN DEFAULT false,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Farm delivery zones: an area (a district, optionally narrowed to one upazila) or a radius
+-- around a point. A farm's part of an order costs base_fee plus per_kg_fee for each kg, and
+-- ships free once its subtotal reaches free_delivery_threshold.
+CREATE TABLE delivery_zones (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    farm_id UUID NOT NULL REFERENCES farms(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    zone_type VARCHAR(10) NOT NULL CHECK (zone_type IN ('area', 'radius')),
+    district VARCHAR(100),
+    upazila VARCHAR(100),
+    center_latitude DECIMAL(9,6) CHECK (center_latitude BETWEEN -90 AND 90),
+    center_longitude DECIMAL(9,6) CHECK (center_longitude BETWEEN -180 AND 180),
+    radius_km DECIMAL(7,2) CHECK (radius_km > 0),
+    base_fee DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (base_fee >= 0),
+    per_kg_fee DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (per_kg_fee >= 0),
+    free_delivery_threshold DECIMAL(10,2) CHECK (free_delivery_threshold IS NULL OR free_delivery_threshold >= 0),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (zone_type <> 'area' OR district IS NOT NULL),
+    CHECK (zone_type <> 'radius' OR (center_latitude IS NOT NULL AND center_longitude IS NOT NULL AND radius_km IS NOT NULL))
+);
+
+-- Recurring subscription orders: a basket of one farm's products delivered on a fixed schedule
+CREATE TABLE subscriptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    customer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    farm_id UUID NOT NULL REFERENCES farms(id) ON DELETE CASCADE,
+    name VARCHAR(100),
+    frequency VARCHAR(20) NOT NULL CHECK (frequency IN ('weekly', 'fortnightly', 'monthly')),
+    -- Weekday (0 = Sunday) for weekly and fortnightly deliveries, day of the month (1-28) for monthly ones
+    delivery_day SMALLINT NOT NULL,
+    delivery_address TEXT NOT NULL,
+    delivery_district VARCHAR(100),
+    delivery_upazila VARCHAR(100),
+    delivery_latitude DECIMAL(9,6),
+    delivery_longitude DECIMAL(9,6),
+    customer_phone VARCHAR(30),
+    payment_method VARCHAR(50) NOT NULL DEFAULT 'cash_on_delivery' CHECK (payment_method IN ('cash_on_delivery', 'bank_transfer', 'mobile_banking', 'credit_card', 'other')),
+    notes TEXT,
+    out_of_stock_policy VARCHAR(20) NOT NULL DEFAULT 'skip_item' CHECK (out_of_stock_policy IN ('skip_item', 'skip_delivery')),
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused', 'cancelled')),
+    paused_until DATE,
+    next_delivery_date DATE,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (
+        (frequency = 'monthly' AND delivery_day BETWEEN 1 AND 28)
+        OR (frequency <> 'monthly' AND delivery_day BETWEEN 0 AND 6)
+    )
+);
+
+CREATE TABLE subscription_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    subscription_id UUID NOT NULL REFERENCES subscriptions(id) ON DELETE CASCADE,
+    store_product_id UUID NOT NULL REFERENCES store_products(id) ON DELETE CASCADE,
+    quantity DECIMAL(10,2) NOT NULL CHECK (quantity > 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(subscription_id, store_product_id)
+);
+
+-- One entry per scheduled delivery: the order placed for it, or why it was skipped or failed.
+-- Deliveries the customer skips ahead of time are entered as skipped.
+CREATE TABLE subscription_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    subscription_id UUID NOT NULL REFERENCES subscriptions(id) ON DELETE CASCADE,
+    delivery_date DATE NOT NULL,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('processing', 'ordered', 'skipped', 'failed')),
+    order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+    skipped_items JSONB NOT NULL DEFAULT '[]',
+    note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(subscription_id, delivery_date)
+);
+
+-- Pre-order offers: a farm sells a store product ahead of an upcoming batch (harvest or production)
+CREATE TABLE preorder_offers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    farm_id UUID NOT NULL REFERENCES farms(id) ON DELETE CASCADE,
+    store_product_id UUID NOT NULL REFERENCES store_products(id) ON DELETE CASCADE,
+    batch_id UUID REFERENCES product_batches(id) ON DELETE SET NULL,
+    title VARCHAR(150),
+    description TEXT,
+    -- Pre-order price per unit; the store price at the time of the pre-order when not set
+    unit_price DECIMAL(10,2) CHECK (unit_price IS NULL OR unit_price >= 0),
+    -- Most that can be pre-ordered in total
+    max_quantity DECIMAL(10,2) NOT NULL CHECK (max_quantity > 0),
+    expected_date DATE NOT NULL,
+    deposit_percentage DECIMAL(5,2) NOT NULL DEFAULT 0 CHECK (deposit_percentage >= 0 AND deposit_percentage <= 100),
+    -- open: taking pre-orders; closed: full or stopped; released: the batch is in stock and pre-orders are converted
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed', 'released', 'cancelled')),
+    released_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- A customer's pre-order; converted into a regular order once the offer is released
+CREATE TABLE preorders (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    offer_id UUID NOT NULL REFERENCES preorder_offers(id) ON DELETE CASCADE,
+    customer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    quantity DECIMAL(10,2) NOT NULL CHECK (quantity > 0),
+    unit_price DECIMAL(10,2) NOT NULL CHECK (unit_price >= 0),
+    deposit_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (deposit_amount >= 0),
+    deposit_status VARCHAR(20) NOT NULL DEFAULT 'not_required' CHECK (deposit_status IN ('not_required', 'pending', 'paid', 'refunded')),
+    deposit_reference VARCHAR(255),
+    deposit_paid_at TIMESTAMP WITH TIME ZONE,
+    delivery_address TEXT NOT NULL,
+    delivery_district VARCHAR(100),
+    delivery_upazila VARCHAR(100),
+    delivery_latitude DECIMAL(9,6),
+    delivery_longitude DECIMAL(9,6),
+    customer_phone VARCHAR(30),
+    payment_method VARCHAR(50) NOT NULL DEFAULT 'cash_on_delivery' CHECK (payment_method IN ('cash_on_delivery', 'bank_transfer', 'mobile_banking', 'credit_card', 'other')),
+    notes TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'converting', 'converted', 'cancelled')),
+    order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+    -- Why the last conversion attempt left the pre-order pending
+    conversion_note TEXT,
+    converted_at TIMESTAMP WITH TIME ZONE,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    cancellation_reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Order status history (statuses use the API names, e.g. waiting_for_payment and in_transit)
+-- fulfilment_id is NULL for changes of the order's overall status
+CREATE TABLE order_status_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    fulfilment_id UUID REFERENCES order_fulfilments(id) ON DELETE CASCADE,
+    from_status VARCHAR(30),
+    to_status VARCHAR(30) NOT NULL,
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    actor_role VARCHAR(20) NOT NULL CHECK (actor_role IN ('customer', 'farm', 'system')),
+    note TEXT,
+    -- clock_timestamp() keeps entries written in one transaction in order
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT clock_timestamp()
+);
+
 -- Create indexes for better performance
 CREATE INDEX idx_users_email ON users(email);
 CREATE INDEX idx_users_role ON users(role);
@@ -284,6 +794,50 @@ CREATE INDEX idx_product_reviews_product_id ON product_reviews(product_id);
 CREATE INDEX idx_product_reviews_user_id ON product_reviews(user_id);
 CREATE INDEX idx_wishlist_user_id ON wishlist(user_id);
 CREATE INDEX idx_batch_names_farm_id ON batch_names(farm_id);
+CREATE INDEX idx_user_sessions_user_id ON user_sessions(user_id);
+CREATE INDEX idx_user_sessions_previous_hash ON user_sessions(previous_refresh_token_hash);
+CREATE INDEX idx_password_reset_tokens_user_id ON password_reset_tokens(user_id);
+CREATE INDEX idx_email_verification_tokens_user_id ON email_verification_tokens(user_id);
+CREATE INDEX idx_login_throttles_locked_until ON login_throttles(locked_until);
+CREATE INDEX idx_farm_members_user_id ON farm_members(user_id);
+CREATE INDEX idx_farm_invitations_farm_id ON farm_invitations(farm_id);
+CREATE INDEX idx_phone_otps_phone ON phone_otps(phone, created_at);
+CREATE INDEX idx_phone_otps_requested_ip ON phone_otps(requested_ip, created_at);
+CREATE UNIQUE INDEX idx_users_verified_phone ON users(phone) WHERE phone_verified = true;
+CREATE INDEX idx_farm_api_keys_farm_id ON farm_api_keys(farm_id);
+CREATE INDEX idx_user_recovery_codes_user_id ON user_recovery_codes(user_id);
+CREATE INDEX idx_two_factor_challenges_user_id ON two_factor_challenges(user_id);
+CREATE INDEX idx_order_fulfilments_farm_id ON order_fulfilments(farm_id, status);
+CREATE INDEX idx_order_items_fulfilment_id ON order_items(fulfilment_id);
+CREATE INDEX idx_order_status_history_order_id ON order_status_history(order_id, created_at);
+CREATE UNIQUE INDEX idx_orders_temp_cart_id ON orders(temp_cart_id) WHERE temp_cart_id IS NOT NULL;
+CREATE INDEX idx_order_payments_order_id ON order_payments(order_id, created_at);
+CREATE UNIQUE INDEX idx_order_payments_provider_ref ON order_payments(provider, provider_ref) WHERE provider_ref IS NOT NULL;
+CREATE INDEX idx_order_shipments_order_id ON order_shipments(order_id);
+CREATE INDEX idx_order_refunds_order_id ON order_refunds(order_id);
+CREATE INDEX idx_order_refunds_farm_id ON order_refunds(farm_id, status, created_at);
+CREATE INDEX idx_order_refund_items_refund_id ON order_refund_items(refund_id);
+CREATE INDEX idx_order_refund_items_order_item_id ON order_refund_items(order_item_id);
+CREATE INDEX idx_order_refund_events_refund_id ON order_refund_events(refund_id, created_at);
+CREATE INDEX idx_order_amendments_order_id ON order_amendments(order_id);
+CREATE UNIQUE INDEX idx_order_amendments_open ON order_amendments(fulfilment_id) WHERE status = 'proposed';
+CREATE UNIQUE INDEX idx_coupons_code ON coupons(UPPER(code));
+CREATE INDEX idx_coupons_farm_id ON coupons(farm_id);
+CREATE INDEX idx_coupon_redemptions_customer ON coupon_redemptions(coupon_id, customer_id);
+CREATE UNIQUE INDEX idx_tax_rules_target ON tax_rules(COALESCE(category_id::text, ''), COALESCE(product_type, '')) WHERE is_active;
+CREATE INDEX idx_delivery_zones_farm_id ON delivery_zones(farm_id) WHERE is_active;
+CREATE INDEX idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
+CREATE UNIQUE INDEX idx_stock_reservations_active ON stock_reservations(customer_id, store_product_id) WHERE status = 'active';
+CREATE INDEX idx_stock_reservations_product ON stock_reservations(store_product_id, expires_at) WHERE status = 'active';
+CREATE INDEX idx_subscriptions_customer_id ON subscriptions(customer_id);
+CREATE INDEX idx_subscriptions_farm_id ON subscriptions(farm_id);
+CREATE INDEX idx_subscriptions_due ON subscriptions(next_delivery_date) WHERE status = 'active';
+CREATE INDEX idx_subscription_items_subscription_id ON subscription_items(subscription_id);
+CREATE INDEX idx_orders_subscription_id ON orders(subscription_id);
+CREATE INDEX idx_preorder_offers_farm_id ON preorder_offers(farm_id);
+CREATE INDEX idx_preorder_offers_store_product_id ON preorder_offers(store_product_id);
+CREATE INDEX idx_preorders_offer_id ON preorders(offer_id, created_at);
+CREATE INDEX idx_preorders_customer_id ON preorders(customer_id);
 
 -- Add foreign keys after base tables are created to avoid circular dependency during initial setup
 ALTER TABLE users
@@ -296,4 +850,24 @@ ALTER TABLE farms
 
 ALTER TABLE farms
   ADD CONSTRAINT fk_farms_manager_id
-  FOREIGN KEY (manager_id) REFERENCES users(id) ON DELETE SET NULL;
\ No newline at end of file
+  FOREIGN KEY (manager_id) REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE order_items
+  ADD CONSTRAINT fk_order_items_fulfilment_id
+  FOREIGN KEY (fulfilment_id) REFERENCES order_fulfilments(id) ON DELETE CASCADE;
+
+ALTER TABLE orders
+  ADD CONSTRAINT fk_orders_coupon_id
+  FOREIGN KEY (coupon_id) REFERENCES coupons(id) ON DELETE SET NULL;
+
+ALTER TABLE order_items
+  ADD CONSTRAINT fk_order_items_tax_rule_id
+  FOREIGN KEY (tax_rule_id) REFERENCES tax_rules(id) ON DELETE SET NULL;
+
+ALTER TABLE order_fulfilments
+  ADD CONSTRAINT fk_order_fulfilments_delivery_zone_id
+  FOREIGN KEY (delivery_zone_id) REFERENCES delivery_zones(id) ON DELETE SET NULL;
+
+ALTER TABLE orders
+  ADD CONSTRAINT fk_orders_subscription_id
+  FOREIGN KEY (subscription_id) REFERENCES subscriptions(id) ON DELETE SET NULL;
\ No newline at end of file
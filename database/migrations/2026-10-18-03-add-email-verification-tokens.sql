@@ -0,0 +1,31 @@
+-- Add email_verification_tokens table for verifying users.email_verified
+
+CREATE TABLE IF NOT EXISTS email_verification_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(128) NOT NULL UNIQUE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_user_id ON email_verification_tokens(user_id);
+
+-- One-time data fixes; migrations re-run on every deploy, so a backfill claims its row here first
+CREATE TABLE IF NOT EXISTS data_backfills (
+    name VARCHAR(100) PRIMARY KEY,
+    applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Accounts created before verification existed never received a link.
+-- Treat them as verified so gated actions (farm creation, ordering) keep working.
+-- Runs once only: later unverified accounts (phone sign-ups, admin-created users) stay unverified.
+WITH claimed AS (
+    INSERT INTO data_backfills (name) VALUES ('verify_pre_existing_emails')
+    ON CONFLICT (name) DO NOTHING
+    RETURNING name
+)
+UPDATE users u SET email_verified = true
+WHERE EXISTS (SELECT 1 FROM claimed)
+  AND email_verified = false
+  AND NOT EXISTS (SELECT 1 FROM email_verification_tokens evt WHERE evt.user_id = u.id);
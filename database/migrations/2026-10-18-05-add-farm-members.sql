@@ -0,0 +1,25 @@
+-- Add farm_members table for per-farm team roles (owner, manager, accountant, worker)
+-- Route permission checks read the member's role instead of comparing farms.owner_id
+
+CREATE TABLE IF NOT EXISTS farm_members (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    farm_id UUID NOT NULL REFERENCES farms(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'manager', 'accountant', 'worker')),
+    added_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(farm_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_farm_members_user_id ON farm_members(user_id);
+
+-- Backfill: existing owners, and managers recorded in farms.manager_id
+INSERT INTO farm_members (farm_id, user_id, role)
+SELECT id, owner_id, 'owner' FROM farms WHERE owner_id IS NOT NULL
+ON CONFLICT (farm_id, user_id) DO NOTHING;
+
+INSERT INTO farm_members (farm_id, user_id, role, added_by)
+SELECT id, manager_id, 'manager', owner_id FROM farms
+WHERE manager_id IS NOT NULL AND manager_id IS DISTINCT FROM owner_id
+ON CONFLICT (farm_id, user_id) DO NOTHING;
@@ -0,0 +1,28 @@
+-- Phone number + OTP login
+-- OTP-only accounts have a verified phone but no email or password
+
+ALTER TABLE users ALTER COLUMN email DROP NOT NULL;
+ALTER TABLE users ALTER COLUMN password_hash DROP NOT NULL;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS phone_verified BOOLEAN DEFAULT false;
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_email_or_phone_check;
+ALTER TABLE users
+  ADD CONSTRAINT users_email_or_phone_check
+  CHECK (email IS NOT NULL OR phone IS NOT NULL);
+
+-- A verified phone number identifies exactly one account
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_verified_phone ON users(phone) WHERE phone_verified = true;
+
+CREATE TABLE IF NOT EXISTS phone_otps (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    phone VARCHAR(20) NOT NULL,
+    code_hash VARCHAR(128) NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    consumed_at TIMESTAMP WITH TIME ZONE,
+    requested_ip VARCHAR(64),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_phone_otps_phone ON phone_otps(phone, created_at);
+CREATE INDEX IF NOT EXISTS idx_phone_otps_requested_ip ON phone_otps(requested_ip, created_at);
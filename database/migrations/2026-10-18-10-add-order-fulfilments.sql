@@ -0,0 +1,71 @@
+-- Split orders into per-farm fulfilments
+-- Each farm confirms, ships, prices delivery for and cancels its own part of a checkout;
+-- orders keep the combined totals and an overall status rolled up from their fulfilments
+
+CREATE TABLE IF NOT EXISTS order_fulfilments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    farm_id UUID NOT NULL REFERENCES farms(id) ON DELETE RESTRICT,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded')),
+    subtotal_amount DECIMAL(10,2) NOT NULL CHECK (subtotal_amount >= 0),
+    discount_amount DECIMAL(10,2) DEFAULT 0 CHECK (discount_amount >= 0),
+    tax_amount DECIMAL(10,2) DEFAULT 0 CHECK (tax_amount >= 0),
+    shipping_amount DECIMAL(10,2) DEFAULT 0 CHECK (shipping_amount >= 0),
+    final_amount DECIMAL(10,2) NOT NULL CHECK (final_amount >= 0),
+    notes TEXT,
+    cancellation_reason TEXT,
+    cancelled_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(order_id, farm_id)
+);
+
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS fulfilment_id UUID;
+ALTER TABLE order_items DROP CONSTRAINT IF EXISTS fk_order_items_fulfilment_id;
+ALTER TABLE order_items
+  ADD CONSTRAINT fk_order_items_fulfilment_id
+  FOREIGN KEY (fulfilment_id) REFERENCES order_fulfilments(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_order_fulfilments_farm_id ON order_fulfilments(farm_id, status);
+CREATE INDEX IF NOT EXISTS idx_order_items_fulfilment_id ON order_items(fulfilment_id);
+
+DROP TRIGGER IF EXISTS update_order_fulfilments_updated_at ON order_fulfilments;
+CREATE TRIGGER update_order_fulfilments_updated_at BEFORE UPDATE ON order_fulfilments FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Backfill: one fulfilment per farm of every existing order, carrying the order's status.
+-- The order's delivery fee goes to the farm whose item was added first.
+WITH per_farm AS (
+    SELECT oi.order_id, p.farm_id, SUM(oi.total_price) AS subtotal, MIN(oi.created_at) AS first_item_at
+    FROM order_items oi
+    JOIN store_products sp ON oi.store_product_id = sp.id
+    JOIN products p ON sp.product_id = p.id
+    WHERE oi.fulfilment_id IS NULL
+    GROUP BY oi.order_id, p.farm_id
+),
+ranked AS (
+    SELECT per_farm.*,
+           ROW_NUMBER() OVER (PARTITION BY order_id ORDER BY first_item_at, farm_id) AS position
+    FROM per_farm
+)
+INSERT INTO order_fulfilments (order_id, farm_id, status, subtotal_amount, shipping_amount, final_amount, created_at, updated_at)
+SELECT r.order_id,
+       r.farm_id,
+       o.status,
+       r.subtotal,
+       CASE WHEN r.position = 1 THEN o.shipping_amount ELSE 0 END,
+       r.subtotal + CASE WHEN r.position = 1 THEN o.shipping_amount ELSE 0 END,
+       o.created_at,
+       o.updated_at
+FROM ranked r
+JOIN orders o ON o.id = r.order_id
+ON CONFLICT (order_id, farm_id) DO NOTHING;
+
+UPDATE order_items oi
+SET fulfilment_id = f.id
+FROM store_products sp, products p, order_fulfilments f
+WHERE oi.fulfilment_id IS NULL
+  AND oi.store_product_id = sp.id
+  AND sp.product_id = p.id
+  AND f.order_id = oi.order_id
+  AND f.farm_id = p.farm_id;
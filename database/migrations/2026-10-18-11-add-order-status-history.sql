@@ -0,0 +1,24 @@
+-- Order status history with actor, timestamp and note for every status change
+-- Statuses use the API names (waiting_for_payment, in_transit); fulfilment_id is NULL for
+-- changes of the order's overall status
+
+CREATE TABLE IF NOT EXISTS order_status_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    fulfilment_id UUID REFERENCES order_fulfilments(id) ON DELETE CASCADE,
+    from_status VARCHAR(30),
+    to_status VARCHAR(30) NOT NULL,
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    actor_role VARCHAR(20) NOT NULL CHECK (actor_role IN ('customer', 'farm', 'system')),
+    note TEXT,
+    -- clock_timestamp() keeps entries written in one transaction in order
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT clock_timestamp()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order_id ON order_status_history(order_id, created_at);
+
+-- Seed each existing order with its placement so histories start at the beginning
+INSERT INTO order_status_history (order_id, to_status, actor_id, actor_role, note, created_at)
+SELECT o.id, 'pending', o.customer_id, 'customer', 'Order placed', o.created_at
+FROM orders o
+WHERE NOT EXISTS (SELECT 1 FROM order_status_history h WHERE h.order_id = o.id);
@@ -0,0 +1,141 @@
+-- Structured order metadata
+-- customer_phone, temp_cart_id, courier and payment details used to be stored as a JSON
+-- string in orders.notes (and courier details in order_fulfilments.notes). They now live in
+-- proper columns and child tables; notes only keeps the customer's free-text note.
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS customer_phone VARCHAR(30);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS temp_cart_id VARCHAR(100);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+
+CREATE TABLE IF NOT EXISTS order_payments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    provider VARCHAR(30) NOT NULL DEFAULT 'manual',
+    method VARCHAR(50),
+    amount DECIMAL(10,2) CHECK (amount >= 0),
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'paid', 'failed', 'cancelled', 'refunded')),
+    payment_info TEXT,
+    payment_message TEXT,
+    payment_reference VARCHAR(255),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS order_shipments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    fulfilment_id UUID NOT NULL REFERENCES order_fulfilments(id) ON DELETE CASCADE,
+    courier_contact VARCHAR(255),
+    courier_ref_id VARCHAR(255),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(fulfilment_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_payments_order_id ON order_payments(order_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_order_shipments_order_id ON order_shipments(order_id);
+
+DROP TRIGGER IF EXISTS update_order_payments_updated_at ON order_payments;
+CREATE TRIGGER update_order_payments_updated_at BEFORE UPDATE ON order_payments FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+DROP TRIGGER IF EXISTS update_order_shipments_updated_at ON order_shipments;
+CREATE TRIGGER update_order_shipments_updated_at BEFORE UPDATE ON order_shipments FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Parse a notes value as a metadata object; NULL for free text or invalid JSON
+CREATE OR REPLACE FUNCTION pg_temp.order_notes_meta(value TEXT) RETURNS JSONB AS $$
+DECLARE
+    parsed JSONB;
+BEGIN
+    IF value IS NULL OR left(btrim(value), 1) <> '{' THEN
+        RETURN NULL;
+    END IF;
+    parsed := value::jsonb;
+    IF jsonb_typeof(parsed) <> 'object' THEN
+        RETURN NULL;
+    END IF;
+    RETURN parsed;
+EXCEPTION WHEN others THEN
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Order columns. Only the first order placed from a cart session keeps its temp_cart_id.
+WITH meta AS (
+    SELECT id,
+           pg_temp.order_notes_meta(notes) AS m,
+           ROW_NUMBER() OVER (
+               PARTITION BY pg_temp.order_notes_meta(notes)->>'temp_cart_id'
+               ORDER BY created_at, id
+           ) AS cart_position
+    FROM orders
+    WHERE pg_temp.order_notes_meta(notes) IS NOT NULL
+)
+UPDATE orders o
+SET customer_phone = COALESCE(o.customer_phone, left(meta.m->>'customer_phone', 30)),
+    temp_cart_id = COALESCE(
+        o.temp_cart_id,
+        CASE
+            WHEN meta.cart_position = 1
+             AND NOT EXISTS (SELECT 1 FROM orders other WHERE other.temp_cart_id = meta.m->>'temp_cart_id')
+            THEN left(meta.m->>'temp_cart_id', 100)
+        END
+    ),
+    cancellation_reason = COALESCE(o.cancellation_reason, meta.m->>'cancellation_reason')
+FROM meta
+WHERE o.id = meta.id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_temp_cart_id ON orders(temp_cart_id) WHERE temp_cart_id IS NOT NULL;
+
+-- Payment requests
+INSERT INTO order_payments (order_id, provider, method, amount, status, payment_info, payment_message, payment_reference, created_at, updated_at)
+SELECT o.id,
+       'manual',
+       o.payment_method,
+       o.final_amount,
+       CASE WHEN o.payment_status IN ('paid', 'failed', 'refunded') THEN o.payment_status ELSE 'pending' END,
+       m->>'payment_info',
+       m->>'payment_message',
+       left(m->>'payment_reference', 255),
+       o.updated_at,
+       o.updated_at
+FROM (SELECT orders.*, pg_temp.order_notes_meta(orders.notes) AS m FROM orders) o
+WHERE o.m IS NOT NULL
+  AND (o.m ? 'payment_info' OR o.m ? 'payment_message' OR o.m ? 'payment_reference');
+
+-- Courier details recorded per fulfilment (courier meta in order_fulfilments.notes)
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'order_fulfilments' AND column_name = 'notes'
+    ) THEN
+        EXECUTE $sql$
+            INSERT INTO order_shipments (order_id, fulfilment_id, courier_contact, courier_ref_id, created_at, updated_at)
+            SELECT f.order_id, f.id,
+                   left(pg_temp.order_notes_meta(f.notes)->>'courier_contact', 255),
+                   left(pg_temp.order_notes_meta(f.notes)->>'courier_ref_id', 255),
+                   f.updated_at, f.updated_at
+            FROM order_fulfilments f
+            WHERE pg_temp.order_notes_meta(f.notes) ?| ARRAY['courier_contact', 'courier_ref_id']
+            ON CONFLICT (fulfilment_id) DO NOTHING
+        $sql$;
+        ALTER TABLE order_fulfilments DROP COLUMN notes;
+    END IF;
+END $$;
+
+-- Courier details recorded on the whole order before fulfilments existed
+INSERT INTO order_shipments (order_id, fulfilment_id, courier_contact, courier_ref_id, created_at, updated_at)
+SELECT f.order_id, f.id,
+       left(o.m->>'courier_contact', 255),
+       left(o.m->>'courier_ref_id', 255),
+       o.updated_at, o.updated_at
+FROM (SELECT id, updated_at, pg_temp.order_notes_meta(notes) AS m FROM orders) o
+JOIN order_fulfilments f ON f.order_id = o.id
+WHERE o.m ?| ARRAY['courier_contact', 'courier_ref_id']
+ON CONFLICT (fulfilment_id) DO NOTHING;
+
+-- notes keeps only the customer's free text
+UPDATE orders
+SET notes = NULL
+WHERE pg_temp.order_notes_meta(notes) IS NOT NULL;
@@ -0,0 +1,12 @@
+-- Online payments through gateway providers (bKash, SSLCommerz, mock)
+-- A gateway payment is an order_payments row whose provider is not 'manual'
+
+ALTER TABLE order_payments ADD COLUMN IF NOT EXISTS currency VARCHAR(3) DEFAULT 'BDT';
+ALTER TABLE order_payments ADD COLUMN IF NOT EXISTS provider_ref VARCHAR(255);
+ALTER TABLE order_payments ADD COLUMN IF NOT EXISTS transaction_id VARCHAR(255);
+ALTER TABLE order_payments ADD COLUMN IF NOT EXISTS redirect_url TEXT;
+ALTER TABLE order_payments ADD COLUMN IF NOT EXISTS gateway_response JSONB;
+ALTER TABLE order_payments ADD COLUMN IF NOT EXISTS failure_reason TEXT;
+ALTER TABLE order_payments ADD COLUMN IF NOT EXISTS paid_at TIMESTAMP WITH TIME ZONE;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_order_payments_provider_ref ON order_payments(provider, provider_ref) WHERE provider_ref IS NOT NULL;
@@ -0,0 +1,58 @@
+-- Refunds and partial refunds
+-- Customers (or admins) request a refund of a whole order or of selected items and quantities;
+-- the farm or an admin approves it, the payment is refunded and the order's payment_status
+-- becomes partial or refunded. order_refund_events keeps an audit trail of every step.
+
+-- Refund requests, one per farm fulfilment; approved by the farm or an admin
+CREATE TABLE IF NOT EXISTS order_refunds (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    fulfilment_id UUID NOT NULL REFERENCES order_fulfilments(id) ON DELETE CASCADE,
+    farm_id UUID NOT NULL REFERENCES farms(id) ON DELETE CASCADE,
+    status VARCHAR(20) DEFAULT 'requested' CHECK (status IN ('requested', 'approved', 'rejected', 'refunded', 'failed')),
+    reason TEXT NOT NULL,
+    amount DECIMAL(10,2) NOT NULL CHECK (amount >= 0),
+    is_full BOOLEAN DEFAULT false,
+    payment_id UUID REFERENCES order_payments(id) ON DELETE SET NULL,
+    provider_refund_ref VARCHAR(255),
+    failure_reason TEXT,
+    requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    review_note TEXT,
+    refunded_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Items and quantities covered by a refund
+CREATE TABLE IF NOT EXISTS order_refund_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    refund_id UUID NOT NULL REFERENCES order_refunds(id) ON DELETE CASCADE,
+    order_item_id UUID NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+    quantity DECIMAL(10,2) NOT NULL CHECK (quantity > 0),
+    amount DECIMAL(10,2) NOT NULL CHECK (amount >= 0),
+    restocked BOOLEAN DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Audit trail of every refund action
+CREATE TABLE IF NOT EXISTS order_refund_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    refund_id UUID NOT NULL REFERENCES order_refunds(id) ON DELETE CASCADE,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('requested', 'approved', 'rejected', 'restocked', 'refunded', 'failed')),
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    actor_role VARCHAR(20) NOT NULL CHECK (actor_role IN ('customer', 'farm', 'admin', 'system')),
+    note TEXT,
+    details JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT clock_timestamp()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_refunds_order_id ON order_refunds(order_id);
+CREATE INDEX IF NOT EXISTS idx_order_refunds_farm_id ON order_refunds(farm_id, status, created_at);
+CREATE INDEX IF NOT EXISTS idx_order_refund_items_refund_id ON order_refund_items(refund_id);
+CREATE INDEX IF NOT EXISTS idx_order_refund_items_order_item_id ON order_refund_items(order_item_id);
+CREATE INDEX IF NOT EXISTS idx_order_refund_events_refund_id ON order_refund_events(refund_id, created_at);
+
+DROP TRIGGER IF EXISTS update_order_refunds_updated_at ON order_refunds;
+CREATE TRIGGER update_order_refunds_updated_at BEFORE UPDATE ON order_refunds FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,51 @@
+-- Coupons and promo codes
+-- Platform-wide (farm_id NULL) or farm-specific coupons with a percent or flat value, minimum
+-- order value, validity window, total and per-customer usage limits and category/product
+-- targeting. Orders record the coupon they used; coupon_redemptions counts the uses.
+
+CREATE TABLE IF NOT EXISTS coupons (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(50) NOT NULL,
+    farm_id UUID REFERENCES farms(id) ON DELETE CASCADE,
+    description TEXT,
+    discount_type VARCHAR(10) NOT NULL CHECK (discount_type IN ('percent', 'flat')),
+    discount_value DECIMAL(10,2) NOT NULL CHECK (discount_value > 0),
+    max_discount_amount DECIMAL(10,2) CHECK (max_discount_amount IS NULL OR max_discount_amount > 0),
+    min_order_amount DECIMAL(10,2) DEFAULT 0 CHECK (min_order_amount >= 0),
+    starts_at TIMESTAMP WITH TIME ZONE,
+    ends_at TIMESTAMP WITH TIME ZONE,
+    usage_limit INTEGER CHECK (usage_limit IS NULL OR usage_limit > 0),
+    per_customer_limit INTEGER CHECK (per_customer_limit IS NULL OR per_customer_limit > 0),
+    category_ids UUID[] NOT NULL DEFAULT '{}',
+    product_ids UUID[] NOT NULL DEFAULT '{}',
+    is_active BOOLEAN DEFAULT true,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (discount_type <> 'percent' OR discount_value <= 100),
+    CHECK (starts_at IS NULL OR ends_at IS NULL OR ends_at > starts_at)
+);
+
+CREATE TABLE IF NOT EXISTS coupon_redemptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    coupon_id UUID NOT NULL REFERENCES coupons(id) ON DELETE CASCADE,
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    customer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    discount_amount DECIMAL(10,2) NOT NULL CHECK (discount_amount >= 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(coupon_id, order_id)
+);
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS coupon_id UUID;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS coupon_code VARCHAR(50);
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS fk_orders_coupon_id;
+ALTER TABLE orders
+  ADD CONSTRAINT fk_orders_coupon_id
+  FOREIGN KEY (coupon_id) REFERENCES coupons(id) ON DELETE SET NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_coupons_code ON coupons(UPPER(code));
+CREATE INDEX IF NOT EXISTS idx_coupons_farm_id ON coupons(farm_id);
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_customer ON coupon_redemptions(coupon_id, customer_id);
+
+DROP TRIGGER IF EXISTS update_coupons_updated_at ON coupons;
+CREATE TRIGGER update_coupons_updated_at BEFORE UPDATE ON coupons FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
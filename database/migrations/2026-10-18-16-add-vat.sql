@@ -0,0 +1,40 @@
+-- VAT / tax on orders
+-- Tax rules by product category and/or product type, per-farm VAT registration and a tax
+-- breakdown on every order line. orders.tax_amount only holds VAT charged on top of the
+-- prices (exclusive rules); inclusive VAT is already part of the line totals.
+
+CREATE TABLE IF NOT EXISTS tax_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    category_id UUID REFERENCES product_categories(id) ON DELETE CASCADE,
+    product_type VARCHAR(50),
+    rate DECIMAL(5,2) NOT NULL CHECK (rate >= 0 AND rate <= 100),
+    is_inclusive BOOLEAN DEFAULT false,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE farms ADD COLUMN IF NOT EXISTS vat_registered BOOLEAN DEFAULT false;
+ALTER TABLE farms ADD COLUMN IF NOT EXISTS vat_registration_number VARCHAR(50);
+
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10,2) DEFAULT 0 CHECK (discount_amount >= 0);
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS tax_rule_id UUID;
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS tax_rate DECIMAL(5,2) DEFAULT 0 CHECK (tax_rate >= 0);
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS tax_inclusive BOOLEAN DEFAULT false;
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS taxable_amount DECIMAL(10,2) DEFAULT 0 CHECK (taxable_amount >= 0);
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS tax_amount DECIMAL(10,2) DEFAULT 0 CHECK (tax_amount >= 0);
+ALTER TABLE order_items DROP CONSTRAINT IF EXISTS fk_order_items_tax_rule_id;
+ALTER TABLE order_items
+  ADD CONSTRAINT fk_order_items_tax_rule_id
+  FOREIGN KEY (tax_rule_id) REFERENCES tax_rules(id) ON DELETE SET NULL;
+
+-- Lines from before VAT were untaxed: their taxable amount is the line total
+UPDATE order_items
+SET taxable_amount = total_price - discount_amount
+WHERE taxable_amount = 0 AND tax_amount = 0 AND total_price > 0;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tax_rules_target ON tax_rules(COALESCE(category_id::text, ''), COALESCE(product_type, '')) WHERE is_active;
+
+DROP TRIGGER IF EXISTS update_tax_rules_updated_at ON tax_rules;
+CREATE TRIGGER update_tax_rules_updated_at BEFORE UPDATE ON tax_rules FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,42 @@
+-- Delivery zones and rule-based delivery fees
+-- Farms define zones by district/upazila or by radius, each with a base fee, a per-kg surcharge
+-- and a free-delivery threshold. Orders keep the delivery location they were priced for and
+-- each fulfilment the zone that priced it.
+
+CREATE TABLE IF NOT EXISTS delivery_zones (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    farm_id UUID NOT NULL REFERENCES farms(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    zone_type VARCHAR(10) NOT NULL CHECK (zone_type IN ('area', 'radius')),
+    district VARCHAR(100),
+    upazila VARCHAR(100),
+    center_latitude DECIMAL(9,6) CHECK (center_latitude BETWEEN -90 AND 90),
+    center_longitude DECIMAL(9,6) CHECK (center_longitude BETWEEN -180 AND 180),
+    radius_km DECIMAL(7,2) CHECK (radius_km > 0),
+    base_fee DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (base_fee >= 0),
+    per_kg_fee DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (per_kg_fee >= 0),
+    free_delivery_threshold DECIMAL(10,2) CHECK (free_delivery_threshold IS NULL OR free_delivery_threshold >= 0),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (zone_type <> 'area' OR district IS NOT NULL),
+    CHECK (zone_type <> 'radius' OR (center_latitude IS NOT NULL AND center_longitude IS NOT NULL AND radius_km IS NOT NULL))
+);
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS weight_kg DECIMAL(10,3) CHECK (weight_kg IS NULL OR weight_kg >= 0);
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS delivery_district VARCHAR(100);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS delivery_upazila VARCHAR(100);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS delivery_latitude DECIMAL(9,6);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS delivery_longitude DECIMAL(9,6);
+
+ALTER TABLE order_fulfilments ADD COLUMN IF NOT EXISTS delivery_zone_id UUID;
+ALTER TABLE order_fulfilments DROP CONSTRAINT IF EXISTS fk_order_fulfilments_delivery_zone_id;
+ALTER TABLE order_fulfilments
+  ADD CONSTRAINT fk_order_fulfilments_delivery_zone_id
+  FOREIGN KEY (delivery_zone_id) REFERENCES delivery_zones(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_delivery_zones_farm_id ON delivery_zones(farm_id) WHERE is_active;
+
+DROP TRIGGER IF EXISTS update_delivery_zones_updated_at ON delivery_zones;
+CREATE TRIGGER update_delivery_zones_updated_at BEFORE UPDATE ON delivery_zones FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,21 @@
+-- Checkout stock reservations
+-- A reservation holds store product stock for one customer until it expires, is released, or is
+-- consumed by the order it was made for. Available stock excludes active, unexpired holds.
+
+CREATE TABLE IF NOT EXISTS stock_reservations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    customer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    store_product_id UUID NOT NULL REFERENCES store_products(id) ON DELETE CASCADE,
+    quantity DECIMAL(10,2) NOT NULL CHECK (quantity > 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'consumed', 'released', 'expired')),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_stock_reservations_active ON stock_reservations(customer_id, store_product_id) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_stock_reservations_product ON stock_reservations(store_product_id, expires_at) WHERE status = 'active';
+
+DROP TRIGGER IF EXISTS update_stock_reservations_updated_at ON stock_reservations;
+CREATE TRIGGER update_stock_reservations_updated_at BEFORE UPDATE ON stock_reservations FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,28 @@
+-- Farm-side order amendments
+-- While its fulfilment is pending, a farm can change item quantities, remove items or substitute
+-- products. The amendment applies straight away (stock and totals included) and waits for the
+-- customer to accept it; rejecting it cancels the fulfilment.
+
+CREATE TABLE IF NOT EXISTS order_amendments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    fulfilment_id UUID NOT NULL REFERENCES order_fulfilments(id) ON DELETE CASCADE,
+    farm_id UUID NOT NULL REFERENCES farms(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'proposed' CHECK (status IN ('proposed', 'accepted', 'rejected', 'cancelled')),
+    reason TEXT,
+    changes JSONB NOT NULL,
+    previous_final_amount DECIMAL(10,2) NOT NULL,
+    amended_final_amount DECIMAL(10,2) NOT NULL,
+    proposed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    responded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    responded_at TIMESTAMP WITH TIME ZONE,
+    response_note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_amendments_order_id ON order_amendments(order_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_order_amendments_open ON order_amendments(fulfilment_id) WHERE status = 'proposed';
+
+DROP TRIGGER IF EXISTS update_order_amendments_updated_at ON order_amendments;
+CREATE TRIGGER update_order_amendments_updated_at BEFORE UPDATE ON order_amendments FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
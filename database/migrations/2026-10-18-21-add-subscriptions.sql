@@ -0,0 +1,74 @@
+-- Recurring subscription orders
+-- A subscription is a basket of one farm's products delivered weekly, fortnightly or monthly.
+-- The scheduler places a regular order for each delivery; subscription_runs records what happened
+-- to each delivery date (ordered, skipped or failed) and holds the deliveries skipped ahead of time.
+
+CREATE TABLE IF NOT EXISTS subscriptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    customer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    farm_id UUID NOT NULL REFERENCES farms(id) ON DELETE CASCADE,
+    name VARCHAR(100),
+    frequency VARCHAR(20) NOT NULL CHECK (frequency IN ('weekly', 'fortnightly', 'monthly')),
+    -- Weekday (0 = Sunday) for weekly and fortnightly deliveries, day of the month (1-28) for monthly ones
+    delivery_day SMALLINT NOT NULL,
+    delivery_address TEXT NOT NULL,
+    delivery_district VARCHAR(100),
+    delivery_upazila VARCHAR(100),
+    delivery_latitude DECIMAL(9,6),
+    delivery_longitude DECIMAL(9,6),
+    customer_phone VARCHAR(30),
+    payment_method VARCHAR(50) NOT NULL DEFAULT 'cash_on_delivery' CHECK (payment_method IN ('cash_on_delivery', 'bank_transfer', 'mobile_banking', 'credit_card', 'other')),
+    notes TEXT,
+    out_of_stock_policy VARCHAR(20) NOT NULL DEFAULT 'skip_item' CHECK (out_of_stock_policy IN ('skip_item', 'skip_delivery')),
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused', 'cancelled')),
+    paused_until DATE,
+    next_delivery_date DATE,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (
+        (frequency = 'monthly' AND delivery_day BETWEEN 1 AND 28)
+        OR (frequency <> 'monthly' AND delivery_day BETWEEN 0 AND 6)
+    )
+);
+
+CREATE TABLE IF NOT EXISTS subscription_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    subscription_id UUID NOT NULL REFERENCES subscriptions(id) ON DELETE CASCADE,
+    store_product_id UUID NOT NULL REFERENCES store_products(id) ON DELETE CASCADE,
+    quantity DECIMAL(10,2) NOT NULL CHECK (quantity > 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(subscription_id, store_product_id)
+);
+
+CREATE TABLE IF NOT EXISTS subscription_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    subscription_id UUID NOT NULL REFERENCES subscriptions(id) ON DELETE CASCADE,
+    delivery_date DATE NOT NULL,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('processing', 'ordered', 'skipped', 'failed')),
+    order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+    skipped_items JSONB NOT NULL DEFAULT '[]',
+    note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(subscription_id, delivery_date)
+);
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS subscription_id UUID;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS scheduled_delivery_date DATE;
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS fk_orders_subscription_id;
+ALTER TABLE orders
+  ADD CONSTRAINT fk_orders_subscription_id
+  FOREIGN KEY (subscription_id) REFERENCES subscriptions(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_subscriptions_customer_id ON subscriptions(customer_id);
+CREATE INDEX IF NOT EXISTS idx_subscriptions_farm_id ON subscriptions(farm_id);
+CREATE INDEX IF NOT EXISTS idx_subscriptions_due ON subscriptions(next_delivery_date) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_subscription_items_subscription_id ON subscription_items(subscription_id);
+CREATE INDEX IF NOT EXISTS idx_orders_subscription_id ON orders(subscription_id);
+
+DROP TRIGGER IF EXISTS update_subscriptions_updated_at ON subscriptions;
+CREATE TRIGGER update_subscriptions_updated_at BEFORE UPDATE ON subscriptions FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+DROP TRIGGER IF EXISTS update_subscription_runs_updated_at ON subscription_runs;
+CREATE TRIGGER update_subscription_runs_updated_at BEFORE UPDATE ON subscription_runs FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,64 @@
+-- Pre-orders against upcoming harvests and batches
+-- A farm opens a pre-order offer for a store product ahead of a batch, with a cap on the total quantity,
+-- an expected date and an optional deposit. Once the offer is released (the batch is in stock) its
+-- pre-orders are converted into regular orders.
+
+CREATE TABLE IF NOT EXISTS preorder_offers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    farm_id UUID NOT NULL REFERENCES farms(id) ON DELETE CASCADE,
+    store_product_id UUID NOT NULL REFERENCES store_products(id) ON DELETE CASCADE,
+    batch_id UUID REFERENCES product_batches(id) ON DELETE SET NULL,
+    title VARCHAR(150),
+    description TEXT,
+    -- Pre-order price per unit; the store price at the time of the pre-order when not set
+    unit_price DECIMAL(10,2) CHECK (unit_price IS NULL OR unit_price >= 0),
+    -- Most that can be pre-ordered in total
+    max_quantity DECIMAL(10,2) NOT NULL CHECK (max_quantity > 0),
+    expected_date DATE NOT NULL,
+    deposit_percentage DECIMAL(5,2) NOT NULL DEFAULT 0 CHECK (deposit_percentage >= 0 AND deposit_percentage <= 100),
+    -- open: taking pre-orders; closed: full or stopped; released: the batch is in stock and pre-orders are converted
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed', 'released', 'cancelled')),
+    released_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS preorders (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    offer_id UUID NOT NULL REFERENCES preorder_offers(id) ON DELETE CASCADE,
+    customer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    quantity DECIMAL(10,2) NOT NULL CHECK (quantity > 0),
+    unit_price DECIMAL(10,2) NOT NULL CHECK (unit_price >= 0),
+    deposit_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (deposit_amount >= 0),
+    deposit_status VARCHAR(20) NOT NULL DEFAULT 'not_required' CHECK (deposit_status IN ('not_required', 'pending', 'paid', 'refunded')),
+    deposit_reference VARCHAR(255),
+    deposit_paid_at TIMESTAMP WITH TIME ZONE,
+    delivery_address TEXT NOT NULL,
+    delivery_district VARCHAR(100),
+    delivery_upazila VARCHAR(100),
+    delivery_latitude DECIMAL(9,6),
+    delivery_longitude DECIMAL(9,6),
+    customer_phone VARCHAR(30),
+    payment_method VARCHAR(50) NOT NULL DEFAULT 'cash_on_delivery' CHECK (payment_method IN ('cash_on_delivery', 'bank_transfer', 'mobile_banking', 'credit_card', 'other')),
+    notes TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'converting', 'converted', 'cancelled')),
+    order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+    -- Why the last conversion attempt left the pre-order pending
+    conversion_note TEXT,
+    converted_at TIMESTAMP WITH TIME ZONE,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    cancellation_reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_preorder_offers_farm_id ON preorder_offers(farm_id);
+CREATE INDEX IF NOT EXISTS idx_preorder_offers_store_product_id ON preorder_offers(store_product_id);
+CREATE INDEX IF NOT EXISTS idx_preorders_offer_id ON preorders(offer_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_preorders_customer_id ON preorders(customer_id);
+
+DROP TRIGGER IF EXISTS update_preorder_offers_updated_at ON preorder_offers;
+CREATE TRIGGER update_preorder_offers_updated_at BEFORE UPDATE ON preorder_offers FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+DROP TRIGGER IF EXISTS update_preorders_updated_at ON preorders;
+CREATE TRIGGER update_preorders_updated_at BEFORE UPDATE ON preorders FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
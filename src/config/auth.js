@@ -1,28 +1,114 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const DatabaseService = require('../services/database.service');
+const TwoFactor = require('../services/two-factor.service');
+const { getKeyring } = require('./jwt-keys');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this';
-const JWT_EXPIRES_IN = '7d';
+// Access tokens are short-lived; sessions are kept alive with rotating refresh tokens
+const JWT_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
 
 /**
- * Generate JWT token
+ * Generate JWT token (signed with the active keyring key, kid in the header)
  */
-function generateToken(userId, email, role) {
+function generateToken(userId, email, role, sessionId) {
   // Ensure userId is always a string
   const userIdStr = userId && userId.toString ? userId.toString() : userId;
-  return jwt.sign(
-    { userId: userIdStr, email, role },
-    JWT_SECRET,
+  return getKeyring().sign(
+    { userId: userIdStr, email, role, sid: sessionId },
     { expiresIn: JWT_EXPIRES_IN }
   );
 }
 
 /**
- * Verify JWT token
+ * Generate an opaque refresh token (only its hash is stored)
+ */
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('hex');
+}
+
+/**
+ * Hash an opaque token for storage and lookup
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function refreshTokenExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function buildTokenResponse(user, sessionId, refreshToken) {
+  const token = generateToken(user.id.toString(), user.email, user.role, sessionId);
+  const { iat, exp } = jwt.decode(token);
+  return {
+    token,
+    refresh_token: refreshToken,
+    expires_in: exp - iat,
+    session_id: sessionId
+  };
+}
+
+/**
+ * Start a new session for a user and issue an access/refresh token pair
+ */
+async function issueSession(user, req) {
+  const refreshToken = generateRefreshToken();
+  const session = await DatabaseService.createSession({
+    user_id: user.id,
+    refresh_token_hash: hashToken(refreshToken),
+    user_agent: req?.headers?.['user-agent'] || null,
+    ip_address: req?.ip || null,
+    expires_at: refreshTokenExpiry()
+  });
+  return buildTokenResponse(user, session.id, refreshToken);
+}
+
+/**
+ * Exchange a refresh token for a new token pair, rotating the refresh token.
+ * Presenting an already-rotated refresh token revokes the whole session.
+ * Returns null when the token is unknown, expired or revoked.
+ */
+async function refreshSession(refreshToken) {
+  if (!refreshToken) return null;
+  const tokenHash = hashToken(refreshToken);
+
+  const session = await DatabaseService.getSessionByRefreshHash(tokenHash);
+  if (!session) {
+    const reused = await DatabaseService.getSessionByPreviousRefreshHash(tokenHash);
+    if (reused && !reused.revoked_at) {
+      await DatabaseService.revokeSession(reused.id, 'refresh_token_reuse');
+    }
+    return null;
+  }
+
+  if (session.revoked_at || new Date(session.expires_at) <= new Date()) {
+    return null;
+  }
+
+  const user = await DatabaseService.getUserById(session.user_id);
+  if (!user || user.is_active === false) return null;
+
+  const newRefreshToken = generateRefreshToken();
+  const rotated = await DatabaseService.rotateSessionRefreshToken(
+    session.id,
+    tokenHash,
+    hashToken(newRefreshToken),
+    refreshTokenExpiry()
+  );
+  // Lost a race against a concurrent refresh with the same token
+  if (!rotated) return null;
+
+  return buildTokenResponse(user, session.id, newRefreshToken);
+}
+
+/**
+ * Verify JWT token against the keyring (retired keys are accepted during their grace window)
  */
 function verifyToken(token) {
   try {
-    return jwt.verify(token, JWT_SECRET);
+    return getKeyring().verify(token);
   } catch (error) {
     return null;
   }
@@ -42,11 +128,68 @@ async function comparePassword(password, hashedPassword) {
   return bcrypt.compare(password, hashedPassword);
 }
 
+/**
+ * Check that the session a token was issued for is still active
+ */
+async function isSessionActive(decoded) {
+  if (!decoded || !decoded.sid) return false;
+  const session = await DatabaseService.getActiveSession(decoded.sid);
+  return !!session && String(session.user_id) === String(decoded.userId);
+}
+
+/**
+ * Resolve an X-API-Key header to a farm-scoped principal (null if unknown, revoked or expired)
+ * API key principals have no userId, so customer-facing routes cannot act on the creator's behalf.
+ */
+async function resolveApiKey(apiKey, req) {
+  const key = await DatabaseService.getActiveFarmApiKeyByHash(hashToken(apiKey));
+  if (!key) return null;
+
+  DatabaseService.touchFarmApiKey(key.id, req.ip || null).catch(error => {
+    console.error('Failed to record API key usage:', error);
+  });
+
+  return {
+    userId: null,
+    email: null,
+    role: 'api_key',
+    apiKey: {
+      id: key.id,
+      farm_id: String(key.farm_id),
+      permissions: key.permissions || [],
+      created_by: key.created_by
+    }
+  };
+}
+
+/**
+ * User to attribute writes to: the signed-in user, or the creator of the API key in use
+ */
+function actingUserId(user) {
+  if (!user) return null;
+  return user.apiKey ? user.apiKey.created_by : user.userId;
+}
+
 /**
  * Authentication middleware
+ * Accepts a Bearer access token or a farm API key in the X-API-Key header
  */
-function authenticate(req, res, next) {
+async function authenticate(req, res, next) {
   const authHeader = req.headers.authorization;
+  const apiKey = req.headers['x-api-key'];
+
+  if ((!authHeader || !authHeader.startsWith('Bearer ')) && apiKey) {
+    try {
+      const principal = await resolveApiKey(apiKey, req);
+      if (!principal) {
+        return res.status(401).json({ error: 'Invalid or revoked API key' });
+      }
+      req.user = principal;
+      return next();
+    } catch (error) {
+      return next(error);
+    }
+  }
   
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
     return res.status(401).json({ error: 'No token provided' });
@@ -59,6 +202,14 @@ function authenticate(req, res, next) {
     return res.status(401).json({ error: 'Invalid or expired token' });
   }
 
+  try {
+    if (!(await isSessionActive(decoded))) {
+      return res.status(401).json({ error: 'Session has expired or been revoked' });
+    }
+  } catch (error) {
+    return next(error);
+  }
+
   // Ensure userId is always a string if it exists
   if (decoded.userId && decoded.userId.toString) {
     decoded.userId = decoded.userId.toString();
@@ -70,13 +221,19 @@ function authenticate(req, res, next) {
 /**
  * Optional authentication middleware (doesn't fail if no token)
  */
-function optionalAuth(req, res, next) {
+async function optionalAuth(req, res, next) {
   const authHeader = req.headers.authorization;
   
   if (authHeader && authHeader.startsWith('Bearer ')) {
     const token = authHeader.substring(7);
     const decoded = verifyToken(token);
-    if (decoded) {
+    let active = false;
+    try {
+      active = await isSessionActive(decoded);
+    } catch (error) {
+      return next(error);
+    }
+    if (active) {
       // Ensure userId is always a string if it exists
       if (decoded.userId && decoded.userId.toString) {
         decoded.userId = decoded.userId.toString();
@@ -88,10 +245,24 @@ function optionalAuth(req, res, next) {
   next();
 }
 
+/**
+ * Whether a principal (req.user) holds admin rights under the same policy as requireAdmin:
+ * the admin role and, with ADMIN_REQUIRE_2FA=true, two-factor authentication enabled.
+ * API key principals are never admins.
+ */
+async function isAdmin(principal) {
+  if (!principal || typeof principal !== 'object' || principal.apiKey || principal.role !== 'admin') {
+    return false;
+  }
+  if (!TwoFactor.isRequiredForRole(principal.role)) return true;
+  return TwoFactor.isEnabled(principal.userId);
+}
+
 /**
  * Admin authorization middleware (requires admin role)
+ * With ADMIN_REQUIRE_2FA=true, admins must have two-factor authentication enabled
  */
-function requireAdmin(req, res, next) {
+async function requireAdmin(req, res, next) {
   if (!req.user) {
     return res.status(401).json({ error: 'Authentication required' });
   }
@@ -99,10 +270,52 @@ function requireAdmin(req, res, next) {
   if (req.user.role !== 'admin') {
     return res.status(403).json({ error: 'Admin access required' });
   }
+
+  if (TwoFactor.isRequiredForRole(req.user.role)) {
+    try {
+      if (!(await TwoFactor.isEnabled(req.user.userId))) {
+        return res.status(403).json({
+          error: 'Two-factor authentication must be enabled for admin accounts',
+          code: 'TWO_FACTOR_SETUP_REQUIRED'
+        });
+      }
+    } catch (error) {
+      return next(error);
+    }
+  }
   
   next();
 }
 
+/**
+ * Verified email middleware (use after authenticate)
+ * Disabled when REQUIRE_EMAIL_VERIFICATION=false
+ */
+async function requireVerifiedEmail(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  if (process.env.REQUIRE_EMAIL_VERIFICATION === 'false') {
+    return next();
+  }
+
+  try {
+    const user = await DatabaseService.getUserById(req.user.userId);
+    // Phone/OTP accounts prove their contact details through the SMS code instead
+    if (!user || !(user.email_verified || user.phone_verified)) {
+      return res.status(403).json({
+        error: 'Please verify your email address to continue',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  next();
+}
+
 /**
  * Combined authentication and admin authorization middleware
  */
@@ -113,13 +326,34 @@ function authenticateAdmin(req, res, next) {
   });
 }
 
+/**
+ * Scheduled job authorization: the `Authorization: Bearer <CRON_SECRET>` header Vercel Cron sends,
+ * or an authenticated admin (to trigger a run by hand)
+ */
+function authenticateCron(req, res, next) {
+  const secret = process.env.CRON_SECRET;
+  const authHeader = req.headers.authorization || '';
+  if (secret && authHeader.startsWith('Bearer ')
+    && crypto.timingSafeEqual(Buffer.from(hashToken(authHeader.substring(7)), 'hex'), Buffer.from(hashToken(secret), 'hex'))) {
+    return next();
+  }
+  authenticateAdmin(req, res, next);
+}
+
 module.exports = {
   generateToken,
   verifyToken,
+  hashToken,
+  actingUserId,
+  issueSession,
+  refreshSession,
   hashPassword,
   comparePassword,
   authenticate,
   optionalAuth,
+  isAdmin,
   requireAdmin,
+  requireVerifiedEmail,
   authenticateAdmin,
+  authenticateCron,
 };
@@ -0,0 +1,62 @@
+/**
+ * Order status transitions
+ * Statuses use the API names: waiting_for_payment and in_transit are stored as pending/shipped.
+ * Each edge lists the actors allowed to take it; anything not listed is rejected.
+ */
+
+const ORDER_ACTORS = ['customer', 'farm'];
+
+const ORDER_STATUS_TRANSITIONS = {
+  pending: {
+    confirmed: ['farm'],
+    waiting_for_payment: ['farm'],
+    cancelled: ['farm', 'customer']
+  },
+  waiting_for_payment: {
+    confirmed: ['farm'],
+    cancelled: ['farm', 'customer']
+  },
+  confirmed: {
+    processing: ['farm'],
+    in_transit: ['farm'],
+    cancelled: ['farm', 'customer']
+  },
+  processing: {
+    in_transit: ['farm']
+  },
+  in_transit: {
+    delivered: ['farm']
+  },
+  delivered: {},
+  cancelled: {},
+  refunded: {}
+};
+
+/**
+ * Statuses an actor may move an order to from its current status
+ */
+function allowedTransitions(from, actor) {
+  const edges = ORDER_STATUS_TRANSITIONS[from] || {};
+  return Object.keys(edges).filter(to => edges[to].includes(actor));
+}
+
+function canTransition(from, to, actor) {
+  if (!ORDER_ACTORS.includes(actor)) {
+    throw new Error(`Unknown order actor: ${actor}`);
+  }
+  return allowedTransitions(from, actor).includes(to);
+}
+
+function assertTransition(from, to, actor) {
+  if (!canTransition(from, to, actor)) {
+    throw new Error(`Cannot change order status from ${from} to ${to}`);
+  }
+}
+
+module.exports = {
+  ORDER_ACTORS,
+  ORDER_STATUS_TRANSITIONS,
+  allowedTransitions,
+  canTransition,
+  assertTransition,
+};
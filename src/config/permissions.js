@@ -0,0 +1,80 @@
+/**
+ * Farm team roles and permissions
+ * Every farm route checks a permission from this map rather than farm ownership,
+ * so managers, accountants and workers can use their own logins.
+ */
+
+const FARM_ROLES = ['owner', 'manager', 'accountant', 'worker'];
+
+const ALL_ROLES = FARM_ROLES;
+const FINANCE_ROLES = ['owner', 'manager', 'accountant'];
+const OPERATIONS_ROLES = ['owner', 'manager', 'worker'];
+
+const FARM_PERMISSIONS = {
+  // Farm profile, team and bulk data
+  'farm:read': ALL_ROLES,
+  'farm:update': ['owner', 'manager'],
+  'farm:export': ['owner', 'manager', 'accountant'],
+  'farm:import': ['owner'],
+  'farm:delete_data': ['owner'],
+  'members:read': ALL_ROLES,
+  'members:manage': ['owner'],
+  'api_keys:manage': ['owner'],
+
+  // Products, batches and store listings
+  'products:read': ALL_ROLES,
+  'products:write': OPERATIONS_ROLES,
+  'products:delete': ['owner', 'manager'],
+  'store:write': ['owner', 'manager'],
+
+  // Customer orders
+  'orders:read': ALL_ROLES,
+  'orders:manage': OPERATIONS_ROLES,
+  'orders:refund': ['owner', 'manager', 'accountant'],
+  'coupons:manage': ['owner', 'manager'],
+  'delivery:manage': ['owner', 'manager'],
+
+  // Offline sales
+  'sales:read': ALL_ROLES,
+  'sales:write': OPERATIONS_ROLES,
+  'sales:reverse': ['owner', 'manager', 'accountant'],
+
+  // Finance
+  'expenses:read': FINANCE_ROLES,
+  'expenses:write': ALL_ROLES,
+  'expenses:delete': FINANCE_ROLES,
+  'investments:read': FINANCE_ROLES,
+  'investments:write': ['owner', 'accountant'],
+
+  // Stats and reports
+  'stats:read': FINANCE_ROLES,
+  'reports:read': FINANCE_ROLES,
+};
+
+// Permissions that may be granted to farm API keys (no team, key or destructive bulk operations)
+const API_KEY_PERMISSIONS = Object.keys(FARM_PERMISSIONS).filter(permission => (
+  !['members:manage', 'api_keys:manage', 'farm:import', 'farm:delete_data'].includes(permission)
+));
+
+function isValidFarmRole(role) {
+  return FARM_ROLES.includes(role);
+}
+
+/**
+ * Whether a farm role grants a permission (unknown permission names throw, to surface typos)
+ */
+function roleHasPermission(role, permission) {
+  const roles = FARM_PERMISSIONS[permission];
+  if (!roles) {
+    throw new Error(`Unknown farm permission: ${permission}`);
+  }
+  return Boolean(role) && roles.includes(role);
+}
+
+module.exports = {
+  FARM_ROLES,
+  FARM_PERMISSIONS,
+  API_KEY_PERMISSIONS,
+  isValidFarmRole,
+  roleHasPermission,
+};
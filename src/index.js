@@ -2,10 +2,15 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const { getKeyring, assertProductionKeyConfig } = require('./config/jwt-keys');
 
 const app = express();
 const PORT = process.env.PORT || 8000;
 
+// Honour X-Forwarded-For from trusted proxies so req.ip (used for login throttling) is the client address
+const trustProxy = process.env.TRUST_PROXY;
+app.set('trust proxy', /^\d+$/.test(trustProxy || '') ? Number(trustProxy) : (trustProxy || 'loopback'));
+
 // Middleware
 // Robust CORS configuration to support localhost, Vercel domains, and credentials
 const defaultOrigins = [
@@ -53,7 +58,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed'],
   maxAge: 86400, // 24 hours
 };
 
@@ -129,6 +135,12 @@ app.use('/', managementRouter);
 // Mount legacy core compatibility last to avoid overriding
 app.use('/', coreRouter);
 
+// Standard JWKS location (same document as /api/auth/jwks.json)
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(getKeyring().getJwks());
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({
@@ -166,7 +178,17 @@ app.use((req, res) => {
 if (require.main === module) {
   const { testConnection, ensureBaseSchema, ensureSchemaUpgrades } = require('./config/database');
   const DatabaseService = require('./services/database.service');
+  const SubscriptionService = require('./services/subscription.service');
+  const PreorderService = require('./services/preorder.service');
   // const { initializeAdmin } = require('./scripts/init-admin');
+
+  // Never sign tokens with the placeholder secret in production
+  try {
+    assertProductionKeyConfig();
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+  }
   
   // Test database connection before starting server
   testConnection()
@@ -225,6 +247,28 @@ if (require.main === module) {
         console.log('========================================');
         console.log('');
       });
+
+      // Sweep checkout stock reservations past their expiry (stock queries already ignore them)
+      setInterval(() => {
+        DatabaseService.expireStockReservations().catch((error) => {
+          console.warn('⚠️ Failed to expire stock reservations:', error?.message || error);
+        });
+      }, 60 * 1000).unref();
+
+      // Place the orders of due subscription deliveries (the Vercel deployment runs /api/subscriptions/run from a cron job)
+      setInterval(() => {
+        SubscriptionService.runDueSubscriptions().catch((error) => {
+          console.warn('⚠️ Failed to run subscriptions:', error?.message || error);
+        });
+      }, 60 * 60 * 1000).unref();
+
+      // Release pre-order offers on their expected date and convert pre-orders into orders
+      // (the Vercel deployment runs /api/preorders/run from a cron job)
+      setInterval(() => {
+        PreorderService.runDuePreorders().catch((error) => {
+          console.warn('⚠️ Failed to run pre-orders:', error?.message || error);
+        });
+      }, 60 * 60 * 1000).unref();
     })
     .catch((error) => {
       console.error('❌ Server startup failed:', error.message);
@@ -0,0 +1,113 @@
+/**
+ * Idempotency-Key Middleware
+ * Makes retried mutating requests safe: the first request with an Idempotency-Key header runs
+ * normally and its JSON response is stored; a retry with the same key gets that response back
+ * (with an Idempotent-Replayed: true header) instead of running again.
+ *
+ * Keys are scoped to the caller (user or API key) and kept for IDEMPOTENCY_KEY_TTL_HOURS.
+ * Reusing a key for a different request (method, path, query or body) is rejected with 422, and a
+ * retry that arrives while the first request is still running gets 409. Server errors (5xx) are
+ * not stored, so the request can be retried with the same key. Requests without the header are
+ * not affected. Use after `authenticate`.
+ */
+
+const crypto = require('crypto');
+const DatabaseService = require('../services/database.service');
+
+const TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24;
+const MAX_KEY_LENGTH = 255;
+// Expired keys are purged at most this often per process
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+let lastPurgeAt = 0;
+
+// JSON with object keys sorted, so the same body always gives the same fingerprint
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function requestFingerprint(req) {
+  return crypto.createHash('sha256')
+    .update(canonicalJson({ method: req.method, path: req.path, query: req.query || {}, body: req.body || {} }))
+    .digest('hex');
+}
+
+function keyOwner(user) {
+  if (!user) return null;
+  if (user.apiKey) return `api_key:${user.apiKey.id}`;
+  return user.userId ? `user:${user.userId}` : null;
+}
+
+function purgeExpiredKeys() {
+  if (Date.now() - lastPurgeAt < PURGE_INTERVAL_MS) return;
+  lastPurgeAt = Date.now();
+  DatabaseService.purgeExpiredIdempotencyKeys().catch(error => {
+    console.error('Failed to purge expired idempotency keys:', error);
+  });
+}
+
+async function idempotent(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+
+  const owner = keyOwner(req.user);
+  if (!owner) return next();
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ error: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters` });
+  }
+
+  try {
+    purgeExpiredKeys();
+    const requestHash = requestFingerprint(req);
+    const claim = await DatabaseService.claimIdempotencyKey({
+      owner, key, method: req.method, path: req.path, requestHash, ttlHours: TTL_HOURS
+    });
+
+    if (!claim.claimed) {
+      const { record } = claim;
+      if (record && record.request_hash !== requestHash) {
+        return res.status(422).json({ error: 'Idempotency-Key has already been used for a different request' });
+      }
+      if (!record || record.status !== 'completed') {
+        return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+      }
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.response_status).json(record.response_body);
+    }
+
+    // Store the JSON response before sending it, so a quick retry already finds it
+    let settled = false;
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      settled = true;
+      const store = res.statusCode < 500
+        ? DatabaseService.completeIdempotencyKey(owner, key, res.statusCode, body)
+        : DatabaseService.releaseIdempotencyKey(owner, key);
+      store
+        .catch(error => console.error('Failed to store idempotent response:', error))
+        .finally(() => sendJson(body));
+      return res;
+    };
+    // Responses that are not JSON (or connections dropped before responding) are not stored
+    const release = () => {
+      if (settled) return;
+      settled = true;
+      DatabaseService.releaseIdempotencyKey(owner, key).catch(error => {
+        console.error('Failed to release idempotency key:', error);
+      });
+    };
+    res.on('finish', release);
+    res.on('close', release);
+
+    next();
+  } catch (error) {
+    console.error('Idempotency check failed:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+module.exports = { idempotent, requestFingerprint };
@@ -2,6 +2,7 @@ const express = require('express');
 const { asyncHandler } = require('../utils/helpers');
 const DatabaseService = require('../services/database.service');
 const { authenticate, requireAdmin } = require('../config/auth.js');
+const LoginThrottle = require('../services/login-throttle.service');
 
 const router = express.Router();
 
@@ -89,6 +90,43 @@ router.delete('/users/:userId', [authenticate, requireAdmin], asyncHandler(async
     }
 }));
 
+// POST /admin/users/:userId/unlock - Clear login lockout for a user (and optionally an IP)
+router.post('/users/:userId/unlock', [authenticate, requireAdmin], asyncHandler(async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { ip_address } = req.body || {};
+
+        const user = await DatabaseService.getUserById(userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const cleared = await LoginThrottle.unlock(user.email, ip_address || null);
+        res.json({ message: 'Login lockout cleared', user_id: user.id, cleared });
+    } catch (error) {
+        console.error('Error unlocking user:', error);
+        res.status(500).json({ error: 'Failed to unlock user' });
+    }
+}));
+
+// POST /admin/users/:userId/reactivate - Re-enable a deactivated account
+router.post('/users/:userId/reactivate', [authenticate, requireAdmin], asyncHandler(async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        const user = await DatabaseService.getUserById(userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        await DatabaseService.updateUser(userId, { is_active: true });
+        res.json({ message: 'User reactivated', user_id: user.id });
+    } catch (error) {
+        console.error('Error reactivating user:', error);
+        res.status(500).json({ error: 'Failed to reactivate user' });
+    }
+}));
+
 // GET /admin/farms - Fetch all farms with pagination
 router.get('/farms', [authenticate, requireAdmin], asyncHandler(async (req, res) => {
     try {
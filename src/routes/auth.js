@@ -4,24 +4,105 @@
  */
 
 const express = require('express');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { connectToDatabase } = require('../config/database');
-const { generateToken, hashPassword, comparePassword, authenticate, optionalAuth, requireAdmin, authenticateAdmin } = require('../config/auth');
-const { asyncHandler } = require('../utils/helpers');
+const { hashPassword, comparePassword, hashToken, issueSession, refreshSession, authenticate, optionalAuth, requireAdmin, authenticateAdmin } = require('../config/auth');
+const { asyncHandler, normalizePhoneNumber } = require('../utils/helpers');
 const DatabaseService = require('../services/database.service');
+const { sendMail, buildAppUrl } = require('../services/mail.service');
+const LoginThrottle = require('../services/login-throttle.service');
+const { sendSms } = require('../services/sms.service');
+const TwoFactor = require('../services/two-factor.service');
+const { getKeyring } = require('../config/jwt-keys');
 
 const router = express.Router();
 
+const MIN_PASSWORD_LENGTH = 8;
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48;
+const VERIFICATION_RESEND_COOLDOWN_SECONDS = 60;
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES, 10) || 5;
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS, 10) || 60;
+const OTP_MAX_PER_PHONE_PER_HOUR = parseInt(process.env.OTP_MAX_PER_PHONE_PER_HOUR, 10) || 5;
+const OTP_MAX_PER_IP_PER_HOUR = parseInt(process.env.OTP_MAX_PER_IP_PER_HOUR, 10) || 20;
+const OTP_MAX_ATTEMPTS = 5;
+
+/**
+ * Issue a fresh email verification token and mail the link to the user
+ */
+async function sendVerificationEmail(user) {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+  await DatabaseService.createEmailVerificationToken(user.id, hashToken(verificationToken), expiresAt);
+
+  const verifyLink = buildAppUrl('/verify-email', { token: verificationToken });
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your FarmFresh BD email address',
+    text: [
+      `Hello${user.first_name ? ` ${user.first_name}` : ''},`,
+      '',
+      'Welcome to FarmFresh BD! Please confirm your email address using the link below:',
+      '',
+      verifyLink,
+      '',
+      `This link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`
+    ].join('\n')
+  });
+}
+
+/**
+ * Shape a user row for API responses: no password hash, a combined name field
+ * for frontend compatibility, and the farm the user owns or works for
+ */
+async function buildUserResponse(user) {
+  let farm_id = null;
+  let farm_role = null;
+  try {
+    const userFarm = await DatabaseService.getFarmByOwnerId(user.id);
+    if (userFarm) {
+      farm_id = userFarm.id;
+      farm_role = 'owner';
+    } else {
+      const memberFarm = await DatabaseService.getMemberFarm(user.id);
+      if (memberFarm) {
+        farm_id = memberFarm.id;
+        farm_role = memberFarm.member_role;
+      }
+    }
+  } catch (error) {
+    console.log('Error fetching user farm:', error);
+    // Continue without farm_id if there's an error
+  }
+
+  const { password_hash, first_name, last_name, ...userResponse } = user;
+  return {
+    ...userResponse,
+    name: `${first_name || ''} ${last_name || ''}`.trim(),
+    first_name,
+    last_name,
+    farm_id,
+    farm_role
+  };
+}
+
 // Health check
 router.get('/health', (req, res) => {
   res.json({ 
     status: 'ok', 
     message: 'Auth API is running',
-    endpoints: ['register', 'login', 'logout', 'profile', 'create-farm']
+    endpoints: ['register', 'login', 'login/2fa', '2fa', 'otp/request', 'otp/verify', 'refresh', 'logout', 'logout-all', 'sessions', 'forgot-password', 'reset-password', 'verify-email', 'resend-verification', 'me', 'change-password', 'deactivate', 'jwks.json', 'create-farm']
   });
 });
 
+// Public signing keys for services that verify our access tokens - GET /jwks.json
+router.get('/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(getKeyring().getJwks());
+});
+
 // User Registration - POST /register
 router.post('/register', asyncHandler(async (req, res) => {
   const { name, email, password, role, phone } = req.body;
@@ -59,6 +140,13 @@ router.post('/register', asyncHandler(async (req, res) => {
 
   const createdUser = await DatabaseService.createUser(userData);
 
+  // Registration succeeds even if the verification email cannot be sent; it can be resent later
+  try {
+    await sendVerificationEmail(createdUser);
+  } catch (error) {
+    console.error('Error sending verification email:', error);
+  }
+
   // Remove password_hash from response and add name field for frontend compatibility
   const { password_hash, first_name, last_name, ...userResponse } = createdUser;
   const fullName = `${first_name || ''} ${last_name || ''}`.trim();
@@ -79,52 +167,541 @@ router.post('/login', asyncHandler(async (req, res) => {
     return res.status(400).json({ error: 'Email and password are required' });
   }
 
-  const user = await DatabaseService.getUserByEmail(email);
-  if (!user) {
-    return res.status(401).json({ error: 'Invalid credentials' });
+  const lock = await LoginThrottle.getActiveLock(email, req.ip);
+  if (lock) {
+    res.set('Retry-After', String(lock.retry_after));
+    return res.status(429).json({
+      error: 'Too many failed login attempts. Please try again later.',
+      ...lock
+    });
   }
 
-  const isMatch = await comparePassword(password, user.password_hash);
+  const user = await DatabaseService.getUserByEmail(email);
+  const isMatch = user && user.password_hash ? await comparePassword(password, user.password_hash) : false;
   if (!isMatch) {
+    // Unknown emails and wrong passwords are throttled identically
+    const failureLock = await LoginThrottle.recordFailure(email, req.ip);
+    if (failureLock) {
+      res.set('Retry-After', String(failureLock.retry_after));
+      return res.status(401).json({ error: 'Invalid credentials', ...failureLock });
+    }
     return res.status(401).json({ error: 'Invalid credentials' });
   }
 
-  const token = generateToken(user.id.toString(), user.email, user.role);
+  await LoginThrottle.recordSuccess(email);
 
-  // Get user's farm if they have one
-  let farm_id = null;
-  try {
-    const userFarm = await DatabaseService.getFarmByOwnerId(user.id);
-    if (userFarm) {
-      farm_id = userFarm.id;
-    }
-  } catch (error) {
-    console.log('Error fetching user farm:', error);
-    // Continue without farm_id if there's an error
+  if (user.is_active === false) {
+    return res.status(403).json({ error: 'This account has been deactivated', code: 'ACCOUNT_DEACTIVATED' });
   }
 
-  // Remove password_hash from response and add name field for frontend compatibility
-  const { password_hash, first_name, last_name, ...userResponse } = user;
-  const fullName = `${first_name || ''} ${last_name || ''}`.trim();
+  // Second step required: no tokens until POST /login/2fa succeeds
+  if (await TwoFactor.isEnabled(user.id)) {
+    const challenge = await TwoFactor.createChallenge(user.id, req.ip || null);
+    return res.json({ two_factor_required: true, methods: ['totp', 'recovery_code'], ...challenge });
+  }
+
+  const tokens = await issueSession(user, req);
 
   res.json({ 
-    token, 
-    user: {
-      ...userResponse,
-      name: fullName,
-      first_name,
-      last_name,
-      farm_id
+    ...tokens,
+    user: await buildUserResponse(user)
+  });
+}));
+
+// Complete a two-factor login challenge - POST /login/2fa
+router.post('/login/2fa', asyncHandler(async (req, res) => {
+  const { challenge_token, code, recovery_code } = req.body || {};
+
+  if (!challenge_token || (!code && !recovery_code)) {
+    return res.status(400).json({ error: 'challenge_token and a code or recovery_code are required' });
+  }
+
+  const result = await TwoFactor.completeChallenge(challenge_token, { code, recovery_code });
+  if (!result) {
+    return res.status(401).json({ error: 'Invalid code or expired challenge' });
+  }
+
+  const user = await DatabaseService.getUserById(result.user_id);
+  if (!user || user.is_active === false) {
+    return res.status(401).json({ error: 'Invalid code or expired challenge' });
+  }
+
+  const tokens = await issueSession(user, req);
+  res.json({
+    ...tokens,
+    two_factor_method: result.method,
+    user: await buildUserResponse(user)
+  });
+}));
+
+// Request a login/registration code by SMS - POST /otp/request
+router.post('/otp/request', asyncHandler(async (req, res) => {
+  const phone = normalizePhoneNumber(req.body?.phone);
+  if (!phone) {
+    return res.status(400).json({ error: 'A valid Bangladeshi mobile number is required' });
+  }
+
+  const ip = req.ip || null;
+  const stats = await DatabaseService.getPhoneOtpIssuanceStats(phone, ip);
+
+  if (stats.last_sent_at) {
+    const retryAfter = Math.ceil((new Date(stats.last_sent_at).getTime() + OTP_RESEND_COOLDOWN_SECONDS * 1000 - Date.now()) / 1000);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: `Please wait ${retryAfter} seconds before requesting another code`, retry_after: retryAfter });
     }
+  }
+  if (stats.phone_count >= OTP_MAX_PER_PHONE_PER_HOUR || stats.ip_count >= OTP_MAX_PER_IP_PER_HOUR) {
+    res.set('Retry-After', '3600');
+    return res.status(429).json({ error: 'Too many codes requested. Please try again later.', retry_after: 3600 });
+  }
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  const expiresAt = new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000);
+  await DatabaseService.createPhoneOtp(phone, hashToken(`${phone}:${code}`), expiresAt, ip);
+
+  try {
+    await sendSms({
+      to: phone,
+      message: `Your FarmFresh BD code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes. Do not share it with anyone.`
+    });
+  } catch (error) {
+    console.error('Error sending OTP SMS:', error);
+    return res.status(502).json({ error: 'Could not send the code. Please try again.' });
+  }
+
+  res.json({ message: 'A verification code has been sent', phone, expires_in: OTP_TTL_MINUTES * 60 });
+}));
+
+// Verify an SMS code and sign in, registering a customer account on first use - POST /otp/verify
+router.post('/otp/verify', asyncHandler(async (req, res) => {
+  const { code, name } = req.body || {};
+  const phone = normalizePhoneNumber(req.body?.phone);
+
+  if (!phone || !code) {
+    return res.status(400).json({ error: 'Phone and code are required' });
+  }
+
+  const otp = await DatabaseService.getActivePhoneOtp(phone);
+  const expected = otp ? Buffer.from(otp.code_hash, 'hex') : null;
+  const actual = Buffer.from(hashToken(`${phone}:${String(code).trim()}`), 'hex');
+
+  if (!otp || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    if (otp) await DatabaseService.recordPhoneOtpFailure(otp.id, OTP_MAX_ATTEMPTS);
+    return res.status(400).json({ error: 'Invalid or expired code' });
+  }
+
+  const consumed = await DatabaseService.consumePhoneOtp(otp.id);
+  if (!consumed) {
+    return res.status(400).json({ error: 'Invalid or expired code' });
+  }
+
+  let user = await DatabaseService.getUserByPhone(phone);
+  const isNewUser = !user;
+  if (user && !user.phone_verified) {
+    // The code proves ownership of the number already on file for this account
+    user = await DatabaseService.updateUser(user.id, { phone, phone_verified: true });
+  } else if (!user) {
+    user = await DatabaseService.createUser({
+      name: name || null,
+      phone,
+      role: 'customer',
+      phone_verified: true
+    });
+  }
+
+  if (user.is_active === false) {
+    return res.status(403).json({ error: 'This account has been deactivated', code: 'ACCOUNT_DEACTIVATED' });
+  }
+
+  if (await TwoFactor.isEnabled(user.id)) {
+    const challenge = await TwoFactor.createChallenge(user.id, req.ip || null);
+    return res.json({ two_factor_required: true, methods: ['totp', 'recovery_code'], ...challenge });
+  }
+
+  const tokens = await issueSession(user, req);
+
+  res.status(isNewUser ? 201 : 200).json({
+    ...tokens,
+    is_new_user: isNewUser,
+    user: await buildUserResponse(user)
   });
 }));
 
+// Refresh access token - POST /refresh
+router.post('/refresh', asyncHandler(async (req, res) => {
+  const { refresh_token } = req.body || {};
+
+  if (!refresh_token) {
+    return res.status(400).json({ error: 'refresh_token is required' });
+  }
+
+  const tokens = await refreshSession(refresh_token);
+  if (!tokens) {
+    return res.status(401).json({ error: 'Invalid or expired refresh token' });
+  }
+
+  res.json(tokens);
+}));
+
 // User Logout - POST /logout
-router.post('/logout', (req, res) => {
-  // On the client-side, the token should be discarded.
-  // Server-side logout for JWT is typically handled by token expiration.
+router.post('/logout', optionalAuth, asyncHandler(async (req, res) => {
+  // End the session behind the access token, or the one the refresh token belongs to
+  const { refresh_token } = req.body || {};
+
+  if (req.user?.sid) {
+    await DatabaseService.revokeSession(req.user.sid, 'logout');
+  } else if (refresh_token) {
+    const session = await DatabaseService.getSessionByRefreshHash(hashToken(refresh_token));
+    if (session) {
+      await DatabaseService.revokeSession(session.id, 'logout');
+    }
+  }
+
   res.json({ message: 'Logout successful' });
-});
+}));
+
+// Logout from all devices - POST /logout-all
+router.post('/logout-all', authenticate, asyncHandler(async (req, res) => {
+  const revoked = await DatabaseService.revokeUserSessions(req.user.userId, 'logout_all');
+  res.json({ message: 'Logged out from all devices', sessions_revoked: revoked });
+}));
+
+// List active sessions - GET /sessions
+router.get('/sessions', authenticate, asyncHandler(async (req, res) => {
+  const sessions = await DatabaseService.getUserSessions(req.user.userId);
+  res.json(sessions.map(session => ({
+    ...session,
+    current: session.id === req.user.sid
+  })));
+}));
+
+// Revoke a single session - DELETE /sessions/:session_id
+router.delete('/sessions/:session_id', authenticate, asyncHandler(async (req, res) => {
+  const sessions = await DatabaseService.getUserSessions(req.user.userId);
+  const session = sessions.find(s => s.id === req.params.session_id);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  await DatabaseService.revokeSession(session.id, 'revoked_by_user');
+  res.json({ message: 'Session revoked' });
+}));
+
+// Get own account - GET /me
+router.get('/me', authenticate, asyncHandler(async (req, res) => {
+  const user = await DatabaseService.getUserById(req.user.userId);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  res.json(await buildUserResponse(user));
+}));
+
+// Update own profile (name, phone, address) - PUT /me
+router.put('/me', authenticate, asyncHandler(async (req, res) => {
+  const { name, first_name, last_name, phone, address } = req.body || {};
+
+  const user = await DatabaseService.getUserById(req.user.userId);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  const updates = {};
+  if (name !== undefined) {
+    const nameParts = String(name).trim().split(/\s+/);
+    updates.first_name = nameParts[0] || '';
+    updates.last_name = nameParts.slice(1).join(' ');
+  }
+  if (first_name !== undefined) updates.first_name = String(first_name).trim();
+  if (last_name !== undefined) updates.last_name = String(last_name).trim();
+  if (address !== undefined) updates.address = address ? String(address).trim() : null;
+
+  if (phone !== undefined) {
+    const normalizedPhone = phone ? normalizePhoneNumber(phone) : null;
+    if (phone && !normalizedPhone) {
+      return res.status(400).json({ error: 'A valid Bangladeshi mobile number is required' });
+    }
+    if (normalizedPhone !== user.phone) {
+      // Phone-only accounts sign in with their number, so it can only change through OTP login
+      if (!user.email) {
+        return res.status(400).json({ error: 'The phone number of a phone-only account cannot be changed' });
+      }
+      updates.phone = normalizedPhone;
+      updates.phone_verified = false;
+    }
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ error: 'Nothing to update. Allowed fields: name, first_name, last_name, phone, address' });
+  }
+
+  const updated = await DatabaseService.updateUser(user.id, updates);
+  res.json({ message: 'Profile updated successfully', user: await buildUserResponse(updated) });
+}));
+
+// Change password (requires the current password) - POST /change-password
+router.post('/change-password', authenticate, asyncHandler(async (req, res) => {
+  const { current_password, new_password } = req.body || {};
+
+  if (!new_password || new_password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `New password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+
+  const user = await DatabaseService.getUserById(req.user.userId);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  // Phone/OTP accounts have no password yet and may set one
+  if (user.password_hash) {
+    if (!current_password || !(await comparePassword(current_password, user.password_hash))) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+  }
+
+  await DatabaseService.updateUser(user.id, { password_hash: await hashPassword(new_password) });
+  const revoked = await DatabaseService.revokeUserSessions(user.id, 'password_change', req.user.sid || null);
+
+  res.json({ message: 'Password changed successfully', other_sessions_revoked: revoked });
+}));
+
+// Deactivate own account - POST /deactivate
+router.post('/deactivate', authenticate, asyncHandler(async (req, res) => {
+  const { password } = req.body || {};
+
+  const user = await DatabaseService.getUserById(req.user.userId);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  if (user.password_hash && (!password || !(await comparePassword(password, user.password_hash)))) {
+    return res.status(400).json({ error: 'Password is incorrect' });
+  }
+
+  await DatabaseService.updateUser(user.id, { is_active: false });
+  await DatabaseService.revokeUserSessions(user.id, 'account_deactivated');
+
+  res.json({ message: 'Account deactivated' });
+}));
+
+// Two-factor status - GET /2fa
+router.get('/2fa', authenticate, asyncHandler(async (req, res) => {
+  const user = await DatabaseService.getUserById(req.user.userId);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  res.json(await TwoFactor.getStatus(user));
+}));
+
+// Start TOTP enrolment - POST /2fa/setup
+router.post('/2fa/setup', authenticate, asyncHandler(async (req, res) => {
+  const user = await DatabaseService.getUserById(req.user.userId);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  try {
+    const enrolment = await TwoFactor.beginEnrolment(user);
+    res.json({
+      message: 'Scan the QR code or enter the secret in your authenticator app, then confirm with a code',
+      ...enrolment
+    });
+  } catch (error) {
+    if (/already enabled/.test(error.message)) {
+      return res.status(409).json({ error: error.message });
+    }
+    throw error;
+  }
+}));
+
+// Confirm TOTP enrolment and receive recovery codes - POST /2fa/enable
+router.post('/2fa/enable', authenticate, asyncHandler(async (req, res) => {
+  const { code } = req.body || {};
+  if (!code) {
+    return res.status(400).json({ error: 'code is required' });
+  }
+
+  try {
+    const recoveryCodes = await TwoFactor.confirmEnrolment(req.user.userId, code);
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; each can be used once.',
+      recovery_codes: recoveryCodes
+    });
+  } catch (error) {
+    if (/not been started|already enabled|Invalid authentication code/.test(error.message)) {
+      return res.status(400).json({ error: error.message });
+    }
+    throw error;
+  }
+}));
+
+// Replace recovery codes (requires a current TOTP code) - POST /2fa/recovery-codes
+router.post('/2fa/recovery-codes', authenticate, asyncHandler(async (req, res) => {
+  const { code } = req.body || {};
+  if (!code) {
+    return res.status(400).json({ error: 'code is required' });
+  }
+
+  const method = await TwoFactor.verifySecondFactor(req.user.userId, { code });
+  if (!method) {
+    return res.status(400).json({ error: 'Invalid authentication code' });
+  }
+
+  const recoveryCodes = await TwoFactor.regenerateRecoveryCodes(req.user.userId);
+  res.json({ message: 'Recovery codes regenerated. Previous codes no longer work.', recovery_codes: recoveryCodes });
+}));
+
+// Turn off two-factor authentication - POST /2fa/disable
+router.post('/2fa/disable', authenticate, asyncHandler(async (req, res) => {
+  const { password, code, recovery_code } = req.body || {};
+
+  const user = await DatabaseService.getUserById(req.user.userId);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  if (TwoFactor.isRequiredForRole(user.role)) {
+    return res.status(403).json({ error: 'Two-factor authentication is mandatory for this account' });
+  }
+
+  if (user.password_hash && (!password || !(await comparePassword(password, user.password_hash)))) {
+    return res.status(400).json({ error: 'Password is incorrect' });
+  }
+
+  const method = await TwoFactor.verifySecondFactor(user.id, { code, recovery_code });
+  if (!method) {
+    return res.status(400).json({ error: 'Invalid authentication code' });
+  }
+
+  await TwoFactor.disable(user.id);
+  res.json({ message: 'Two-factor authentication disabled' });
+}));
+
+// Request a password reset link - POST /forgot-password
+router.post('/forgot-password', asyncHandler(async (req, res) => {
+  const { email } = req.body || {};
+
+  if (!email) {
+    return res.status(400).json({ error: 'Email is required' });
+  }
+
+  // Same response whether or not the account exists, so emails cannot be enumerated
+  const genericResponse = { message: 'If an account exists for this email, a password reset link has been sent' };
+
+  const user = await DatabaseService.getUserByEmail(email);
+  if (!user) {
+    return res.json(genericResponse);
+  }
+
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+  await DatabaseService.createPasswordResetToken(user.id, hashToken(resetToken), expiresAt, req.ip || null);
+
+  const resetLink = buildAppUrl('/reset-password', { token: resetToken });
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your FarmFresh BD password',
+      text: [
+        `Hello${user.first_name ? ` ${user.first_name}` : ''},`,
+        '',
+        'We received a request to reset your FarmFresh BD password.',
+        `Use the link below within ${PASSWORD_RESET_TTL_MINUTES} minutes to choose a new password:`,
+        '',
+        resetLink,
+        '',
+        'If you did not request this, you can ignore this email.'
+      ].join('\n')
+    });
+  } catch (error) {
+    console.error('Error sending password reset email:', error);
+  }
+
+  res.json(genericResponse);
+}));
+
+// Reset password with a token from the reset email - POST /reset-password
+router.post('/reset-password', asyncHandler(async (req, res) => {
+  const { token, password } = req.body || {};
+
+  if (!token || !password) {
+    return res.status(400).json({ error: 'Token and new password are required' });
+  }
+
+  if (String(password).length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long` });
+  }
+
+  const resetRecord = await DatabaseService.consumePasswordResetToken(hashToken(token));
+  if (!resetRecord) {
+    return res.status(400).json({ error: 'Invalid or expired reset token' });
+  }
+
+  const hashedPassword = await hashPassword(password);
+  await DatabaseService.updateUser(resetRecord.user_id, { password_hash: hashedPassword });
+
+  // A password change ends every existing session
+  await DatabaseService.revokeUserSessions(resetRecord.user_id, 'password_reset');
+
+  res.json({ message: 'Password has been reset successfully. Please log in with your new password.' });
+}));
+
+// Verify email address with the token from the verification email - POST /verify-email
+router.post('/verify-email', asyncHandler(async (req, res) => {
+  const { token } = req.body || {};
+
+  if (!token) {
+    return res.status(400).json({ error: 'Verification token is required' });
+  }
+
+  const user = await DatabaseService.verifyEmailWithToken(hashToken(token));
+  if (!user) {
+    return res.status(400).json({ error: 'Invalid or expired verification token' });
+  }
+
+  res.json({ message: 'Email verified successfully', email_verified: true });
+}));
+
+// Resend the verification email - POST /resend-verification
+router.post('/resend-verification', optionalAuth, asyncHandler(async (req, res) => {
+  const { email } = req.body || {};
+
+  const user = req.user
+    ? await DatabaseService.getUserById(req.user.userId)
+    : (email ? await DatabaseService.getUserByEmail(email) : null);
+
+  if (!req.user && !email) {
+    return res.status(400).json({ error: 'Email is required' });
+  }
+
+  if (req.user && user?.email_verified) {
+    return res.status(400).json({ error: 'Email is already verified' });
+  }
+
+  // Anonymous callers always get the same answer so emails cannot be enumerated
+  const genericResponse = { message: 'If the account exists and is not yet verified, a verification email has been sent' };
+
+  if (!user || user.email_verified) {
+    return res.json(genericResponse);
+  }
+
+  try {
+    const latest = await DatabaseService.getLatestEmailVerificationToken(user.id);
+    if (latest && Date.now() - new Date(latest.created_at).getTime() < VERIFICATION_RESEND_COOLDOWN_SECONDS * 1000) {
+      if (!req.user) return res.json(genericResponse);
+      return res.status(429).json({ error: `Please wait ${VERIFICATION_RESEND_COOLDOWN_SECONDS} seconds before requesting another verification email` });
+    }
+
+    await sendVerificationEmail(user);
+  } catch (error) {
+    console.error('Error sending verification email:', error);
+    // A failure only happens for existing accounts, so anonymous callers get the generic answer
+    if (!req.user) return res.json(genericResponse);
+    return res.status(500).json({ error: 'Failed to send verification email' });
+  }
+
+  res.json(genericResponse);
+}));
 
 // Redirect create-farm requests to proper endpoint
 router.post('/create-farm', (req, res) => {
@@ -208,6 +785,9 @@ router.post('/reset-admin-password-dev', asyncHandler(async (req, res) => {
     updated_at: new Date()
   });
 
+  // A password change ends every existing session
+  await DatabaseService.revokeUserSessions(existingAdmin.id, 'password_change');
+
   res.json({
     message: 'Admin password reset successfully',
     admin: {
@@ -4,9 +4,15 @@
  */
 
 const express = require('express');
-const { authenticate } = require('../config/auth');
-const { asyncHandler } = require('../utils/helpers');
+const { authenticate, authenticateCron, requireVerifiedEmail, requireAdmin, isAdmin, actingUserId } = require('../config/auth');
+const { asyncHandler, isValidUUID } = require('../utils/helpers');
+const { idempotent } = require('../middleware/idempotency');
 const DatabaseService = require('../services/database.service');
+const PaymentService = require('../services/payment.service');
+const RefundService = require('../services/refund.service');
+const InvoiceService = require('../services/invoice.service');
+const SubscriptionService = require('../services/subscription.service');
+const PreorderService = require('../services/preorder.service');
 const { transaction } = require('../config/database');
 
 const router = express.Router();
@@ -28,7 +34,7 @@ router.get('/cart', authenticate, asyncHandler(async (req, res) => {
 }));
 
 // Add to cart
-router.post('/cart', authenticate, asyncHandler(async (req, res) => {
+router.post('/cart', authenticate, idempotent, asyncHandler(async (req, res) => {
   const { store_product_id, quantity } = req.body;
 
   if (!store_product_id || !quantity) {
@@ -41,7 +47,7 @@ router.post('/cart', authenticate, asyncHandler(async (req, res) => {
 
   try {
     // Check if store product exists and is available
-    const storeProduct = await DatabaseService.getStoreProductById(store_product_id);
+    const storeProduct = await DatabaseService.getStoreProductById(store_product_id, { customerId: req.user.userId });
     if (!storeProduct) {
       return res.status(404).json({ error: 'Store product not found' });
     }
@@ -51,7 +57,7 @@ router.post('/cart', authenticate, asyncHandler(async (req, res) => {
       return res.status(400).json({ error: 'Product is not available' });
     }
 
-    const availableStock = parseFloat(storeProduct.available_stock) || parseFloat(storeProduct.store_stock_quantity) || 0;
+    const availableStock = parseFloat(storeProduct.available_stock ?? storeProduct.store_stock_quantity ?? 0);
 
     if (availableStock <= 0) {
       return res.status(400).json({ error: 'Product is out of stock' });
@@ -71,8 +77,75 @@ router.post('/cart', authenticate, asyncHandler(async (req, res) => {
   }
 }));
 
+// Reserve stock for checkout - POST /cart/reserve { items? }
+// Holds the saved cart (or the given items) for STOCK_RESERVATION_MINUTES, replacing earlier holds;
+// the order placed from it consumes the holds, otherwise they expire
+router.post('/cart/reserve', authenticate, idempotent, asyncHandler(async (req, res) => {
+  let { items } = req.body;
+  if (items !== undefined && !Array.isArray(items)) {
+    return res.status(400).json({ error: 'Items must be an array' });
+  }
+
+  try {
+    if (!items) {
+      const cart = await DatabaseService.getCartItems(req.user.userId);
+      items = cart.map(ci => ({ store_product_id: ci.store_product_id, quantity: ci.quantity }));
+    }
+    items = items.filter(item => item && item.store_product_id && Number(item.quantity) > 0);
+    if (items.length === 0) {
+      return res.status(400).json({ error: 'Cart is empty' });
+    }
+
+    const reservations = await DatabaseService.reserveStock(req.user.userId, items);
+    res.status(201).json({
+      reservations,
+      expires_at: reservations[0].expires_at
+    });
+  } catch (error) {
+    console.error('Error reserving stock:', error);
+    const msg = error.message || 'Failed to reserve stock';
+    res.status(/Store product not found/.test(msg) ? 404 : /Insufficient stock/.test(msg) ? 409 : 400).json({ error: msg });
+  }
+}));
+
+// My active stock reservations - GET /cart/reserve
+router.get('/cart/reserve', authenticate, asyncHandler(async (req, res) => {
+  try {
+    const reservations = await DatabaseService.getStockReservations(req.user.userId);
+    res.json({ reservations });
+  } catch (error) {
+    console.error('Error fetching stock reservations:', error);
+    res.status(500).json({ error: 'Failed to fetch stock reservations' });
+  }
+}));
+
+// Release my stock reservations - DELETE /cart/reserve
+router.delete('/cart/reserve', authenticate, idempotent, asyncHandler(async (req, res) => {
+  try {
+    const released = await DatabaseService.releaseStockReservations(req.user.userId);
+    res.json({ message: 'Stock reservations released', released });
+  } catch (error) {
+    console.error('Error releasing stock reservations:', error);
+    res.status(500).json({ error: 'Failed to release stock reservations' });
+  }
+}));
+
+// Mark expired stock reservations - GET or POST /cart/reserve/expire (cron secret or admin)
+// Vercel Cron calls it with GET (see vercel.json); the local server sweeps every minute by itself
+const expireStockReservations = asyncHandler(async (req, res) => {
+  try {
+    const expired = await DatabaseService.expireStockReservations();
+    res.json({ expired });
+  } catch (error) {
+    console.error('Error expiring stock reservations:', error);
+    res.status(500).json({ error: 'Failed to expire stock reservations' });
+  }
+});
+router.get('/cart/reserve/expire', authenticateCron, expireStockReservations);
+router.post('/cart/reserve/expire', authenticateCron, expireStockReservations);
+
 // Update cart item
-router.put('/cart/:cartItemId', authenticate, asyncHandler(async (req, res) => {
+router.put('/cart/:cartItemId', authenticate, idempotent, asyncHandler(async (req, res) => {
   const { cartItemId } = req.params;
   const { quantity } = req.body;
 
@@ -93,7 +166,7 @@ router.put('/cart/:cartItemId', authenticate, asyncHandler(async (req, res) => {
 }));
 
 // Remove cart item
-router.delete('/cart/:cartItemId', authenticate, asyncHandler(async (req, res) => {
+router.delete('/cart/:cartItemId', authenticate, idempotent, asyncHandler(async (req, res) => {
   const { cartItemId } = req.params;
 
   try {
@@ -109,7 +182,7 @@ router.delete('/cart/:cartItemId', authenticate, asyncHandler(async (req, res) =
 }));
 
 // Clear cart
-router.delete('/cart', authenticate, asyncHandler(async (req, res) => {
+router.delete('/cart', authenticate, idempotent, asyncHandler(async (req, res) => {
   try {
     await DatabaseService.clearCart(req.user.userId);
     res.json({ message: 'Cart cleared successfully' });
@@ -120,7 +193,7 @@ router.delete('/cart', authenticate, asyncHandler(async (req, res) => {
 }));
 
 // Sync cart - synchronize local cart with backend
-router.post('/cart/sync', authenticate, asyncHandler(async (req, res) => {
+router.post('/cart/sync', authenticate, idempotent, asyncHandler(async (req, res) => {
   const { items } = req.body;
 
   if (!Array.isArray(items)) {
@@ -139,12 +212,12 @@ router.post('/cart/sync', authenticate, asyncHandler(async (req, res) => {
       }
 
       try {
-        const storeProduct = await DatabaseService.getStoreProductById(store_product_id);
+        const storeProduct = await DatabaseService.getStoreProductById(store_product_id, { customerId: userId });
         if (!storeProduct || !storeProduct.is_available) {
           continue; // Skip unavailable products
         }
 
-        const availableStock = parseFloat(storeProduct.available_stock) || parseFloat(storeProduct.store_stock_quantity) || 0;
+        const availableStock = parseFloat(storeProduct.available_stock ?? storeProduct.store_stock_quantity ?? 0);
 
         if (!Number.isFinite(availableStock) || availableStock <= 0) {
           continue; // Skip out of stock products
@@ -213,14 +286,73 @@ router.post('/cart/sync', authenticate, asyncHandler(async (req, res) => {
   }
 }));
 
+// Check a coupon against the cart - POST /cart/apply-coupon { code, items? }
+// Uses the saved cart unless items ([{ store_product_id, quantity }]) are given; nothing is reserved
+router.post('/cart/apply-coupon', authenticate, asyncHandler(async (req, res) => {
+  const { code } = req.body;
+  let { items } = req.body;
+  if (!code) {
+    return res.status(400).json({ error: 'code is required' });
+  }
+  if (items !== undefined && !Array.isArray(items)) {
+    return res.status(400).json({ error: 'Items must be an array' });
+  }
+
+  try {
+    if (!items) {
+      const cart = await DatabaseService.getCartItems(req.user.userId);
+      items = cart.map(ci => ({ store_product_id: ci.store_product_id, quantity: ci.quantity }));
+    }
+    items = items.filter(item => item && item.store_product_id && Number(item.quantity) > 0);
+    if (items.length === 0) {
+      return res.status(400).json({ error: 'Cart is empty' });
+    }
+
+    const preview = await DatabaseService.previewCoupon(code, req.user.userId, items);
+    res.json({ valid: true, ...preview });
+  } catch (error) {
+    console.error('Error applying coupon:', error);
+    const msg = error.message || 'Failed to apply coupon';
+    res.status(/Store product not found/.test(msg) ? 404 : 400).json({ valid: false, error: msg });
+  }
+}));
+
+// Quote delivery for the cart - POST /cart/delivery-quote { delivery_location, items? }
+// delivery_location is { district, upazila?, latitude?, longitude? }; uses the saved cart unless items are given
+router.post('/cart/delivery-quote', authenticate, asyncHandler(async (req, res) => {
+  const { delivery_location } = req.body;
+  let { items } = req.body;
+  if (items !== undefined && !Array.isArray(items)) {
+    return res.status(400).json({ error: 'Items must be an array' });
+  }
+
+  try {
+    if (!items) {
+      const cart = await DatabaseService.getCartItems(req.user.userId);
+      items = cart.map(ci => ({ store_product_id: ci.store_product_id, quantity: ci.quantity }));
+    }
+    items = items.filter(item => item && item.store_product_id && Number(item.quantity) > 0);
+    if (items.length === 0) {
+      return res.status(400).json({ error: 'Cart is empty' });
+    }
+
+    const quote = await DatabaseService.previewDeliveryQuote(items, delivery_location);
+    res.json(quote);
+  } catch (error) {
+    console.error('Error quoting delivery:', error);
+    const msg = error.message || 'Failed to quote delivery';
+    res.status(/Store product not found/.test(msg) ? 404 : 400).json({ error: msg });
+  }
+}));
+
 // Basic orders endpoints
 router.get('/orders/health', (req, res) => {
   res.json({ status: 'ok', message: 'Orders API is running' });
 });
 
 // Place order directly - POST /orders
-router.post('/orders', authenticate, asyncHandler(async (req, res) => {
-  const { items, customer_phone, delivery_address, notes, delivery_fee, temp_cart_id } = req.body;
+router.post('/orders', authenticate, requireVerifiedEmail, idempotent, asyncHandler(async (req, res) => {
+  const { items, customer_phone, delivery_address, delivery_location, notes, temp_cart_id, payment_method, coupon_code } = req.body;
 
   try {
     // Check for duplicate orders using temp_cart_id if provided
@@ -238,9 +370,11 @@ router.post('/orders', authenticate, asyncHandler(async (req, res) => {
       items,
       customer_phone,
       delivery_address,
+      delivery_location,
       notes,
-      delivery_fee,
-      temp_cart_id
+      temp_cart_id,
+      payment_method,
+      coupon_code
     });
 
     // Clear user's cart after successful order placement
@@ -263,8 +397,8 @@ router.post('/orders', authenticate, asyncHandler(async (req, res) => {
 }));
 
 // Convenience: place order from cart - POST /orders/place-from-cart
-router.post('/orders/place-from-cart', authenticate, asyncHandler(async (req, res) => {
-  const { customer_phone, delivery_address, notes, delivery_fee } = req.body;
+router.post('/orders/place-from-cart', authenticate, requireVerifiedEmail, idempotent, asyncHandler(async (req, res) => {
+  const { customer_phone, delivery_address, delivery_location, notes, payment_method, coupon_code } = req.body;
   try {
     const cart = await DatabaseService.getCartItems(req.user.userId);
     if (!Array.isArray(cart) || cart.length === 0) {
@@ -280,8 +414,10 @@ router.post('/orders/place-from-cart', authenticate, asyncHandler(async (req, re
       items,
       customer_phone,
       delivery_address,
+      delivery_location,
       notes,
-      delivery_fee
+      payment_method,
+      coupon_code
     });
 
     // Clear cart after successful order
@@ -321,21 +457,243 @@ router.get('/orders/:id', authenticate, asyncHandler(async (req, res) => {
   }
 }));
 
-// Cancel order - PUT /orders/:id/cancel
-router.put('/orders/:id/cancel', authenticate, asyncHandler(async (req, res) => {
+// Order status history - GET /orders/:id/history
+// Customers see the whole order; farm users see order-wide entries and their own farms' fulfilments
+router.get('/orders/:id/history', authenticate, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!isValidUUID(id)) {
+    return res.status(400).json({ error: 'Invalid order ID format' });
+  }
+  try {
+    const scope = await DatabaseService.getOrderAccessScope(id, req.user);
+    if (!scope) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (!scope.full && scope.farm_ids.length === 0) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    const history = await DatabaseService.getOrderStatusHistory(id, { farmIds: scope.full ? null : scope.farm_ids });
+    res.json({ order_id: id, history });
+  } catch (error) {
+    console.error('Error fetching order history:', error);
+    res.status(500).json({ error: 'Failed to fetch order history' });
+  }
+}));
+
+// Invoice (or receipt, once paid) for an order - GET /orders/:id/invoice.pdf and /orders/:id/invoice.html
+// Customers get the whole order; farm users a copy covering their own farms' part of it
+const invoiceHandler = (format) => asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!isValidUUID(id)) {
+    return res.status(400).json({ error: 'Invalid order ID format' });
+  }
+  try {
+    const invoice = await InvoiceService.buildInvoice(id, req.user);
+    const filename = `${invoice.title.toLowerCase()}-${invoice.order_number}.${format}`;
+    if (format === 'html') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+      return res.send(InvoiceService.renderInvoiceHtml(invoice));
+    }
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    InvoiceService.renderInvoicePdf(invoice).pipe(res);
+  } catch (error) {
+    console.error('Error generating invoice:', error);
+    const msg = error.message || 'Failed to generate invoice';
+    const code = /Order not found/.test(msg) ? 404 : /Access denied/.test(msg) ? 403 : 500;
+    res.status(code).json({ error: code === 500 ? 'Failed to generate invoice' : msg });
+  }
+});
+
+router.get('/orders/:id/invoice.pdf', authenticate, invoiceHandler('pdf'));
+router.get('/orders/:id/invoice.html', authenticate, invoiceHandler('html'));
+
+// Payment gateways available for online payment - GET /payments/providers
+router.get('/payments/providers', (req, res) => {
+  res.json({ providers: PaymentService.listProviders() });
+});
+
+// Pay an order online - POST /orders/:id/payments { provider }
+// Returns the payment with the redirect_url the customer completes it at
+router.post('/orders/:id/payments', authenticate, idempotent, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { provider, mock_outcome } = req.body;
+  if (!isValidUUID(id)) {
+    return res.status(400).json({ error: 'Invalid order ID format' });
+  }
+  if (!provider) {
+    return res.status(400).json({ error: 'provider is required' });
+  }
+  try {
+    const payment = await PaymentService.initiatePayment(id, req.user.userId, provider, { outcome: mock_outcome });
+    res.status(201).json(payment);
+  } catch (error) {
+    console.error('Error starting payment:', error);
+    const msg = error.message || 'Failed to start payment';
+    const code = /not found/i.test(msg) ? 404
+      : /Access denied/.test(msg) ? 403
+      : /initiation failed/.test(msg) ? 502
+      : 400;
+    res.status(code).json({ error: msg });
+  }
+}));
+
+// Payments of an order - GET /orders/:id/payments
+router.get('/orders/:id/payments', authenticate, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!isValidUUID(id)) {
+    return res.status(400).json({ error: 'Invalid order ID format' });
+  }
+  try {
+    const scope = await DatabaseService.getOrderAccessScope(id, req.user);
+    if (!scope) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (!scope.full && scope.farm_ids.length === 0) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    const payments = await DatabaseService.getOrderPayments(id);
+    res.json({ order_id: id, payments: payments.map(p => DatabaseService.presentPayment(p)) });
+  } catch (error) {
+    console.error('Error fetching order payments:', error);
+    res.status(500).json({ error: 'Failed to fetch order payments' });
+  }
+}));
+
+// Re-check a payment with its gateway - POST /orders/:id/payments/:payment_id/verify
+router.post('/orders/:id/payments/:payment_id/verify', authenticate, idempotent, asyncHandler(async (req, res) => {
+  const { id, payment_id } = req.params;
+  if (!isValidUUID(id) || !isValidUUID(payment_id)) {
+    return res.status(400).json({ error: 'Invalid ID format' });
+  }
+  try {
+    const payment = await PaymentService.verifyPayment(id, payment_id, req.user.userId);
+    res.json(payment);
+  } catch (error) {
+    console.error('Error verifying payment:', error);
+    const msg = error.message || 'Failed to verify payment';
+    const code = /not found/i.test(msg) ? 404
+      : /Access denied/.test(msg) ? 403
+      : /timed out|unreachable|provider returned|Unexpected response/.test(msg) ? 502
+      : 400;
+    res.status(code).json({ error: msg });
+  }
+}));
+
+// Gateway callbacks - GET (customer redirect) or POST (server notification) /payments/:provider/callback
+// Redirects send the customer back to the order page; notifications get a JSON acknowledgement
+router.all('/payments/:provider/callback', express.urlencoded({ extended: false }), asyncHandler(async (req, res) => {
+  const payload = { ...req.query, ...(req.body || {}) };
+  const appUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  try {
+    const payment = await PaymentService.handleCallback(req.params.provider, payload);
+    if (req.method === 'GET') {
+      return res.redirect(`${appUrl}/orders/${payment.order_id}?payment=${payment.status}`);
+    }
+    res.json({ received: true, payment_id: payment._id, status: payment.status });
+  } catch (error) {
+    console.error('Error handling payment callback:', error);
+    const msg = error.message || 'Failed to process payment callback';
+    const code = /not found/i.test(msg) || /Unknown payment provider/.test(msg) ? 404
+      : /Invalid payment/.test(msg) ? 400
+      : 502;
+    res.status(code).json({ error: msg });
+  }
+}));
+
+// Cancel order (or one farm's fulfilment with fulfilment_id) - PUT /orders/:id/cancel
+const cancelOrderHandler = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { reason } = req.body;
+  const fulfilmentId = req.params.fulfilment_id || req.body.fulfilment_id || null;
   try {
-    const cancelled = await DatabaseService.cancelOrder(id, req.user.userId, reason);
+    const cancelled = await DatabaseService.cancelOrder(id, req.user, reason, fulfilmentId);
     res.json(cancelled);
   } catch (error) {
     console.error('Error cancelling order:', error);
     const msg = error.message || 'Failed to cancel order';
-    const code = /denied|not found|Only/.test(msg) ? 400 : 500;
+    const code = /denied|not found|Cannot change order status|fulfilment_id is required/.test(msg) ? 400 : 500;
     res.status(code).json({ error: msg });
   }
+});
+router.put('/orders/:id/cancel', authenticate, idempotent, cancelOrderHandler);
+router.put('/orders/:id/fulfilments/:fulfilment_id/cancel', authenticate, idempotent, cancelOrderHandler);
+
+function amendmentErrorCode(msg) {
+  return /not found/i.test(msg) ? 404 : /Access denied/.test(msg) ? 403 : 400;
+}
+
+// Amend a pending order (the caller's farm fulfilment) - POST /orders/:id/amendments
+// { changes: [{ order_item_id, quantity?, remove?, substitute_store_product_id? }], reason?, fulfilment_id? }
+// The customer is then asked to accept or reject the amended order
+const amendOrderHandler = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { changes, reason } = req.body;
+  if (!isValidUUID(id)) {
+    return res.status(400).json({ error: 'Invalid order ID format' });
+  }
+  if (!Array.isArray(changes) || changes.length === 0) {
+    return res.status(400).json({ error: 'changes must be a non-empty array' });
+  }
+  try {
+    const fulfilmentId = req.params.fulfilment_id || req.body.fulfilment_id || null;
+    const amended = await DatabaseService.amendOrder(id, req.user, { changes, reason, fulfilment_id: fulfilmentId });
+    res.status(201).json(amended);
+  } catch (error) {
+    console.error('Error amending order:', error);
+    const msg = error.message || 'Failed to amend order';
+    res.status(amendmentErrorCode(msg)).json({ error: msg });
+  }
+});
+router.post('/orders/:id/amendments', authenticate, idempotent, amendOrderHandler);
+router.post('/orders/:id/fulfilments/:fulfilment_id/amendments', authenticate, idempotent, amendOrderHandler);
+
+// Amendments of an order - GET /orders/:id/amendments
+// Farm users only see amendments of their own farms' fulfilments
+router.get('/orders/:id/amendments', authenticate, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!isValidUUID(id)) {
+    return res.status(400).json({ error: 'Invalid order ID format' });
+  }
+  try {
+    const scope = await DatabaseService.getOrderAccessScope(id, req.user);
+    if (!scope) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (!scope.full && scope.farm_ids.length === 0) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    const amendments = await DatabaseService.getOrderAmendments(id, { farmIds: scope.full ? null : scope.farm_ids });
+    res.json({ order_id: id, amendments });
+  } catch (error) {
+    console.error('Error fetching order amendments:', error);
+    res.status(500).json({ error: 'Failed to fetch order amendments' });
+  }
 }));
 
+// Accept or reject an amended order - PUT /orders/:id/amendments/:amendment_id/accept|reject { note? }
+// Rejecting cancels the amended farm's part of the order
+const respondToAmendmentHandler = (accept) => asyncHandler(async (req, res) => {
+  const { id, amendment_id } = req.params;
+  const { note } = req.body;
+  if (!isValidUUID(id) || !isValidUUID(amendment_id)) {
+    return res.status(400).json({ error: 'Invalid ID format' });
+  }
+  try {
+    const order = accept
+      ? await DatabaseService.acceptOrderAmendment(id, amendment_id, req.user.userId, note)
+      : await DatabaseService.rejectOrderAmendment(id, amendment_id, req.user.userId, note);
+    res.json(order);
+  } catch (error) {
+    console.error(`Error ${accept ? 'accepting' : 'rejecting'} order amendment:`, error);
+    const msg = error.message || 'Failed to respond to order amendment';
+    res.status(amendmentErrorCode(msg)).json({ error: msg });
+  }
+});
+router.put('/orders/:id/amendments/:amendment_id/accept', authenticate, idempotent, respondToAmendmentHandler(true));
+router.put('/orders/:id/amendments/:amendment_id/reject', authenticate, idempotent, respondToAmendmentHandler(false));
+
 // Get farm orders - GET /orders?farm_id=:id
 router.get('/orders', authenticate, asyncHandler(async (req, res) => {
   const { farm_id, status = 'all', page = 1, limit = 10 } = req.query;
@@ -343,8 +701,8 @@ router.get('/orders', authenticate, asyncHandler(async (req, res) => {
     return res.status(400).json({ error: 'farm_id is required' });
   }
   try {
-    // Ownership verified inside service for status updates etc.; for listing we can also verify early
-    const hasAccess = await DatabaseService.verifyFarmOwnership(farm_id, req.user.userId);
+    // Access verified inside service for status updates etc.; for listing we can also verify early
+    const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'orders:read');
     if (!hasAccess) {
       return res.status(403).json({ error: 'Access denied to this farm' });
     }
@@ -357,7 +715,8 @@ router.get('/orders', authenticate, asyncHandler(async (req, res) => {
 }));
 
 // Update order status - PUT /orders/:id/status
-router.put('/orders/:id/status', authenticate, asyncHandler(async (req, res) => {
+// Acts on the caller's farm fulfilment; fulfilment_id is needed only when the caller manages several farms in the order
+const updateOrderStatusHandler = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { 
     status, 
@@ -367,51 +726,599 @@ router.put('/orders/:id/status', authenticate, asyncHandler(async (req, res) =>
     payment_info,
     payment_method,
     payment_reference,
-    payment_message
+    payment_message,
+    note
   } = req.body;
   if (!status) {
     return res.status(400).json({ error: 'status is required' });
   }
   try {
-    const updated = await DatabaseService.updateOrderStatus(id, req.user.userId, status, {
+    const updated = await DatabaseService.updateOrderStatus(id, req.user, status, {
+      fulfilment_id: req.params.fulfilment_id || req.body.fulfilment_id,
       delivery_fee,
       courier_contact,
       courier_ref_id,
       payment_info,
       payment_method,
       payment_reference,
-      payment_message
+      payment_message,
+      note
     });
     res.json(updated);
   } catch (error) {
     console.error('Error updating order status:', error);
     const msg = error.message || 'Failed to update order status';
-    const code = /Access denied|Invalid status|Order not found|Invalid delivery_fee/.test(msg) ? 400 : 500;
+    const code = /Access denied|Invalid status|Cannot change order status|Order not found|Fulfilment not found|fulfilment_id is required|Invalid delivery_fee|awaiting the customer/.test(msg) ? 400 : 500;
     res.status(code).json({ error: msg });
   }
-}));
+});
+router.put('/orders/:id/status', authenticate, idempotent, updateOrderStatusHandler);
+router.put('/orders/:id/fulfilments/:fulfilment_id/status', authenticate, idempotent, updateOrderStatusHandler);
 
-// Set delivery fee - PUT /orders/:id/delivery-fee
-router.put('/orders/:id/delivery-fee', authenticate, asyncHandler(async (req, res) => {
+// Set delivery fee - PUT /orders/:id/delivery-fee (overrides the fee priced from delivery zones)
+const setDeliveryFeeHandler = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { delivery_fee } = req.body;
   if (delivery_fee === undefined) {
     return res.status(400).json({ error: 'delivery_fee is required' });
   }
   try {
-    const updated = await DatabaseService.setOrderDeliveryFee(id, req.user.userId, delivery_fee);
+    const fulfilmentId = req.params.fulfilment_id || req.body.fulfilment_id || null;
+    const updated = await DatabaseService.setOrderDeliveryFee(id, req.user, delivery_fee, fulfilmentId);
     res.json(updated);
   } catch (error) {
     console.error('Error setting delivery fee:', error);
     const msg = error.message || 'Failed to set delivery fee';
-    const code = /Access denied|Invalid delivery_fee|Order not found/.test(msg) ? 400 : 500;
+    const code = /Access denied|Invalid delivery_fee|Order not found|Fulfilment not found|fulfilment_id is required/.test(msg) ? 400 : 500;
     res.status(code).json({ error: msg });
   }
+});
+router.put('/orders/:id/delivery-fee', authenticate, idempotent, setDeliveryFeeHandler);
+router.put('/orders/:id/fulfilments/:fulfilment_id/delivery-fee', authenticate, idempotent, setDeliveryFeeHandler);
+
+function refundErrorCode(msg) {
+  return /not found/i.test(msg) ? 404 : /Access denied/.test(msg) ? 403 : 400;
+}
+
+// Request a refund - POST /orders/:id/refunds { reason, items?: [{ order_item_id, quantity? }] }
+// Without items everything left to refund on the order is requested
+router.post('/orders/:id/refunds', authenticate, idempotent, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { reason, items } = req.body;
+  if (!isValidUUID(id)) {
+    return res.status(400).json({ error: 'Invalid order ID format' });
+  }
+  if (items !== undefined && !Array.isArray(items)) {
+    return res.status(400).json({ error: 'items must be an array' });
+  }
+  try {
+    const refunds = await RefundService.requestRefund(id, req.user, { reason, items });
+    res.status(201).json({ order_id: id, refunds });
+  } catch (error) {
+    console.error('Error requesting refund:', error);
+    const msg = error.message || 'Failed to request refund';
+    res.status(refundErrorCode(msg)).json({ error: msg });
+  }
+}));
+
+// Refunds of an order - GET /orders/:id/refunds
+// Farm users only see refunds on their own farms' fulfilments
+router.get('/orders/:id/refunds', authenticate, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!isValidUUID(id)) {
+    return res.status(400).json({ error: 'Invalid order ID format' });
+  }
+  try {
+    const scope = await DatabaseService.getOrderAccessScope(id, req.user);
+    if (!scope) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (!scope.full && scope.farm_ids.length === 0) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    const refunds = await DatabaseService.getOrderRefunds(id, { farmIds: scope.full ? null : scope.farm_ids });
+    res.json({ order_id: id, refunds });
+  } catch (error) {
+    console.error('Error fetching order refunds:', error);
+    res.status(500).json({ error: 'Failed to fetch order refunds' });
+  }
+}));
+
+// Approve (and pay out) a refund - PUT /orders/:id/refunds/:refund_id/approve { note?, restock? }
+router.put('/orders/:id/refunds/:refund_id/approve', authenticate, idempotent, asyncHandler(async (req, res) => {
+  const { id, refund_id } = req.params;
+  const { note, restock } = req.body;
+  if (!isValidUUID(id) || !isValidUUID(refund_id)) {
+    return res.status(400).json({ error: 'Invalid ID format' });
+  }
+  try {
+    const refund = await RefundService.approveRefund(id, refund_id, req.user, { note, restock });
+    res.json(refund);
+  } catch (error) {
+    console.error('Error approving refund:', error);
+    const msg = error.message || 'Failed to approve refund';
+    res.status(refundErrorCode(msg)).json({ error: msg });
+  }
+}));
+
+// Reject a refund - PUT /orders/:id/refunds/:refund_id/reject { note? }
+router.put('/orders/:id/refunds/:refund_id/reject', authenticate, idempotent, asyncHandler(async (req, res) => {
+  const { id, refund_id } = req.params;
+  const { note } = req.body;
+  if (!isValidUUID(id) || !isValidUUID(refund_id)) {
+    return res.status(400).json({ error: 'Invalid ID format' });
+  }
+  try {
+    const refund = await RefundService.rejectRefund(id, refund_id, req.user, { note });
+    res.json(refund);
+  } catch (error) {
+    console.error('Error rejecting refund:', error);
+    const msg = error.message || 'Failed to reject refund';
+    res.status(refundErrorCode(msg)).json({ error: msg });
+  }
+}));
+
+// Subscriptions: recurring orders placed by the scheduler (see subscription.service.js)
+function subscriptionErrorCode(msg) {
+  return /not found/i.test(msg) ? 404 : /Access denied/.test(msg) ? 403 : 400;
+}
+
+// Place the orders of due subscriptions - GET or POST /subscriptions/run (cron secret or admin)
+// Vercel Cron calls it with GET (see vercel.json); the local server runs it hourly by itself
+const runSubscriptions = asyncHandler(async (req, res) => {
+  try {
+    const summary = await SubscriptionService.runDueSubscriptions();
+    res.json(summary);
+  } catch (error) {
+    console.error('Error running subscriptions:', error);
+    res.status(500).json({ error: 'Failed to run subscriptions' });
+  }
+});
+router.get('/subscriptions/run', authenticateCron, runSubscriptions);
+router.post('/subscriptions/run', authenticateCron, runSubscriptions);
+
+// Start a subscription - POST /subscriptions
+// { items: [{ store_product_id, quantity }], frequency, delivery_day, delivery_address, delivery_location?,
+//   customer_phone?, payment_method?, notes?, name?, out_of_stock_policy?, start_date? }
+router.post('/subscriptions', authenticate, requireVerifiedEmail, idempotent, asyncHandler(async (req, res) => {
+  try {
+    const subscription = await SubscriptionService.createSubscription(req.user.userId, req.body);
+    res.status(201).json(subscription);
+  } catch (error) {
+    console.error('Error creating subscription:', error);
+    const msg = error.message || 'Failed to create subscription';
+    res.status(subscriptionErrorCode(msg)).json({ error: msg });
+  }
+}));
+
+// My subscriptions with their upcoming deliveries - GET /subscriptions?status=active|paused|cancelled&days=30
+router.get('/subscriptions', authenticate, asyncHandler(async (req, res) => {
+  const { status = 'all', days } = req.query;
+  if (!['all', 'active', 'paused', 'cancelled'].includes(status)) {
+    return res.status(400).json({ error: 'Invalid status filter' });
+  }
+  try {
+    const subscriptions = await SubscriptionService.listCustomerSubscriptions(req.user.userId, { status, days });
+    res.json({ subscriptions });
+  } catch (error) {
+    console.error('Error fetching subscriptions:', error);
+    res.status(500).json({ error: 'Failed to fetch subscriptions' });
+  }
+}));
+
+// A subscription with its upcoming deliveries - GET /subscriptions/:id?days=30
+router.get('/subscriptions/:id', authenticate, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!isValidUUID(id)) {
+    return res.status(400).json({ error: 'Invalid subscription ID format' });
+  }
+  try {
+    const subscription = await SubscriptionService.getSubscription(id, req.user, { days: req.query.days });
+    res.json(subscription);
+  } catch (error) {
+    console.error('Error fetching subscription:', error);
+    const msg = error.message || 'Failed to fetch subscription';
+    res.status(subscriptionErrorCode(msg)).json({ error: msg });
+  }
+}));
+
+// Change a subscription - PUT /subscriptions/:id (any of the fields accepted on creation)
+// Changing the frequency or delivery day restarts the schedule from the first possible date
+router.put('/subscriptions/:id', authenticate, idempotent, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!isValidUUID(id)) {
+    return res.status(400).json({ error: 'Invalid subscription ID format' });
+  }
+  try {
+    const subscription = await SubscriptionService.updateSubscription(id, req.user, req.body);
+    res.json(subscription);
+  } catch (error) {
+    console.error('Error updating subscription:', error);
+    const msg = error.message || 'Failed to update subscription';
+    res.status(subscriptionErrorCode(msg)).json({ error: msg });
+  }
+}));
+
+// Pause, resume, skip a delivery or undo a skip:
+// POST /subscriptions/:id/pause { until? }, POST /subscriptions/:id/resume,
+// POST /subscriptions/:id/skip { date }, DELETE /subscriptions/:id/skip/:date
+const subscriptionActionHandler = (label, action) => asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!isValidUUID(id)) {
+    return res.status(400).json({ error: 'Invalid subscription ID format' });
+  }
+  try {
+    const subscription = await action(req);
+    res.json(subscription);
+  } catch (error) {
+    console.error(`Error trying to ${label} subscription:`, error);
+    const msg = error.message || `Failed to ${label} subscription`;
+    res.status(subscriptionErrorCode(msg)).json({ error: msg });
+  }
+});
+router.post('/subscriptions/:id/pause', authenticate, idempotent, subscriptionActionHandler('pause',
+  (req) => SubscriptionService.pauseSubscription(req.params.id, req.user, { until: req.body.until })));
+router.post('/subscriptions/:id/resume', authenticate, idempotent, subscriptionActionHandler('resume',
+  (req) => SubscriptionService.resumeSubscription(req.params.id, req.user)));
+router.post('/subscriptions/:id/skip', authenticate, idempotent, subscriptionActionHandler('skip a delivery of',
+  (req) => SubscriptionService.skipDelivery(req.params.id, req.user, req.body.date)));
+router.delete('/subscriptions/:id/skip/:date', authenticate, idempotent, subscriptionActionHandler('unskip a delivery of',
+  (req) => SubscriptionService.unskipDelivery(req.params.id, req.user, req.params.date)));
+
+// Cancel a subscription - DELETE /subscriptions/:id
+// Orders already placed for it are not affected
+router.delete('/subscriptions/:id', authenticate, idempotent, subscriptionActionHandler('cancel',
+  (req) => SubscriptionService.cancelSubscription(req.params.id, req.user)));
+
+// Pre-orders against upcoming batches (see preorder.service.js)
+function preorderErrorCode(msg) {
+  return /not found/i.test(msg) ? 404 : /Access denied/.test(msg) ? 403 : 400;
+}
+
+const PREORDER_OFFER_STATUSES = ['open', 'closed', 'released', 'cancelled'];
+const PREORDER_STATUSES = ['pending', 'converting', 'converted', 'cancelled'];
+
+// Release due offers and convert pre-orders - GET or POST /preorders/run (cron secret or admin)
+// Vercel Cron calls it with GET (see vercel.json); the local server runs it hourly by itself
+const runPreorders = asyncHandler(async (req, res) => {
+  try {
+    const summary = await PreorderService.runDuePreorders();
+    res.json(summary);
+  } catch (error) {
+    console.error('Error running pre-orders:', error);
+    res.status(500).json({ error: 'Failed to run pre-orders' });
+  }
+});
+router.get('/preorders/run', authenticateCron, runPreorders);
+router.post('/preorders/run', authenticateCron, runPreorders);
+
+// Pre-order offers - GET /preorder-offers?farm_id=&store_product_id=&status=open|closed|released|cancelled|all
+router.get('/preorder-offers', asyncHandler(async (req, res) => {
+  const { farm_id, store_product_id, status = 'open' } = req.query;
+  if ((farm_id && !isValidUUID(farm_id)) || (store_product_id && !isValidUUID(store_product_id))) {
+    return res.status(400).json({ error: 'Invalid ID format' });
+  }
+  if (status !== 'all' && !PREORDER_OFFER_STATUSES.includes(status)) {
+    return res.status(400).json({ error: 'Invalid status filter' });
+  }
+  try {
+    const offers = await PreorderService.listOffers({ farm_id, store_product_id, status });
+    res.json({ offers });
+  } catch (error) {
+    console.error('Error fetching pre-order offers:', error);
+    res.status(500).json({ error: 'Failed to fetch pre-order offers' });
+  }
+}));
+
+// A pre-order offer - GET /preorder-offers/:id
+router.get('/preorder-offers/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!isValidUUID(id)) {
+    return res.status(400).json({ error: 'Invalid offer ID format' });
+  }
+  try {
+    const offer = await DatabaseService.getPreorderOfferById(id);
+    if (!offer) {
+      return res.status(404).json({ error: 'Pre-order offer not found' });
+    }
+    res.json(offer);
+  } catch (error) {
+    console.error('Error fetching pre-order offer:', error);
+    res.status(500).json({ error: 'Failed to fetch pre-order offer' });
+  }
+}));
+
+// Open a pre-order offer - POST /preorder-offers
+// { store_product_id, max_quantity, expected_date?, batch_id?, unit_price?, deposit_percentage?, title?, description? }
+router.post('/preorder-offers', authenticate, idempotent, asyncHandler(async (req, res) => {
+  try {
+    const offer = await PreorderService.createOffer(req.user, req.body);
+    res.status(201).json(offer);
+  } catch (error) {
+    console.error('Error creating pre-order offer:', error);
+    const msg = error.message || 'Failed to create pre-order offer';
+    res.status(preorderErrorCode(msg)).json({ error: msg });
+  }
+}));
+
+// Change, close or reopen an offer - PUT /preorder-offers/:id
+// Release the batch - POST /preorder-offers/:id/release { stock_quantity? }
+// Cancel an offer and its pending pre-orders - DELETE /preorder-offers/:id { reason? }
+const preorderOfferActionHandler = (label, action, status = 200) => asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!isValidUUID(id)) {
+    return res.status(400).json({ error: 'Invalid offer ID format' });
+  }
+  try {
+    const result = await action(req);
+    res.status(status).json(result);
+  } catch (error) {
+    console.error(`Error trying to ${label}:`, error);
+    const msg = error.message || `Failed to ${label}`;
+    res.status(preorderErrorCode(msg)).json({ error: msg });
+  }
+});
+router.put('/preorder-offers/:id', authenticate, idempotent, preorderOfferActionHandler('update pre-order offer',
+  (req) => PreorderService.updateOffer(req.params.id, req.user, req.body)));
+router.post('/preorder-offers/:id/release', authenticate, idempotent, preorderOfferActionHandler('release pre-order offer',
+  (req) => PreorderService.releaseOffer(req.params.id, req.user, { stock_quantity: req.body.stock_quantity })));
+router.delete('/preorder-offers/:id', authenticate, idempotent, preorderOfferActionHandler('cancel pre-order offer',
+  (req) => PreorderService.cancelOffer(req.params.id, req.user, { reason: req.body && req.body.reason })));
+
+// Pre-orders of an offer, for the farm - GET /preorder-offers/:id/preorders?status=
+router.get('/preorder-offers/:id/preorders', authenticate, preorderOfferActionHandler('fetch pre-orders',
+  (req) => PreorderService.getOfferPreorders(req.params.id, req.user, { status: req.query.status })));
+
+// Pre-order - POST /preorder-offers/:id/preorders
+// { quantity, delivery_address, delivery_location?, customer_phone?, payment_method?, notes? }
+router.post('/preorder-offers/:id/preorders', authenticate, requireVerifiedEmail, idempotent, preorderOfferActionHandler('place pre-order',
+  (req) => PreorderService.placePreorder(req.user.userId, req.params.id, req.body), 201));
+
+// My pre-orders - GET /preorders?status=pending|converting|converted|cancelled|all
+router.get('/preorders', authenticate, asyncHandler(async (req, res) => {
+  const { status = 'all' } = req.query;
+  if (status !== 'all' && !PREORDER_STATUSES.includes(status)) {
+    return res.status(400).json({ error: 'Invalid status filter' });
+  }
+  try {
+    const preorders = await PreorderService.listCustomerPreorders(req.user.userId, { status });
+    res.json({ preorders });
+  } catch (error) {
+    console.error('Error fetching pre-orders:', error);
+    res.status(500).json({ error: 'Failed to fetch pre-orders' });
+  }
+}));
+
+// A pre-order - GET /preorders/:id
+// Record a received deposit (farm) - POST /preorders/:id/deposit { reference? }
+// Cancel a pending pre-order - DELETE /preorders/:id { reason? }
+const preorderActionHandler = (label, action) => asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!isValidUUID(id)) {
+    return res.status(400).json({ error: 'Invalid pre-order ID format' });
+  }
+  try {
+    const preorder = await action(req);
+    res.json(preorder);
+  } catch (error) {
+    console.error(`Error trying to ${label}:`, error);
+    const msg = error.message || `Failed to ${label}`;
+    res.status(preorderErrorCode(msg)).json({ error: msg });
+  }
+});
+router.get('/preorders/:id', authenticate, preorderActionHandler('fetch pre-order',
+  (req) => PreorderService.getPreorder(req.params.id, req.user)));
+router.post('/preorders/:id/deposit', authenticate, idempotent, preorderActionHandler('record pre-order deposit',
+  (req) => PreorderService.recordDeposit(req.params.id, req.user, { reference: req.body.reference })));
+router.delete('/preorders/:id', authenticate, idempotent, preorderActionHandler('cancel pre-order',
+  (req) => PreorderService.cancelPreorder(req.params.id, req.user, { reason: req.body && req.body.reason })));
+
+// Coupons: platform-wide ones (no farm_id) are managed by admins, farm coupons by farm users
+// with the coupons:manage permission
+async function canManageCoupons(farmId, user) {
+  if (await isAdmin(user)) return true;
+  if (!farmId) return false;
+  return DatabaseService.hasFarmPermission(farmId, user, 'coupons:manage');
+}
+
+function couponErrorCode(msg) {
+  return /not found/i.test(msg) ? 404 : /already exists/.test(msg) ? 409 : 400;
+}
+
+// List coupons - GET /coupons?farm_id=:id (platform-wide coupons without farm_id)
+router.get('/coupons', authenticate, asyncHandler(async (req, res) => {
+  const { farm_id } = req.query;
+  if (farm_id && !isValidUUID(farm_id)) {
+    return res.status(400).json({ error: 'Invalid farm ID format' });
+  }
+  try {
+    if (!(await canManageCoupons(farm_id, req.user))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    const coupons = await DatabaseService.listCoupons(farm_id || null);
+    res.json({ farm_id: farm_id || null, coupons: coupons.map(c => DatabaseService.presentCoupon(c)) });
+  } catch (error) {
+    console.error('Error fetching coupons:', error);
+    res.status(500).json({ error: 'Failed to fetch coupons' });
+  }
+}));
+
+// Create a coupon - POST /coupons { code, discount_type, discount_value, farm_id?, ... }
+router.post('/coupons', authenticate, idempotent, asyncHandler(async (req, res) => {
+  const { farm_id } = req.body;
+  if (farm_id && !isValidUUID(farm_id)) {
+    return res.status(400).json({ error: 'Invalid farm ID format' });
+  }
+  try {
+    if (!(await canManageCoupons(farm_id, req.user))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    const coupon = await DatabaseService.createCoupon(req.body, actingUserId(req.user));
+    res.status(201).json(DatabaseService.presentCoupon(coupon));
+  } catch (error) {
+    console.error('Error creating coupon:', error);
+    const msg = error.message || 'Failed to create coupon';
+    res.status(couponErrorCode(msg)).json({ error: msg });
+  }
+}));
+
+// Load a coupon the caller may manage (responds and returns null otherwise)
+async function loadManagedCoupon(req, res) {
+  const { id } = req.params;
+  if (!isValidUUID(id)) {
+    res.status(400).json({ error: 'Invalid coupon ID format' });
+    return null;
+  }
+  const coupon = await DatabaseService.getCouponById(id);
+  if (!coupon) {
+    res.status(404).json({ error: 'Coupon not found' });
+    return null;
+  }
+  if (!(await canManageCoupons(coupon.farm_id, req.user))) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+  return coupon;
+}
+
+// Get a coupon - GET /coupons/:id
+router.get('/coupons/:id', authenticate, asyncHandler(async (req, res) => {
+  try {
+    const coupon = await loadManagedCoupon(req, res);
+    if (!coupon) return;
+    res.json(DatabaseService.presentCoupon(coupon));
+  } catch (error) {
+    console.error('Error fetching coupon:', error);
+    res.status(500).json({ error: 'Failed to fetch coupon' });
+  }
+}));
+
+// Update a coupon - PUT /coupons/:id (a coupon cannot move to another farm)
+router.put('/coupons/:id', authenticate, idempotent, asyncHandler(async (req, res) => {
+  try {
+    const coupon = await loadManagedCoupon(req, res);
+    if (!coupon) return;
+    const { farm_id, ...changes } = req.body;
+    if (farm_id !== undefined && String(farm_id || '') !== String(coupon.farm_id || '')) {
+      return res.status(400).json({ error: 'farm_id cannot be changed' });
+    }
+    const updated = await DatabaseService.updateCoupon(coupon.id, changes);
+    res.json(DatabaseService.presentCoupon(updated));
+  } catch (error) {
+    console.error('Error updating coupon:', error);
+    const msg = error.message || 'Failed to update coupon';
+    res.status(couponErrorCode(msg)).json({ error: msg });
+  }
+}));
+
+// Delete a coupon - DELETE /coupons/:id (used coupons are deactivated instead)
+router.delete('/coupons/:id', authenticate, idempotent, asyncHandler(async (req, res) => {
+  try {
+    const coupon = await loadManagedCoupon(req, res);
+    if (!coupon) return;
+    const { deleted } = await DatabaseService.deleteCoupon(coupon.id);
+    res.json({
+      message: deleted ? 'Coupon deleted' : 'Coupon has been used and was deactivated instead',
+      deleted
+    });
+  } catch (error) {
+    console.error('Error deleting coupon:', error);
+    res.status(500).json({ error: 'Failed to delete coupon' });
+  }
+}));
+
+// VAT / tax rules - GET /tax-rules (public, so storefronts can show VAT); changes are admin only
+router.get('/tax-rules', asyncHandler(async (req, res) => {
+  try {
+    const rules = await DatabaseService.listTaxRules({ activeOnly: req.query.all !== 'true' });
+    res.json({ tax_rules: rules.map(r => DatabaseService.presentTaxRule(r)) });
+  } catch (error) {
+    console.error('Error fetching tax rules:', error);
+    res.status(500).json({ error: 'Failed to fetch tax rules' });
+  }
+}));
+
+function taxRuleErrorCode(msg) {
+  return /not found/i.test(msg) ? 404 : /already exists/.test(msg) ? 409 : 400;
+}
+
+// Create a tax rule - POST /tax-rules { name, rate, category_id?, product_type?, is_inclusive? }
+router.post('/tax-rules', authenticate, requireAdmin, idempotent, asyncHandler(async (req, res) => {
+  const { category_id } = req.body;
+  if (category_id && !isValidUUID(category_id)) {
+    return res.status(400).json({ error: 'Invalid category ID format' });
+  }
+  try {
+    const rule = await DatabaseService.createTaxRule(req.body);
+    res.status(201).json(DatabaseService.presentTaxRule(rule));
+  } catch (error) {
+    console.error('Error creating tax rule:', error);
+    const msg = error.message || 'Failed to create tax rule';
+    res.status(taxRuleErrorCode(msg)).json({ error: msg });
+  }
+}));
+
+// Update a tax rule - PUT /tax-rules/:id
+router.put('/tax-rules/:id', authenticate, requireAdmin, idempotent, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { category_id } = req.body;
+  if (!isValidUUID(id) || (category_id && !isValidUUID(category_id))) {
+    return res.status(400).json({ error: 'Invalid ID format' });
+  }
+  try {
+    const rule = await DatabaseService.updateTaxRule(id, req.body);
+    if (!rule) {
+      return res.status(404).json({ error: 'Tax rule not found' });
+    }
+    res.json(DatabaseService.presentTaxRule(rule));
+  } catch (error) {
+    console.error('Error updating tax rule:', error);
+    const msg = error.message || 'Failed to update tax rule';
+    res.status(taxRuleErrorCode(msg)).json({ error: msg });
+  }
+}));
+
+// Delete a tax rule - DELETE /tax-rules/:id (placed orders keep the VAT they were charged)
+router.delete('/tax-rules/:id', authenticate, requireAdmin, idempotent, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!isValidUUID(id)) {
+    return res.status(400).json({ error: 'Invalid tax rule ID format' });
+  }
+  try {
+    const deleted = await DatabaseService.deleteTaxRule(id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Tax rule not found' });
+    }
+    res.json({ message: 'Tax rule deleted' });
+  } catch (error) {
+    console.error('Error deleting tax rule:', error);
+    res.status(500).json({ error: 'Failed to delete tax rule' });
+  }
+}));
+
+// Farm refunds - GET /refunds/farm/:farm_id?status=&start_date=&end_date=
+router.get('/refunds/farm/:farm_id', authenticate, asyncHandler(async (req, res) => {
+  const { farm_id } = req.params;
+  const { status, start_date, end_date } = req.query;
+  if (!isValidUUID(farm_id)) {
+    return res.status(400).json({ error: 'Invalid farm ID format' });
+  }
+  try {
+    const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'orders:read');
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied to this farm' });
+    }
+    const refunds = await DatabaseService.getFarmRefunds(farm_id, { status, start_date, end_date });
+    res.json({ farm_id, refunds });
+  } catch (error) {
+    console.error('Error fetching farm refunds:', error);
+    res.status(500).json({ error: 'Failed to fetch farm refunds' });
+  }
 }));
 
 // Sales routes (embedded to avoid creating separate file)
 // Create sale - POST /sales
-router.post('/sales', authenticate, asyncHandler(async (req, res) => {
+router.post('/sales', authenticate, idempotent, asyncHandler(async (req, res) => {
   const { product_id, quantity_sold, price_per_unit, farm_id, sale_date } = req.body;
 
   if (!product_id || !quantity_sold || !price_per_unit || !farm_id) {
@@ -420,7 +1327,7 @@ router.post('/sales', authenticate, asyncHandler(async (req, res) => {
 
   try {
     // Verify farm access
-    const hasAccess = await DatabaseService.verifyFarmOwnership(farm_id, req.user.userId);
+    const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'sales:write');
     if (!hasAccess) {
       throw new Error('Farm access denied');
     }
@@ -451,7 +1358,7 @@ router.post('/sales', authenticate, asyncHandler(async (req, res) => {
       price_per_unit: parseFloat(price_per_unit),
       sale_date: sale_date ? new Date(sale_date) : new Date(),
       profit: Number(totalProfit.toFixed(2)),
-      created_by: req.user.userId
+      created_by: actingUserId(req.user)
     };
 
     // Update product quantity and status
@@ -487,7 +1394,7 @@ router.get('/sales/farm/:farm_id', authenticate, asyncHandler(async (req, res) =
 
   try {
     // Verify farm access
-    const hasAccess = await DatabaseService.verifyFarmOwnership(farm_id, req.user.userId);
+    const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'sales:read');
     if (!hasAccess) {
       throw new Error('Farm access denied');
     }
@@ -521,7 +1428,7 @@ router.get('/sales/farm/:farm_id', authenticate, asyncHandler(async (req, res) =
 }));
 
 // Reverse sale - POST /sales/:id/reverse
-router.post('/sales/:id/reverse', authenticate, asyncHandler(async (req, res) => {
+router.post('/sales/:id/reverse', authenticate, idempotent, asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   try {
@@ -533,7 +1440,7 @@ router.post('/sales/:id/reverse', authenticate, asyncHandler(async (req, res) =>
     }
 
     // Verify farm access
-    const hasAccess = await DatabaseService.verifyFarmOwnership(sale.farm_id, req.user.userId);
+    const hasAccess = await DatabaseService.hasFarmPermission(sale.farm_id, req.user, 'sales:reverse');
     if (!hasAccess) {
       throw new Error('Farm access denied');
     }
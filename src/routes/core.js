@@ -18,7 +18,7 @@
 
 const express = require('express');
 const DatabaseService = require('../services/database.service');
-const { authenticate } = require('../config/auth');
+const { authenticate, requireAdmin: requireAdminAccess } = require('../config/auth');
 const { asyncHandler, validateUUID } = require('../utils/helpers');
 
 const router = express.Router();
@@ -36,10 +36,10 @@ router.post('/store_products', authenticate, asyncHandler(async (req, res) => {
         return res.status(400).json({ error: 'product_id, farm_id, store_price, and store_stock_quantity are required' });
     }
 
-    // Verify farm ownership
-    const farmOwnership = await DatabaseService.verifyFarmOwnership(farm_id, req.user.userId);
-    if (!farmOwnership) {
-        return res.status(403).json({ error: 'Access denied. You do not own this farm.' });
+    // Verify farm access
+    const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'store:write');
+    if (!hasAccess) {
+        return res.status(403).json({ error: 'Access denied to this farm' });
     }
 
     // Note: Allow multiple store products from the same base product
@@ -212,8 +212,8 @@ router.post('/product_batches', authenticate, asyncHandler(async (req, res) => {
     return res.status(400).json({ error: 'Name and farm_id are required' });
   }
 
-  // Verify farm ownership
-  const hasAccess = await DatabaseService.verifyFarmOwnership(farm_id, req.user.userId);
+  // Verify farm access
+  const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'products:write');
   if (!hasAccess) {
     return res.status(403).json({ error: 'Access denied to this farm' });
   }
@@ -234,8 +234,8 @@ router.get('/product_batches/farm/:farm_id', authenticate, asyncHandler(async (r
     return res.status(400).json({ error: 'farm_id is required' });
   }
 
-  // Verify farm ownership
-  const hasAccess = await DatabaseService.verifyFarmOwnership(farm_id, req.user.userId);
+  // Verify farm access
+  const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'products:read');
   if (!hasAccess) {
     return res.status(403).json({ error: 'Access denied to this farm' });
   }
@@ -252,8 +252,8 @@ router.get('/product_batches', authenticate, asyncHandler(async (req, res) => {
     return res.status(400).json({ error: 'farm_id is required' });
   }
 
-  // Verify farm ownership
-  const hasAccess = await DatabaseService.verifyFarmOwnership(farm_id, req.user.userId);
+  // Verify farm access
+  const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'products:read');
   if (!hasAccess) {
     return res.status(403).json({ error: 'Access denied to this farm' });
   }
@@ -271,14 +271,14 @@ router.put('/product_batches/:id', authenticate, asyncHandler(async (req, res) =
     return res.status(400).json({ error: 'Batch ID is required' });
   }
 
-  // Get the batch to verify farm ownership
+  // Get the batch to verify farm access
   const batch = await DatabaseService.getBatchNameById(id);
   if (!batch) {
     return res.status(404).json({ error: 'Batch not found' });
   }
 
-  // Verify farm ownership
-  const hasAccess = await DatabaseService.verifyFarmOwnership(batch.farm_id, req.user.userId);
+  // Verify farm access
+  const hasAccess = await DatabaseService.hasFarmPermission(batch.farm_id, req.user, 'products:write');
   if (!hasAccess) {
     return res.status(403).json({ error: 'Access denied to this farm' });
   }
@@ -304,20 +304,20 @@ router.delete('/product_batches/:id', authenticate, asyncHandler(async (req, res
   }
 
   try {
-    // Get the batch to verify it exists and get farm ownership info
+    // Get the batch to verify it exists and get farm access info
     const batch = await DatabaseService.getProductBatchById(id);
     if (!batch) {
       return res.status(404).json({ error: 'Product batch not found' });
     }
 
-    // Get the product to verify farm ownership
+    // Get the product to verify farm access
     const product = await DatabaseService.getProductById(batch.product_id);
     if (!product) {
       return res.status(404).json({ error: 'Associated product not found' });
     }
 
-    // Verify farm ownership
-    const hasAccess = await DatabaseService.verifyFarmOwnership(product.farm_id, req.user.userId);
+    // Verify farm access
+    const hasAccess = await DatabaseService.hasFarmPermission(product.farm_id, req.user, 'products:delete');
     if (!hasAccess) {
       return res.status(403).json({ error: 'Access denied to this farm' });
     }
@@ -347,7 +347,8 @@ const requireAdmin = (req, res, next) => {
       message: 'Only administrators can manage expense types' 
     });
   }
-  next();
+  // Shared checks (e.g. the admin two-factor policy)
+  requireAdminAccess(req, res, next);
 };
 
 // Expense Types Routes
@@ -411,8 +412,8 @@ router.get('/expense_types/farm/:farm_id', authenticate, asyncHandler(async (req
       console.warn('⚠️  Failed to ensure default expense types:', initErr?.message || initErr);
     }
 
-    // Verify farm ownership; if not, gracefully return default/global types
-    const hasAccess = await DatabaseService.verifyFarmOwnership(farm_id, req.user.userId);
+    // Verify farm access; if not, gracefully return default/global types
+    const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'farm:read');
     if (!hasAccess) {
       const fallbackTypes = await DatabaseService.getExpenseTypes();
       return res.json(fallbackTypes);
@@ -539,8 +540,8 @@ router.post('/products', authenticate, asyncHandler(async (req, res) => {
     return res.status(400).json({ error: 'name and farm_id are required' });
   }
 
-  // Verify farm ownership
-  const hasAccess = await DatabaseService.verifyFarmOwnership(farm_id, req.user.userId);
+  // Verify farm access
+  const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'products:write');
   if (!hasAccess) {
     return res.status(403).json({ error: 'Access denied to this farm' });
   }
@@ -596,7 +597,7 @@ router.delete('/products/:id', authenticate, asyncHandler(async (req, res) => {
   }
 
   // Verify user has access to this farm
-  const hasAccess = await DatabaseService.verifyFarmOwnership(product.farm_id, req.user.userId);
+  const hasAccess = await DatabaseService.hasFarmPermission(product.farm_id, req.user, 'products:delete');
   if (!hasAccess) {
     return res.status(403).json({ error: 'Access denied to this farm' });
   }
@@ -617,8 +618,8 @@ router.get('/products/batches/farm/:farm_id', authenticate, asyncHandler(async (
   const { farm_id } = req.params;
   const { product_id, status, skip = 0, limit = 100 } = req.query;
 
-  // Verify farm ownership
-  const hasAccess = await DatabaseService.verifyFarmOwnership(farm_id, req.user.userId);
+  // Verify farm access
+  const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'products:read');
   if (!hasAccess) {
     return res.status(403).json({ error: 'Access denied to this farm' });
   }
@@ -646,8 +647,8 @@ router.get('/store_products/farm/:farm_id', authenticate, asyncHandler(async (re
   const { farm_id } = req.params;
   const { category, skip = 0, limit = 100 } = req.query;
 
-  // Verify farm ownership
-  const hasAccess = await DatabaseService.verifyFarmOwnership(farm_id, req.user.userId);
+  // Verify farm access
+  const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'products:read');
   if (!hasAccess) {
     return res.status(403).json({ error: 'Access denied to this farm' });
   }
@@ -698,8 +699,8 @@ router.get('/store_products/farm/:farm_id/available_products', authenticate, asy
   const { farm_id } = req.params;
   const { category, skip = 0, limit = 100 } = req.query;
 
-  // Verify farm ownership
-  const hasAccess = await DatabaseService.verifyFarmOwnership(farm_id, req.user.userId);
+  // Verify farm access
+  const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'products:read');
   if (!hasAccess) {
     return res.status(403).json({ error: 'Access denied to this farm' });
   }
@@ -727,8 +728,8 @@ router.put('/store_products/:productId', authenticate, asyncHandler(async (req,
         return res.status(404).json({ error: 'Store product not found' });
     }
 
-    // Verify farm ownership
-    const hasAccess = await DatabaseService.verifyFarmOwnership(existingStoreProduct.farm_id, req.user.userId);
+    // Verify farm access
+    const hasAccess = await DatabaseService.hasFarmPermission(existingStoreProduct.farm_id, req.user, 'store:write');
     if (!hasAccess) {
         return res.status(403).json({ error: 'Access denied to this farm' });
     }
@@ -773,8 +774,8 @@ router.delete('/store_products/:productId', authenticate, asyncHandler(async (re
         return res.status(404).json({ error: 'Store product not found' });
     }
 
-    // Verify farm ownership
-    const hasAccess = await DatabaseService.verifyFarmOwnership(existingStoreProduct.farm_id, req.user.userId);
+    // Verify farm access
+    const hasAccess = await DatabaseService.hasFarmPermission(existingStoreProduct.farm_id, req.user, 'store:write');
     if (!hasAccess) {
         return res.status(403).json({ error: 'Access denied to this farm' });
     }
@@ -798,8 +799,8 @@ router.patch('/store_products/:productId/publish', authenticate, asyncHandler(as
         return res.status(404).json({ error: 'Store product not found' });
     }
 
-    // Verify farm ownership
-    const hasAccess = await DatabaseService.verifyFarmOwnership(existingStoreProduct.farm_id, req.user.userId);
+    // Verify farm access
+    const hasAccess = await DatabaseService.hasFarmPermission(existingStoreProduct.farm_id, req.user, 'store:write');
     if (!hasAccess) {
         return res.status(403).json({ error: 'Access denied to this farm' });
     }
@@ -820,8 +821,8 @@ router.patch('/store_products/:productId/unpublish', authenticate, asyncHandler(
         return res.status(404).json({ error: 'Store product not found' });
     }
 
-    // Verify farm ownership
-    const hasAccess = await DatabaseService.verifyFarmOwnership(existingStoreProduct.farm_id, req.user.userId);
+    // Verify farm access
+    const hasAccess = await DatabaseService.hasFarmPermission(existingStoreProduct.farm_id, req.user, 'store:write');
     if (!hasAccess) {
         return res.status(403).json({ error: 'Access denied to this farm' });
     }
@@ -1,7 +1,14 @@
 const express = require('express');
-const { authenticate } = require('../config/auth');
+const crypto = require('crypto');
+const { authenticate, requireVerifiedEmail, hashToken, actingUserId } = require('../config/auth');
 const { asyncHandler, serializeDoc, toInteger, isValidUUID } = require('../utils/helpers');
 const DatabaseService = require('../services/database.service');
+const SubscriptionService = require('../services/subscription.service');
+const { FARM_ROLES, API_KEY_PERMISSIONS, isValidFarmRole } = require('../config/permissions');
+const { sendMail, buildAppUrl } = require('../services/mail.service');
+
+const INVITATION_TTL_DAYS = parseInt(process.env.FARM_INVITATION_TTL_DAYS, 10) || 7;
+const INVITATION_STATUSES = ['pending', 'accepted', 'declined', 'revoked'];
 
 const router = express.Router();
 
@@ -59,7 +66,8 @@ router.put('/:farm_id', authenticate, asyncHandler(async (req, res) => {
     const { farm_id } = req.params;
     const { 
         name, type, location, description, banner_image, 
-        contact_number, address, bio, build_year 
+        contact_number, address, bio, build_year,
+        vat_registered, vat_registration_number
     } = req.body;
 
     try {
@@ -77,6 +85,11 @@ router.put('/:farm_id', authenticate, asyncHandler(async (req, res) => {
             return res.status(404).json({ error: 'Farm not found' });
         }
 
+        const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'farm:update');
+        if (!hasAccess) {
+            return res.status(403).json({ error: 'Access denied to this farm' });
+        }
+
         // Construct update data
         const updateData = {};
         if (name !== undefined) updateData.name = name;
@@ -90,6 +103,18 @@ router.put('/:farm_id', authenticate, asyncHandler(async (req, res) => {
         // Map bio to description column in DB
         if (bio !== undefined) updateData.description = bio;
         if (build_year !== undefined) updateData.build_year = build_year;
+        // VAT registration: registered farms charge VAT on their orders and need a registration number (BIN)
+        if (vat_registered !== undefined) updateData.vat_registered = Boolean(vat_registered);
+        if (vat_registration_number !== undefined) {
+            updateData.vat_registration_number = vat_registration_number ? String(vat_registration_number).trim() : null;
+        }
+        const registered = updateData.vat_registered ?? existingFarm.vat_registered;
+        const registrationNumber = updateData.vat_registration_number !== undefined
+            ? updateData.vat_registration_number
+            : existingFarm.vat_registration_number;
+        if (registered && !registrationNumber) {
+            return res.status(400).json({ error: 'vat_registration_number is required for VAT-registered farms' });
+        }
 
         // Update the farm
         const updatedFarm = await DatabaseService.updateFarm(farm_id, updateData);
@@ -105,7 +130,7 @@ router.put('/:farm_id', authenticate, asyncHandler(async (req, res) => {
 }));
 
 // Create farm (for new farmers/farm managers after registration)
-router.post('/create-farm', authenticate, asyncHandler(async (req, res) => {
+router.post('/create-farm', authenticate, requireVerifiedEmail, asyncHandler(async (req, res) => {
     console.log('🚀 CREATE FARM REQUEST RECEIVED');
     console.log('📝 Request body:', JSON.stringify(req.body, null, 2));
     console.log('👤 User from auth:', req.user);
@@ -203,7 +228,8 @@ router.get('/user/:user_id', authenticate, asyncHandler(async (req, res) => {
             return res.status(400).json({ error: 'Invalid user ID format' });
         }
 
-        const farm = await DatabaseService.getFarmByOwnerId(user_id);
+        const farm = await DatabaseService.getFarmByOwnerId(user_id)
+            || await DatabaseService.getMemberFarm(user_id);
 
         if (!farm) {
             console.log('❌ No farm found for user:', user_id);
@@ -226,12 +252,12 @@ router.get('/:farm_id/export', authenticate, asyncHandler(async (req, res) => {
             return res.status(400).json({ error: 'Invalid farm ID format' });
         }
 
-        const hasAccess = await DatabaseService.verifyFarmOwnership(farm_id, req.user.userId);
+        const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'farm:export');
         if (!hasAccess) {
             return res.status(403).json({ error: 'Access denied to this farm' });
         }
 
-        const payload = await DatabaseService.exportFarmData(farm_id, req.user.userId);
+        const payload = await DatabaseService.exportFarmData(farm_id, actingUserId(req.user));
 
         const filename = `farm-${farm_id}-export-${new Date().toISOString().slice(0,10)}.json`;
         res.setHeader('Content-Type', 'application/json');
@@ -253,7 +279,7 @@ router.post('/:farm_id/import', authenticate, asyncHandler(async (req, res) => {
             return res.status(400).json({ error: 'Invalid farm ID format' });
         }
 
-        const hasAccess = await DatabaseService.verifyFarmOwnership(farm_id, req.user.userId);
+        const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'farm:import');
         if (!hasAccess) {
             return res.status(403).json({ error: 'Access denied to this farm' });
         }
@@ -291,7 +317,7 @@ router.delete('/:farm_id/remove-all-data', authenticate, asyncHandler(async (req
             return res.status(400).json({ error: 'Invalid farm ID format' });
         }
 
-        const hasAccess = await DatabaseService.verifyFarmOwnership(farm_id, req.user.userId);
+        const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'farm:delete_data');
         if (!hasAccess) {
             return res.status(403).json({ error: 'Access denied to this farm' });
         }
@@ -316,7 +342,7 @@ router.get('/:farm_id/stats', authenticate, asyncHandler(async (req, res) => {
             return res.status(400).json({ error: 'Invalid farm ID format' });
         }
 
-        const hasAccess = await DatabaseService.verifyFarmOwnership(farm_id, req.user.userId);
+        const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'stats:read');
         if (!hasAccess) {
             return res.status(403).json({ error: 'Access denied to this farm' });
         }
@@ -329,6 +355,461 @@ router.get('/:farm_id/stats', authenticate, asyncHandler(async (req, res) => {
     }
 }));
 
+// GET /farms/:farm_id/members - List the farm team
+router.get('/:farm_id/members', authenticate, asyncHandler(async (req, res) => {
+    const { farm_id } = req.params;
+    try {
+        if (!isValidUUID(farm_id)) {
+            return res.status(400).json({ error: 'Invalid farm ID format' });
+        }
+
+        const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'members:read');
+        if (!hasAccess) {
+            return res.status(403).json({ error: 'Access denied to this farm' });
+        }
+
+        const members = await DatabaseService.getFarmMembers(farm_id);
+        res.json({ success: true, count: members.length, members: members.map(serializeDoc) });
+    } catch (error) {
+        console.error('❌ Error fetching farm members:', error);
+        res.status(500).json({ error: 'Failed to fetch farm members', details: error.message });
+    }
+}));
+
+// PUT /farms/:farm_id/members/:user_id - Change a member's role
+router.put('/:farm_id/members/:user_id', authenticate, asyncHandler(async (req, res) => {
+    const { farm_id, user_id } = req.params;
+    const { role } = req.body || {};
+    try {
+        if (!isValidUUID(farm_id) || !isValidUUID(user_id)) {
+            return res.status(400).json({ error: 'Invalid farm or user ID format' });
+        }
+        if (!isValidFarmRole(role) || role === 'owner') {
+            return res.status(400).json({ error: `Invalid role. Must be one of: ${FARM_ROLES.filter(r => r !== 'owner').join(', ')}` });
+        }
+
+        const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'members:manage');
+        if (!hasAccess) {
+            return res.status(403).json({ error: 'Access denied to this farm' });
+        }
+
+        const member = await DatabaseService.getFarmMember(farm_id, user_id);
+        if (!member) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        if (member.role === 'owner') {
+            return res.status(400).json({ error: 'The farm owner role cannot be changed' });
+        }
+
+        const updated = await DatabaseService.updateFarmMemberRole(farm_id, user_id, role);
+        res.json({ message: 'Member role updated', member: serializeDoc(updated) });
+    } catch (error) {
+        console.error('❌ Error updating farm member:', error);
+        res.status(500).json({ error: 'Failed to update farm member', details: error.message });
+    }
+}));
+
+// DELETE /farms/:farm_id/members/:user_id - Remove a member (members may also remove themselves)
+router.delete('/:farm_id/members/:user_id', authenticate, asyncHandler(async (req, res) => {
+    const { farm_id, user_id } = req.params;
+    try {
+        if (!isValidUUID(farm_id) || !isValidUUID(user_id)) {
+            return res.status(400).json({ error: 'Invalid farm or user ID format' });
+        }
+
+        const isSelf = user_id === req.user.userId;
+        const hasAccess = isSelf || await DatabaseService.hasFarmPermission(farm_id, req.user, 'members:manage');
+        if (!hasAccess) {
+            return res.status(403).json({ error: 'Access denied to this farm' });
+        }
+
+        const member = await DatabaseService.getFarmMember(farm_id, user_id);
+        if (!member) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        if (member.role === 'owner') {
+            return res.status(400).json({ error: 'The farm owner cannot be removed' });
+        }
+
+        await DatabaseService.removeFarmMember(farm_id, user_id);
+        res.json({ message: 'Member removed' });
+    } catch (error) {
+        console.error('❌ Error removing farm member:', error);
+        res.status(500).json({ error: 'Failed to remove farm member', details: error.message });
+    }
+}));
+
+// POST /farms/:farm_id/invitations - Invite a user (existing or new) to the farm team
+router.post('/:farm_id/invitations', authenticate, asyncHandler(async (req, res) => {
+    const { farm_id } = req.params;
+    const { email, role } = req.body || {};
+    try {
+        if (!isValidUUID(farm_id)) {
+            return res.status(400).json({ error: 'Invalid farm ID format' });
+        }
+        if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            return res.status(400).json({ error: 'A valid email is required' });
+        }
+        if (!isValidFarmRole(role) || role === 'owner') {
+            return res.status(400).json({ error: `Invalid role. Must be one of: ${FARM_ROLES.filter(r => r !== 'owner').join(', ')}` });
+        }
+
+        const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'members:manage');
+        if (!hasAccess) {
+            return res.status(403).json({ error: 'Access denied to this farm' });
+        }
+
+        const farm = await DatabaseService.getFarmById(farm_id);
+        if (!farm) {
+            return res.status(404).json({ error: 'Farm not found' });
+        }
+
+        const invitee = await DatabaseService.getUserByEmail(email);
+        if (invitee && await DatabaseService.getFarmMember(farm_id, invitee.id)) {
+            return res.status(409).json({ error: 'User is already a member of this farm' });
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const invitation = await DatabaseService.createFarmInvitation({
+            farm_id,
+            email: email.trim(),
+            role,
+            token_hash: hashToken(token),
+            invited_by: req.user.userId,
+            expires_at: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+        });
+
+        try {
+            const acceptUrl = buildAppUrl('/invitations/accept', { farm_id, token });
+            await sendMail({
+                to: invitation.email,
+                subject: `You're invited to join ${farm.name} on FarmFresh BD`,
+                text: [
+                    `You have been invited to join ${farm.name} as ${role}.`,
+                    '',
+                    invitee
+                        ? 'Sign in and open the link below to accept the invitation:'
+                        : 'Create an account with this email address, then open the link below to accept the invitation:',
+                    acceptUrl,
+                    '',
+                    `This invitation expires in ${INVITATION_TTL_DAYS} days.`
+                ].join('\n')
+            });
+        } catch (mailError) {
+            console.error('❌ Failed to send farm invitation email:', mailError);
+        }
+
+        const { token_hash, ...invitationResponse } = invitation;
+        res.status(201).json({ message: 'Invitation sent', invitation: serializeDoc(invitationResponse) });
+    } catch (error) {
+        console.error('❌ Error creating farm invitation:', error);
+        res.status(500).json({ error: 'Failed to create invitation', details: error.message });
+    }
+}));
+
+// GET /farms/:farm_id/invitations - List invitations (optionally ?status=pending)
+router.get('/:farm_id/invitations', authenticate, asyncHandler(async (req, res) => {
+    const { farm_id } = req.params;
+    const { status } = req.query;
+    try {
+        if (!isValidUUID(farm_id)) {
+            return res.status(400).json({ error: 'Invalid farm ID format' });
+        }
+        if (status && !INVITATION_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Invalid status. Must be one of: ${INVITATION_STATUSES.join(', ')}` });
+        }
+
+        const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'members:manage');
+        if (!hasAccess) {
+            return res.status(403).json({ error: 'Access denied to this farm' });
+        }
+
+        const invitations = await DatabaseService.getFarmInvitations(farm_id, status || null);
+        res.json({ success: true, count: invitations.length, invitations: invitations.map(serializeDoc) });
+    } catch (error) {
+        console.error('❌ Error fetching farm invitations:', error);
+        res.status(500).json({ error: 'Failed to fetch invitations', details: error.message });
+    }
+}));
+
+// POST /farms/:farm_id/invitations/accept - Accept an invitation as the invited user
+router.post('/:farm_id/invitations/accept', authenticate, asyncHandler(async (req, res) => {
+    const { farm_id } = req.params;
+    const { token } = req.body || {};
+    try {
+        if (!isValidUUID(farm_id) || !token) {
+            return res.status(400).json({ error: 'farm_id and token are required' });
+        }
+
+        const invitation = await DatabaseService.getFarmInvitationByTokenHash(farm_id, hashToken(token));
+        if (!invitation || invitation.status !== 'pending' || new Date(invitation.expires_at) <= new Date()) {
+            return res.status(400).json({ error: 'Invitation is invalid or has expired' });
+        }
+
+        const user = await DatabaseService.getUserById(req.user.userId);
+        // Phone-only accounts have no email to match against
+        if (!user || !user.email || user.email.toLowerCase() !== invitation.email.toLowerCase()) {
+            return res.status(403).json({ error: 'This invitation was sent to a different email address' });
+        }
+
+        const result = await DatabaseService.acceptFarmInvitation(invitation.id, user.id);
+        if (!result) {
+            return res.status(400).json({ error: 'Invitation is invalid or has expired' });
+        }
+
+        res.json({
+            message: 'Invitation accepted',
+            farm_id,
+            role: result.member.role,
+            member: serializeDoc(result.member)
+        });
+    } catch (error) {
+        console.error('❌ Error accepting farm invitation:', error);
+        res.status(500).json({ error: 'Failed to accept invitation', details: error.message });
+    }
+}));
+
+// POST /farms/:farm_id/invitations/decline - Decline an invitation (the token is proof of receipt)
+router.post('/:farm_id/invitations/decline', asyncHandler(async (req, res) => {
+    const { farm_id } = req.params;
+    const { token } = req.body || {};
+    try {
+        if (!isValidUUID(farm_id) || !token) {
+            return res.status(400).json({ error: 'farm_id and token are required' });
+        }
+
+        const invitation = await DatabaseService.getFarmInvitationByTokenHash(farm_id, hashToken(token));
+        const declined = invitation && await DatabaseService.declineFarmInvitation(invitation.id);
+        if (!declined) {
+            return res.status(400).json({ error: 'Invitation is invalid or has already been answered' });
+        }
+
+        res.json({ message: 'Invitation declined' });
+    } catch (error) {
+        console.error('❌ Error declining farm invitation:', error);
+        res.status(500).json({ error: 'Failed to decline invitation', details: error.message });
+    }
+}));
+
+// DELETE /farms/:farm_id/invitations/:invitation_id - Revoke a pending invitation
+router.delete('/:farm_id/invitations/:invitation_id', authenticate, asyncHandler(async (req, res) => {
+    const { farm_id, invitation_id } = req.params;
+    try {
+        if (!isValidUUID(farm_id) || !isValidUUID(invitation_id)) {
+            return res.status(400).json({ error: 'Invalid farm or invitation ID format' });
+        }
+
+        const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'members:manage');
+        if (!hasAccess) {
+            return res.status(403).json({ error: 'Access denied to this farm' });
+        }
+
+        const revoked = await DatabaseService.revokeFarmInvitation(farm_id, invitation_id);
+        if (!revoked) {
+            return res.status(404).json({ error: 'Pending invitation not found' });
+        }
+
+        res.json({ message: 'Invitation revoked' });
+    } catch (error) {
+        console.error('❌ Error revoking farm invitation:', error);
+        res.status(500).json({ error: 'Failed to revoke invitation', details: error.message });
+    }
+}));
+
+// POST /farms/:farm_id/api-keys - Create an API key for POS/integration clients (the key is only shown once)
+router.post('/:farm_id/api-keys', authenticate, asyncHandler(async (req, res) => {
+    const { farm_id } = req.params;
+    const { name, permissions, expires_at } = req.body || {};
+    try {
+        if (!isValidUUID(farm_id)) {
+            return res.status(400).json({ error: 'Invalid farm ID format' });
+        }
+        if (!name || typeof name !== 'string') {
+            return res.status(400).json({ error: 'name is required' });
+        }
+        if (!Array.isArray(permissions) || permissions.length === 0) {
+            return res.status(400).json({ error: 'permissions must be a non-empty array' });
+        }
+        const invalid = permissions.filter(permission => !API_KEY_PERMISSIONS.includes(permission));
+        if (invalid.length > 0) {
+            return res.status(400).json({
+                error: `Invalid permissions: ${invalid.join(', ')}`,
+                allowed_permissions: API_KEY_PERMISSIONS
+            });
+        }
+        if (expires_at && !(new Date(expires_at) > new Date())) {
+            return res.status(400).json({ error: 'expires_at must be a future date' });
+        }
+
+        const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'api_keys:manage');
+        if (!hasAccess) {
+            return res.status(403).json({ error: 'Access denied to this farm' });
+        }
+
+        const apiKey = `ffbd_${crypto.randomBytes(24).toString('hex')}`;
+        const created = await DatabaseService.createFarmApiKey({
+            farm_id,
+            name: name.trim(),
+            key_prefix: apiKey.slice(0, 12),
+            key_hash: hashToken(apiKey),
+            permissions: [...new Set(permissions)],
+            created_by: req.user.userId,
+            expires_at: expires_at ? new Date(expires_at) : null
+        });
+
+        res.status(201).json({
+            message: 'API key created. Store it securely; it will not be shown again.',
+            api_key: apiKey,
+            key: serializeDoc(created)
+        });
+    } catch (error) {
+        console.error('❌ Error creating API key:', error);
+        res.status(500).json({ error: 'Failed to create API key', details: error.message });
+    }
+}));
+
+// GET /farms/:farm_id/api-keys - List API keys (secrets are never returned)
+router.get('/:farm_id/api-keys', authenticate, asyncHandler(async (req, res) => {
+    const { farm_id } = req.params;
+    try {
+        if (!isValidUUID(farm_id)) {
+            return res.status(400).json({ error: 'Invalid farm ID format' });
+        }
+
+        const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'api_keys:manage');
+        if (!hasAccess) {
+            return res.status(403).json({ error: 'Access denied to this farm' });
+        }
+
+        const keys = await DatabaseService.getFarmApiKeys(farm_id);
+        res.json({ success: true, count: keys.length, keys: keys.map(serializeDoc) });
+    } catch (error) {
+        console.error('❌ Error fetching API keys:', error);
+        res.status(500).json({ error: 'Failed to fetch API keys', details: error.message });
+    }
+}));
+
+// DELETE /farms/:farm_id/api-keys/:key_id - Revoke an API key
+router.delete('/:farm_id/api-keys/:key_id', authenticate, asyncHandler(async (req, res) => {
+    const { farm_id, key_id } = req.params;
+    try {
+        if (!isValidUUID(farm_id) || !isValidUUID(key_id)) {
+            return res.status(400).json({ error: 'Invalid farm or key ID format' });
+        }
+
+        const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'api_keys:manage');
+        if (!hasAccess) {
+            return res.status(403).json({ error: 'Access denied to this farm' });
+        }
+
+        const revoked = await DatabaseService.revokeFarmApiKey(farm_id, key_id);
+        if (!revoked) {
+            return res.status(404).json({ error: 'Active API key not found' });
+        }
+
+        res.json({ message: 'API key revoked', key: serializeDoc(revoked) });
+    } catch (error) {
+        console.error('❌ Error revoking API key:', error);
+        res.status(500).json({ error: 'Failed to revoke API key', details: error.message });
+    }
+}));
+
+// GET /farms/:farm_id/delivery-zones - Where the farm delivers and what it charges (?all=true includes inactive zones)
+router.get('/:farm_id/delivery-zones', asyncHandler(async (req, res) => {
+    const { farm_id } = req.params;
+    try {
+        if (!isValidUUID(farm_id)) {
+            return res.status(400).json({ error: 'Invalid farm ID format' });
+        }
+
+        const zones = await DatabaseService.listDeliveryZones(farm_id, { activeOnly: req.query.all !== 'true' });
+        res.json({ farm_id, delivery_zones: zones.map(z => DatabaseService.presentDeliveryZone(z)) });
+    } catch (error) {
+        console.error('❌ Error fetching delivery zones:', error);
+        res.status(500).json({ error: 'Failed to fetch delivery zones' });
+    }
+}));
+
+// Messages of the zone input checks in DatabaseService; anything else is a server error
+const DELIVERY_ZONE_VALIDATION_ERROR = /is required|are required|must be/;
+
+// POST /farms/:farm_id/delivery-zones - Add a zone { name, zone_type, district/upazila or center and radius_km, fees }
+router.post('/:farm_id/delivery-zones', authenticate, asyncHandler(async (req, res) => {
+    const { farm_id } = req.params;
+    try {
+        if (!isValidUUID(farm_id)) {
+            return res.status(400).json({ error: 'Invalid farm ID format' });
+        }
+
+        const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'delivery:manage');
+        if (!hasAccess) {
+            return res.status(403).json({ error: 'Access denied to this farm' });
+        }
+
+        const zone = await DatabaseService.createDeliveryZone(farm_id, req.body || {});
+        res.status(201).json(DatabaseService.presentDeliveryZone(zone));
+    } catch (error) {
+        console.error('❌ Error creating delivery zone:', error);
+        if (DELIVERY_ZONE_VALIDATION_ERROR.test(error.message)) {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to create delivery zone' });
+    }
+}));
+
+// Load a zone of the farm the caller may manage (responds and returns null otherwise)
+async function loadManagedDeliveryZone(req, res) {
+    const { farm_id, zone_id } = req.params;
+    if (!isValidUUID(farm_id) || !isValidUUID(zone_id)) {
+        res.status(400).json({ error: 'Invalid farm or zone ID format' });
+        return null;
+    }
+    if (!(await DatabaseService.hasFarmPermission(farm_id, req.user, 'delivery:manage'))) {
+        res.status(403).json({ error: 'Access denied to this farm' });
+        return null;
+    }
+    const zone = await DatabaseService.getDeliveryZoneById(zone_id);
+    if (!zone || String(zone.farm_id) !== String(farm_id)) {
+        res.status(404).json({ error: 'Delivery zone not found' });
+        return null;
+    }
+    return zone;
+}
+
+// PUT /farms/:farm_id/delivery-zones/:zone_id - Update a zone
+router.put('/:farm_id/delivery-zones/:zone_id', authenticate, asyncHandler(async (req, res) => {
+    try {
+        const zone = await loadManagedDeliveryZone(req, res);
+        if (!zone) return;
+
+        const updated = await DatabaseService.updateDeliveryZone(zone.id, req.body || {});
+        res.json(DatabaseService.presentDeliveryZone(updated));
+    } catch (error) {
+        console.error('❌ Error updating delivery zone:', error);
+        if (/not found/.test(error.message)) {
+            return res.status(404).json({ error: error.message });
+        }
+        if (DELIVERY_ZONE_VALIDATION_ERROR.test(error.message)) {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to update delivery zone' });
+    }
+}));
+
+// DELETE /farms/:farm_id/delivery-zones/:zone_id - Remove a zone
+router.delete('/:farm_id/delivery-zones/:zone_id', authenticate, asyncHandler(async (req, res) => {
+    try {
+        const zone = await loadManagedDeliveryZone(req, res);
+        if (!zone) return;
+
+        await DatabaseService.deleteDeliveryZone(zone.id);
+        res.json({ message: 'Delivery zone deleted' });
+    } catch (error) {
+        console.error('❌ Error deleting delivery zone:', error);
+        res.status(500).json({ error: 'Failed to delete delivery zone' });
+    }
+}));
+
 module.exports = router;
 /**
  * Farm Orders - for manager dashboard
@@ -344,8 +825,8 @@ router.get('/:farm_id/orders', authenticate, asyncHandler(async (req, res) => {
             return res.status(400).json({ error: 'Invalid farm ID format' });
         }
 
-        // Verify farm ownership
-        const hasAccess = await DatabaseService.verifyFarmOwnership(farm_id, req.user.userId);
+        // Verify farm access
+        const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'orders:read');
         if (!hasAccess) {
             return res.status(403).json({ error: 'Access denied to this farm' });
         }
@@ -356,4 +837,26 @@ router.get('/:farm_id/orders', authenticate, asyncHandler(async (req, res) => {
         console.error('❌ Error fetching farm orders:', error);
         res.status(500).json({ error: 'Failed to fetch farm orders', details: error.message });
     }
-}));
\ No newline at end of file
+}));
+
+// GET /farms/:farm_id/subscriptions?days=14 - The farm's subscriptions and their upcoming deliveries by date
+router.get('/:farm_id/subscriptions', authenticate, asyncHandler(async (req, res) => {
+    const { farm_id } = req.params;
+
+    try {
+        if (!isValidUUID(farm_id)) {
+            return res.status(400).json({ error: 'Invalid farm ID format' });
+        }
+
+        const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'orders:read');
+        if (!hasAccess) {
+            return res.status(403).json({ error: 'Access denied to this farm' });
+        }
+
+        const result = await SubscriptionService.getFarmUpcomingDeliveries(farm_id, { days: req.query.days || 14 });
+        res.json(result);
+    } catch (error) {
+        console.error('❌ Error fetching farm subscriptions:', error);
+        res.status(500).json({ error: 'Failed to fetch farm subscriptions' });
+    }
+}));
@@ -15,7 +15,7 @@
  */
 
 const express = require('express');
-const { authenticate, optionalAuth, requireAdmin } = require('../config/auth');
+const { authenticate, optionalAuth, requireAdmin, actingUserId } = require('../config/auth');
 const { asyncHandler, serializeDoc, serializeDocs } = require('../utils/helpers');
 const DatabaseService = require('../services/database.service');
 
@@ -129,7 +129,7 @@ router.post('/finance/investments', authenticate, asyncHandler(async (req, res)
 
   try {
     // Verify farm access
-    const hasAccess = await DatabaseService.verifyFarmOwnership(farm_id, req.user.userId);
+    const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'investments:write');
     if (!hasAccess) {
       return res.status(403).json({ error: 'Access denied to this farm' });
     }
@@ -142,7 +142,7 @@ router.post('/finance/investments', authenticate, asyncHandler(async (req, res)
       farm_id: String(farm_id),
       investment_date: investment_date ? new Date(investment_date) : new Date(),
       title: title ? String(title) : `${invType} investment`,
-      created_by: req.user.userId,
+      created_by: actingUserId(req.user),
     });
     res.status(201).json(serializeDoc(created));
   } catch (error) {
@@ -161,7 +161,7 @@ router.get('/finance/investments', authenticate, asyncHandler(async (req, res) =
 
   try {
     // Verify farm access
-    const hasAccess = await DatabaseService.verifyFarmOwnership(farm_id, req.user.userId);
+    const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'investments:read');
     if (!hasAccess) {
       return res.status(403).json({ error: 'Access denied to this farm' });
     }
@@ -181,7 +181,7 @@ router.get('/farms/:farm_id/investments', authenticate, asyncHandler(async (req,
     return res.status(400).json({ error: 'farm_id is required' });
   }
   try {
-    const hasAccess = await DatabaseService.verifyFarmOwnership(farm_id, req.user.userId);
+    const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'investments:read');
     if (!hasAccess) {
       return res.status(403).json({ error: 'Access denied to this farm' });
     }
@@ -204,7 +204,7 @@ router.delete('/finance/investments/:id', authenticate, asyncHandler(async (req,
     }
 
     // Verify farm access
-    const hasAccess = await DatabaseService.verifyFarmOwnership(investment.farm_id, req.user.userId);
+    const hasAccess = await DatabaseService.hasFarmPermission(investment.farm_id, req.user, 'investments:write');
     if (!hasAccess) {
       return res.status(403).json({ error: 'Access denied to this farm' });
     }
@@ -234,7 +234,7 @@ router.get('/finance/expense-types/farm/:farm_id', authenticate, asyncHandler(as
     }
 
     // Verify farm access; if not, gracefully return default/global types
-    const hasAccess = await DatabaseService.verifyFarmOwnership(farm_id, req.user.userId);
+    const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'farm:read');
     if (!hasAccess) {
       const fallbackTypes = await DatabaseService.getExpenseTypes();
       return res.json(fallbackTypes.map(serializeDoc));
@@ -265,7 +265,7 @@ router.get('/finance/expenses', authenticate, asyncHandler(async (req, res) => {
 
   try {
     // Verify farm access
-    const hasAccess = await DatabaseService.verifyFarmOwnership(farm_id, req.user.userId);
+    const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'expenses:read');
     if (!hasAccess) {
       return res.status(403).json({ error: 'Access denied to this farm' });
     }
@@ -304,7 +304,7 @@ router.post('/expenses', authenticate, asyncHandler(async (req, res) => {
 
     try {
         // Verify farm access
-        const hasAccess = await DatabaseService.verifyFarmOwnership(farm_id, req.user.userId);
+        const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'expenses:write');
         if (!hasAccess) {
             return res.status(403).json({ error: 'Access denied to this farm' });
         }
@@ -350,7 +350,7 @@ router.post('/expenses', authenticate, asyncHandler(async (req, res) => {
             amount: parseFloat(amount),
             farm_id,
             expense_date: expense_date ? new Date(expense_date) : (date ? new Date(date) : new Date()),
-            created_by: req.user.userId,
+            created_by: actingUserId(req.user),
             batch_id: String(product_batch).trim(),
         };
 
@@ -403,7 +403,7 @@ router.get('/farms/:farm_id/expenses', authenticate, asyncHandler(async (req, re
 
     try {
         // Verify farm access
-        const hasAccess = await DatabaseService.verifyFarmOwnership(farm_id, req.user.userId);
+        const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'expenses:read');
         if (!hasAccess) {
             return res.status(403).json({ error: 'Access denied to this farm' });
         }
@@ -451,7 +451,7 @@ router.put('/expenses/:expense_id', authenticate, asyncHandler(async (req, res)
         }
 
         // Verify farm access
-        const hasAccess = await DatabaseService.verifyFarmOwnership(existingExpense.farm_id, req.user.userId);
+        const hasAccess = await DatabaseService.hasFarmPermission(existingExpense.farm_id, req.user, 'expenses:write');
         if (!hasAccess) {
             return res.status(403).json({ error: 'Access denied to this farm' });
         }
@@ -551,7 +551,7 @@ router.delete('/expenses/:expense_id', authenticate, asyncHandler(async (req, re
         }
 
         // Verify farm access
-        const hasAccess = await DatabaseService.verifyFarmOwnership(existingExpense.farm_id, req.user.userId);
+        const hasAccess = await DatabaseService.hasFarmPermission(existingExpense.farm_id, req.user, 'expenses:delete');
         if (!hasAccess) {
             return res.status(403).json({ error: 'Access denied to this farm' });
         }
@@ -586,7 +586,7 @@ router.post('/investments', authenticate, asyncHandler(async (req, res) => {
 
     try {
         // Verify farm access
-        const hasAccess = await DatabaseService.verifyFarmOwnership(farm_id, req.user.userId);
+        const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'investments:write');
         if (!hasAccess) {
             return res.status(403).json({ error: 'Access denied to this farm' });
         }
@@ -601,7 +601,7 @@ router.post('/investments', authenticate, asyncHandler(async (req, res) => {
             farm_id,
             investment_date: new Date(invDate),
             title: invTitle,
-            created_by: req.user.userId,
+            created_by: actingUserId(req.user),
         };
 
         const investment = await DatabaseService.createInvestment(investmentData);
@@ -622,7 +622,7 @@ router.get('/farms/:farm_id/investments', authenticate, asyncHandler(async (req,
 
     try {
         // Verify farm access
-        const hasAccess = await DatabaseService.verifyFarmOwnership(farm_id, req.user.userId);
+        const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'investments:read');
         if (!hasAccess) {
             return res.status(403).json({ error: 'Access denied to this farm' });
         }
@@ -647,7 +647,7 @@ router.put('/investments/:id', authenticate, asyncHandler(async (req, res) => {
         }
 
         // Verify farm access
-        const hasAccess = await DatabaseService.verifyFarmOwnership(investment.farm_id, req.user.userId);
+        const hasAccess = await DatabaseService.hasFarmPermission(investment.farm_id, req.user, 'investments:write');
         if (!hasAccess) {
             return res.status(403).json({ error: 'Access denied to this farm' });
         }
@@ -691,7 +691,7 @@ router.delete('/investments/:id', authenticate, asyncHandler(async (req, res) =>
         }
 
         // Verify farm access
-        const hasAccess = await DatabaseService.verifyFarmOwnership(investment.farm_id, req.user.userId);
+        const hasAccess = await DatabaseService.hasFarmPermission(investment.farm_id, req.user, 'investments:write');
         if (!hasAccess) {
             return res.status(403).json({ error: 'Access denied to this farm' });
         }
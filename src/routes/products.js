@@ -5,6 +5,13 @@ const DatabaseService = require('../services/database.service');
 
 const router = express.Router();
 
+// Shipping weight of one unit for products not sold by the kg (null when unknown, false when invalid)
+function parseWeightKg(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const weight = Number(value);
+    return Number.isFinite(weight) && weight >= 0 ? weight : false;
+}
+
 // Create a new product - POST /products
 router.post('/', authenticate, asyncHandler(async (req, res) => {
     const { 
@@ -15,7 +22,8 @@ router.post('/', authenticate, asyncHandler(async (req, res) => {
         quantity, 
         total_price, 
         batch_name, 
-        product_type 
+        product_type,
+        weight_kg
     } = req.body;
 
     if (!name || !farm_id || !quantity || total_price === undefined || !batch_name) {
@@ -60,6 +68,11 @@ router.post('/', authenticate, asyncHandler(async (req, res) => {
         });
     }
 
+    const parsedWeight = parseWeightKg(weight_kg);
+    if (parsedWeight === false) {
+        return res.status(400).json({ error: 'weight_kg must be a non-negative number' });
+    }
+
     try {
         // Verify farm exists
         const farm = await DatabaseService.getFarmById(farm_id);
@@ -67,6 +80,11 @@ router.post('/', authenticate, asyncHandler(async (req, res) => {
             return res.status(404).json({ error: 'Farm not found' });
         }
 
+        const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'products:write');
+        if (!hasAccess) {
+            return res.status(403).json({ error: 'Access denied to this farm' });
+        }
+
         const productData = {
             name,
             description: description || null,
@@ -76,6 +94,7 @@ router.post('/', authenticate, asyncHandler(async (req, res) => {
             total_price: parsedTotalPrice,
             batch_name: batch_name,
             product_type: product_type || 'others',
+            weight_kg: parsedWeight,
             status: 'unsold'
         };
 
@@ -199,7 +218,8 @@ router.put('/:product_id', authenticate, asyncHandler(async (req, res) => {
         product_type,
         quantity,
         total_price,
-        batch_name
+        batch_name,
+        weight_kg
     } = req.body;
 
     try {
@@ -211,6 +231,11 @@ router.put('/:product_id', authenticate, asyncHandler(async (req, res) => {
             return res.status(404).json({ error: 'Product not found' });
         }
 
+        const hasAccess = await DatabaseService.hasFarmPermission(existingProduct.farm_id, req.user, 'products:write');
+        if (!hasAccess) {
+            return res.status(403).json({ error: 'Access denied to this farm' });
+        }
+
         // Verify category exists if provided
         if (category_id) {
             const categoryIdValidated = validateUUID(category_id);
@@ -262,6 +287,14 @@ router.put('/:product_id', authenticate, asyncHandler(async (req, res) => {
             updateData.unit_price = updateData.total_price / updateData.quantity;
         }
 
+        if (weight_kg !== undefined) {
+            const parsedWeight = parseWeightKg(weight_kg);
+            if (parsedWeight === false) {
+                return res.status(400).json({ error: 'weight_kg must be a non-negative number' });
+            }
+            updateData.weight_kg = parsedWeight;
+        }
+
         // Map batch_name if provided
         if (batch_name !== undefined) {
             if (typeof batch_name !== 'string' || batch_name.trim().length === 0) {
@@ -296,6 +329,11 @@ router.delete('/:product_id', authenticate, asyncHandler(async (req, res) => {
             return res.status(404).json({ error: 'Product not found' });
         }
 
+        const hasAccess = await DatabaseService.hasFarmPermission(existingProduct.farm_id, req.user, 'products:delete');
+        if (!hasAccess) {
+            return res.status(403).json({ error: 'Access denied to this farm' });
+        }
+
         await DatabaseService.deleteProduct(productId);
         console.log('✅ Product deleted successfully:', { productId });
         res.json({ message: 'Product deleted successfully' });
@@ -329,14 +367,14 @@ router.post('/batches', authenticate, asyncHandler(async (req, res) => {
         // Validate product_id format
         const productIdValidated = validateUUID(product_id);
 
-        // Verify product exists and get farm_id for ownership check
+        // Verify product exists and get farm_id for access check
         const product = await DatabaseService.getProductById(productIdValidated);
         if (!product) {
             return res.status(404).json({ error: 'Product not found' });
         }
 
-        // Verify farm ownership
-        const hasAccess = await DatabaseService.verifyFarmOwnership(product.farm_id, req.user.userId);
+        // Verify farm access
+        const hasAccess = await DatabaseService.hasFarmPermission(product.farm_id, req.user, 'products:write');
         if (!hasAccess) {
             return res.status(403).json({ error: 'Access denied to this farm' });
         }
@@ -462,6 +500,11 @@ router.patch('/:product_id/status', authenticate, asyncHandler(async (req, res)
             return res.status(404).json({ error: 'Product not found' });
         }
 
+        const hasAccess = await DatabaseService.hasFarmPermission(product.farm_id, req.user, 'products:write');
+        if (!hasAccess) {
+            return res.status(403).json({ error: 'Access denied to this farm' });
+        }
+
         const updated = await DatabaseService.updateProductStatus(product_id, status);
         res.json(serializeDoc(updated));
     } catch (error) {
@@ -80,7 +80,7 @@ router.get('/pdf', authenticate, asyncHandler(async (req, res) => {
     return res.status(400).json({ error: 'Valid farm_id is required' });
   }
 
-  const hasAccess = await DatabaseService.verifyFarmOwnership(farm_id, req.user.userId);
+  const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'reports:read');
   if (!hasAccess) {
     return res.status(403).json({ error: 'Access denied to this farm' });
   }
@@ -146,6 +146,8 @@ router.get('/pdf', authenticate, asyncHandler(async (req, res) => {
     ['Total Sales Revenue', formatCurrency(stats?.total_sales)],
     ['Total Expenses', formatCurrency(stats?.total_expenses)],
     ['Total Investments', formatCurrency(stats?.total_investments)],
+    ['Total Refunds', `${formatCurrency(stats?.total_refunds)} (${stats?.refund_count ?? 0})`],
+    ['VAT Collected', formatCurrency(stats?.total_vat)],
     ['Gross Profit', formatCurrency(stats?.gross_profit)],
     ['ROI Percentage', `${roiPercent}%`],
     ['Total Products', `${stats?.product_count ?? 0}`],
@@ -495,7 +497,7 @@ router.get('/csv', authenticate, asyncHandler(async (req, res) => {
     return res.status(400).json({ error: 'Valid farm_id is required' });
   }
 
-  const hasAccess = await DatabaseService.verifyFarmOwnership(farm_id, req.user.userId);
+  const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'reports:read');
   if (!hasAccess) {
     return res.status(403).json({ error: 'Access denied to this farm' });
   }
@@ -509,6 +511,7 @@ router.get('/csv', authenticate, asyncHandler(async (req, res) => {
   const expenses = await DatabaseService.getExpensesByFarmWithFilters(farm_id, { start_date: startDate, end_date: endDateResolved });
   const storeProducts = await DatabaseService.getStoreProductsByFarmId(farm_id);
   const ordersData = await DatabaseService.getFarmOrders(farm_id, { limit: 100 });
+  const refunds = await DatabaseService.getFarmRefunds(farm_id, { start_date: startDate, end_date: endDateResolved });
 
   let csv = '';
   
@@ -532,6 +535,8 @@ router.get('/csv', authenticate, asyncHandler(async (req, res) => {
   csv += `"Total Sales Revenue",${stats?.total_sales || 0},"${formatCurrency(stats?.total_sales)}"\n`;
   csv += `"Total Expenses",${stats?.total_expenses || 0},"${formatCurrency(stats?.total_expenses)}"\n`;
   csv += `"Total Investments",${stats?.total_investments || 0},"${formatCurrency(stats?.total_investments)}"\n`;
+  csv += `"Total Refunds",${stats?.total_refunds || 0},"${formatCurrency(stats?.total_refunds)}"\n`;
+  csv += `"VAT Collected",${stats?.total_vat || 0},"${formatCurrency(stats?.total_vat)}"\n`;
   csv += `"Gross Profit",${stats?.gross_profit || 0},"${formatCurrency(stats?.gross_profit)}"\n`;
   csv += `"ROI Percentage",${Number(stats?.roi || 0).toFixed(2)},"${Number(stats?.roi || 0).toFixed(2)}%"\n`;
   csv += `"Total Products",${stats?.product_count || 0},"${stats?.product_count || 0} products"\n`;
@@ -658,6 +663,20 @@ router.get('/csv', authenticate, asyncHandler(async (req, res) => {
   }
   csv += '\n';
 
+  // Refunds section
+  csv += 'REFUNDS\n';
+  if (refunds.length === 0) {
+    csv += 'No refunds in the selected date range\n';
+  } else {
+    csv += 'Refund ID,Requested,Order Number,Status,Amount (BDT),Full Refund,Items Count,Reason\n';
+    refunds.forEach(refund => {
+      const requested = refund.created_at?.toISOString ? refund.created_at.toISOString().slice(0,10) : (refund.created_at || 'N/A');
+      const reason = (refund.reason || '').replace(/"/g, '""');
+      csv += `"${refund._id}","${requested}","${refund.order_number || 'N/A'}","${refund.status}",${refund.amount},"${refund.is_full ? 'Yes' : 'No'}",${refund.items.length},"${reason}"\n`;
+    });
+  }
+  csv += '\n';
+
   // Footer
   csv += 'REPORT METADATA\n';
   csv += 'Field,Value\n';
@@ -667,6 +686,7 @@ router.get('/csv', authenticate, asyncHandler(async (req, res) => {
   csv += `"Total Expense Records",${expenses.length}\n`;
   csv += `"Total Store Products",${storeProducts.length}\n`;
   csv += `"Total Online Orders",${orders.length}\n`;
+  csv += `"Total Refund Records",${refunds.length}\n`;
   csv += `"Data Export Format","CSV"\n`;
 
   const filename = `${(farm?.name || 'farm').replace(/[^a-zA-Z0-9]/g, '_')}-report-${new Date().toISOString().slice(0,10)}.csv`;
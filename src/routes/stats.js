@@ -28,7 +28,7 @@ router.get('/:farmId', authenticate, asyncHandler(async (req, res) => {
 
     try {
         // Verify farm access
-        const hasAccess = await DatabaseService.verifyFarmOwnership(farmId, req.user.userId);
+        const hasAccess = await DatabaseService.hasFarmPermission(farmId, req.user, 'stats:read');
         if (!hasAccess) {
             return res.status(403).json({ error: 'Access denied to this farm' });
         }
@@ -55,7 +55,7 @@ router.get('/farm/:farmId/profit_over_time', authenticate, asyncHandler(async (r
 
     try {
         // Verify farm access
-        const hasAccess = await DatabaseService.verifyFarmOwnership(farmId, req.user.userId);
+        const hasAccess = await DatabaseService.hasFarmPermission(farmId, req.user, 'stats:read');
         if (!hasAccess) {
             return res.status(403).json({ error: 'Access denied to this farm' });
         }
@@ -110,7 +110,7 @@ router.get('/farm/:farmId/batch_summaries', authenticate, asyncHandler(async (re
   }
 
   try {
-    const hasAccess = await DatabaseService.verifyFarmOwnership(farmId, req.user.userId);
+    const hasAccess = await DatabaseService.hasFarmPermission(farmId, req.user, 'stats:read');
     if (!hasAccess) {
       return res.status(403).json({ error: 'Access denied to this farm' });
     }
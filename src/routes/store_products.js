@@ -64,7 +64,7 @@ router.get('/farm/:farm_id/available_products', authenticate, asyncHandler(async
 
     try {
         // Verify farm access for authenticated user
-        const hasAccess = await DatabaseService.verifyFarmOwnership(farm_id, req.user.userId);
+        const hasAccess = await DatabaseService.hasFarmPermission(farm_id, req.user, 'products:read');
         if (!hasAccess) {
             return res.status(403).json({ error: 'Farm access denied' });
         }
@@ -138,7 +138,7 @@ router.post('/', authenticate, asyncHandler(async (req, res) => {
         // If farm_id provided, verify access and prevent duplicates
         if (farm_id) {
             const farmIdValidated = validateUUID(farm_id);
-            const hasAccess = await DatabaseService.verifyFarmOwnership(farmIdValidated, req.user.userId);
+            const hasAccess = await DatabaseService.hasFarmPermission(farmIdValidated, req.user, 'store:write');
             if (!hasAccess) {
                 return res.status(403).json({ error: 'Farm access denied' });
             }
@@ -0,0 +1,41 @@
+/**
+ * Generate a JWT keyring entry for key rotation
+ * Usage: node src/scripts/generate-jwt-key.js [RS256|ES256|HS256] [kid]
+ *
+ * Rotation: add the new entry to the front of JWT_KEYS and set retired_at on the old key.
+ * Tokens signed with the old key stay valid for JWT_KEY_GRACE_HOURS after retired_at.
+ */
+const crypto = require('crypto');
+const { SUPPORTED_ALGORITHMS } = require('../config/jwt-keys');
+
+function generateKeyEntry(alg = 'RS256', kid = new Date().toISOString().slice(0, 10)) {
+  const algorithm = String(alg).toUpperCase();
+  if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unsupported algorithm: ${alg}`);
+  }
+
+  if (algorithm === 'HS256') {
+    return { kid, alg: algorithm, secret: crypto.randomBytes(48).toString('base64url') };
+  }
+
+  const { privateKey, publicKey } = algorithm === 'RS256'
+    ? crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+    : crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  return {
+    kid,
+    alg: algorithm,
+    private_key: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    public_key: publicKey.export({ type: 'spki', format: 'pem' })
+  };
+}
+
+if (require.main === module) {
+  try {
+    console.log(JSON.stringify(generateKeyEntry(process.argv[2], process.argv[3]), null, 2));
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { generateKeyEntry };
@@ -1,4 +1,61 @@
 const { query, transaction } = require('../config/database');
+const { roleHasPermission } = require('../config/permissions');
+const { assertTransition } = require('../config/order-status');
+
+// Progression of an order (or fulfilment) towards delivery; closed statuses sit outside it
+const ORDER_STATUS_FLOW = ['pending', 'confirmed', 'processing', 'shipped', 'delivered'];
+const CLOSED_ORDER_STATUSES = ['cancelled', 'refunded'];
+const ORDER_PAYMENT_METHODS = ['cash_on_delivery', 'bank_transfer', 'mobile_banking', 'credit_card', 'other'];
+// Fulfilment statuses that can be refunded (pending ones are cancelled instead)
+const REFUNDABLE_FULFILMENT_STATUSES = ['confirmed', 'processing', 'shipped', 'delivered'];
+
+// Latest payment request with instructions, for statements on `orders` without an alias
+const LATEST_PAYMENT_INFO = `(SELECT p.payment_info FROM order_payments p
+  WHERE p.order_id = orders.id AND p.payment_info IS NOT NULL
+  ORDER BY p.created_at DESC LIMIT 1) AS payment_info`;
+// Same for queries aliasing orders as `o`; exposes pay.payment_info, pay.payment_message, pay.payment_reference
+const LATEST_PAYMENT_JOIN = `LEFT JOIN LATERAL (
+  SELECT p.payment_info, p.payment_message, p.payment_reference FROM order_payments p
+  WHERE p.order_id = o.id AND p.payment_info IS NOT NULL
+  ORDER BY p.created_at DESC LIMIT 1
+) pay ON TRUE`;
+
+const DELIVERY_ZONE_TYPES = ['area', 'radius'];
+const SUBSCRIPTION_FREQUENCIES = ['weekly', 'fortnightly', 'monthly'];
+const SUBSCRIPTION_OUT_OF_STOCK_POLICIES = ['skip_item', 'skip_delivery'];
+
+// Great-circle distance in km between two { latitude, longitude } points
+function distanceKm(a, b) {
+  const rad = (deg) => Number(deg) * Math.PI / 180;
+  const dLat = rad(b.latitude) - rad(a.latitude);
+  const dLon = rad(b.longitude) - rad(a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.latitude)) * Math.cos(rad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(h));
+}
+
+// How long checkout reservations hold stock
+const STOCK_RESERVATION_MINUTES = parseInt(process.env.STOCK_RESERVATION_MINUTES, 10) || 15;
+
+// Stock held by unexpired checkout reservations, for queries aliasing store_products as `sp`.
+// With `exceptCustomerParam` (a placeholder such as '$2'), that customer's own holds are not counted.
+function heldStockSql(exceptCustomerParam = null) {
+  return `(SELECT COALESCE(SUM(r.quantity), 0) FROM stock_reservations r
+    WHERE r.store_product_id = sp.id AND r.status = 'active' AND r.expires_at > NOW()${
+  exceptCustomerParam ? ` AND r.customer_id <> ${exceptCustomerParam}` : ''})`;
+}
+
+// Principals are a user id or the `req.user` of a session or farm API key.
+// An API key has no user of its own and acts as the member who created it.
+function principalUserId(principal) {
+  return principal && typeof principal === 'object' ? principal.userId : principal;
+}
+
+function principalActorId(principal) {
+  if (!principal || typeof principal !== 'object') return principal || null;
+  // Required here: config/auth depends on this module
+  const { actingUserId } = require('../config/auth');
+  return actingUserId(principal);
+}
 
 /**
  * Database Service Layer for PostgreSQL operations
@@ -36,10 +93,10 @@ class DatabaseService {
     if (base === 'shipped') return 'in_transit';
     if (base === 'pending') {
       const payStatus = String(orderRow.payment_status || '').toLowerCase();
-      // Show waiting_for_payment only when metadata includes payment_info
+      // Show waiting_for_payment only when a payment request with instructions exists
       if (payStatus === 'pending') {
-        const meta = DatabaseService.extractMetaFromNotes(orderRow.notes);
-        const hasPaymentInfo = meta && typeof meta.payment_info === 'string' && meta.payment_info.trim().length > 0;
+        const info = orderRow.payment_info;
+        const hasPaymentInfo = typeof info === 'string' && info.trim().length > 0;
         if (hasPaymentInfo) return 'waiting_for_payment';
         return 'pending';
       }
@@ -59,10 +116,45 @@ class DatabaseService {
     }
   }
 
-  static mergeMetaToNotes(existingNotes, meta) {
-    const current = DatabaseService.extractMetaFromNotes(existingNotes);
-    const merged = { ...current, ...meta };
-    return JSON.stringify(merged);
+  /**
+   * Order metadata in the JSON shape that used to be stored in orders.notes.
+   * Still returned as `notes` so existing clients keep working.
+   */
+  static legacyOrderNotes(row) {
+    const meta = {
+      customer_phone: row.contact_phone || null,
+      temp_cart_id: row.temp_cart_id || null
+    };
+    for (const key of ['payment_info', 'payment_message', 'payment_reference', 'cancellation_reason']) {
+      if (row[key]) meta[key] = row[key];
+    }
+    return JSON.stringify(meta);
+  }
+
+  // 'YYYY-MM-DD' for a DATE column (node-pg reads them as local midnight) or a date string
+  static toDateKey(value) {
+    if (!value) return null;
+    if (value instanceof Date) {
+      const pad = (n) => String(n).padStart(2, '0');
+      return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    }
+    return String(value).slice(0, 10);
+  }
+
+  /**
+   * Customer-facing order row from getUserOrders/getOrderById
+   */
+  static presentOrderRow(row) {
+    const { contact_phone, temp_cart_id, payment_reference, cancellation_reason, customer_notes, ...rest } = row;
+    return {
+      ...rest,
+      status: DatabaseService.presentStatus(row),
+      notes: DatabaseService.legacyOrderNotes(row),
+      customer_notes: customer_notes || null,
+      payment_info: row.payment_info || null,
+      payment_message: row.payment_message || null,
+      customer_phone: row.customer_phone || contact_phone || null
+    };
   }
 
   static async getOrderItemsDetailed(orderId) {
@@ -70,10 +162,16 @@ class DatabaseService {
       `SELECT 
          oi.id AS _id,
          oi.order_id,
+         oi.fulfilment_id,
          oi.store_product_id,
          oi.quantity,
          oi.unit_price AS price,
          oi.total_price AS total,
+         oi.discount_amount,
+         oi.tax_rate,
+         oi.tax_inclusive,
+         oi.taxable_amount,
+         oi.tax_amount,
          sp.id AS store_product_id_alias,
          p.id AS product_id,
          COALESCE(p.name, 'Unknown Product') AS product_name,
@@ -94,580 +192,3335 @@ class DatabaseService {
     return result.rows;
   }
 
-  static async placeOrder(userId, payload) {
-    const {
-      items,
-      customer_phone,
-      delivery_address,
-      notes,
-      delivery_fee,
-      temp_cart_id
-    } = payload || {};
-
-    if (!Array.isArray(items) || items.length === 0) {
-      throw new Error('Items array is required');
+  /**
+   * Overall order status from its fulfilment statuses: the least advanced open fulfilment,
+   * or cancelled/refunded once no fulfilment is open
+   */
+  static rollupOrderStatus(statuses) {
+    const open = statuses.filter(s => !CLOSED_ORDER_STATUSES.includes(s));
+    if (open.length === 0) {
+      return statuses.includes('refunded') ? 'refunded' : 'cancelled';
     }
+    return open.reduce((least, s) => (
+      ORDER_STATUS_FLOW.indexOf(s) < ORDER_STATUS_FLOW.indexOf(least) ? s : least
+    ));
+  }
 
-    // Validate and prepare items
-    const preparedItems = [];
-    let totalAmount = 0;
+  static presentFulfilment(row) {
+    return {
+      _id: row._id,
+      farm_id: row.farm_id,
+      farm_name: row.farm_name || null,
+      status: DatabaseService.presentStatus({ status: row.status }),
+      subtotal_amount: Number(row.subtotal_amount),
+      discount_amount: Number(row.discount_amount),
+      tax_amount: Number(row.tax_amount),
+      delivery_fee: Number(row.shipping_amount),
+      final_amount: Number(row.final_amount),
+      delivery_zone_id: row.delivery_zone_id || null,
+      pending_amendment_id: row.pending_amendment_id || null,
+      courier_contact: row.courier_contact || null,
+      courier_ref_id: row.courier_ref_id || null,
+      cancellation_reason: row.cancellation_reason || null,
+      cancelled_at: row.cancelled_at || null,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
 
-    for (const item of items) {
-      const { store_product_id, quantity } = item || {};
-      if (!store_product_id || !quantity || Number(quantity) <= 0) {
-        throw new Error('Each item must have store_product_id and positive quantity');
-      }
+  static async getOrderFulfilments(orderId) {
+    const result = await query(
+      `SELECT f.id AS _id, f.*, fm.name AS farm_name, s.courier_contact, s.courier_ref_id, am.id AS pending_amendment_id
+       FROM order_fulfilments f
+       LEFT JOIN farms fm ON f.farm_id = fm.id
+       LEFT JOIN order_shipments s ON s.fulfilment_id = f.id
+       LEFT JOIN order_amendments am ON am.fulfilment_id = f.id AND am.status = 'proposed'
+       WHERE f.order_id = $1
+       ORDER BY f.created_at ASC, f.id ASC`,
+      [orderId]
+    );
+    return result.rows.map(row => DatabaseService.presentFulfilment(row));
+  }
 
-      const sp = await DatabaseService.getStoreProductById(store_product_id);
-      if (!sp) {
-        throw new Error('Store product not found');
-      }
-      if (!sp.is_available) {
-        throw new Error(`Product '${sp.product_name}' is not available`);
-      }
-      const available = Number(sp.store_stock_quantity ?? sp.available_stock ?? 0);
-      if (!Number.isFinite(available) || available < Number(quantity)) {
-        throw new Error(`Insufficient stock for '${sp.product_name}'. Available: ${available}, Requested: ${quantity}`);
+  /**
+   * Append an entry to an order's status history (inside a transaction)
+   */
+  static async recordOrderStatusChange(client, { order_id, fulfilment_id = null, from_status = null, to_status, actor_id = null, actor_role, note = null }) {
+    await client.query(
+      `INSERT INTO order_status_history (order_id, fulfilment_id, from_status, to_status, actor_id, actor_role, note)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [order_id, fulfilment_id, from_status, to_status, actor_id, actor_role, note]
+    );
+  }
+
+  /**
+   * Recompute an order's combined totals and overall status from its fulfilments (inside a transaction).
+   * Cancelled fulfilments drop out of the combined total; a fully cancelled order keeps its last totals.
+   * With `change` ({ previous_status, actor_id, actor_role, note }) a change of the overall status is
+   * recorded in the order's history.
+   */
+  static async syncOrderWithFulfilments(client, orderId, change = null) {
+    const updated = await DatabaseService.applyFulfilmentTotals(client, orderId);
+    if (change && updated) {
+      const status = DatabaseService.presentStatus(updated);
+      if (status !== change.previous_status) {
+        await DatabaseService.recordOrderStatusChange(client, {
+          order_id: orderId,
+          from_status: change.previous_status,
+          to_status: status,
+          actor_id: change.actor_id,
+          actor_role: change.actor_role,
+          note: change.note
+        });
       }
+    }
+    return updated;
+  }
 
-      const unitPrice = Number(sp.price_after_discount ?? sp.store_price ?? 0);
-      const qty = Number(quantity);
-      const lineTotal = Number((unitPrice * qty).toFixed(2));
-      totalAmount += lineTotal;
-      preparedItems.push({ store_product_id, quantity: qty, unit_price: unitPrice, total_price: lineTotal });
+  static async applyFulfilmentTotals(client, orderId) {
+    const fulfilmentsRes = await client.query(
+      `SELECT status, subtotal_amount, discount_amount, tax_amount, shipping_amount
+       FROM order_fulfilments WHERE order_id = $1`,
+      [orderId]
+    );
+    const rows = fulfilmentsRes.rows;
+    if (rows.length === 0) {
+      const currRes = await client.query(`SELECT *, ${LATEST_PAYMENT_INFO} FROM orders WHERE id = $1`, [orderId]);
+      return currRes.rows[0];
+    }
+
+    const status = DatabaseService.rollupOrderStatus(rows.map(r => r.status));
+    const open = rows.filter(r => !CLOSED_ORDER_STATUSES.includes(r.status));
+    if (open.length === 0) {
+      const updRes = await client.query(
+        `UPDATE orders SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *, ${LATEST_PAYMENT_INFO}`,
+        [status, orderId]
+      );
+      return updRes.rows[0];
     }
 
-    const shippingAmount = Number(delivery_fee ?? 0);
-    const discountAmount = 0;
-    const taxAmount = 0;
+    const sum = (field) => Number(open.reduce((acc, r) => acc + Number(r[field] || 0), 0).toFixed(2));
+    const totalAmount = sum('subtotal_amount');
+    const discountAmount = sum('discount_amount');
+    const taxAmount = sum('tax_amount');
+    const shippingAmount = sum('shipping_amount');
     const finalAmount = Number((totalAmount - discountAmount + taxAmount + shippingAmount).toFixed(2));
 
-    const method = 'cash_on_delivery';
-    const metaNotes = DatabaseService.mergeMetaToNotes(notes, {
-      customer_phone: customer_phone || null,
-      temp_cart_id: temp_cart_id || null
-    });
+    // Milestone timestamps are set the first time the whole order reaches them
+    const updRes = await client.query(
+      `UPDATE orders
+       SET status = $1, total_amount = $2, discount_amount = $3, tax_amount = $4,
+           shipping_amount = $5, final_amount = $6,
+           confirmed_at = CASE WHEN $1 IN ('confirmed', 'processing', 'shipped', 'delivered')
+                               THEN COALESCE(confirmed_at, CURRENT_TIMESTAMP) ELSE confirmed_at END,
+           shipped_at = CASE WHEN $1 IN ('shipped', 'delivered')
+                             THEN COALESCE(shipped_at, CURRENT_TIMESTAMP) ELSE shipped_at END,
+           delivered_at = CASE WHEN $1 = 'delivered'
+                               THEN COALESCE(delivered_at, CURRENT_TIMESTAMP) ELSE delivered_at END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $7 RETURNING *, ${LATEST_PAYMENT_INFO}`,
+      [status, totalAmount, discountAmount, taxAmount, shippingAmount, finalAmount, orderId]
+    );
+    return updRes.rows[0];
+  }
 
-    // Transaction: create order, items, and adjust stock
-    const createdOrder = await transaction(async (client) => {
-      const insertOrderRes = await client.query(
-        `INSERT INTO orders (
-           customer_id, status, total_amount, discount_amount, tax_amount, shipping_amount,
-           final_amount, payment_status, payment_method, shipping_address, notes
-         ) VALUES (
-           $1, 'pending', $2, $3, $4, $5,
-           $6, 'pending', $7, $8, $9
-         ) RETURNING *`,
-        [userId, totalAmount, discountAmount, taxAmount, shippingAmount, finalAmount, method, delivery_address, metaNotes]
-      );
-      const orderRow = insertOrderRes.rows[0];
+  /**
+   * Group an order's unassigned items into per-farm fulfilments (inside a transaction).
+   * Used for orders that were created without fulfilments, e.g. by a farm data import;
+   * the order's delivery fee goes to the farm whose item was added first.
+   */
+  static async createMissingFulfilments(client, orderId) {
+    await client.query(
+      `WITH per_farm AS (
+         SELECT oi.order_id, p.farm_id, SUM(oi.total_price) AS subtotal, MIN(oi.created_at) AS first_item_at
+         FROM order_items oi
+         JOIN store_products sp ON oi.store_product_id = sp.id
+         JOIN products p ON sp.product_id = p.id
+         WHERE oi.order_id = $1 AND oi.fulfilment_id IS NULL
+         GROUP BY oi.order_id, p.farm_id
+       ),
+       ranked AS (
+         SELECT per_farm.*,
+                ROW_NUMBER() OVER (PARTITION BY order_id ORDER BY first_item_at, farm_id) AS position
+         FROM per_farm
+       )
+       INSERT INTO order_fulfilments (order_id, farm_id, status, subtotal_amount, shipping_amount, final_amount, created_at, updated_at)
+       SELECT r.order_id, r.farm_id, o.status, r.subtotal,
+              CASE WHEN r.position = 1 THEN o.shipping_amount ELSE 0 END,
+              r.subtotal + CASE WHEN r.position = 1 THEN o.shipping_amount ELSE 0 END,
+              o.created_at, o.updated_at
+       FROM ranked r
+       JOIN orders o ON o.id = r.order_id
+       ON CONFLICT (order_id, farm_id) DO NOTHING`,
+      [orderId]
+    );
+    await client.query(
+      `UPDATE order_items oi
+       SET fulfilment_id = f.id
+       FROM store_products sp, products p, order_fulfilments f
+       WHERE oi.order_id = $1
+         AND oi.fulfilment_id IS NULL
+         AND oi.store_product_id = sp.id
+         AND sp.product_id = p.id
+         AND f.order_id = oi.order_id
+         AND f.farm_id = p.farm_id`,
+      [orderId]
+    );
+  }
 
-      for (const pi of preparedItems) {
-        // Insert order item
-        await client.query(
-          `INSERT INTO order_items (order_id, store_product_id, quantity, unit_price, total_price)
-           VALUES ($1, $2, $3, $4, $5)`,
-          [orderRow.id, pi.store_product_id, pi.quantity, pi.unit_price, pi.total_price]
-        );
-        // Deduct stock
-        await client.query(
-          `UPDATE store_products SET stock_quantity = stock_quantity - $2 WHERE id = $1`,
-          [pi.store_product_id, pi.quantity]
-        );
-      }
+  /**
+   * Pick the fulfilment a farm user is acting on. Without a fulfilment id the caller
+   * must manage exactly one of the farms in the order.
+   */
+  static async resolveManagedFulfilment(orderId, principal, fulfilmentId = null) {
+    const orderRes = await query('SELECT id FROM orders WHERE id = $1', [orderId]);
+    if (orderRes.rowCount === 0) throw new Error('Order not found');
 
-      return orderRow;
-    });
+    const result = await query(
+      `SELECT * FROM order_fulfilments WHERE order_id = $1 ORDER BY created_at ASC, id ASC`,
+      [orderId]
+    );
+    let candidates = result.rows;
+    if (fulfilmentId) {
+      candidates = candidates.filter(f => String(f.id) === String(fulfilmentId));
+      if (candidates.length === 0) throw new Error('Fulfilment not found');
+    }
 
-    // Build response with items_details
-    const itemsDetails = await DatabaseService.getOrderItemsDetailed(createdOrder.id);
-    const meta = DatabaseService.extractMetaFromNotes(createdOrder.notes);
-    const statusForUi = DatabaseService.presentStatus(createdOrder);
+    const managed = [];
+    for (const fulfilment of candidates) {
+      if (await DatabaseService.hasFarmPermission(fulfilment.farm_id, principal, 'orders:manage')) {
+        managed.push(fulfilment);
+      }
+    }
+    if (managed.length === 0) throw new Error('Access denied to this farm');
+    if (managed.length > 1) throw new Error('fulfilment_id is required for orders spanning several of your farms');
+    return managed[0];
+  }
 
+  static async buildOrderResponse(orderRow) {
     return {
-      _id: createdOrder.id,
-      order_number: createdOrder.order_number,
-      status: statusForUi,
-      total_amount: Number(createdOrder.total_amount),
-      discount_amount: Number(createdOrder.discount_amount),
-      tax_amount: Number(createdOrder.tax_amount),
-      delivery_fee: Number(createdOrder.shipping_amount),
-      final_amount: Number(createdOrder.final_amount),
-      payment_status: createdOrder.payment_status,
-      payment_method: createdOrder.payment_method,
-      customer_phone: meta.customer_phone || null,
-      delivery_address: createdOrder.shipping_address,
-      created_at: createdOrder.created_at,
-      updated_at: createdOrder.updated_at,
-      items_details: itemsDetails
+      _id: orderRow.id,
+      order_number: orderRow.order_number,
+      status: DatabaseService.presentStatus(orderRow),
+      total_amount: Number(orderRow.total_amount),
+      discount_amount: Number(orderRow.discount_amount),
+      tax_amount: Number(orderRow.tax_amount),
+      delivery_fee: Number(orderRow.shipping_amount),
+      final_amount: Number(orderRow.final_amount),
+      payment_status: orderRow.payment_status,
+      payment_method: orderRow.payment_method,
+      coupon_code: orderRow.coupon_code || null,
+      delivery_address: orderRow.shipping_address,
+      delivery_location: DatabaseService.presentDeliveryLocation(orderRow),
+      subscription_id: orderRow.subscription_id || null,
+      scheduled_delivery_date: DatabaseService.toDateKey(orderRow.scheduled_delivery_date),
+      cancellation_reason: orderRow.cancellation_reason || null,
+      created_at: orderRow.created_at,
+      updated_at: orderRow.updated_at,
+      items_details: await DatabaseService.getOrderItemsDetailed(orderRow.id),
+      fulfilments: await DatabaseService.getOrderFulfilments(orderRow.id)
     };
   }
 
-  static async getUserOrders(userId, { status, page = 1, limit = 10 } = {}) {
-    const offset = (Number(page) - 1) * Number(limit);
-    const where = ['o.customer_id = $1'];
-    const params = [userId];
-
-    if (status && String(status).toLowerCase() !== 'all') {
-      const normalized = DatabaseService.normalizeIncomingStatus(status);
-      if (normalized === 'waiting_for_payment') {
-        where.push("o.status = 'pending' AND o.payment_status = 'pending' AND o.notes LIKE '%\"payment_info\":%'");
-      } else if (normalized === 'in_transit') {
-        where.push("o.status = 'shipped'");
-      } else {
-        where.push('o.status = $' + (params.length + 1));
-        params.push(DatabaseService.mapToDbStatus(normalized));
+  /**
+   * What a caller may see of an order: customers and admins see all of it,
+   * farm users only the fulfilments of farms they can read orders for.
+   * @returns {Promise<{full: boolean, farm_ids: string[]}|null>} null when the order does not exist
+   */
+  static async getOrderAccessScope(orderId, principal) {
+    const orderRes = await query('SELECT customer_id FROM orders WHERE id = $1', [orderId]);
+    const order = orderRes.rows[0];
+    if (!order) return null;
+
+    const userId = principalUserId(principal);
+    // Required here: config/auth depends on this module
+    const { isAdmin } = require('../config/auth');
+    const full = Boolean(userId && String(order.customer_id) === String(userId))
+      || await isAdmin(principal);
+
+    const fulfilmentsRes = await query('SELECT farm_id FROM order_fulfilments WHERE order_id = $1', [orderId]);
+    const farmIds = [];
+    for (const { farm_id } of fulfilmentsRes.rows) {
+      if (await DatabaseService.hasFarmPermission(farm_id, principal, 'orders:read')) {
+        farmIds.push(farm_id);
       }
     }
+    return { full, farm_ids: farmIds };
+  }
 
-    params.push(limit);
-    params.push(offset);
-
-    const countRes = await query(
-      `SELECT COUNT(*) AS count FROM orders o WHERE ${where.join(' AND ')}`,
-      params.slice(0, params.length - 2)
-    );
-    const total = parseInt(countRes.rows[0]?.count || '0', 10);
+  /**
+   * Status history of an order, oldest first. `farmIds` limits fulfilment entries to those farms
+   * (order-wide entries are always included).
+   */
+  static async getOrderStatusHistory(orderId, { farmIds = null } = {}) {
+    const params = [orderId];
+    let farmFilter = '';
+    if (Array.isArray(farmIds)) {
+      params.push(farmIds);
+      farmFilter = 'AND (h.fulfilment_id IS NULL OR f.farm_id = ANY($2::uuid[]))';
+    }
 
-    const listRes = await query(
+    const result = await query(
       `SELECT 
-         o.id AS _id,
-         o.order_number,
-         o.status,
-         o.total_amount,
-         o.discount_amount,
-         o.tax_amount,
-         o.shipping_amount AS delivery_fee,
-         o.final_amount,
-         o.payment_status,
-         o.payment_method,
-         o.shipping_address AS delivery_address,
-         o.created_at,
-         o.updated_at,
-         o.notes,
-         u.email AS customer_email,
-         COALESCE(NULLIF(CONCAT(COALESCE(u.first_name,''),' ',COALESCE(u.last_name,'')), ' '), u.email) AS customer_name,
-         u.phone AS customer_phone
-       FROM orders o
-       JOIN users u ON o.customer_id = u.id
-       WHERE ${where.join(' AND ')}
-       ORDER BY o.order_date DESC
-       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+         h.id AS _id,
+         h.order_id,
+         h.fulfilment_id,
+         f.farm_id,
+         fm.name AS farm_name,
+         h.from_status,
+         h.to_status,
+         h.note,
+         h.actor_id,
+         h.actor_role,
+         COALESCE(NULLIF(CONCAT(COALESCE(u.first_name,''),' ',COALESCE(u.last_name,'')), ' '), u.email) AS actor_name,
+         h.created_at
+       FROM order_status_history h
+       LEFT JOIN order_fulfilments f ON h.fulfilment_id = f.id
+       LEFT JOIN farms fm ON f.farm_id = fm.id
+       LEFT JOIN users u ON h.actor_id = u.id
+       WHERE h.order_id = $1 ${farmFilter}
+       ORDER BY h.created_at ASC, h.id ASC`,
       params
     );
+    return result.rows;
+  }
 
-    const orders = [];
-    for (const row of listRes.rows) {
-      const items = await DatabaseService.getOrderItemsDetailed(row._id);
-      const statusUi = DatabaseService.presentStatus(row);
-      const meta = DatabaseService.extractMetaFromNotes(row.notes);
-      orders.push({
-        ...row,
-        status: statusUi,
-        payment_info: meta?.payment_info || null,
-        payment_message: meta?.payment_message || null,
-        customer_phone: row.customer_phone || meta?.customer_phone || null,
-        items_details: items
-      });
-    }
-
+  // =========================
+  // Coupons
+  // =========================
+  static presentCoupon(row) {
+    if (!row) return null;
     return {
-      orders,
-      pagination: {
-        currentPage: Number(page),
-        totalPages: Math.ceil(total / Number(limit)) || 0,
-        totalOrders: total,
-        ordersPerPage: Number(limit)
-      }
+      _id: row.id,
+      code: row.code,
+      farm_id: row.farm_id || null,
+      description: row.description || null,
+      discount_type: row.discount_type,
+      discount_value: Number(row.discount_value),
+      max_discount_amount: row.max_discount_amount !== null && row.max_discount_amount !== undefined ? Number(row.max_discount_amount) : null,
+      min_order_amount: Number(row.min_order_amount || 0),
+      starts_at: row.starts_at || null,
+      ends_at: row.ends_at || null,
+      usage_limit: row.usage_limit ?? null,
+      per_customer_limit: row.per_customer_limit ?? null,
+      category_ids: row.category_ids || [],
+      product_ids: row.product_ids || [],
+      is_active: Boolean(row.is_active),
+      times_used: row.times_used !== undefined ? parseInt(row.times_used, 10) : undefined,
+      created_by: row.created_by || null,
+      created_at: row.created_at,
+      updated_at: row.updated_at
     };
   }
 
-  static async findOrderByTempCartId(tempCartId) {
-    if (!tempCartId) return null;
-    
-    const orderRes = await query(
-      `SELECT 
-         o.id AS _id,
-         o.order_number,
-         o.status,
-         o.notes,
-         o.created_at
-       FROM orders o
-       WHERE o.notes LIKE $1`,
-      [`%"temp_cart_id":"${tempCartId}"%`]
-    );
-    
-    const row = orderRes.rows[0];
-    if (!row) return null;
-    
-    // Verify the temp_cart_id is actually in the metadata
-    try {
-      const meta = DatabaseService.extractMetaFromNotes(row.notes);
-      if (meta && meta.temp_cart_id === tempCartId) {
-        return row;
+  /**
+   * Validate coupon fields from a create (all required fields) or update (only the given ones) request
+   */
+  static normalizeCouponInput(data = {}, { partial = false } = {}) {
+    const out = {};
+    const has = (key) => data[key] !== undefined;
+
+    if (!partial || has('code')) {
+      const code = String(data.code || '').trim();
+      if (!/^[A-Za-z0-9_-]{3,50}$/.test(code)) {
+        throw new Error('code must be 3-50 letters, digits, dashes or underscores');
+      }
+      out.code = code.toUpperCase();
+    }
+    if (!partial || has('discount_type')) {
+      if (!['percent', 'flat'].includes(data.discount_type)) throw new Error("discount_type must be 'percent' or 'flat'");
+      out.discount_type = data.discount_type;
+    }
+    if (!partial || has('discount_value')) {
+      const value = Number(data.discount_value);
+      if (!Number.isFinite(value) || value <= 0) throw new Error('discount_value must be a positive number');
+      out.discount_value = value;
+    }
+    for (const key of ['max_discount_amount', 'min_order_amount']) {
+      if (!has(key)) continue;
+      if (data[key] === null || data[key] === '') {
+        out[key] = key === 'min_order_amount' ? 0 : null;
+        continue;
+      }
+      const amount = Number(data[key]);
+      if (!Number.isFinite(amount) || amount < 0) throw new Error(`${key} must be a non-negative number`);
+      out[key] = amount;
+    }
+    for (const key of ['usage_limit', 'per_customer_limit']) {
+      if (!has(key)) continue;
+      if (data[key] === null || data[key] === '') {
+        out[key] = null;
+        continue;
+      }
+      const limit = Number(data[key]);
+      if (!Number.isInteger(limit) || limit <= 0) throw new Error(`${key} must be a positive integer`);
+      out[key] = limit;
+    }
+    for (const key of ['starts_at', 'ends_at']) {
+      if (!has(key)) continue;
+      if (data[key] === null || data[key] === '') {
+        out[key] = null;
+        continue;
       }
+      const date = new Date(data[key]);
+      if (Number.isNaN(date.getTime())) throw new Error(`Invalid ${key}`);
+      out[key] = date;
+    }
+    for (const key of ['category_ids', 'product_ids']) {
+      if (!has(key)) continue;
+      if (!Array.isArray(data[key])) throw new Error(`${key} must be an array`);
+      out[key] = data[key].map(String);
+    }
+    if (has('description')) out.description = data.description || null;
+    if (has('is_active')) out.is_active = Boolean(data.is_active);
+
+    if (out.discount_type === 'percent' && out.discount_value > 100) {
+      throw new Error('A percent discount cannot exceed 100');
+    }
+    if (out.starts_at && out.ends_at && out.ends_at <= out.starts_at) {
+      throw new Error('ends_at must be after starts_at');
+    }
+    return out;
+  }
+
+  static async createCoupon(data, createdBy) {
+    const coupon = DatabaseService.normalizeCouponInput(data);
+    try {
+      const result = await query(
+        `INSERT INTO coupons (
+           code, farm_id, description, discount_type, discount_value, max_discount_amount, min_order_amount,
+           starts_at, ends_at, usage_limit, per_customer_limit, category_ids, product_ids, is_active, created_by
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12::uuid[], $13::uuid[], $14, $15)
+         RETURNING *`,
+        [coupon.code, data.farm_id || null, coupon.description ?? null, coupon.discount_type, coupon.discount_value,
+          coupon.max_discount_amount ?? null, coupon.min_order_amount ?? 0, coupon.starts_at ?? null, coupon.ends_at ?? null,
+          coupon.usage_limit ?? null, coupon.per_customer_limit ?? null, coupon.category_ids || [], coupon.product_ids || [],
+          coupon.is_active ?? true, createdBy]
+      );
+      return result.rows[0];
     } catch (error) {
-      console.error('Error parsing order notes for temp_cart_id:', error);
+      if (error.code === '23505') throw new Error('Coupon code already exists');
+      throw error;
     }
-    
-    return null;
   }
 
-  static async getOrderById(orderId) {
-    const orderRes = await query(
-      `SELECT 
-         o.id AS _id,
-         o.order_number,
-         o.status,
-         o.total_amount,
-         o.discount_amount,
-         o.tax_amount,
-         o.shipping_amount AS delivery_fee,
-         o.final_amount,
-         o.payment_status,
-         o.payment_method,
-         o.shipping_address AS delivery_address,
-         o.created_at,
-         o.updated_at,
-         o.notes,
-       u.email AS customer_email,
-        COALESCE(NULLIF(CONCAT(COALESCE(u.first_name,''),' ',COALESCE(u.last_name,'')), ' '), u.email) AS customer_name,
-        u.phone AS customer_phone
-       FROM orders o
-       JOIN users u ON o.customer_id = u.id
-       WHERE o.id = $1`,
-      [orderId]
+  static async getCouponById(couponId) {
+    const result = await query(
+      `SELECT c.*, (SELECT COUNT(*) FROM coupon_redemptions r WHERE r.coupon_id = c.id) AS times_used
+       FROM coupons c WHERE c.id = $1`,
+      [couponId]
     );
-    const row = orderRes.rows[0];
-    if (!row) return null;
-    const items = await DatabaseService.getOrderItemsDetailed(row._id);
-    const statusUi = DatabaseService.presentStatus(row);
-    const meta = DatabaseService.extractMetaFromNotes(row.notes);
-    return {
-      ...row,
-      status: statusUi,
-      payment_info: meta?.payment_info || null,
-      payment_message: meta?.payment_message || null,
-      customer_phone: row.customer_phone || meta?.customer_phone || null,
-      items_details: items
-    };
+    return result.rows[0];
   }
 
-  static async getFarmOrders(farmId, { status, page = 1, limit = 10 } = {}) {
-    const offset = (Number(page) - 1) * Number(limit);
-    // Orders that include items from a given farm
-    const where = [
-      `EXISTS (
-         SELECT 1 FROM order_items oi
-         JOIN store_products sp ON oi.store_product_id = sp.id
-         JOIN products p ON sp.product_id = p.id
-         WHERE oi.order_id = o.id AND p.farm_id = $1
-       )`
-    ];
-    const params = [farmId];
+  /**
+   * A farm's coupons, or the platform-wide ones when farmId is null
+   */
+  static async listCoupons(farmId = null) {
+    const result = await query(
+      `SELECT c.*, (SELECT COUNT(*) FROM coupon_redemptions r WHERE r.coupon_id = c.id) AS times_used
+       FROM coupons c
+       WHERE ${farmId ? 'c.farm_id = $1' : 'c.farm_id IS NULL'}
+       ORDER BY c.created_at DESC`,
+      farmId ? [farmId] : []
+    );
+    return result.rows;
+  }
 
-    if (status && String(status).toLowerCase() !== 'all') {
-      const normalized = DatabaseService.normalizeIncomingStatus(status);
-      if (normalized === 'waiting_for_payment') {
-        where.push("o.status = 'pending' AND o.payment_status = 'pending' AND o.notes LIKE '%\"payment_info\":%'");
-      } else if (normalized === 'in_transit') {
-        where.push("o.status = 'shipped'");
-      } else {
-        where.push('o.status = $' + (params.length + 1));
-        params.push(DatabaseService.mapToDbStatus(normalized));
-      }
+  static async updateCoupon(couponId, data) {
+    const changes = DatabaseService.normalizeCouponInput(data, { partial: true });
+    const current = await DatabaseService.getCouponById(couponId);
+    if (!current) throw new Error('Coupon not found');
+
+    const merged = { ...current, ...changes };
+    if (merged.discount_type === 'percent' && Number(merged.discount_value) > 100) {
+      throw new Error('A percent discount cannot exceed 100');
+    }
+    if (merged.starts_at && merged.ends_at && new Date(merged.ends_at) <= new Date(merged.starts_at)) {
+      throw new Error('ends_at must be after starts_at');
     }
 
-    params.push(limit);
-    params.push(offset);
+    const keys = Object.keys(changes);
+    if (keys.length === 0) return current;
+    const sets = keys.map((key, i) => (
+      ['category_ids', 'product_ids'].includes(key) ? `${key} = $${i + 2}::uuid[]` : `${key} = $${i + 2}`
+    ));
+    try {
+      const result = await query(
+        `UPDATE coupons SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *`,
+        [couponId, ...keys.map(key => changes[key])]
+      );
+      return result.rows[0];
+    } catch (error) {
+      if (error.code === '23505') throw new Error('Coupon code already exists');
+      throw error;
+    }
+  }
 
-    const countRes = await query(
-      `SELECT COUNT(*) AS count FROM orders o WHERE ${where.join(' AND ')}`,
-      params.slice(0, params.length - 2)
+  /**
+   * Delete a coupon; coupons that were already used are only deactivated so orders keep their history
+   * @returns {{deleted: boolean}}
+   */
+  static async deleteCoupon(couponId) {
+    const usedRes = await query('SELECT 1 FROM coupon_redemptions WHERE coupon_id = $1 LIMIT 1', [couponId]);
+    if (usedRes.rows.length > 0) {
+      await query('UPDATE coupons SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1', [couponId]);
+      return { deleted: false };
+    }
+    await query('DELETE FROM coupons WHERE id = $1', [couponId]);
+    return { deleted: true };
+  }
+
+  /**
+   * Discount a coupon gives on order lines ({ farm_id, product_id, category_id, total_price }).
+   * A farm coupon only looks at that farm's lines; the minimum order value is checked against the
+   * lines in scope and the discount only applies to lines matching its products or categories
+   * (all lines in scope when it targets neither). The discount is split over the eligible lines
+   * in proportion to their amount (`line_discounts`, in the order of `lines`) and summed per farm.
+   */
+  static calculateCouponDiscount(coupon, lines) {
+    const round = (n) => Number(n.toFixed(2));
+    const scope = coupon.farm_id ? lines.filter(l => String(l.farm_id) === String(coupon.farm_id)) : lines;
+    if (scope.length === 0) throw new Error('Coupon does not apply to any item in this order');
+
+    const subtotal = round(scope.reduce((acc, l) => acc + Number(l.total_price), 0));
+    const minimum = Number(coupon.min_order_amount || 0);
+    if (subtotal < minimum) {
+      throw new Error(`Order must be at least ${minimum.toFixed(2)} to use this coupon`);
+    }
+
+    const productIds = (coupon.product_ids || []).map(String);
+    const categoryIds = (coupon.category_ids || []).map(String);
+    const targeted = productIds.length > 0 || categoryIds.length > 0;
+    const eligible = scope.filter(l => !targeted
+      || productIds.includes(String(l.product_id))
+      || (l.category_id && categoryIds.includes(String(l.category_id))));
+    if (eligible.length === 0) throw new Error('Coupon does not apply to any item in this order');
+
+    const eligibleSubtotal = round(eligible.reduce((acc, l) => acc + Number(l.total_price), 0));
+    let discount = coupon.discount_type === 'percent'
+      ? eligibleSubtotal * Number(coupon.discount_value) / 100
+      : Number(coupon.discount_value);
+    if (coupon.max_discount_amount !== null && coupon.max_discount_amount !== undefined) {
+      discount = Math.min(discount, Number(coupon.max_discount_amount));
+    }
+    discount = round(Math.min(discount, eligibleSubtotal));
+
+    // The last eligible line takes the rounding remainder
+    const lineDiscounts = lines.map(() => 0);
+    const discountsByFarm = {};
+    let allocated = 0;
+    eligible.forEach((line, index) => {
+      const share = index === eligible.length - 1
+        ? round(discount - allocated)
+        : round(discount * Number(line.total_price) / eligibleSubtotal);
+      lineDiscounts[lines.indexOf(line)] = share;
+      discountsByFarm[line.farm_id] = round((discountsByFarm[line.farm_id] || 0) + share);
+      allocated = round(allocated + share);
+    });
+
+    return {
+      subtotal,
+      eligible_subtotal: eligibleSubtotal,
+      discount_amount: discount,
+      discounts_by_farm: discountsByFarm,
+      line_discounts: lineDiscounts
+    };
+  }
+
+  /**
+   * Check that a customer can use a coupon now: active, inside its validity window and within its
+   * usage limits (uses on cancelled orders do not count). Pass a transaction client to count the
+   * uses of a coupon row locked by that transaction.
+   */
+  static async assertCouponUsable(coupon, customerId, { client = null, now = new Date() } = {}) {
+    if (!coupon || !coupon.is_active) throw new Error('Invalid coupon code');
+    if (coupon.starts_at && new Date(coupon.starts_at) > now) throw new Error('Coupon is not active yet');
+    if (coupon.ends_at && new Date(coupon.ends_at) <= now) throw new Error('Coupon has expired');
+    if (!coupon.usage_limit && !coupon.per_customer_limit) return;
+
+    const run = client ? (sql, params) => client.query(sql, params) : query;
+    const usesRes = await run(
+      `SELECT COUNT(*) AS total_uses, COUNT(*) FILTER (WHERE r.customer_id = $2) AS customer_uses
+       FROM coupon_redemptions r
+       JOIN orders o ON r.order_id = o.id
+       WHERE r.coupon_id = $1 AND o.status <> 'cancelled'`,
+      [coupon.id, customerId]
     );
-    const total = parseInt(countRes.rows[0]?.count || '0', 10);
+    const uses = usesRes.rows[0] || {};
+    if (coupon.usage_limit && parseInt(uses.total_uses || 0, 10) >= coupon.usage_limit) {
+      throw new Error('Coupon usage limit reached');
+    }
+    if (coupon.per_customer_limit && parseInt(uses.customer_uses || 0, 10) >= coupon.per_customer_limit) {
+      throw new Error('You have already used this coupon the maximum number of times');
+    }
+  }
 
-    const listRes = await query(
-      `SELECT 
-         o.id AS _id,
-         o.order_number,
-         o.status,
-         o.total_amount,
-         o.discount_amount,
-         o.tax_amount,
-         o.shipping_amount AS delivery_fee,
-         o.final_amount,
-         o.payment_status,
-         o.payment_method,
-         o.shipping_address AS delivery_address,
-         o.created_at,
-         o.updated_at,
-         o.notes,
-         u.email AS customer_email,
-         u.phone AS customer_phone
-       FROM orders o
-       JOIN users u ON o.customer_id = u.id
-       WHERE ${where.join(' AND ')}
-       ORDER BY o.order_date DESC
-       LIMIT $${params.length - 1} OFFSET $${params.length}`,
-      params
+  /**
+   * Look up a coupon by code and work out its discount for a customer's order lines.
+   * With a transaction client the coupon row stays locked until the order is placed.
+   */
+  static async resolveCoupon(code, customerId, lines, { client = null } = {}) {
+    const run = client ? (sql, params) => client.query(sql, params) : query;
+    const couponRes = await run(
+      `SELECT * FROM coupons WHERE UPPER(code) = UPPER($1)${client ? ' FOR UPDATE' : ''}`,
+      [String(code || '').trim()]
     );
+    const coupon = couponRes.rows[0];
+    await DatabaseService.assertCouponUsable(coupon, customerId, { client });
+    return { coupon, ...DatabaseService.calculateCouponDiscount(coupon, lines) };
+  }
 
-    const orders = [];
-    for (const row of listRes.rows) {
-      const items = await DatabaseService.getOrderItemsDetailed(row._id);
-      const statusUi = DatabaseService.presentStatus(row);
-      const meta = DatabaseService.extractMetaFromNotes(row.notes);
-      orders.push({
-        ...row,
-        status: statusUi,
-        payment_info: meta?.payment_info || null,
-        payment_message: meta?.payment_message || null,
-        customer_phone: row.customer_phone || meta?.customer_phone || null,
-        items_details: items
+  /**
+   * Preview a coupon on cart items ({ store_product_id, quantity }) without placing an order
+   */
+  static async previewCoupon(code, customerId, items) {
+    const lines = [];
+    for (const { store_product_id, quantity } of items) {
+      const sp = await DatabaseService.getStoreProductById(store_product_id);
+      if (!sp) throw new Error('Store product not found');
+      const unitPrice = Number(sp.price_after_discount ?? sp.store_price ?? 0);
+      lines.push({
+        farm_id: sp.farm_id,
+        product_id: sp.product_id,
+        category_id: sp.category_id,
+        total_price: Number((unitPrice * Number(quantity)).toFixed(2))
       });
     }
+    const applied = await DatabaseService.resolveCoupon(code, customerId, lines);
+    const orderSubtotal = Number(lines.reduce((acc, l) => acc + l.total_price, 0).toFixed(2));
+    return {
+      coupon: DatabaseService.presentCoupon(applied.coupon),
+      subtotal: orderSubtotal,
+      eligible_subtotal: applied.eligible_subtotal,
+      discount_amount: applied.discount_amount,
+      discounts_by_farm: applied.discounts_by_farm,
+      total_after_discount: Number((orderSubtotal - applied.discount_amount).toFixed(2))
+    };
+  }
 
+  // =========================
+  // VAT / tax rules
+  // =========================
+  static presentTaxRule(row) {
+    if (!row) return null;
     return {
-      orders,
-      pagination: {
-        currentPage: Number(page),
-        totalPages: Math.ceil(total / Number(limit)) || 0,
-        totalOrders: total,
-        ordersPerPage: Number(limit)
-      }
+      _id: row.id,
+      name: row.name,
+      category_id: row.category_id || null,
+      category: row.category_name || undefined,
+      product_type: row.product_type || null,
+      rate: Number(row.rate),
+      is_inclusive: Boolean(row.is_inclusive),
+      is_active: Boolean(row.is_active),
+      created_at: row.created_at,
+      updated_at: row.updated_at
     };
   }
 
-  static async updateOrderStatus(orderId, userId, status, extras = {}) {
-    const normalized = DatabaseService.normalizeIncomingStatus(status);
-    if (!normalized) throw new Error('Status is required');
-    const validStatuses = ['pending', 'confirmed', 'waiting_for_payment', 'processing', 'in_transit', 'delivered', 'cancelled'];
-    if (!validStatuses.includes(normalized)) {
-      throw new Error('Invalid status');
+  static normalizeTaxRuleInput(data = {}, { partial = false } = {}) {
+    const out = {};
+    const has = (key) => data[key] !== undefined;
+    if (!partial || has('name')) {
+      const name = String(data.name || '').trim();
+      if (!name) throw new Error('name is required');
+      out.name = name;
     }
-
-    // Get order and derive farm for permission
-    const existing = await DatabaseService.getOrderById(orderId);
-    if (!existing) throw new Error('Order not found');
-    // Use first item to derive farm (assumption: single-farm orders)
-    const farmId = existing.items_details[0]?.farm_id || null;
-    if (farmId) {
-      const hasAccess = await DatabaseService.verifyFarmOwnership(farmId, userId);
-      if (!hasAccess) throw new Error('Access denied to this farm');
+    if (!partial || has('rate')) {
+      const rate = Number(data.rate);
+      if (!Number.isFinite(rate) || rate < 0 || rate > 100) throw new Error('rate must be between 0 and 100');
+      out.rate = rate;
     }
+    if (has('category_id')) out.category_id = data.category_id || null;
+    if (has('product_type')) out.product_type = data.product_type ? String(data.product_type).trim() : null;
+    if (has('is_inclusive')) out.is_inclusive = Boolean(data.is_inclusive);
+    if (has('is_active')) out.is_active = Boolean(data.is_active);
+    return out;
+  }
 
-    const dbStatus = DatabaseService.mapToDbStatus(normalized);
+  static async listTaxRules({ activeOnly = false } = {}) {
+    const result = await query(
+      `SELECT tr.*, pc.name AS category_name
+       FROM tax_rules tr
+       LEFT JOIN product_categories pc ON tr.category_id = pc.id
+       ${activeOnly ? 'WHERE tr.is_active = true' : ''}
+       ORDER BY tr.is_active DESC, tr.name ASC`
+    );
+    return result.rows;
+  }
 
-    // Update notes metadata if provided
-    const meta = {};
-    if (extras.courier_contact) meta.courier_contact = String(extras.courier_contact);
-    if (extras.courier_ref_id) meta.courier_ref_id = String(extras.courier_ref_id);
-    // Store payment details in notes for per-order disputes/history
-    if (extras.payment_info) meta.payment_info = String(extras.payment_info);
-    if (extras.payment_message) meta.payment_message = String(extras.payment_message);
-    if (extras.payment_reference) meta.payment_reference = String(extras.payment_reference);
+  static async getTaxRuleById(ruleId) {
+    const result = await query('SELECT * FROM tax_rules WHERE id = $1', [ruleId]);
+    return result.rows[0];
+  }
 
-    // Optionally update delivery fee
-    let shippingAmountDelta = null;
-    if (extras.delivery_fee !== undefined && extras.delivery_fee !== null) {
-      shippingAmountDelta = Number(extras.delivery_fee);
-      if (!Number.isFinite(shippingAmountDelta) || shippingAmountDelta < 0) {
-        throw new Error('Invalid delivery_fee');
-      }
+  static async createTaxRule(data) {
+    const rule = DatabaseService.normalizeTaxRuleInput(data);
+    try {
+      const result = await query(
+        `INSERT INTO tax_rules (name, category_id, product_type, rate, is_inclusive, is_active)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [rule.name, rule.category_id ?? null, rule.product_type ?? null, rule.rate, rule.is_inclusive ?? false, rule.is_active ?? true]
+      );
+      return result.rows[0];
+    } catch (error) {
+      if (error.code === '23505') throw new Error('An active tax rule already exists for this category and product type');
+      throw error;
     }
+  }
 
-    const updated = await transaction(async (client) => {
-      // Load raw row to compute new final amount if delivery fee provided
-      const currRes = await client.query('SELECT * FROM orders WHERE id = $1', [orderId]);
-      const curr = currRes.rows[0];
-      if (!curr) throw new Error('Order not found');
+  static async updateTaxRule(ruleId, data) {
+    const changes = DatabaseService.normalizeTaxRuleInput(data, { partial: true });
+    const keys = Object.keys(changes);
+    if (keys.length === 0) return DatabaseService.getTaxRuleById(ruleId);
+    try {
+      const result = await query(
+        `UPDATE tax_rules SET ${keys.map((key, i) => `${key} = $${i + 2}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 RETURNING *`,
+        [ruleId, ...keys.map(key => changes[key])]
+      );
+      return result.rows[0];
+    } catch (error) {
+      if (error.code === '23505') throw new Error('An active tax rule already exists for this category and product type');
+      throw error;
+    }
+  }
 
-      const newShipping = shippingAmountDelta !== null ? shippingAmountDelta : Number(curr.shipping_amount || 0);
-      const newFinal = Number((Number(curr.total_amount) - Number(curr.discount_amount) + Number(curr.tax_amount) + newShipping).toFixed(2));
+  /**
+   * Delete a tax rule; order lines keep the rate and amounts they were charged
+   */
+  static async deleteTaxRule(ruleId) {
+    const result = await query('DELETE FROM tax_rules WHERE id = $1', [ruleId]);
+    return result.rowCount > 0;
+  }
 
-      const newNotes = Object.keys(meta).length > 0 ? DatabaseService.mergeMetaToNotes(curr.notes, meta) : curr.notes;
+  /**
+   * Most specific active rule for a line ({ category_id, product_type }): category and type,
+   * then category, then type, then the default rule
+   */
+  static findTaxRule(rules, line) {
+    const matches = (rule) => rule.is_active !== false
+      && (!rule.category_id || String(rule.category_id) === String(line.category_id || ''))
+      && (!rule.product_type || rule.product_type === line.product_type);
+    const specificity = (rule) => (rule.category_id ? 2 : 0) + (rule.product_type ? 1 : 0);
+    return rules.filter(matches).sort((a, b) => specificity(b) - specificity(a))[0] || null;
+  }
 
-      // Build parameterized update deterministically to avoid index mismatches
-      const setPieces = [];
-      const params = [];
-      let idx = 1;
+  /**
+   * VAT on a line's amount after discount. Inclusive rates take the VAT out of the amount,
+   * exclusive rates add it on top.
+   */
+  static calculateLineTax(netAmount, rule) {
+    const net = Number(netAmount);
+    if (!rule || !(Number(rule.rate) > 0)) {
+      return { tax_rule_id: rule ? rule.id : null, tax_rate: 0, tax_inclusive: false, taxable_amount: net, tax_amount: 0 };
+    }
+    const rate = Number(rule.rate);
+    if (rule.is_inclusive) {
+      const tax = Number((net * rate / (100 + rate)).toFixed(2));
+      return { tax_rule_id: rule.id, tax_rate: rate, tax_inclusive: true, taxable_amount: Number((net - tax).toFixed(2)), tax_amount: tax };
+    }
+    return { tax_rule_id: rule.id, tax_rate: rate, tax_inclusive: false, taxable_amount: net, tax_amount: Number((net * rate / 100).toFixed(2)) };
+  }
 
-      // Always update top-level status
-      setPieces.push(`status = $${idx}`);
-      params.push(dbStatus); idx++;
+  // =========================
+  // Delivery zones
+  // =========================
+  static presentDeliveryZone(row) {
+    if (!row) return null;
+    const amount = (value) => (value !== null && value !== undefined ? Number(value) : null);
+    return {
+      _id: row.id,
+      farm_id: row.farm_id,
+      name: row.name,
+      zone_type: row.zone_type,
+      district: row.district || null,
+      upazila: row.upazila || null,
+      center_latitude: amount(row.center_latitude),
+      center_longitude: amount(row.center_longitude),
+      radius_km: amount(row.radius_km),
+      base_fee: Number(row.base_fee || 0),
+      per_kg_fee: Number(row.per_kg_fee || 0),
+      free_delivery_threshold: amount(row.free_delivery_threshold),
+      is_active: Boolean(row.is_active),
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
 
-      // When waiting_for_payment, mark payment_status and optionally payment_method
-      if (normalized === 'waiting_for_payment') {
-        setPieces.push(`payment_status = $${idx}`);
-        params.push('pending'); idx++;
-        if (extras.payment_method) {
-          setPieces.push(`payment_method = $${idx}`);
-          params.push(String(extras.payment_method)); idx++;
-        }
+  /**
+   * Validate zone fields from a create (all required fields) or update (only the given ones) request
+   */
+  static normalizeDeliveryZoneInput(data = {}, { partial = false } = {}) {
+    const out = {};
+    const has = (key) => data[key] !== undefined;
+
+    if (!partial || has('name')) {
+      const name = String(data.name || '').trim();
+      if (!name) throw new Error('name is required');
+      out.name = name;
+    }
+    if (!partial || has('zone_type')) {
+      if (!DELIVERY_ZONE_TYPES.includes(data.zone_type)) throw new Error("zone_type must be 'area' or 'radius'");
+      out.zone_type = data.zone_type;
+    }
+    for (const key of ['district', 'upazila']) {
+      if (has(key)) out[key] = data[key] ? String(data[key]).trim() : null;
+    }
+    for (const [key, min, max] of [['center_latitude', -90, 90], ['center_longitude', -180, 180]]) {
+      if (!has(key)) continue;
+      if (data[key] === null || data[key] === '') {
+        out[key] = null;
+        continue;
       }
-
-      // Optional shipping amount and final total
-      if (shippingAmountDelta !== null) {
-        setPieces.push(`shipping_amount = $${idx}`);
-        params.push(newShipping); idx++;
+      const value = Number(data[key]);
+      if (!Number.isFinite(value) || value < min || value > max) throw new Error(`${key} must be between ${min} and ${max}`);
+      out[key] = value;
+    }
+    if (has('radius_km')) {
+      const radius = data.radius_km === null || data.radius_km === '' ? null : Number(data.radius_km);
+      if (radius !== null && (!Number.isFinite(radius) || radius <= 0)) throw new Error('radius_km must be a positive number');
+      out.radius_km = radius;
+    }
+    for (const key of ['base_fee', 'per_kg_fee', 'free_delivery_threshold']) {
+      if (!has(key)) continue;
+      if (data[key] === null || data[key] === '') {
+        out[key] = key === 'free_delivery_threshold' ? null : 0;
+        continue;
       }
-      setPieces.push(`final_amount = $${idx}`);
-      params.push(newFinal); idx++;
+      const amount = Number(data[key]);
+      if (!Number.isFinite(amount) || amount < 0) throw new Error(`${key} must be a non-negative number`);
+      out[key] = amount;
+    }
+    if (has('is_active')) out.is_active = Boolean(data.is_active);
+    return out;
+  }
+
+  // An area zone needs a district, a radius zone its centre and radius
+  static assertDeliveryZoneShape(zone) {
+    if (zone.zone_type === 'area' && !zone.district) {
+      throw new Error('district is required for area zones');
+    }
+    if (zone.zone_type === 'radius' && [zone.center_latitude, zone.center_longitude, zone.radius_km].some(v => v === null || v === undefined)) {
+      throw new Error('center_latitude, center_longitude and radius_km are required for radius zones');
+    }
+  }
 
-      // Notes metadata (JSON string)
-      setPieces.push(`notes = $${idx}`);
-      params.push(newNotes); idx++;
+  static async listDeliveryZones(farmId, { activeOnly = false } = {}) {
+    const result = await query(
+      `SELECT * FROM delivery_zones
+       WHERE farm_id = $1${activeOnly ? ' AND is_active = true' : ''}
+       ORDER BY is_active DESC, name ASC`,
+      [farmId]
+    );
+    return result.rows;
+  }
 
-      // Timestamp
-      setPieces.push('updated_at = CURRENT_TIMESTAMP');
+  static async getDeliveryZoneById(zoneId) {
+    const result = await query('SELECT * FROM delivery_zones WHERE id = $1', [zoneId]);
+    return result.rows[0];
+  }
 
-      const updateSql = `UPDATE orders SET ${setPieces.join(', ')} WHERE id = $${idx} RETURNING *`;
-      params.push(orderId);
-      const updRes = await client.query(updateSql, params);
-      return updRes.rows[0];
-    });
+  static async createDeliveryZone(farmId, data) {
+    const zone = DatabaseService.normalizeDeliveryZoneInput(data);
+    DatabaseService.assertDeliveryZoneShape(zone);
+    const result = await query(
+      `INSERT INTO delivery_zones (
+         farm_id, name, zone_type, district, upazila, center_latitude, center_longitude, radius_km,
+         base_fee, per_kg_fee, free_delivery_threshold, is_active
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       RETURNING *`,
+      [farmId, zone.name, zone.zone_type, zone.district ?? null, zone.upazila ?? null, zone.center_latitude ?? null,
+        zone.center_longitude ?? null, zone.radius_km ?? null, zone.base_fee ?? 0, zone.per_kg_fee ?? 0,
+        zone.free_delivery_threshold ?? null, zone.is_active ?? true]
+    );
+    return result.rows[0];
+  }
+
+  static async updateDeliveryZone(zoneId, data) {
+    const changes = DatabaseService.normalizeDeliveryZoneInput(data, { partial: true });
+    const current = await DatabaseService.getDeliveryZoneById(zoneId);
+    if (!current) throw new Error('Delivery zone not found');
+    DatabaseService.assertDeliveryZoneShape({ ...current, ...changes });
+
+    const keys = Object.keys(changes);
+    if (keys.length === 0) return current;
+    const result = await query(
+      `UPDATE delivery_zones SET ${keys.map((key, i) => `${key} = $${i + 2}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 RETURNING *`,
+      [zoneId, ...keys.map(key => changes[key])]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Delete a delivery zone; fulfilments keep the fee they were charged
+   */
+  static async deleteDeliveryZone(zoneId) {
+    const result = await query('DELETE FROM delivery_zones WHERE id = $1', [zoneId]);
+    return result.rowCount > 0;
+  }
+
+  static async getActiveDeliveryZones(farmIds) {
+    if (farmIds.length === 0) return [];
+    const result = await query(
+      `SELECT dz.*, f.name AS farm_name
+       FROM delivery_zones dz
+       JOIN farms f ON f.id = dz.farm_id
+       WHERE dz.farm_id = ANY($1::uuid[]) AND dz.is_active = true`,
+      [farmIds]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Validate a delivery location ({ district, upazila, latitude, longitude }); null when none is given
+   */
+  static normalizeDeliveryLocation(location) {
+    if (!location) return null;
+    if (typeof location !== 'object') throw new Error('Invalid delivery_location');
+    const text = (value) => (value ? String(value).trim() : null);
+    const out = {
+      district: text(location.district),
+      upazila: text(location.upazila),
+      latitude: null,
+      longitude: null
+    };
+    const hasLat = location.latitude !== undefined && location.latitude !== null && location.latitude !== '';
+    const hasLon = location.longitude !== undefined && location.longitude !== null && location.longitude !== '';
+    if (hasLat || hasLon) {
+      const latitude = Number(location.latitude);
+      const longitude = Number(location.longitude);
+      if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+        throw new Error('Invalid delivery_location coordinates');
+      }
+      out.latitude = latitude;
+      out.longitude = longitude;
+    }
+    if (!out.district && out.latitude === null) return null;
+    return out;
+  }
 
-    const presented = DatabaseService.presentStatus(updated);
-    const items = await DatabaseService.getOrderItemsDetailed(updated.id);
+  // Delivery location an order was priced for (null for orders placed without one)
+  static presentDeliveryLocation(orderRow) {
+    if (!orderRow.delivery_district && (orderRow.delivery_latitude === null || orderRow.delivery_latitude === undefined)) {
+      return null;
+    }
+    const coordinate = (value) => (value !== null && value !== undefined ? Number(value) : null);
     return {
-      _id: updated.id,
-      order_number: updated.order_number,
-      status: presented,
-      total_amount: Number(updated.total_amount),
-      discount_amount: Number(updated.discount_amount),
-      tax_amount: Number(updated.tax_amount),
-      delivery_fee: Number(updated.shipping_amount),
-      final_amount: Number(updated.final_amount),
-      payment_status: updated.payment_status,
-      payment_method: updated.payment_method,
-      delivery_address: updated.shipping_address,
-      created_at: updated.created_at,
-      updated_at: updated.updated_at,
-      items_details: items
+      district: orderRow.delivery_district || null,
+      upazila: orderRow.delivery_upazila || null,
+      latitude: coordinate(orderRow.delivery_latitude),
+      longitude: coordinate(orderRow.delivery_longitude)
     };
   }
 
-  static async setOrderDeliveryFee(orderId, userId, fee) {
-    const deliveryFee = Number(fee);
-    if (!Number.isFinite(deliveryFee) || deliveryFee < 0) {
-      throw new Error('Invalid delivery_fee');
+  /**
+   * Zone covering a location: an area zone for its upazila, then one for its whole district,
+   * then the smallest radius zone containing its coordinates
+   */
+  static findDeliveryZone(zones, location) {
+    const same = (a, b) => Boolean(a) && Boolean(b) && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+    const areas = zones.filter(z => z.zone_type === 'area' && same(z.district, location.district));
+    const byUpazila = areas.find(z => z.upazila && same(z.upazila, location.upazila));
+    if (byUpazila) return byUpazila;
+    const byDistrict = areas.find(z => !z.upazila);
+    if (byDistrict) return byDistrict;
+    if (location.latitude === null || location.latitude === undefined) return null;
+    return zones
+      .filter(z => z.zone_type === 'radius'
+        && distanceKm({ latitude: z.center_latitude, longitude: z.center_longitude }, location) <= Number(z.radius_km))
+      .sort((a, b) => Number(a.radius_km) - Number(b.radius_km))[0] || null;
+  }
+
+  /**
+   * Shipping weight of a line: the quantity for products sold by the kg, otherwise the
+   * product's per-unit weight (0 when it has none)
+   */
+  static lineWeightKg(product, quantity) {
+    const perUnit = product.unit === 'kg' ? 1 : Number(product.weight_kg || 0);
+    return Number((perUnit * Number(quantity)).toFixed(3));
+  }
+
+  /**
+   * Delivery fee for a farm's part of an order ({ subtotal, weight_kg }) in a zone
+   */
+  static calculateDeliveryFee(zone, { subtotal, weight_kg: weightKg }) {
+    const threshold = zone.free_delivery_threshold;
+    if (threshold !== null && threshold !== undefined && Number(subtotal) >= Number(threshold)) {
+      return 0;
     }
-    const existing = await DatabaseService.getOrderById(orderId);
-    if (!existing) throw new Error('Order not found');
-    const farmId = existing.items_details[0]?.farm_id || null;
-    if (farmId) {
-      const hasAccess = await DatabaseService.verifyFarmOwnership(farmId, userId);
-      if (!hasAccess) throw new Error('Access denied to this farm');
+    return Number((Number(zone.base_fee || 0) + Number(zone.per_kg_fee || 0) * Number(weightKg || 0)).toFixed(2));
+  }
+
+  /**
+   * Delivery fees for order lines ({ farm_id, total_price, weight_kg }) to a location, from the
+   * farms' active zones. Farms without zones charge nothing here and set the fee on the order
+   * themselves; farms with zones must cover the location.
+   */
+  static quoteDelivery(lines, location, zones) {
+    const farms = new Map();
+    for (const line of lines) {
+      if (!farms.has(line.farm_id)) farms.set(line.farm_id, { farm_id: line.farm_id, subtotal: 0, weight_kg: 0 });
+      const farm = farms.get(line.farm_id);
+      farm.subtotal = Number((farm.subtotal + Number(line.total_price)).toFixed(2));
+      farm.weight_kg = Number((farm.weight_kg + Number(line.weight_kg || 0)).toFixed(3));
     }
 
-    const updated = await transaction(async (client) => {
-      const currRes = await client.query('SELECT * FROM orders WHERE id = $1', [orderId]);
-      const curr = currRes.rows[0];
-      if (!curr) throw new Error('Order not found');
-      const newFinal = Number((Number(curr.total_amount) - Number(curr.discount_amount) + Number(curr.tax_amount) + deliveryFee).toFixed(2));
-      const updRes = await client.query(
-        `UPDATE orders SET shipping_amount = $1, final_amount = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3 RETURNING *`,
-        [deliveryFee, newFinal, orderId]
-      );
-      return updRes.rows[0];
+    const quotes = [...farms.values()].map((farm) => {
+      const farmZones = zones.filter(z => String(z.farm_id) === String(farm.farm_id));
+      if (farmZones.length === 0) {
+        return { ...farm, zone_id: null, zone_name: null, delivery_fee: 0, free_delivery: false };
+      }
+      if (!location) throw new Error('delivery_location is required');
+      const zone = DatabaseService.findDeliveryZone(farmZones, location);
+      if (!zone) throw new Error(`${farmZones[0].farm_name || 'A farm in this order'} does not deliver to this address`);
+      const fee = DatabaseService.calculateDeliveryFee(zone, farm);
+      const threshold = zone.free_delivery_threshold;
+      return {
+        ...farm,
+        zone_id: zone.id,
+        zone_name: zone.name,
+        delivery_fee: fee,
+        free_delivery: threshold !== null && threshold !== undefined && farm.subtotal >= Number(threshold)
+      };
     });
 
-    const items = await DatabaseService.getOrderItemsDetailed(updated.id);
-    const statusUi = DatabaseService.presentStatus(updated);
+    const feesByFarm = {};
+    quotes.forEach((q) => { feesByFarm[q.farm_id] = q.delivery_fee; });
     return {
-      _id: updated.id,
-      order_number: updated.order_number,
-      status: statusUi,
-      total_amount: Number(updated.total_amount),
-      discount_amount: Number(updated.discount_amount),
-      tax_amount: Number(updated.tax_amount),
-      delivery_fee: Number(updated.shipping_amount),
-      final_amount: Number(updated.final_amount),
-      payment_status: updated.payment_status,
-      payment_method: updated.payment_method,
-      delivery_address: updated.shipping_address,
-      created_at: updated.created_at,
-      updated_at: updated.updated_at,
-      items_details: items
+      delivery_fee: Number(quotes.reduce((acc, q) => acc + q.delivery_fee, 0).toFixed(2)),
+      fees_by_farm: feesByFarm,
+      farms: quotes
     };
   }
 
-  static async cancelOrder(orderId, userId, reason) {
-    const existing = await DatabaseService.getOrderById(orderId);
-    if (!existing) throw new Error('Order not found');
+  /**
+   * Quote delivery for cart items ({ store_product_id, quantity }) without placing an order
+   */
+  static async previewDeliveryQuote(items, deliveryLocation) {
+    const location = DatabaseService.normalizeDeliveryLocation(deliveryLocation);
+    const lines = [];
+    for (const { store_product_id, quantity } of items) {
+      const sp = await DatabaseService.getStoreProductById(store_product_id);
+      if (!sp) throw new Error('Store product not found');
+      const unitPrice = Number(sp.price_after_discount ?? sp.store_price ?? 0);
+      lines.push({
+        farm_id: sp.farm_id,
+        total_price: Number((unitPrice * Number(quantity)).toFixed(2)),
+        weight_kg: DatabaseService.lineWeightKg(sp, quantity)
+      });
+    }
+    const zones = await DatabaseService.getActiveDeliveryZones([...new Set(lines.map(l => l.farm_id))]);
+    return { delivery_location: location, ...DatabaseService.quoteDelivery(lines, location, zones) };
+  }
+
+  /**
+   * Take stock for an order line (inside a transaction) unless other customers' reservations hold it.
+   * The row is locked first so the hold check sees reservations committed while waiting for it.
+   * @returns {Promise<boolean>} false when not enough stock is left
+   */
+  static async deductStock(client, storeProductId, quantity, customerId) {
+    await client.query('SELECT id FROM store_products WHERE id = $1 FOR UPDATE', [storeProductId]);
+    const result = await client.query(
+      `UPDATE store_products sp SET stock_quantity = stock_quantity - $2
+       WHERE sp.id = $1 AND sp.stock_quantity - ${heldStockSql('$3')} >= $2`,
+      [storeProductId, quantity, customerId]
+    );
+    return result.rowCount > 0;
+  }
 
-    // Access: customer or farm manager or admin
-    const rawRes = await query('SELECT customer_id, status, notes FROM orders WHERE id = $1', [orderId]);
-    const raw = rawRes.rows[0];
-    if (!raw) throw new Error('Order not found');
+  /**
+   * Place an order. Internal callers can fix unit prices ({ [store_product_id]: price }) and record a
+   * deposit already paid towards it ({ amount, reference }), e.g. for converted pre-orders.
+   */
+  static async placeOrder(userId, payload, { unitPrices = null, deposit = null } = {}) {
+    const {
+      items,
+      customer_phone,
+      delivery_address,
+      notes,
+      delivery_location,
+      temp_cart_id,
+      payment_method,
+      coupon_code,
+      subscription_id,
+      scheduled_delivery_date
+    } = payload || {};
 
-    // Only allow cancellation in pending/confirmed
-    const currStatus = String(raw.status || '').toLowerCase();
-    if (!(currStatus === 'pending' || currStatus === 'confirmed')) {
-      throw new Error('Only pending or confirmed orders can be cancelled');
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error('Items array is required');
     }
+    const location = DatabaseService.normalizeDeliveryLocation(delivery_location);
+
+    // Validate and prepare items, grouped by farm: each farm fulfils its own part of the order
+    const fulfilments = new Map();
+    let totalAmount = 0;
+
+    for (const item of items) {
+      const { store_product_id, quantity } = item || {};
+      if (!store_product_id || !quantity || Number(quantity) <= 0) {
+        throw new Error('Each item must have store_product_id and positive quantity');
+      }
+
+      // The customer's own reservations count as available to them
+      const sp = await DatabaseService.getStoreProductById(store_product_id, { customerId: userId });
+      if (!sp) {
+        throw new Error('Store product not found');
+      }
+      if (!sp.is_available) {
+        throw new Error(`Product '${sp.product_name}' is not available`);
+      }
+      const available = Number(sp.available_stock ?? sp.store_stock_quantity ?? 0);
+      if (!Number.isFinite(available) || available < Number(quantity)) {
+        throw new Error(`Insufficient stock for '${sp.product_name}'. Available: ${available}, Requested: ${quantity}`);
+      }
+
+      const fixedPrice = unitPrices ? unitPrices[store_product_id] : undefined;
+      const unitPrice = Number(fixedPrice ?? sp.price_after_discount ?? sp.store_price ?? 0);
+      const qty = Number(quantity);
+      const lineTotal = Number((unitPrice * qty).toFixed(2));
+      totalAmount += lineTotal;
 
-    // Verify farm access for managers
-    const farmId = existing.items_details[0]?.farm_id || null;
-    let hasFarmAccess = false;
-    if (farmId) {
-      hasFarmAccess = await DatabaseService.verifyFarmOwnership(farmId, userId);
+      if (!fulfilments.has(sp.farm_id)) {
+        fulfilments.set(sp.farm_id, { farm_id: sp.farm_id, subtotal: 0, items: [] });
+      }
+      const group = fulfilments.get(sp.farm_id);
+      group.subtotal = Number((group.subtotal + lineTotal).toFixed(2));
+      group.items.push({
+        store_product_id,
+        product_name: sp.product_name,
+        farm_id: sp.farm_id,
+        product_id: sp.product_id,
+        category_id: sp.category_id,
+        product_type: sp.product_type,
+        vat_registered: Boolean(sp.vat_registered),
+        weight_kg: DatabaseService.lineWeightKg(sp, qty),
+        quantity: qty,
+        unit_price: unitPrice,
+        total_price: lineTotal
+      });
     }
 
-    // Either customer (same user) or farm manager can cancel
-    if (String(raw.customer_id) !== String(userId) && !hasFarmAccess) {
-      throw new Error('Access denied');
+    totalAmount = Number(totalAmount.toFixed(2));
+
+    const method = payment_method || 'cash_on_delivery';
+    if (!ORDER_PAYMENT_METHODS.includes(method)) {
+      throw new Error('Invalid payment_method');
     }
 
-    const metaReason = reason || 'Cancelled by user';
+    const lines = [...fulfilments.values()].flatMap(group => group.items);
+    // Delivery is priced from the farms' zones, never from a fee sent by the client
+    const zones = await DatabaseService.getActiveDeliveryZones([...fulfilments.keys()]);
+    const delivery = DatabaseService.quoteDelivery(lines, location, zones);
+    const shippingAmount = delivery.delivery_fee;
+    const taxRules = lines.some(line => line.vat_registered) ? await DatabaseService.listTaxRules({ activeOnly: true }) : [];
+    // Only VAT added on top of the prices counts towards the totals; inclusive VAT is part of them
+    const exclusiveTax = (items) => Number(items.reduce((acc, line) => acc + (line.tax_inclusive ? 0 : line.tax_amount), 0).toFixed(2));
 
-    const updated = await transaction(async (client) => {
-      // Set status and reason
-      const currRes = await client.query('SELECT * FROM orders WHERE id = $1', [orderId]);
-      const curr = currRes.rows[0];
-      const newNotes = DatabaseService.mergeMetaToNotes(curr.notes, { cancellation_reason: metaReason });
-      const updRes = await client.query(
-        `UPDATE orders SET status = 'cancelled', notes = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *`,
-        [newNotes, orderId]
-      );
+    // Transaction: apply the coupon, create order, per-farm fulfilments, items, and adjust stock
+    const createdOrder = await transaction(async (client) => {
+      const applied = coupon_code ? await DatabaseService.resolveCoupon(coupon_code, userId, lines, { client }) : null;
+      const discountAmount = applied ? applied.discount_amount : 0;
+
+      // VAT is charged per line on what is left after its share of the discount
+      lines.forEach((line, index) => {
+        line.discount_amount = applied ? applied.line_discounts[index] : 0;
+        const rule = line.vat_registered ? DatabaseService.findTaxRule(taxRules, line) : null;
+        Object.assign(line, DatabaseService.calculateLineTax(line.total_price - line.discount_amount, rule));
+      });
+      const taxAmount = exclusiveTax(lines);
+      const finalAmount = Number((totalAmount - discountAmount + taxAmount + shippingAmount).toFixed(2));
 
-      // Restore stock quantities
-      const items = await client.query(
-        `SELECT store_product_id, quantity FROM order_items WHERE order_id = $1`,
-        [orderId]
-      );
-      for (const it of items.rows) {
+      let insertOrderRes;
+      try {
+        insertOrderRes = await client.query(
+          `INSERT INTO orders (
+             customer_id, status, total_amount, discount_amount, tax_amount, shipping_amount,
+             final_amount, payment_status, payment_method, shipping_address, notes,
+             customer_phone, temp_cart_id, coupon_id, coupon_code,
+             delivery_district, delivery_upazila, delivery_latitude, delivery_longitude,
+             subscription_id, scheduled_delivery_date
+           ) VALUES (
+             $1, 'pending', $2, $3, $4, $5,
+             $6, 'pending', $7, $8, $9,
+             $10, $11, $12, $13,
+             $14, $15, $16, $17,
+             $18, $19
+           ) RETURNING *`,
+          [userId, totalAmount, discountAmount, taxAmount, shippingAmount, finalAmount, method, delivery_address,
+            notes || null, customer_phone || null, temp_cart_id || null,
+            applied ? applied.coupon.id : null, applied ? applied.coupon.code : null,
+            location ? location.district : null, location ? location.upazila : null,
+            location ? location.latitude : null, location ? location.longitude : null,
+            subscription_id || null, scheduled_delivery_date || null]
+        );
+      } catch (error) {
+        // Two checkouts of the same cart raced past the temp_cart_id lookup
+        if (error.code === '23505' && error.constraint === 'idx_orders_temp_cart_id') {
+          throw new Error('Order already placed for this cart session');
+        }
+        throw error;
+      }
+      const orderRow = insertOrderRes.rows[0];
+      await DatabaseService.recordOrderStatusChange(client, {
+        order_id: orderRow.id,
+        to_status: 'pending',
+        actor_id: userId,
+        actor_role: 'customer',
+        note: 'Order placed'
+      });
+      if (deposit && Number(deposit.amount) > 0) {
         await client.query(
-          `UPDATE store_products SET stock_quantity = stock_quantity + $2 WHERE id = $1`,
-          [it.store_product_id, it.quantity]
+          `INSERT INTO order_payments (order_id, provider, method, amount, status, payment_message, payment_reference, paid_at, created_by)
+           VALUES ($1, 'manual', $2, $3, 'paid', 'Deposit', $4, CURRENT_TIMESTAMP, $5)`,
+          [orderRow.id, method, Number(deposit.amount), deposit.reference || null, userId]
+        );
+        orderRow.payment_status = Number(deposit.amount) >= finalAmount ? 'paid' : 'partial';
+        await client.query('UPDATE orders SET payment_status = $2 WHERE id = $1', [orderRow.id, orderRow.payment_status]);
+      }
+      if (applied) {
+        await client.query(
+          `INSERT INTO coupon_redemptions (coupon_id, order_id, customer_id, discount_amount) VALUES ($1, $2, $3, $4)`,
+          [applied.coupon.id, orderRow.id, userId, discountAmount]
         );
       }
 
-      return updRes.rows[0];
-    });
-
-    const items = await DatabaseService.getOrderItemsDetailed(orderId);
-    const statusUi = DatabaseService.presentStatus(updated);
-    const meta = DatabaseService.extractMetaFromNotes(updated.notes);
+      for (const group of fulfilments.values()) {
+        const farmDelivery = delivery.farms.find(f => f.farm_id === group.farm_id);
+        const shipping = farmDelivery.delivery_fee;
+        const discount = applied ? (applied.discounts_by_farm[group.farm_id] || 0) : 0;
+        const tax = exclusiveTax(group.items);
+        const fulfilmentRes = await client.query(
+          `INSERT INTO order_fulfilments (order_id, farm_id, status, subtotal_amount, shipping_amount, final_amount, discount_amount, tax_amount, delivery_zone_id)
+           VALUES ($1, $2, 'pending', $3, $4, $5, $6, $7, $8)
+           RETURNING id`,
+          [orderRow.id, group.farm_id, group.subtotal, shipping, Number((group.subtotal - discount + tax + shipping).toFixed(2)), discount, tax,
+            farmDelivery.zone_id]
+        );
+        const fulfilmentId = fulfilmentRes.rows[0].id;
+
+        for (const pi of group.items) {
+          // Insert order item
+          await client.query(
+            `INSERT INTO order_items (
+               order_id, fulfilment_id, store_product_id, quantity, unit_price, total_price,
+               discount_amount, tax_rule_id, tax_rate, tax_inclusive, taxable_amount, tax_amount
+             ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+            [orderRow.id, fulfilmentId, pi.store_product_id, pi.quantity, pi.unit_price, pi.total_price,
+              pi.discount_amount, pi.tax_rule_id, pi.tax_rate, pi.tax_inclusive, pi.taxable_amount, pi.tax_amount]
+          );
+          // Deduct stock, unless other customers have reserved it since it was checked
+          if (!(await DatabaseService.deductStock(client, pi.store_product_id, pi.quantity, userId))) {
+            throw new Error(`Insufficient stock for '${pi.product_name}'`);
+          }
+        }
+      }
+
+      // The customer's reservations for these products are used up by this order
+      const orderedProductIds = [...new Set([...fulfilments.values()].flatMap(g => g.items.map(pi => pi.store_product_id)))];
+      await client.query(
+        `UPDATE stock_reservations SET status = 'consumed', order_id = $2
+         WHERE customer_id = $1 AND status = 'active' AND store_product_id = ANY($3::uuid[])`,
+        [userId, orderRow.id, orderedProductIds]
+      );
+
+      return orderRow;
+    });
+
+    // Build response with items_details
+    const itemsDetails = await DatabaseService.getOrderItemsDetailed(createdOrder.id);
+    const statusForUi = DatabaseService.presentStatus(createdOrder);
+
+    return {
+      _id: createdOrder.id,
+      order_number: createdOrder.order_number,
+      status: statusForUi,
+      total_amount: Number(createdOrder.total_amount),
+      discount_amount: Number(createdOrder.discount_amount),
+      tax_amount: Number(createdOrder.tax_amount),
+      delivery_fee: Number(createdOrder.shipping_amount),
+      final_amount: Number(createdOrder.final_amount),
+      payment_status: createdOrder.payment_status,
+      payment_method: createdOrder.payment_method,
+      coupon_code: createdOrder.coupon_code || null,
+      customer_phone: createdOrder.customer_phone || null,
+      delivery_address: createdOrder.shipping_address,
+      delivery_location: DatabaseService.presentDeliveryLocation(createdOrder),
+      subscription_id: createdOrder.subscription_id || null,
+      scheduled_delivery_date: DatabaseService.toDateKey(createdOrder.scheduled_delivery_date),
+      created_at: createdOrder.created_at,
+      updated_at: createdOrder.updated_at,
+      items_details: itemsDetails,
+      fulfilments: await DatabaseService.getOrderFulfilments(createdOrder.id)
+    };
+  }
+
+  static async getUserOrders(userId, { status, page = 1, limit = 10 } = {}) {
+    const offset = (Number(page) - 1) * Number(limit);
+    const where = ['o.customer_id = $1'];
+    const params = [userId];
+
+    if (status && String(status).toLowerCase() !== 'all') {
+      const normalized = DatabaseService.normalizeIncomingStatus(status);
+      if (normalized === 'waiting_for_payment') {
+        where.push("o.status = 'pending' AND o.payment_status = 'pending' AND NULLIF(btrim(pay.payment_info), '') IS NOT NULL");
+      } else if (normalized === 'in_transit') {
+        where.push("o.status = 'shipped'");
+      } else {
+        where.push('o.status = $' + (params.length + 1));
+        params.push(DatabaseService.mapToDbStatus(normalized));
+      }
+    }
+
+    params.push(limit);
+    params.push(offset);
+
+    const countRes = await query(
+      `SELECT COUNT(*) AS count FROM orders o ${LATEST_PAYMENT_JOIN} WHERE ${where.join(' AND ')}`,
+      params.slice(0, params.length - 2)
+    );
+    const total = parseInt(countRes.rows[0]?.count || '0', 10);
+
+    const listRes = await query(
+      `SELECT 
+         o.id AS _id,
+         o.order_number,
+         o.status,
+         o.total_amount,
+         o.discount_amount,
+         o.tax_amount,
+         o.shipping_amount AS delivery_fee,
+         o.final_amount,
+         o.payment_status,
+         o.payment_method,
+         o.shipping_address AS delivery_address,
+         o.created_at,
+         o.updated_at,
+         o.notes AS customer_notes,
+         o.customer_phone AS contact_phone,
+         o.temp_cart_id,
+         o.cancellation_reason,
+         o.coupon_code,
+         o.subscription_id,
+         to_char(o.scheduled_delivery_date, 'YYYY-MM-DD') AS scheduled_delivery_date,
+         pay.payment_info,
+         pay.payment_message,
+         pay.payment_reference,
+         u.email AS customer_email,
+         COALESCE(NULLIF(CONCAT(COALESCE(u.first_name,''),' ',COALESCE(u.last_name,'')), ' '), u.email) AS customer_name,
+         u.phone AS customer_phone
+       FROM orders o
+       JOIN users u ON o.customer_id = u.id
+       ${LATEST_PAYMENT_JOIN}
+       WHERE ${where.join(' AND ')}
+       ORDER BY o.order_date DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+
+    const orders = [];
+    for (const row of listRes.rows) {
+      const items = await DatabaseService.getOrderItemsDetailed(row._id);
+      orders.push({
+        ...DatabaseService.presentOrderRow(row),
+        items_details: items,
+        fulfilments: await DatabaseService.getOrderFulfilments(row._id)
+      });
+    }
+
+    return {
+      orders,
+      pagination: {
+        currentPage: Number(page),
+        totalPages: Math.ceil(total / Number(limit)) || 0,
+        totalOrders: total,
+        ordersPerPage: Number(limit)
+      }
+    };
+  }
+
+  static async findOrderByTempCartId(tempCartId) {
+    if (!tempCartId) return null;
+    
+    const orderRes = await query(
+      `SELECT 
+         o.id AS _id,
+         o.order_number,
+         o.status,
+         o.created_at
+       FROM orders o
+       WHERE o.temp_cart_id = $1`,
+      [String(tempCartId)]
+    );
+    return orderRes.rows[0] || null;
+  }
+
+  static async getOrderById(orderId) {
+    const orderRes = await query(
+      `SELECT 
+         o.id AS _id,
+         o.order_number,
+         o.status,
+         o.total_amount,
+         o.discount_amount,
+         o.tax_amount,
+         o.shipping_amount AS delivery_fee,
+         o.final_amount,
+         o.payment_status,
+         o.payment_method,
+         o.shipping_address AS delivery_address,
+         o.created_at,
+         o.updated_at,
+         o.notes AS customer_notes,
+         o.customer_phone AS contact_phone,
+         o.temp_cart_id,
+         o.cancellation_reason,
+         o.coupon_code,
+         o.subscription_id,
+         to_char(o.scheduled_delivery_date, 'YYYY-MM-DD') AS scheduled_delivery_date,
+         pay.payment_info,
+         pay.payment_message,
+         pay.payment_reference,
+       u.email AS customer_email,
+        COALESCE(NULLIF(CONCAT(COALESCE(u.first_name,''),' ',COALESCE(u.last_name,'')), ' '), u.email) AS customer_name,
+        u.phone AS customer_phone
+       FROM orders o
+       JOIN users u ON o.customer_id = u.id
+       ${LATEST_PAYMENT_JOIN}
+       WHERE o.id = $1`,
+      [orderId]
+    );
+    const row = orderRes.rows[0];
+    if (!row) return null;
+    const items = await DatabaseService.getOrderItemsDetailed(row._id);
+    return {
+      ...DatabaseService.presentOrderRow(row),
+      items_details: items,
+      fulfilments: await DatabaseService.getOrderFulfilments(row._id)
+    };
+  }
+
+  /**
+   * A farm's view of its orders: one entry per fulfilment, with that farm's items, status and amounts.
+   * `order_*` fields carry the checkout-wide values.
+   */
+  static async getFarmOrders(farmId, { status, page = 1, limit = 10 } = {}) {
+    const offset = (Number(page) - 1) * Number(limit);
+    const where = ['f.farm_id = $1'];
+    const params = [farmId];
+
+    if (status && String(status).toLowerCase() !== 'all') {
+      const normalized = DatabaseService.normalizeIncomingStatus(status);
+      if (normalized === 'waiting_for_payment') {
+        where.push("f.status = 'pending' AND o.payment_status = 'pending' AND NULLIF(btrim(pay.payment_info), '') IS NOT NULL");
+      } else if (normalized === 'in_transit') {
+        where.push("f.status = 'shipped'");
+      } else {
+        where.push('f.status = $' + (params.length + 1));
+        params.push(DatabaseService.mapToDbStatus(normalized));
+      }
+    }
+
+    params.push(limit);
+    params.push(offset);
+
+    const countRes = await query(
+      `SELECT COUNT(*) AS count
+       FROM order_fulfilments f
+       JOIN orders o ON f.order_id = o.id
+       ${LATEST_PAYMENT_JOIN}
+       WHERE ${where.join(' AND ')}`,
+      params.slice(0, params.length - 2)
+    );
+    const total = parseInt(countRes.rows[0]?.count || '0', 10);
+
+    const listRes = await query(
+      `SELECT 
+         o.id AS _id,
+         o.order_number,
+         f.id AS fulfilment_id,
+         f.status,
+         f.subtotal_amount AS total_amount,
+         f.discount_amount,
+         f.tax_amount,
+         f.shipping_amount AS delivery_fee,
+         f.final_amount,
+         f.cancellation_reason,
+         s.courier_contact,
+         s.courier_ref_id,
+         o.status AS order_status,
+         o.final_amount AS order_final_amount,
+         o.subscription_id,
+         to_char(o.scheduled_delivery_date, 'YYYY-MM-DD') AS scheduled_delivery_date,
+         o.payment_status,
+         o.payment_method,
+         o.shipping_address AS delivery_address,
+         o.created_at,
+         f.updated_at,
+         o.customer_phone AS contact_phone,
+         o.temp_cart_id,
+         o.cancellation_reason AS order_cancellation_reason,
+         pay.payment_info,
+         pay.payment_message,
+         pay.payment_reference,
+         u.email AS customer_email,
+         u.phone AS customer_phone
+       FROM order_fulfilments f
+       JOIN orders o ON f.order_id = o.id
+       JOIN users u ON o.customer_id = u.id
+       LEFT JOIN order_shipments s ON s.fulfilment_id = f.id
+       ${LATEST_PAYMENT_JOIN}
+       WHERE ${where.join(' AND ')}
+       ORDER BY o.order_date DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+
+    const orders = [];
+    for (const row of listRes.rows) {
+      const items = await DatabaseService.getOrderItemsDetailed(row._id);
+      const statusUi = DatabaseService.presentStatus(row);
+      const { contact_phone, temp_cart_id, order_cancellation_reason, payment_reference, ...rest } = row;
+      orders.push({
+        ...rest,
+        status: statusUi,
+        order_status: DatabaseService.presentStatus({ ...row, status: row.order_status }),
+        notes: DatabaseService.legacyOrderNotes({ ...row, cancellation_reason: order_cancellation_reason }),
+        courier_contact: row.courier_contact || null,
+        courier_ref_id: row.courier_ref_id || null,
+        payment_info: row.payment_info || null,
+        payment_message: row.payment_message || null,
+        customer_phone: row.customer_phone || contact_phone || null,
+        items_details: items.filter(item => String(item.fulfilment_id) === String(row.fulfilment_id))
+      });
+    }
+
+    return {
+      orders,
+      pagination: {
+        currentPage: Number(page),
+        totalPages: Math.ceil(total / Number(limit)) || 0,
+        totalOrders: total,
+        ordersPerPage: Number(limit)
+      }
+    };
+  }
+
+  /**
+   * Update the status of the caller's fulfilment of an order (extras.fulfilment_id picks one
+   * when the caller manages several farms in the order). The move must be an edge of the
+   * order status graph; re-sending the current status only updates the extras.
+   */
+  static async updateOrderStatus(orderId, principal, status, extras = {}) {
+    const normalized = DatabaseService.normalizeIncomingStatus(status);
+    if (!normalized) throw new Error('Status is required');
+    const validStatuses = ['pending', 'confirmed', 'waiting_for_payment', 'processing', 'in_transit', 'delivered', 'cancelled'];
+    if (!validStatuses.includes(normalized)) {
+      throw new Error('Invalid status');
+    }
+
+    const fulfilment = await DatabaseService.resolveManagedFulfilment(orderId, principal, extras.fulfilment_id);
+    // Cancelling also restocks, so it goes through cancelOrder
+    if (normalized === 'cancelled') {
+      return DatabaseService.cancelOrder(orderId, principal, extras.note, fulfilment.id);
+    }
+    const actorId = principalActorId(principal);
+    const dbStatus = DatabaseService.mapToDbStatus(normalized);
+    const note = extras.note ? String(extras.note) : null;
+
+    // Courier details belong to the farm's shipment, payment details to the checkout as a whole
+    const shipment = {
+      courier_contact: extras.courier_contact ? String(extras.courier_contact) : null,
+      courier_ref_id: extras.courier_ref_id ? String(extras.courier_ref_id) : null
+    };
+    const payment = {
+      payment_info: extras.payment_info ? String(extras.payment_info) : null,
+      payment_message: extras.payment_message ? String(extras.payment_message) : null,
+      payment_reference: extras.payment_reference ? String(extras.payment_reference) : null
+    };
+    const hasShipment = Object.values(shipment).some(Boolean);
+    const hasPayment = Object.values(payment).some(Boolean);
+
+    // Optionally update delivery fee
+    let newDeliveryFee = null;
+    if (extras.delivery_fee !== undefined && extras.delivery_fee !== null) {
+      newDeliveryFee = Number(extras.delivery_fee);
+      if (!Number.isFinite(newDeliveryFee) || newDeliveryFee < 0) {
+        throw new Error('Invalid delivery_fee');
+      }
+    }
+
+    const updated = await transaction(async (client) => {
+      const orderRes = await client.query(`SELECT *, ${LATEST_PAYMENT_INFO} FROM orders WHERE id = $1 FOR UPDATE`, [orderId]);
+      const order = orderRes.rows[0];
+      const currRes = await client.query('SELECT * FROM order_fulfilments WHERE id = $1 FOR UPDATE', [fulfilment.id]);
+      const curr = currRes.rows[0];
+      if (!order || !curr) throw new Error('Order not found');
+
+      const currentStatus = DatabaseService.presentStatus({ ...order, status: curr.status });
+      if (currentStatus !== normalized) {
+        assertTransition(currentStatus, normalized, 'farm');
+        const openAmendment = await client.query(
+          `SELECT id FROM order_amendments WHERE fulfilment_id = $1 AND status = 'proposed'`,
+          [fulfilment.id]
+        );
+        if (openAmendment.rows.length > 0) {
+          throw new Error('Order amendment is awaiting the customer\'s response');
+        }
+        await DatabaseService.recordOrderStatusChange(client, {
+          order_id: orderId,
+          fulfilment_id: fulfilment.id,
+          from_status: currentStatus,
+          to_status: normalized,
+          actor_id: actorId,
+          actor_role: 'farm',
+          note
+        });
+      }
+
+      const newShipping = newDeliveryFee !== null ? newDeliveryFee : Number(curr.shipping_amount || 0);
+      const newFinal = Number((Number(curr.subtotal_amount) - Number(curr.discount_amount) + Number(curr.tax_amount) + newShipping).toFixed(2));
+
+      await client.query(
+        `UPDATE order_fulfilments
+         SET status = $1, shipping_amount = $2, final_amount = $3, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4`,
+        [dbStatus, newShipping, newFinal, fulfilment.id]
+      );
+
+      if (hasShipment) {
+        await client.query(
+          `INSERT INTO order_shipments (order_id, fulfilment_id, courier_contact, courier_ref_id, created_by)
+           VALUES ($1, $2, $3, $4, $5)
+           ON CONFLICT (fulfilment_id) DO UPDATE
+           SET courier_contact = COALESCE(EXCLUDED.courier_contact, order_shipments.courier_contact),
+               courier_ref_id = COALESCE(EXCLUDED.courier_ref_id, order_shipments.courier_ref_id),
+               updated_at = CURRENT_TIMESTAMP`,
+          [orderId, fulfilment.id, shipment.courier_contact, shipment.courier_ref_id, actorId]
+        );
+      }
+
+      // Payment state is shared by the whole checkout
+      if (normalized === 'waiting_for_payment' || hasPayment) {
+        if (normalized === 'waiting_for_payment') {
+          await client.query(
+            `UPDATE orders
+             SET payment_status = 'pending', payment_method = COALESCE($1, payment_method), updated_at = CURRENT_TIMESTAMP
+             WHERE id = $2`,
+            [extras.payment_method ? String(extras.payment_method) : null, orderId]
+          );
+        }
+        await DatabaseService.upsertPendingPayment(client, orderId, { ...payment, created_by: actorId });
+      }
+
+      return DatabaseService.syncOrderWithFulfilments(client, orderId, {
+        previous_status: DatabaseService.presentStatus(order),
+        actor_id: actorId,
+        actor_role: 'farm',
+        note
+      });
+    });
+
+    return DatabaseService.buildOrderResponse(updated);
+  }
+
+  /**
+   * Fill in the order's open manual payment request, or open one (inside a transaction).
+   * Fields left null keep their current value.
+   */
+  static async upsertPendingPayment(client, orderId, { payment_info = null, payment_message = null, payment_reference = null, created_by = null }) {
+    const updRes = await client.query(
+      `UPDATE order_payments
+       SET payment_info = COALESCE($2, payment_info),
+           payment_message = COALESCE($3, payment_message),
+           payment_reference = COALESCE($4, payment_reference),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = (
+         SELECT id FROM order_payments
+         WHERE order_id = $1 AND provider = 'manual' AND status = 'pending'
+         ORDER BY created_at DESC LIMIT 1
+       )`,
+      [orderId, payment_info, payment_message, payment_reference]
+    );
+    if (updRes.rowCount > 0) return;
+    await client.query(
+      `INSERT INTO order_payments (order_id, provider, method, amount, status, payment_info, payment_message, payment_reference, created_by)
+       SELECT id, 'manual', payment_method, final_amount, 'pending', $2, $3, $4, $5
+       FROM orders WHERE id = $1`,
+      [orderId, payment_info, payment_message, payment_reference, created_by]
+    );
+  }
+
+  static presentPayment(row) {
+    return {
+      _id: row.id,
+      order_id: row.order_id,
+      provider: row.provider,
+      method: row.method,
+      amount: Number(row.amount),
+      currency: row.currency,
+      status: row.status,
+      provider_ref: row.provider_ref || null,
+      transaction_id: row.transaction_id || null,
+      redirect_url: row.redirect_url || null,
+      failure_reason: row.failure_reason || null,
+      paid_at: row.paid_at || null,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
+
+  /**
+   * Order row with the customer's contact details and the amount paid so far, for starting a gateway payment
+   */
+  static async getOrderForPayment(orderId) {
+    const result = await query(
+      `SELECT o.*,
+              u.email AS customer_email,
+              COALESCE(NULLIF(CONCAT(COALESCE(u.first_name,''),' ',COALESCE(u.last_name,'')), ' '), u.email) AS customer_name,
+              COALESCE(o.customer_phone, u.phone) AS contact_phone,
+              (SELECT COALESCE(SUM(p.amount), 0) FROM order_payments p
+               WHERE p.order_id = o.id AND p.status = 'paid') AS paid_amount
+       FROM orders o
+       JOIN users u ON o.customer_id = u.id
+       WHERE o.id = $1`,
+      [orderId]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Open a gateway payment for an order. The order takes the gateway's payment method and
+   * goes back to payment_status 'pending' if an earlier attempt failed.
+   */
+  static async createGatewayPayment({ order_id, provider, method, amount, currency = 'BDT', created_by = null }) {
+    return transaction(async (client) => {
+      const paymentRes = await client.query(
+        `INSERT INTO order_payments (order_id, provider, method, amount, currency, status, created_by)
+         VALUES ($1, $2, $3, $4, $5, 'pending', $6)
+         RETURNING *`,
+        [order_id, provider, method, amount, currency, created_by]
+      );
+      await client.query(
+        `UPDATE orders
+         SET payment_method = $1,
+             payment_status = CASE WHEN payment_status = 'failed' THEN 'pending' ELSE payment_status END,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2`,
+        [method, order_id]
+      );
+      return paymentRes.rows[0];
+    });
+  }
+
+  static async getOrderPaymentById(paymentId) {
+    const result = await query('SELECT * FROM order_payments WHERE id = $1', [paymentId]);
+    return result.rows[0];
+  }
+
+  static async findOrderPaymentByProviderRef(provider, providerRef) {
+    const result = await query(
+      'SELECT * FROM order_payments WHERE provider = $1 AND provider_ref = $2',
+      [provider, providerRef]
+    );
+    return result.rows[0];
+  }
+
+  static async getOrderPayments(orderId) {
+    const result = await query(
+      'SELECT * FROM order_payments WHERE order_id = $1 ORDER BY created_at ASC, id ASC',
+      [orderId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Record what the gateway returned when a payment was started
+   */
+  static async setPaymentInitiated(paymentId, { provider_ref, redirect_url = null, gateway_response = null }) {
+    const result = await query(
+      `UPDATE order_payments
+       SET provider_ref = $2, redirect_url = $3, gateway_response = $4, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [paymentId, provider_ref, redirect_url, gateway_response ? JSON.stringify(gateway_response) : null]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Settle a pending gateway payment as paid, failed or cancelled and update the order's
+   * payment_status. Payments that are already settled are returned unchanged, so repeated
+   * callbacks for the same payment are harmless.
+   */
+  static async applyPaymentResult(paymentId, { status, transaction_id = null, gateway_response = null, failure_reason = null }) {
+    if (!['paid', 'failed', 'cancelled'].includes(status)) {
+      throw new Error('Invalid payment status');
+    }
+    return transaction(async (client) => {
+      const currRes = await client.query('SELECT * FROM order_payments WHERE id = $1 FOR UPDATE', [paymentId]);
+      const curr = currRes.rows[0];
+      if (!curr) throw new Error('Payment not found');
+      if (curr.status !== 'pending') return curr;
+
+      const updRes = await client.query(
+        `UPDATE order_payments
+         SET status = $2,
+             transaction_id = COALESCE($3, transaction_id),
+             gateway_response = COALESCE($4, gateway_response),
+             failure_reason = $5,
+             paid_at = CASE WHEN $2 = 'paid' THEN CURRENT_TIMESTAMP ELSE paid_at END,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [paymentId, status, transaction_id, gateway_response ? JSON.stringify(gateway_response) : null, failure_reason]
+      );
+
+      // A failed attempt only marks the order failed while nothing else has been paid;
+      // a cancelled one leaves the order waiting for payment
+      await client.query(
+        `UPDATE orders
+         SET payment_status = CASE
+               WHEN $2 = 'paid' THEN 'paid'
+               WHEN $2 = 'failed' AND payment_status = 'pending' THEN 'failed'
+               ELSE payment_status
+             END,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [curr.order_id, status]
+      );
+      return updRes.rows[0];
+    });
+  }
+
+  static presentRefund(row, items = [], events = []) {
+    return {
+      _id: row.id,
+      order_id: row.order_id,
+      order_number: row.order_number || undefined,
+      fulfilment_id: row.fulfilment_id,
+      farm_id: row.farm_id,
+      status: row.status,
+      reason: row.reason,
+      amount: Number(row.amount),
+      is_full: Boolean(row.is_full),
+      payment_id: row.payment_id || null,
+      provider_refund_ref: row.provider_refund_ref || null,
+      failure_reason: row.failure_reason || null,
+      requested_by: row.requested_by || null,
+      reviewed_by: row.reviewed_by || null,
+      reviewed_at: row.reviewed_at || null,
+      review_note: row.review_note || null,
+      refunded_at: row.refunded_at || null,
+      created_at: row.created_at,
+      updated_at: row.updated_at,
+      items: items.map(item => ({
+        order_item_id: item.order_item_id,
+        quantity: Number(item.quantity),
+        amount: Number(item.amount),
+        restocked: Boolean(item.restocked)
+      })),
+      events
+    };
+  }
+
+  static async recordRefundEvent(client, { refund_id, action, actor_id = null, actor_role, note = null, details = null }) {
+    await client.query(
+      `INSERT INTO order_refund_events (refund_id, action, actor_id, actor_role, note, details)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [refund_id, action, actor_id, actor_role, note, details ? JSON.stringify(details) : null]
+    );
+  }
+
+  /**
+   * Request a refund of a whole order or of selected items ({ order_item_id, quantity? }).
+   * Creates one refund per farm fulfilment involved. A refund that covers everything left on a
+   * fulfilment returns what is left of its final amount (delivery fee included); partial refunds
+   * return what was paid for the items (after discounts, with VAT).
+   * @returns {Array<string>} ids of the created refunds
+   */
+  static async requestOrderRefund(orderId, { reason, items } = {}, { actor_id = null, actor_role }) {
+    if (!reason || !String(reason).trim()) throw new Error('reason is required');
+
+    return transaction(async (client) => {
+      const orderRes = await client.query('SELECT id FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+      if (!orderRes.rows[0]) throw new Error('Order not found');
+
+      // Quantities already covered by a refund that was not rejected are no longer refundable
+      const itemsRes = await client.query(
+        `SELECT oi.id, oi.fulfilment_id, oi.quantity, oi.unit_price, oi.total_price, oi.discount_amount,
+                oi.tax_amount, oi.tax_inclusive, f.farm_id, f.status AS fulfilment_status,
+                oi.quantity - COALESCE((
+                  SELECT SUM(ri.quantity) FROM order_refund_items ri
+                  JOIN order_refunds r ON ri.refund_id = r.id
+                  WHERE ri.order_item_id = oi.id AND r.status <> 'rejected'
+                ), 0) AS refundable_quantity
+         FROM order_items oi
+         JOIN order_fulfilments f ON oi.fulfilment_id = f.id
+         WHERE oi.order_id = $1
+         ORDER BY oi.created_at ASC, oi.id ASC`,
+        [orderId]
+      );
+      const orderItems = itemsRes.rows;
+
+      let requested;
+      if (Array.isArray(items) && items.length > 0) {
+        const seen = new Set();
+        requested = items.map(({ order_item_id, quantity } = {}) => {
+          const item = orderItems.find(i => String(i.id) === String(order_item_id));
+          if (!item) throw new Error('Order item not found');
+          if (seen.has(item.id)) throw new Error('Each order item can only be listed once');
+          seen.add(item.id);
+          const qty = quantity === undefined || quantity === null ? Number(item.refundable_quantity) : Number(quantity);
+          if (!Number.isFinite(qty) || qty <= 0) throw new Error('Invalid refund quantity');
+          if (qty > Number(item.refundable_quantity)) throw new Error('Refund quantity exceeds what is left to refund');
+          return { item, quantity: qty };
+        });
+      } else {
+        requested = orderItems
+          .filter(i => Number(i.refundable_quantity) > 0 && REFUNDABLE_FULFILMENT_STATUSES.includes(i.fulfilment_status))
+          .map(item => ({ item, quantity: Number(item.refundable_quantity) }));
+        if (requested.length === 0) throw new Error('Nothing left to refund on this order');
+      }
+
+      const groups = new Map();
+      for (const entry of requested) {
+        if (!REFUNDABLE_FULFILMENT_STATUSES.includes(entry.item.fulfilment_status)) {
+          throw new Error(entry.item.fulfilment_status === 'pending'
+            ? 'Pending orders are cancelled, not refunded'
+            : `Cannot refund a ${entry.item.fulfilment_status} order`);
+        }
+        if (!groups.has(entry.item.fulfilment_id)) groups.set(entry.item.fulfilment_id, []);
+        groups.get(entry.item.fulfilment_id).push(entry);
+      }
+
+      const refundIds = [];
+      for (const [fulfilmentId, entries] of groups) {
+        const fulfilmentRes = await client.query(
+          `SELECT f.*, COALESCE((
+             SELECT SUM(r.amount) FROM order_refunds r WHERE r.fulfilment_id = f.id AND r.status <> 'rejected'
+           ), 0) AS refunded_amount
+           FROM order_fulfilments f WHERE f.id = $1 FOR UPDATE`,
+          [fulfilmentId]
+        );
+        const fulfilment = fulfilmentRes.rows[0];
+        const remaining = Math.max(0, Number(fulfilment.final_amount) - Number(fulfilment.refunded_amount));
+
+        // What the customer paid per unit: the line total less its discount, plus VAT charged on top
+        const lines = entries.map(({ item, quantity }) => {
+          const paid = Number(item.total_price) - Number(item.discount_amount || 0)
+            + (item.tax_inclusive ? 0 : Number(item.tax_amount || 0));
+          return {
+            order_item_id: item.id,
+            quantity,
+            amount: Number((paid * quantity / Number(item.quantity)).toFixed(2))
+          };
+        });
+        const isFull = orderItems
+          .filter(i => String(i.fulfilment_id) === String(fulfilmentId))
+          .every(i => {
+            const line = lines.find(l => String(l.order_item_id) === String(i.id));
+            return Number(i.refundable_quantity) - (line ? line.quantity : 0) <= 0;
+          });
+        const itemsTotal = Number(lines.reduce((acc, l) => acc + l.amount, 0).toFixed(2));
+        const amount = Number((isFull ? remaining : Math.min(itemsTotal, remaining)).toFixed(2));
+
+        const refundRes = await client.query(
+          `INSERT INTO order_refunds (order_id, fulfilment_id, farm_id, status, reason, amount, is_full, requested_by)
+           VALUES ($1, $2, $3, 'requested', $4, $5, $6, $7)
+           RETURNING id`,
+          [orderId, fulfilmentId, fulfilment.farm_id, String(reason).trim(), amount, isFull, actor_id]
+        );
+        const refundId = refundRes.rows[0].id;
+        for (const line of lines) {
+          await client.query(
+            `INSERT INTO order_refund_items (refund_id, order_item_id, quantity, amount) VALUES ($1, $2, $3, $4)`,
+            [refundId, line.order_item_id, line.quantity, line.amount]
+          );
+        }
+        await DatabaseService.recordRefundEvent(client, {
+          refund_id: refundId,
+          action: 'requested',
+          actor_id,
+          actor_role,
+          note: String(reason).trim(),
+          details: { amount, items: lines }
+        });
+        refundIds.push(refundId);
+      }
+      return refundIds;
+    });
+  }
+
+  static async getRefundById(refundId) {
+    const result = await query('SELECT * FROM order_refunds WHERE id = $1', [refundId]);
+    return result.rows[0];
+  }
+
+  /**
+   * Refunds of an order with their items and audit trail; `farmIds` limits them to those farms
+   */
+  static async getOrderRefunds(orderId, { farmIds = null } = {}) {
+    const params = [orderId];
+    let farmFilter = '';
+    if (Array.isArray(farmIds)) {
+      params.push(farmIds);
+      farmFilter = 'AND r.farm_id = ANY($2::uuid[])';
+    }
+    const refundsRes = await query(
+      `SELECT r.* FROM order_refunds r WHERE r.order_id = $1 ${farmFilter} ORDER BY r.created_at ASC, r.id ASC`,
+      params
+    );
+    return DatabaseService.withRefundDetails(refundsRes.rows);
+  }
+
+  /**
+   * Refunds on a farm's fulfilments, newest first
+   */
+  static async getFarmRefunds(farmId, { status, start_date, end_date } = {}) {
+    const where = ['r.farm_id = $1'];
+    const params = [farmId];
+    if (status) {
+      params.push(status);
+      where.push(`r.status = $${params.length}`);
+    }
+    if (start_date) {
+      params.push(start_date);
+      where.push(`r.created_at >= $${params.length}`);
+    }
+    if (end_date) {
+      params.push(end_date);
+      where.push(`r.created_at <= $${params.length}`);
+    }
+    const refundsRes = await query(
+      `SELECT r.*, o.order_number
+       FROM order_refunds r
+       JOIN orders o ON r.order_id = o.id
+       WHERE ${where.join(' AND ')}
+       ORDER BY r.created_at DESC`,
+      params
+    );
+    return DatabaseService.withRefundDetails(refundsRes.rows);
+  }
+
+  static async withRefundDetails(rows) {
+    if (rows.length === 0) return [];
+    const ids = rows.map(r => r.id);
+    const itemsRes = await query(
+      'SELECT * FROM order_refund_items WHERE refund_id = ANY($1::uuid[]) ORDER BY created_at ASC, id ASC',
+      [ids]
+    );
+    const eventsRes = await query(
+      `SELECT refund_id, action, actor_id, actor_role, note, details, created_at
+       FROM order_refund_events WHERE refund_id = ANY($1::uuid[])
+       ORDER BY created_at ASC, id ASC`,
+      [ids]
+    );
+    return rows.map(row => DatabaseService.presentRefund(
+      row,
+      itemsRes.rows.filter(i => String(i.refund_id) === String(row.id)),
+      eventsRes.rows
+        .filter(e => String(e.refund_id) === String(row.id))
+        .map(({ refund_id, ...event }) => event)
+    ));
+  }
+
+  /**
+   * Approve a requested refund (or retry one whose payout failed). With `restock` the refunded
+   * quantities go back into store stock; by default only when the farm has not shipped yet.
+   */
+  static async approveRefund(refundId, { actor_id = null, actor_role, note = null, restock } = {}) {
+    return transaction(async (client) => {
+      const refundRes = await client.query('SELECT * FROM order_refunds WHERE id = $1 FOR UPDATE', [refundId]);
+      const refund = refundRes.rows[0];
+      if (!refund) throw new Error('Refund not found');
+      if (!['requested', 'failed'].includes(refund.status)) {
+        throw new Error(`Refund is already ${refund.status}`);
+      }
+
+      const updRes = await client.query(
+        `UPDATE order_refunds
+         SET status = 'approved', reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP,
+             review_note = COALESCE($3, review_note), failure_reason = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [refundId, actor_id, note]
+      );
+      await DatabaseService.recordRefundEvent(client, { refund_id: refundId, action: 'approved', actor_id, actor_role, note });
+
+      const fulfilmentRes = await client.query('SELECT status FROM order_fulfilments WHERE id = $1', [refund.fulfilment_id]);
+      const shouldRestock = restock === undefined || restock === null
+        ? ['confirmed', 'processing'].includes(fulfilmentRes.rows[0]?.status)
+        : Boolean(restock);
+      if (shouldRestock) {
+        const itemsRes = await client.query(
+          `SELECT ri.id, ri.quantity, oi.store_product_id
+           FROM order_refund_items ri
+           JOIN order_items oi ON ri.order_item_id = oi.id
+           WHERE ri.refund_id = $1 AND ri.restocked = false`,
+          [refundId]
+        );
+        for (const item of itemsRes.rows) {
+          await client.query(
+            `UPDATE store_products SET stock_quantity = stock_quantity + $2 WHERE id = $1`,
+            [item.store_product_id, item.quantity]
+          );
+          await client.query('UPDATE order_refund_items SET restocked = true WHERE id = $1', [item.id]);
+        }
+        if (itemsRes.rows.length > 0) {
+          await DatabaseService.recordRefundEvent(client, {
+            refund_id: refundId,
+            action: 'restocked',
+            actor_id,
+            actor_role,
+            details: { items: itemsRes.rows.map(i => ({ store_product_id: i.store_product_id, quantity: Number(i.quantity) })) }
+          });
+        }
+      }
+      return updRes.rows[0];
+    });
+  }
+
+  static async rejectRefund(refundId, { actor_id = null, actor_role, note = null } = {}) {
+    return transaction(async (client) => {
+      const refundRes = await client.query('SELECT * FROM order_refunds WHERE id = $1 FOR UPDATE', [refundId]);
+      const refund = refundRes.rows[0];
+      if (!refund) throw new Error('Refund not found');
+      if (refund.status !== 'requested') throw new Error(`Refund is already ${refund.status}`);
+
+      const updRes = await client.query(
+        `UPDATE order_refunds
+         SET status = 'rejected', reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP,
+             review_note = $3, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [refundId, actor_id, note]
+      );
+      await DatabaseService.recordRefundEvent(client, { refund_id: refundId, action: 'rejected', actor_id, actor_role, note });
+      return updRes.rows[0];
+    });
+  }
+
+  /**
+   * Latest online payment of an order that refunds can be paid back to, with the amount already refunded on it
+   */
+  static async getRefundablePayment(orderId) {
+    const result = await query(
+      `SELECT p.*, COALESCE((
+         SELECT SUM(r.amount) FROM order_refunds r WHERE r.payment_id = p.id AND r.status = 'refunded'
+       ), 0) AS refunded_amount
+       FROM order_payments p
+       WHERE p.order_id = $1 AND p.provider <> 'manual' AND p.status = 'paid'
+       ORDER BY p.paid_at DESC NULLS LAST, p.created_at DESC
+       LIMIT 1`,
+      [orderId]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Record the payout of an approved refund as refunded or failed. A refunded refund updates the
+   * payment, moves a fully refunded fulfilment to 'refunded' and sets the order's payment_status
+   * to 'partial' or 'refunded'.
+   */
+  static async completeRefund(refundId, { status, payment_id = null, provider_refund_ref = null, failure_reason = null, actor_id = null, actor_role, note = null }) {
+    if (!['refunded', 'failed'].includes(status)) throw new Error('Invalid refund status');
+
+    return transaction(async (client) => {
+      const refundRes = await client.query('SELECT * FROM order_refunds WHERE id = $1 FOR UPDATE', [refundId]);
+      const refund = refundRes.rows[0];
+      if (!refund) throw new Error('Refund not found');
+      if (refund.status !== 'approved') throw new Error(`Refund is already ${refund.status}`);
+
+      const updRes = await client.query(
+        `UPDATE order_refunds
+         SET status = $2, payment_id = COALESCE($3, payment_id), provider_refund_ref = $4, failure_reason = $5,
+             refunded_at = CASE WHEN $2 = 'refunded' THEN CURRENT_TIMESTAMP ELSE refunded_at END,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [refundId, status, payment_id, provider_refund_ref, failure_reason]
+      );
+      await DatabaseService.recordRefundEvent(client, {
+        refund_id: refundId,
+        action: status,
+        actor_id,
+        actor_role,
+        note: status === 'failed' ? failure_reason : note,
+        details: { amount: Number(refund.amount), payment_id, provider_refund_ref }
+      });
+      if (status === 'failed') return updRes.rows[0];
+
+      if (payment_id) {
+        await client.query(
+          `UPDATE order_payments p
+           SET status = 'refunded', updated_at = CURRENT_TIMESTAMP
+           WHERE p.id = $1 AND p.amount <= (
+             SELECT COALESCE(SUM(r.amount), 0) + 0.009 FROM order_refunds r WHERE r.payment_id = p.id AND r.status = 'refunded'
+           )`,
+          [payment_id]
+        );
+      }
+
+      const orderRes = await client.query(`SELECT *, ${LATEST_PAYMENT_INFO} FROM orders WHERE id = $1 FOR UPDATE`, [refund.order_id]);
+      const order = orderRes.rows[0];
+
+      // Every item of the fulfilment refunded in full: the fulfilment itself is refunded
+      const openRes = await client.query(
+        `SELECT COUNT(*) AS open_items
+         FROM order_items oi
+         WHERE oi.fulfilment_id = $1 AND oi.quantity > COALESCE((
+           SELECT SUM(ri.quantity) FROM order_refund_items ri
+           JOIN order_refunds r ON ri.refund_id = r.id
+           WHERE ri.order_item_id = oi.id AND r.status = 'refunded'
+         ), 0)`,
+        [refund.fulfilment_id]
+      );
+      const fulfilmentRes = await client.query('SELECT status FROM order_fulfilments WHERE id = $1 FOR UPDATE', [refund.fulfilment_id]);
+      const fulfilment = fulfilmentRes.rows[0];
+      if (parseInt(openRes.rows[0].open_items, 10) === 0 && fulfilment && fulfilment.status !== 'refunded') {
+        await client.query(
+          `UPDATE order_fulfilments SET status = 'refunded', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+          [refund.fulfilment_id]
+        );
+        // Order status history has no admin role; admin actions are recorded as system
+        const historyRole = actor_role === 'admin' ? 'system' : actor_role;
+        await DatabaseService.recordOrderStatusChange(client, {
+          order_id: refund.order_id,
+          fulfilment_id: refund.fulfilment_id,
+          from_status: DatabaseService.presentStatus({ ...order, status: fulfilment.status }),
+          to_status: 'refunded',
+          actor_id,
+          actor_role: historyRole,
+          note: refund.reason
+        });
+        await DatabaseService.syncOrderWithFulfilments(client, refund.order_id, {
+          previous_status: DatabaseService.presentStatus(order),
+          actor_id,
+          actor_role: historyRole,
+          note: refund.reason
+        });
+      }
+
+      // Only orders that were paid have a refund state
+      await client.query(
+        `WITH totals AS (
+           SELECT
+             (SELECT COALESCE(SUM(amount), 0) FROM order_payments WHERE order_id = $1 AND status IN ('paid', 'refunded')) AS paid,
+             (SELECT COALESCE(SUM(amount), 0) FROM order_refunds WHERE order_id = $1 AND status = 'refunded') AS refunded
+         )
+         UPDATE orders o
+         SET payment_status = CASE WHEN totals.refunded >= totals.paid - 0.009 THEN 'refunded' ELSE 'partial' END,
+             updated_at = CURRENT_TIMESTAMP
+         FROM totals
+         WHERE o.id = $1 AND totals.paid > 0 AND totals.refunded > 0`,
+        [refund.order_id]
+      );
+      return updRes.rows[0];
+    });
+  }
+
+  static async setOrderDeliveryFee(orderId, principal, fee, fulfilmentId = null) {
+    const deliveryFee = Number(fee);
+    if (!Number.isFinite(deliveryFee) || deliveryFee < 0) {
+      throw new Error('Invalid delivery_fee');
+    }
+    const fulfilment = await DatabaseService.resolveManagedFulfilment(orderId, principal, fulfilmentId);
+
+    const updated = await transaction(async (client) => {
+      const currRes = await client.query('SELECT * FROM order_fulfilments WHERE id = $1 FOR UPDATE', [fulfilment.id]);
+      const curr = currRes.rows[0];
+      if (!curr) throw new Error('Order not found');
+      const newFinal = Number((Number(curr.subtotal_amount) - Number(curr.discount_amount) + Number(curr.tax_amount) + deliveryFee).toFixed(2));
+      await client.query(
+        `UPDATE order_fulfilments SET shipping_amount = $1, final_amount = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3`,
+        [deliveryFee, newFinal, fulfilment.id]
+      );
+      return DatabaseService.syncOrderWithFulfilments(client, orderId);
+    });
+
+    return DatabaseService.buildOrderResponse(updated);
+  }
+
+  /**
+   * Cancel an order or one farm's fulfilment of it.
+   * Customers cancel every open fulfilment (or the one given); farm users cancel their own fulfilment.
+   * Both are checked against the order status graph.
+   * Cancelled items go back into stock and drop out of the combined total.
+   */
+  static async cancelOrder(orderId, principal, reason, fulfilmentId = null) {
+    const rawRes = await query(`SELECT customer_id, status, payment_status, ${LATEST_PAYMENT_INFO} FROM orders WHERE id = $1`, [orderId]);
+    const raw = rawRes.rows[0];
+    if (!raw) throw new Error('Order not found');
+
+    const userId = principalUserId(principal);
+    const actorId = principalActorId(principal);
+    const isCustomer = userId && String(raw.customer_id) === String(userId);
+    let targets;
+    if (isCustomer) {
+      const fulfilmentsRes = await query('SELECT * FROM order_fulfilments WHERE order_id = $1', [orderId]);
+      targets = fulfilmentId
+        ? fulfilmentsRes.rows.filter(f => String(f.id) === String(fulfilmentId))
+        : fulfilmentsRes.rows.filter(f => !CLOSED_ORDER_STATUSES.includes(f.status));
+      if (fulfilmentId && targets.length === 0) throw new Error('Fulfilment not found');
+    } else {
+      try {
+        targets = [await DatabaseService.resolveManagedFulfilment(orderId, principal, fulfilmentId)];
+      } catch (error) {
+        if (/Access denied/.test(error.message)) throw new Error('Access denied');
+        throw error;
+      }
+    }
+
+    const actorRole = isCustomer ? 'customer' : 'farm';
+    if (targets.length === 0) {
+      assertTransition(DatabaseService.presentStatus(raw), 'cancelled', actorRole);
+    }
+    for (const fulfilment of targets) {
+      assertTransition(DatabaseService.presentStatus({ ...raw, status: fulfilment.status }), 'cancelled', actorRole);
+    }
+
+    const metaReason = reason || 'Cancelled by user';
+
+    const updated = await transaction(async (client) => {
+      for (const fulfilment of targets) {
+        const cancelRes = await client.query(
+          `UPDATE order_fulfilments
+           SET status = 'cancelled', cancellation_reason = $1, cancelled_by = $2,
+               cancelled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $3 AND status IN ('pending', 'confirmed')`,
+          [metaReason, actorId, fulfilment.id]
+        );
+        // Lost a race against another status change
+        if (cancelRes.rowCount === 0) {
+          throw new Error(`Cannot change order status from ${fulfilment.status} to cancelled`);
+        }
+        await DatabaseService.recordOrderStatusChange(client, {
+          order_id: orderId,
+          fulfilment_id: fulfilment.id,
+          from_status: DatabaseService.presentStatus({ ...raw, status: fulfilment.status }),
+          to_status: 'cancelled',
+          actor_id: actorId,
+          actor_role: actorRole,
+          note: metaReason
+        });
+
+        // An open amendment is settled with the fulfilment: rejected by the customer, dropped by the farm
+        await client.query(
+          `UPDATE order_amendments
+           SET status = $2, responded_by = $3, responded_at = CURRENT_TIMESTAMP, response_note = $4
+           WHERE fulfilment_id = $1 AND status = 'proposed'`,
+          [fulfilment.id, isCustomer ? 'rejected' : 'cancelled', actorId, metaReason]
+        );
+
+        // Restore stock quantities
+        const items = await client.query(
+          `SELECT store_product_id, quantity FROM order_items WHERE fulfilment_id = $1`,
+          [fulfilment.id]
+        );
+        for (const it of items.rows) {
+          await client.query(
+            `UPDATE store_products SET stock_quantity = stock_quantity + $2 WHERE id = $1`,
+            [it.store_product_id, it.quantity]
+          );
+        }
+      }
+
+      const order = await DatabaseService.syncOrderWithFulfilments(client, orderId, {
+        previous_status: DatabaseService.presentStatus(raw),
+        actor_id: actorId,
+        actor_role: actorRole,
+        note: metaReason
+      });
+      if (order.status !== 'cancelled') return order;
+
+      // Whole order cancelled: keep the reason on the order as before
+      const updRes = await client.query(
+        `UPDATE orders SET cancellation_reason = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2 RETURNING *, ${LATEST_PAYMENT_INFO}`,
+        [metaReason, orderId]
+      );
+      return updRes.rows[0];
+    });
+
+    return DatabaseService.buildOrderResponse(updated);
+  }
+
+  // =========================
+  // Order amendments
+  // =========================
+  static presentAmendment(row) {
+    return {
+      _id: row.id,
+      order_id: row.order_id,
+      fulfilment_id: row.fulfilment_id,
+      farm_id: row.farm_id,
+      status: row.status,
+      reason: row.reason || null,
+      changes: row.changes,
+      previous_final_amount: Number(row.previous_final_amount),
+      amended_final_amount: Number(row.amended_final_amount),
+      proposed_by: row.proposed_by || null,
+      responded_by: row.responded_by || null,
+      responded_at: row.responded_at || null,
+      response_note: row.response_note || null,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
+
+  static async getOrderAmendmentById(amendmentId) {
+    const result = await query('SELECT * FROM order_amendments WHERE id = $1', [amendmentId]);
+    return result.rows[0];
+  }
+
+  static async getOrderAmendments(orderId, { farmIds = null } = {}) {
+    const params = [orderId];
+    let farmFilter = '';
+    if (Array.isArray(farmIds)) {
+      params.push(farmIds);
+      farmFilter = 'AND farm_id = ANY($2::uuid[])';
+    }
+    const result = await query(
+      `SELECT * FROM order_amendments WHERE order_id = $1 ${farmFilter} ORDER BY created_at ASC`,
+      params
+    );
+    return result.rows.map(row => DatabaseService.presentAmendment(row));
+  }
+
+  /**
+   * Amend a farm's pending fulfilment when it cannot be supplied as ordered. Each change names an
+   * order item and either sets its `quantity`, `remove`s it, or swaps in `substitute_store_product_id`
+   * (another product of the same farm, at its current price; `quantity` defaults to the ordered one).
+   * Changes apply straight away: stock is adjusted and the fulfilment re-priced (coupon discount,
+   * VAT and zone delivery fee). The customer then accepts the amendment or rejects it, which
+   * cancels the fulfilment; until then the farm cannot move the fulfilment on.
+   */
+  static async amendOrder(orderId, principal, { changes, reason, fulfilment_id = null } = {}) {
+    if (!Array.isArray(changes) || changes.length === 0) {
+      throw new Error('changes must be a non-empty array');
+    }
+    const seen = new Set();
+    for (const change of changes) {
+      if (!change || !change.order_item_id) throw new Error('Each change must have order_item_id');
+      if (seen.has(String(change.order_item_id))) throw new Error('Each item can only be changed once per amendment');
+      seen.add(String(change.order_item_id));
+      const hasQuantity = change.quantity !== undefined && change.quantity !== null;
+      if (hasQuantity && !(Number(change.quantity) > 0)) throw new Error('quantity must be a positive number');
+      if (!change.remove && !change.substitute_store_product_id && !hasQuantity) {
+        throw new Error('Each change must set quantity, remove or substitute_store_product_id');
+      }
+    }
+
+    const fulfilment = await DatabaseService.resolveManagedFulfilment(orderId, principal, fulfilment_id);
+    const actorId = principalActorId(principal);
+
+    const substitutes = new Map();
+    for (const change of changes.filter(c => !c.remove && c.substitute_store_product_id)) {
+      const sp = await DatabaseService.getStoreProductById(change.substitute_store_product_id);
+      if (!sp) throw new Error('Substitute product not found');
+      if (String(sp.farm_id) !== String(fulfilment.farm_id)) throw new Error('Substitutes must be products of the same farm');
+      if (!sp.is_available) throw new Error(`Product '${sp.product_name}' is not available`);
+      substitutes.set(change.substitute_store_product_id, sp);
+    }
+    const taxRules = [...substitutes.values()].some(sp => sp.vat_registered) ? await DatabaseService.listTaxRules({ activeOnly: true }) : [];
+    const zone = fulfilment.delivery_zone_id ? await DatabaseService.getDeliveryZoneById(fulfilment.delivery_zone_id) : null;
+
+    const updated = await transaction(async (client) => {
+      const orderRes = await client.query(`SELECT *, ${LATEST_PAYMENT_INFO} FROM orders WHERE id = $1 FOR UPDATE`, [orderId]);
+      const order = orderRes.rows[0];
+      const currRes = await client.query('SELECT * FROM order_fulfilments WHERE id = $1 FOR UPDATE', [fulfilment.id]);
+      const curr = currRes.rows[0];
+      if (!order || !curr) throw new Error('Order not found');
+      if (DatabaseService.presentStatus({ ...order, status: curr.status }) !== 'pending') {
+        throw new Error('Only pending orders can be amended');
+      }
+      if (order.payment_status === 'paid') {
+        throw new Error('Paid orders cannot be amended');
+      }
+      const openAmendment = await client.query(
+        `SELECT id FROM order_amendments WHERE fulfilment_id = $1 AND status = 'proposed'`,
+        [fulfilment.id]
+      );
+      if (openAmendment.rows.length > 0) {
+        throw new Error('Order amendment is awaiting the customer\'s response');
+      }
+
+      const itemsRes = await client.query(
+        `SELECT oi.*, COALESCE(p.name, 'Unknown Product') AS product_name, p.unit, p.weight_kg,
+                p.category_id, p.product_type
+         FROM order_items oi
+         JOIN store_products sp ON oi.store_product_id = sp.id
+         JOIN products p ON sp.product_id = p.id
+         WHERE oi.fulfilment_id = $1
+         ORDER BY oi.created_at ASC
+         FOR UPDATE OF oi`,
+        [fulfilment.id]
+      );
+      const lines = itemsRes.rows.map(row => ({ ...row }));
+      const describe = (line) => ({
+        store_product_id: line.store_product_id,
+        product_name: line.product_name,
+        quantity: Number(line.quantity),
+        unit_price: Number(line.unit_price),
+        total_price: Number(line.total_price)
+      });
+
+      const applied = [];
+      for (const change of changes) {
+        const line = lines.find(l => String(l.id) === String(change.order_item_id));
+        if (!line) throw new Error('Order item not found in this fulfilment');
+        const before = describe(line);
+        const oldQty = Number(line.quantity);
+
+        if (change.remove) {
+          await client.query('UPDATE store_products SET stock_quantity = stock_quantity + $2 WHERE id = $1', [line.store_product_id, oldQty]);
+          await client.query('DELETE FROM order_items WHERE id = $1', [line.id]);
+          lines.splice(lines.indexOf(line), 1);
+          applied.push({ order_item_id: line.id, action: 'remove', from: before, to: null });
+          continue;
+        }
+
+        const sp = change.substitute_store_product_id ? substitutes.get(change.substitute_store_product_id) : null;
+        const qty = change.quantity !== undefined && change.quantity !== null ? Number(change.quantity) : oldQty;
+        if (sp && String(sp._id) === String(line.store_product_id)) {
+          throw new Error(`'${line.product_name}' cannot be substituted with itself`);
+        }
+        if (!sp && qty === oldQty) continue;
+
+        // Put back what is no longer supplied, then take what is
+        const sameProduct = !sp;
+        const restock = sameProduct ? Math.max(oldQty - qty, 0) : oldQty;
+        const take = sameProduct ? Math.max(qty - oldQty, 0) : qty;
+        if (restock > 0) {
+          await client.query('UPDATE store_products SET stock_quantity = stock_quantity + $2 WHERE id = $1', [line.store_product_id, restock]);
+        }
+        const productId = sp ? sp._id : line.store_product_id;
+        if (take > 0 && !(await DatabaseService.deductStock(client, productId, take, order.customer_id))) {
+          throw new Error(`Insufficient stock for '${sp ? sp.product_name : line.product_name}'`);
+        }
+
+        const unitPrice = sp ? Number(sp.price_after_discount ?? sp.store_price ?? 0) : Number(line.unit_price);
+        const total = Number((unitPrice * qty).toFixed(2));
+        // A line keeps the share of its coupon discount that matches what is left of it, never more
+        const oldTotal = Number(line.total_price);
+        const oldDiscount = Number(line.discount_amount || 0);
+        const discount = oldTotal > 0 ? Number(Math.min(oldDiscount, oldDiscount * total / oldTotal).toFixed(2)) : 0;
+        const rule = sp
+          ? (sp.vat_registered ? DatabaseService.findTaxRule(taxRules, sp) : null)
+          : { id: line.tax_rule_id, rate: line.tax_rate, is_inclusive: line.tax_inclusive };
+        const tax = DatabaseService.calculateLineTax(total - discount, rule);
+
+        Object.assign(line, {
+          store_product_id: productId,
+          product_name: sp ? sp.product_name : line.product_name,
+          unit: sp ? sp.unit : line.unit,
+          weight_kg: sp ? sp.weight_kg : line.weight_kg,
+          quantity: qty,
+          unit_price: unitPrice,
+          total_price: total,
+          discount_amount: discount,
+          ...tax
+        });
+        await client.query(
+          `UPDATE order_items
+           SET store_product_id = $2, quantity = $3, unit_price = $4, total_price = $5, discount_amount = $6,
+               tax_rule_id = $7, tax_rate = $8, tax_inclusive = $9, taxable_amount = $10, tax_amount = $11
+           WHERE id = $1`,
+          [line.id, productId, qty, unitPrice, total, discount,
+            tax.tax_rule_id, tax.tax_rate, tax.tax_inclusive, tax.taxable_amount, tax.tax_amount]
+        );
+        applied.push({ order_item_id: line.id, action: sp ? 'substitute' : 'quantity', from: before, to: describe(line) });
+      }
+
+      if (applied.length === 0) throw new Error('The changes leave the order as it is');
+      if (lines.length === 0) throw new Error('An amendment cannot remove every item; cancel the order instead');
+
+      const sum = (field) => Number(lines.reduce((acc, l) => acc + Number(l[field] || 0), 0).toFixed(2));
+      const subtotal = sum('total_price');
+      const discount = sum('discount_amount');
+      // Only VAT added on top of the prices counts towards the totals
+      const tax = Number(lines.reduce((acc, l) => acc + (l.tax_inclusive ? 0 : Number(l.tax_amount || 0)), 0).toFixed(2));
+      // Zone-priced delivery is re-priced for what is left; a fee set by the farm stays as it is
+      const shipping = zone
+        ? DatabaseService.calculateDeliveryFee(zone, {
+          subtotal,
+          weight_kg: lines.reduce((acc, l) => acc + DatabaseService.lineWeightKg(l, l.quantity), 0)
+        })
+        : Number(curr.shipping_amount || 0);
+      const finalAmount = Number((subtotal - discount + tax + shipping).toFixed(2));
+
+      await client.query(
+        `UPDATE order_fulfilments
+         SET subtotal_amount = $2, discount_amount = $3, tax_amount = $4, shipping_amount = $5, final_amount = $6,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [fulfilment.id, subtotal, discount, tax, shipping, finalAmount]
+      );
+      const note = reason ? String(reason) : null;
+      await client.query(
+        `INSERT INTO order_amendments (order_id, fulfilment_id, farm_id, reason, changes, previous_final_amount, amended_final_amount, proposed_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [orderId, fulfilment.id, fulfilment.farm_id, note, JSON.stringify(applied), Number(curr.final_amount), finalAmount, actorId]
+      );
+      await DatabaseService.recordOrderStatusChange(client, {
+        order_id: orderId,
+        fulfilment_id: fulfilment.id,
+        from_status: 'pending',
+        to_status: 'pending',
+        actor_id: actorId,
+        actor_role: 'farm',
+        note: `Order amended by the farm, awaiting the customer's approval${note ? `: ${note}` : ''}`
+      });
+
+      return DatabaseService.syncOrderWithFulfilments(client, orderId);
+    });
+
+    return DatabaseService.buildOrderResponse(updated);
+  }
+
+  // Load an order's amendment for its customer to answer
+  static async getAmendmentForCustomer(orderId, amendmentId, customerId) {
+    const amendment = await DatabaseService.getOrderAmendmentById(amendmentId);
+    if (!amendment || String(amendment.order_id) !== String(orderId)) throw new Error('Amendment not found');
+    const orderRes = await query('SELECT customer_id FROM orders WHERE id = $1', [orderId]);
+    if (!orderRes.rows[0] || String(orderRes.rows[0].customer_id) !== String(customerId)) {
+      throw new Error('Access denied');
+    }
+    if (amendment.status !== 'proposed') throw new Error(`Amendment has already been ${amendment.status}`);
+    return amendment;
+  }
+
+  /**
+   * Customer accepts an amended fulfilment; the farm can then confirm it
+   */
+  static async acceptOrderAmendment(orderId, amendmentId, customerId, note = null) {
+    const amendment = await DatabaseService.getAmendmentForCustomer(orderId, amendmentId, customerId);
+    const updated = await transaction(async (client) => {
+      const accepted = await client.query(
+        `UPDATE order_amendments
+         SET status = 'accepted', responded_by = $2, responded_at = CURRENT_TIMESTAMP, response_note = $3
+         WHERE id = $1 AND status = 'proposed'`,
+        [amendment.id, customerId, note ? String(note) : null]
+      );
+      // Lost a race against the order being cancelled
+      if (accepted.rowCount === 0) throw new Error('Amendment is no longer open');
+      await DatabaseService.recordOrderStatusChange(client, {
+        order_id: orderId,
+        fulfilment_id: amendment.fulfilment_id,
+        from_status: 'pending',
+        to_status: 'pending',
+        actor_id: customerId,
+        actor_role: 'customer',
+        note: `Order amendment accepted${note ? `: ${note}` : ''}`
+      });
+      const orderRes = await client.query(`SELECT *, ${LATEST_PAYMENT_INFO} FROM orders WHERE id = $1`, [orderId]);
+      return orderRes.rows[0];
+    });
+    return DatabaseService.buildOrderResponse(updated);
+  }
+
+  /**
+   * Customer rejects an amended fulfilment, which cancels it (restocking what was left of it)
+   */
+  static async rejectOrderAmendment(orderId, amendmentId, customerId, note = null) {
+    const amendment = await DatabaseService.getAmendmentForCustomer(orderId, amendmentId, customerId);
+    return DatabaseService.cancelOrder(orderId, customerId, note || 'Order amendment rejected', amendment.fulfilment_id);
+  }
+
+  // =========================
+  // Subscriptions
+  // =========================
+  static presentSubscription(row, items = []) {
+    return {
+      _id: row.id,
+      customer_id: row.customer_id,
+      customer_name: row.customer_name || null,
+      farm_id: row.farm_id,
+      farm_name: row.farm_name || null,
+      name: row.name || null,
+      frequency: row.frequency,
+      delivery_day: Number(row.delivery_day),
+      delivery_address: row.delivery_address,
+      delivery_location: DatabaseService.presentDeliveryLocation(row),
+      customer_phone: row.customer_phone || null,
+      payment_method: row.payment_method,
+      notes: row.notes || null,
+      out_of_stock_policy: row.out_of_stock_policy,
+      status: row.status,
+      paused_until: DatabaseService.toDateKey(row.paused_until),
+      next_delivery_date: DatabaseService.toDateKey(row.next_delivery_date),
+      cancelled_at: row.cancelled_at || null,
+      created_at: row.created_at,
+      updated_at: row.updated_at,
+      items: items.map(item => ({
+        store_product_id: item.store_product_id,
+        product_name: item.product_name,
+        unit: item.unit || null,
+        quantity: Number(item.quantity),
+        unit_price: Number(item.price_after_discount),
+        available_stock: Number(item.available_stock),
+        is_available: Boolean(item.is_available)
+      }))
+    };
+  }
+
+  static presentSubscriptionRun(row) {
+    return {
+      _id: row.id,
+      subscription_id: row.subscription_id,
+      delivery_date: DatabaseService.toDateKey(row.delivery_date),
+      status: row.status,
+      order_id: row.order_id || null,
+      skipped_items: row.skipped_items || [],
+      note: row.note || null,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
+
+  /**
+   * Validate subscription fields from a create (all required fields) or update (only the given ones)
+   * request. `current` is the subscription being updated, for checks that span several fields.
+   */
+  static normalizeSubscriptionInput(data = {}, { partial = false, current = null } = {}) {
+    const out = {};
+    const has = (key) => data[key] !== undefined;
+
+    if (has('name')) {
+      const name = data.name ? String(data.name).trim() : null;
+      if (name && name.length > 100) throw new Error('name must be at most 100 characters');
+      out.name = name || null;
+    }
+    if (!partial || has('frequency')) {
+      if (!SUBSCRIPTION_FREQUENCIES.includes(data.frequency)) {
+        throw new Error(`frequency must be one of: ${SUBSCRIPTION_FREQUENCIES.join(', ')}`);
+      }
+      out.frequency = data.frequency;
+    }
+    const frequency = out.frequency || (current && current.frequency);
+    if (!partial || has('delivery_day') || has('frequency')) {
+      const day = Number(has('delivery_day') ? data.delivery_day : current && current.delivery_day);
+      const [min, max] = frequency === 'monthly' ? [1, 28] : [0, 6];
+      if (!Number.isInteger(day) || day < min || day > max) {
+        throw new Error(frequency === 'monthly'
+          ? 'delivery_day must be a day of the month from 1 to 28'
+          : 'delivery_day must be a weekday from 0 (Sunday) to 6 (Saturday)');
+      }
+      out.delivery_day = day;
+    }
+    if (!partial || has('delivery_address')) {
+      const address = String(data.delivery_address || '').trim();
+      if (!address) throw new Error('delivery_address is required');
+      out.delivery_address = address;
+    }
+    if (has('delivery_location')) out.delivery_location = DatabaseService.normalizeDeliveryLocation(data.delivery_location);
+    if (has('customer_phone')) out.customer_phone = data.customer_phone ? String(data.customer_phone).trim() : null;
+    if (has('notes')) out.notes = data.notes ? String(data.notes) : null;
+    if (has('payment_method')) {
+      if (!ORDER_PAYMENT_METHODS.includes(data.payment_method)) throw new Error('Invalid payment_method');
+      out.payment_method = data.payment_method;
+    }
+    if (has('out_of_stock_policy')) {
+      if (!SUBSCRIPTION_OUT_OF_STOCK_POLICIES.includes(data.out_of_stock_policy)) {
+        throw new Error(`out_of_stock_policy must be one of: ${SUBSCRIPTION_OUT_OF_STOCK_POLICIES.join(', ')}`);
+      }
+      out.out_of_stock_policy = data.out_of_stock_policy;
+    }
+    if (!partial || has('items')) {
+      if (!Array.isArray(data.items) || data.items.length === 0) throw new Error('Items array is required');
+      const seen = new Set();
+      out.items = data.items.map((item) => {
+        const { store_product_id, quantity } = item || {};
+        if (!store_product_id || !quantity || Number(quantity) <= 0) {
+          throw new Error('Each item must have store_product_id and positive quantity');
+        }
+        if (seen.has(String(store_product_id))) throw new Error('Each product can only be listed once');
+        seen.add(String(store_product_id));
+        return { store_product_id, quantity: Number(quantity) };
+      });
+    }
+    return out;
+  }
+
+  // Items of subscriptions with their current price and the stock available to the subscriber
+  static async getSubscriptionItems(subscriptionIds) {
+    if (subscriptionIds.length === 0) return [];
+    const result = await query(
+      `SELECT si.subscription_id, si.store_product_id, si.quantity,
+              COALESCE(p.name, 'Unknown Product') AS product_name, p.unit, p.farm_id, sp.is_available,
+              CASE
+                WHEN COALESCE(sp.discount_percentage, 0) > 0
+                THEN sp.store_price * (1 - sp.discount_percentage / 100.0)
+                ELSE sp.store_price
+              END AS price_after_discount,
+              GREATEST(sp.stock_quantity - ${heldStockSql('s.customer_id')}, 0) AS available_stock
+       FROM subscription_items si
+       JOIN subscriptions s ON si.subscription_id = s.id
+       JOIN store_products sp ON si.store_product_id = sp.id
+       JOIN products p ON sp.product_id = p.id
+       WHERE si.subscription_id = ANY($1::uuid[])
+       ORDER BY si.created_at ASC, si.id ASC`,
+      [subscriptionIds]
+    );
+    return result.rows;
+  }
+
+  static async listSubscriptions({ id = null, customerId = null, farmId = null, statuses = null, dueBy = null, pausedUntilBy = null } = {}) {
+    const where = [];
+    const params = [];
+    const add = (clause, value) => {
+      params.push(value);
+      where.push(clause.replace('?', `$${params.length}`));
+    };
+    if (id) add('s.id = ?', id);
+    if (customerId) add('s.customer_id = ?', customerId);
+    if (farmId) add('s.farm_id = ?', farmId);
+    if (statuses) add('s.status = ANY(?::text[])', statuses);
+    if (dueBy) add("s.status = 'active' AND s.next_delivery_date <= ?", dueBy);
+    if (pausedUntilBy) add("s.status = 'paused' AND s.paused_until <= ?", pausedUntilBy);
+
+    const result = await query(
+      `SELECT s.*, fm.name AS farm_name,
+              COALESCE(NULLIF(CONCAT(COALESCE(u.first_name,''),' ',COALESCE(u.last_name,'')), ' '), u.email) AS customer_name
+       FROM subscriptions s
+       JOIN farms fm ON s.farm_id = fm.id
+       JOIN users u ON s.customer_id = u.id
+       ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY s.next_delivery_date ASC NULLS LAST, s.created_at ASC`,
+      params
+    );
+    const items = await DatabaseService.getSubscriptionItems(result.rows.map(row => row.id));
+    return result.rows.map(row => DatabaseService.presentSubscription(
+      row,
+      items.filter(item => String(item.subscription_id) === String(row.id))
+    ));
+  }
+
+  static async getSubscriptionById(subscriptionId) {
+    const [subscription] = await DatabaseService.listSubscriptions({ id: subscriptionId });
+    return subscription || null;
+  }
+
+  static async createSubscription(customerId, farmId, subscription, nextDeliveryDate) {
+    const location = subscription.delivery_location || null;
+    return transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO subscriptions (
+           customer_id, farm_id, name, frequency, delivery_day, delivery_address,
+           delivery_district, delivery_upazila, delivery_latitude, delivery_longitude,
+           customer_phone, payment_method, notes, out_of_stock_policy, next_delivery_date
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+         RETURNING id`,
+        [customerId, farmId, subscription.name ?? null, subscription.frequency, subscription.delivery_day,
+          subscription.delivery_address,
+          location ? location.district : null, location ? location.upazila : null,
+          location ? location.latitude : null, location ? location.longitude : null,
+          subscription.customer_phone ?? null, subscription.payment_method || 'cash_on_delivery',
+          subscription.notes ?? null, subscription.out_of_stock_policy || 'skip_item', nextDeliveryDate]
+      );
+      const subscriptionId = result.rows[0].id;
+      for (const item of subscription.items) {
+        await client.query(
+          'INSERT INTO subscription_items (subscription_id, store_product_id, quantity) VALUES ($1, $2, $3)',
+          [subscriptionId, item.store_product_id, item.quantity]
+        );
+      }
+      return subscriptionId;
+    });
+  }
+
+  /**
+   * Update a subscription's columns (normalized input plus status, paused_until, next_delivery_date
+   * and cancelled_at) and, when `items` is given, replace its items
+   */
+  static async updateSubscription(subscriptionId, changes) {
+    const { items, delivery_location, ...fields } = changes;
+    if (delivery_location !== undefined) {
+      Object.assign(fields, {
+        delivery_district: delivery_location ? delivery_location.district : null,
+        delivery_upazila: delivery_location ? delivery_location.upazila : null,
+        delivery_latitude: delivery_location ? delivery_location.latitude : null,
+        delivery_longitude: delivery_location ? delivery_location.longitude : null
+      });
+    }
+    const columns = Object.keys(fields);
+
+    await transaction(async (client) => {
+      if (columns.length > 0) {
+        await client.query(
+          `UPDATE subscriptions SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')} WHERE id = $1`,
+          [subscriptionId, ...columns.map(column => fields[column])]
+        );
+      }
+      if (items) {
+        await client.query('DELETE FROM subscription_items WHERE subscription_id = $1', [subscriptionId]);
+        for (const item of items) {
+          await client.query(
+            'INSERT INTO subscription_items (subscription_id, store_product_id, quantity) VALUES ($1, $2, $3)',
+            [subscriptionId, item.store_product_id, item.quantity]
+          );
+        }
+      }
+    });
+    return DatabaseService.getSubscriptionById(subscriptionId);
+  }
+
+  static async getSubscriptionRuns(subscriptionIds, { fromDate = null } = {}) {
+    if (subscriptionIds.length === 0) return [];
+    const result = await query(
+      `SELECT * FROM subscription_runs
+       WHERE subscription_id = ANY($1::uuid[]) ${fromDate ? 'AND delivery_date >= $2' : ''}
+       ORDER BY delivery_date ASC`,
+      fromDate ? [subscriptionIds, fromDate] : [subscriptionIds]
+    );
+    return result.rows.map(row => DatabaseService.presentSubscriptionRun(row));
+  }
+
+  /**
+   * Take a subscription's next delivery for processing: moves next_delivery_date on and enters the
+   * run, unless another scheduler got there first (null). A delivery skipped ahead of time comes back
+   * with `claimed: false` and its skipped run.
+   */
+  static async claimSubscriptionRun(subscriptionId, deliveryDate, nextDeliveryDate) {
+    return transaction(async (client) => {
+      const moved = await client.query(
+        `UPDATE subscriptions SET next_delivery_date = $3
+         WHERE id = $1 AND status = 'active' AND next_delivery_date = $2
+         RETURNING id`,
+        [subscriptionId, deliveryDate, nextDeliveryDate]
+      );
+      if (moved.rows.length === 0) return null;
+
+      const inserted = await client.query(
+        `INSERT INTO subscription_runs (subscription_id, delivery_date, status)
+         VALUES ($1, $2, 'processing')
+         ON CONFLICT (subscription_id, delivery_date) DO NOTHING
+         RETURNING *`,
+        [subscriptionId, deliveryDate]
+      );
+      if (inserted.rows.length > 0) {
+        return { claimed: true, run: DatabaseService.presentSubscriptionRun(inserted.rows[0]) };
+      }
+      const existing = await client.query(
+        'SELECT * FROM subscription_runs WHERE subscription_id = $1 AND delivery_date = $2',
+        [subscriptionId, deliveryDate]
+      );
+      return { claimed: false, run: DatabaseService.presentSubscriptionRun(existing.rows[0]) };
+    });
+  }
+
+  static async finishSubscriptionRun(runId, { status, order_id = null, skipped_items = [], note = null }) {
+    const result = await query(
+      `UPDATE subscription_runs SET status = $2, order_id = $3, skipped_items = $4, note = $5
+       WHERE id = $1 RETURNING *`,
+      [runId, status, order_id, JSON.stringify(skipped_items), note]
+    );
+    return DatabaseService.presentSubscriptionRun(result.rows[0]);
+  }
+
+  static async skipSubscriptionDelivery(subscriptionId, deliveryDate) {
+    const inserted = await query(
+      `INSERT INTO subscription_runs (subscription_id, delivery_date, status, note)
+       VALUES ($1, $2, 'skipped', 'Skipped by the customer')
+       ON CONFLICT (subscription_id, delivery_date) DO NOTHING
+       RETURNING *`,
+      [subscriptionId, deliveryDate]
+    );
+    if (inserted.rows.length > 0) return DatabaseService.presentSubscriptionRun(inserted.rows[0]);
+
+    const existing = await query(
+      'SELECT * FROM subscription_runs WHERE subscription_id = $1 AND delivery_date = $2',
+      [subscriptionId, deliveryDate]
+    );
+    const run = existing.rows[0];
+    if (!run || run.status !== 'skipped') throw new Error('This delivery has already been processed');
+    return DatabaseService.presentSubscriptionRun(run);
+  }
+
+  static async unskipSubscriptionDelivery(subscriptionId, deliveryDate) {
+    const result = await query(
+      `DELETE FROM subscription_runs WHERE subscription_id = $1 AND delivery_date = $2 AND status = 'skipped'`,
+      [subscriptionId, deliveryDate]
+    );
+    return result.rowCount > 0;
+  }
+
+  // =========================
+  // Pre-orders
+  // =========================
+  static presentPreorderOffer(row) {
+    const maxQuantity = Number(row.max_quantity);
+    const preordered = Number(row.preordered_quantity || 0);
     return {
-      _id: updated.id,
-      order_number: updated.order_number,
-      status: statusUi,
-      total_amount: Number(updated.total_amount),
-      discount_amount: Number(updated.discount_amount),
-      tax_amount: Number(updated.tax_amount),
-      delivery_fee: Number(updated.shipping_amount),
-      final_amount: Number(updated.final_amount),
-      payment_status: updated.payment_status,
-      payment_method: updated.payment_method,
-      delivery_address: updated.shipping_address,
-      cancellation_reason: meta.cancellation_reason || null,
-      created_at: updated.created_at,
-      updated_at: updated.updated_at,
-      items_details: items
+      _id: row.id,
+      farm_id: row.farm_id,
+      farm_name: row.farm_name || null,
+      store_product_id: row.store_product_id,
+      product_name: row.product_name,
+      unit: row.unit || null,
+      batch_id: row.batch_id || null,
+      batch: row.batch_id ? {
+        batch_number: row.batch_number || null,
+        harvest_date: row.batch_harvest_date || null,
+        production_date: row.batch_production_date || null
+      } : null,
+      title: row.title || null,
+      description: row.description || null,
+      // Without a pre-order price, pre-orders are priced at the store price when placed
+      unit_price: Number(row.unit_price ?? row.store_price_after_discount),
+      fixed_price: row.unit_price !== null && row.unit_price !== undefined,
+      max_quantity: maxQuantity,
+      preordered_quantity: preordered,
+      remaining_quantity: Math.max(Number((maxQuantity - preordered).toFixed(2)), 0),
+      expected_date: DatabaseService.toDateKey(row.expected_date),
+      deposit_percentage: Number(row.deposit_percentage),
+      status: row.status,
+      pending_preorders: Number(row.pending_preorders || 0),
+      released_at: row.released_at || null,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
+
+  static presentPreorder(row) {
+    return {
+      _id: row.id,
+      offer_id: row.offer_id,
+      offer_title: row.offer_title || null,
+      offer_status: row.offer_status,
+      farm_id: row.farm_id,
+      store_product_id: row.store_product_id,
+      product_name: row.product_name,
+      unit: row.unit || null,
+      customer_id: row.customer_id,
+      customer_name: row.customer_name || null,
+      quantity: Number(row.quantity),
+      unit_price: Number(row.unit_price),
+      total_amount: Number((Number(row.quantity) * Number(row.unit_price)).toFixed(2)),
+      deposit_amount: Number(row.deposit_amount),
+      deposit_status: row.deposit_status,
+      deposit_reference: row.deposit_reference || null,
+      deposit_paid_at: row.deposit_paid_at || null,
+      delivery_address: row.delivery_address,
+      delivery_location: DatabaseService.presentDeliveryLocation(row),
+      customer_phone: row.customer_phone || null,
+      payment_method: row.payment_method,
+      notes: row.notes || null,
+      expected_date: DatabaseService.toDateKey(row.expected_date),
+      status: row.status,
+      order_id: row.order_id || null,
+      conversion_note: row.conversion_note || null,
+      converted_at: row.converted_at || null,
+      cancelled_at: row.cancelled_at || null,
+      cancellation_reason: row.cancellation_reason || null,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
+
+  /**
+   * Validate pre-order offer fields from a create (all required fields) or update (only the given ones) request
+   */
+  static normalizePreorderOfferInput(data = {}, { partial = false } = {}) {
+    const out = {};
+    const has = (key) => data[key] !== undefined;
+
+    if (has('title')) {
+      const title = data.title ? String(data.title).trim() : null;
+      if (title && title.length > 150) throw new Error('title must be at most 150 characters');
+      out.title = title || null;
+    }
+    if (has('description')) out.description = data.description ? String(data.description) : null;
+    if (has('unit_price')) {
+      if (data.unit_price === null || data.unit_price === '') {
+        out.unit_price = null;
+      } else {
+        const price = Number(data.unit_price);
+        if (!Number.isFinite(price) || price < 0) throw new Error('unit_price must be a non-negative number');
+        out.unit_price = price;
+      }
+    }
+    if (!partial || has('max_quantity')) {
+      const maxQuantity = Number(data.max_quantity);
+      if (!Number.isFinite(maxQuantity) || maxQuantity <= 0) throw new Error('max_quantity must be a positive number');
+      out.max_quantity = maxQuantity;
+    }
+    if (!partial || has('expected_date')) {
+      const key = String(data.expected_date || '');
+      const date = new Date(`${key}T00:00:00Z`);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(key) || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== key) {
+        throw new Error('expected_date must be given as YYYY-MM-DD');
+      }
+      out.expected_date = key;
+    }
+    if (has('deposit_percentage')) {
+      const percentage = Number(data.deposit_percentage || 0);
+      if (!Number.isFinite(percentage) || percentage < 0 || percentage > 100) {
+        throw new Error('deposit_percentage must be between 0 and 100');
+      }
+      out.deposit_percentage = percentage;
+    }
+    return out;
+  }
+
+  // Validate a customer's pre-order ({ quantity, delivery_address, delivery_location?, customer_phone?, payment_method?, notes? })
+  static normalizePreorderInput(data = {}) {
+    const quantity = Number(data.quantity);
+    if (!Number.isFinite(quantity) || quantity <= 0) throw new Error('quantity must be a positive number');
+    const address = String(data.delivery_address || '').trim();
+    if (!address) throw new Error('delivery_address is required');
+    const method = data.payment_method || 'cash_on_delivery';
+    if (!ORDER_PAYMENT_METHODS.includes(method)) throw new Error('Invalid payment_method');
+    return {
+      quantity,
+      delivery_address: address,
+      delivery_location: DatabaseService.normalizeDeliveryLocation(data.delivery_location),
+      customer_phone: data.customer_phone ? String(data.customer_phone).trim() : null,
+      payment_method: method,
+      notes: data.notes ? String(data.notes) : null
+    };
+  }
+
+  static async listPreorderOffers({ id = null, farmId = null, storeProductId = null, statuses = null, dueBy = null, withPendingPreorders = false } = {}) {
+    const where = [];
+    const params = [];
+    const add = (clause, value) => {
+      params.push(value);
+      where.push(clause.replace('?', `$${params.length}`));
+    };
+    if (id) add('po.id = ?', id);
+    if (farmId) add('po.farm_id = ?', farmId);
+    if (storeProductId) add('po.store_product_id = ?', storeProductId);
+    if (statuses) add('po.status = ANY(?::text[])', statuses);
+    if (dueBy) add("po.status IN ('open', 'closed') AND po.expected_date <= ?", dueBy);
+    if (withPendingPreorders) {
+      where.push("EXISTS (SELECT 1 FROM preorders pr WHERE pr.offer_id = po.id AND pr.status = 'pending')");
+    }
+
+    const result = await query(
+      `SELECT po.*, fm.name AS farm_name, COALESCE(p.name, 'Unknown Product') AS product_name, p.unit,
+              CASE
+                WHEN COALESCE(sp.discount_percentage, 0) > 0
+                THEN sp.store_price * (1 - sp.discount_percentage / 100.0)
+                ELSE sp.store_price
+              END AS store_price_after_discount,
+              pb.batch_number,
+              to_char(pb.harvest_date, 'YYYY-MM-DD') AS batch_harvest_date,
+              to_char(pb.production_date, 'YYYY-MM-DD') AS batch_production_date,
+              (SELECT COALESCE(SUM(pr.quantity), 0) FROM preorders pr
+               WHERE pr.offer_id = po.id AND pr.status <> 'cancelled') AS preordered_quantity,
+              (SELECT COUNT(*) FROM preorders pr
+               WHERE pr.offer_id = po.id AND pr.status IN ('pending', 'converting')) AS pending_preorders
+       FROM preorder_offers po
+       JOIN store_products sp ON po.store_product_id = sp.id
+       JOIN products p ON sp.product_id = p.id
+       JOIN farms fm ON po.farm_id = fm.id
+       LEFT JOIN product_batches pb ON po.batch_id = pb.id
+       ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY po.expected_date ASC, po.created_at ASC`,
+      params
+    );
+    return result.rows.map(row => DatabaseService.presentPreorderOffer(row));
+  }
+
+  static async getPreorderOfferById(offerId) {
+    const [offer] = await DatabaseService.listPreorderOffers({ id: offerId });
+    return offer || null;
+  }
+
+  static async createPreorderOffer(farmId, storeProductId, offer, createdBy) {
+    const result = await query(
+      `INSERT INTO preorder_offers (
+         farm_id, store_product_id, batch_id, title, description, unit_price,
+         max_quantity, expected_date, deposit_percentage, created_by
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING id`,
+      [farmId, storeProductId, offer.batch_id || null, offer.title ?? null, offer.description ?? null,
+        offer.unit_price ?? null, offer.max_quantity, offer.expected_date, offer.deposit_percentage || 0, createdBy]
+    );
+    return DatabaseService.getPreorderOfferById(result.rows[0].id);
+  }
+
+  static async updatePreorderOffer(offerId, changes) {
+    const columns = Object.keys(changes);
+    if (columns.length > 0) {
+      await query(
+        `UPDATE preorder_offers SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')} WHERE id = $1`,
+        [offerId, ...columns.map(column => changes[column])]
+      );
+    }
+    return DatabaseService.getPreorderOfferById(offerId);
+  }
+
+  /**
+   * Release an offer for conversion, optionally putting the batch's quantity into the store product's stock
+   */
+  static async releasePreorderOffer(offerId, addStock = 0) {
+    await transaction(async (client) => {
+      const released = await client.query(
+        `UPDATE preorder_offers SET status = 'released', released_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status IN ('open', 'closed')
+         RETURNING store_product_id`,
+        [offerId]
+      );
+      if (released.rows.length === 0) throw new Error('Only open or closed pre-order offers can be released');
+      if (addStock > 0) {
+        await client.query(
+          'UPDATE store_products SET stock_quantity = stock_quantity + $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+          [released.rows[0].store_product_id, addStock]
+        );
+      }
+    });
+    return DatabaseService.getPreorderOfferById(offerId);
+  }
+
+  /**
+   * Cancel an offer and its pending pre-orders; paid deposits are refunded outside the platform
+   * and recorded as refunded
+   */
+  static async cancelPreorderOffer(offerId, reason) {
+    await transaction(async (client) => {
+      const cancelled = await client.query(
+        `UPDATE preorder_offers SET status = 'cancelled' WHERE id = $1 AND status <> 'cancelled' RETURNING id`,
+        [offerId]
+      );
+      if (cancelled.rows.length === 0) throw new Error('Pre-order offer is already cancelled');
+      await client.query(
+        `UPDATE preorders
+         SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP, cancellation_reason = $2,
+             deposit_status = CASE WHEN deposit_status = 'paid' THEN 'refunded' ELSE deposit_status END
+         WHERE offer_id = $1 AND status = 'pending'`,
+        [offerId, reason]
+      );
+    });
+    return DatabaseService.getPreorderOfferById(offerId);
+  }
+
+  static async listPreorders({ id = null, offerId = null, customerId = null, statuses = null } = {}) {
+    const where = [];
+    const params = [];
+    const add = (clause, value) => {
+      params.push(value);
+      where.push(clause.replace('?', `$${params.length}`));
     };
+    if (id) add('pr.id = ?', id);
+    if (offerId) add('pr.offer_id = ?', offerId);
+    if (customerId) add('pr.customer_id = ?', customerId);
+    if (statuses) add('pr.status = ANY(?::text[])', statuses);
+
+    const result = await query(
+      `SELECT pr.*, po.farm_id, po.store_product_id, po.title AS offer_title, po.status AS offer_status,
+              po.expected_date, COALESCE(p.name, 'Unknown Product') AS product_name, p.unit,
+              COALESCE(NULLIF(CONCAT(COALESCE(u.first_name,''),' ',COALESCE(u.last_name,'')), ' '), u.email) AS customer_name
+       FROM preorders pr
+       JOIN preorder_offers po ON pr.offer_id = po.id
+       JOIN store_products sp ON po.store_product_id = sp.id
+       JOIN products p ON sp.product_id = p.id
+       JOIN users u ON pr.customer_id = u.id
+       ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY pr.created_at ASC, pr.id ASC`,
+      params
+    );
+    return result.rows.map(row => DatabaseService.presentPreorder(row));
+  }
+
+  static async getPreorderById(preorderId) {
+    const [preorder] = await DatabaseService.listPreorders({ id: preorderId });
+    return preorder || null;
+  }
+
+  /**
+   * Pre-order from an open offer, within what is left of its cap. The offer closes once the cap is reached.
+   * `store_unit_price` prices the pre-order when the offer has no pre-order price of its own.
+   */
+  static async createPreorder(offerId, customerId, preorder) {
+    const location = preorder.delivery_location || null;
+    const preorderId = await transaction(async (client) => {
+      const offerRes = await client.query('SELECT * FROM preorder_offers WHERE id = $1 FOR UPDATE', [offerId]);
+      const offer = offerRes.rows[0];
+      if (!offer) throw new Error('Pre-order offer not found');
+      if (offer.status !== 'open') throw new Error('This pre-order offer is not open');
+
+      const takenRes = await client.query(
+        `SELECT COALESCE(SUM(quantity), 0) AS taken FROM preorders WHERE offer_id = $1 AND status <> 'cancelled'`,
+        [offerId]
+      );
+      const remaining = Number((Number(offer.max_quantity) - Number(takenRes.rows[0].taken)).toFixed(2));
+      if (preorder.quantity > remaining) {
+        throw new Error(`Only ${Math.max(remaining, 0)} left to pre-order`);
+      }
+
+      const unitPrice = Number(offer.unit_price ?? preorder.store_unit_price);
+      const depositAmount = Number((preorder.quantity * unitPrice * Number(offer.deposit_percentage) / 100).toFixed(2));
+      const inserted = await client.query(
+        `INSERT INTO preorders (
+           offer_id, customer_id, quantity, unit_price, deposit_amount, deposit_status,
+           delivery_address, delivery_district, delivery_upazila, delivery_latitude, delivery_longitude,
+           customer_phone, payment_method, notes
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+         RETURNING id`,
+        [offerId, customerId, preorder.quantity, unitPrice, depositAmount, depositAmount > 0 ? 'pending' : 'not_required',
+          preorder.delivery_address,
+          location ? location.district : null, location ? location.upazila : null,
+          location ? location.latitude : null, location ? location.longitude : null,
+          preorder.customer_phone || null, preorder.payment_method || 'cash_on_delivery', preorder.notes || null]
+      );
+      if (preorder.quantity === remaining) {
+        await client.query(`UPDATE preorder_offers SET status = 'closed' WHERE id = $1`, [offerId]);
+      }
+      return inserted.rows[0].id;
+    });
+    return DatabaseService.getPreorderById(preorderId);
+  }
+
+  // Record a pre-order's deposit as received
+  static async recordPreorderDeposit(preorderId, reference) {
+    const result = await query(
+      `UPDATE preorders SET deposit_status = 'paid', deposit_reference = $2, deposit_paid_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'pending' AND deposit_status = 'pending'
+       RETURNING id`,
+      [preorderId, reference || null]
+    );
+    if (result.rows.length === 0) throw new Error('No deposit is due on this pre-order');
+    return DatabaseService.getPreorderById(preorderId);
+  }
+
+  static async cancelPreorder(preorderId, reason) {
+    const result = await query(
+      `UPDATE preorders
+       SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP, cancellation_reason = $2,
+           deposit_status = CASE WHEN deposit_status = 'paid' THEN 'refunded' ELSE deposit_status END
+       WHERE id = $1 AND status = 'pending'
+       RETURNING id`,
+      [preorderId, reason || null]
+    );
+    if (result.rows.length === 0) throw new Error('Only pending pre-orders can be cancelled');
+    return DatabaseService.getPreorderById(preorderId);
+  }
+
+  // Take a pending pre-order for conversion; false when another run already has it
+  static async claimPreorderConversion(preorderId) {
+    const result = await query(
+      `UPDATE preorders SET status = 'converting' WHERE id = $1 AND status = 'pending' RETURNING id`,
+      [preorderId]
+    );
+    return result.rows.length > 0;
   }
+
+  // Mark a pre-order converted into `order_id`, or put it back to pending with the reason it was not
+  static async finishPreorderConversion(preorderId, { order_id = null, note = null }) {
+    await query(
+      order_id
+        ? `UPDATE preorders SET status = 'converted', order_id = $2, converted_at = CURRENT_TIMESTAMP, conversion_note = NULL
+           WHERE id = $1`
+        : `UPDATE preorders SET status = 'pending', conversion_note = $2 WHERE id = $1`,
+      [preorderId, order_id || note]
+    );
+  }
+
   // Ensure default expense types exist
   static async ensureDefaultExpenseTypes() {
     // Determine which defaults are missing by name
@@ -700,61 +3553,544 @@ class DatabaseService {
     }
     return true; // Defaults inserted
   }
-  
-  // User operations
-  static async createUser(userData) {
-    const { name, email, password_hash, phone, role = 'farmer' } = userData;
-    
-    // Split name into first_name and last_name
-    let first_name = '';
-    let last_name = '';
-    if (name) {
-      const nameParts = name.trim().split(' ');
-      first_name = nameParts[0] || '';
-      last_name = nameParts.slice(1).join(' ') || '';
-    }
-    
+  
+  // User operations
+  static async createUser(userData) {
+    const { name, email, password_hash, phone, role = 'farmer', email_verified = false, phone_verified = false } = userData;
+    
+    // Split name into first_name and last_name (explicit first/last names win)
+    let first_name = userData.first_name || '';
+    let last_name = userData.last_name || '';
+    if (name) {
+      const nameParts = name.trim().split(' ');
+      first_name = nameParts[0] || '';
+      last_name = nameParts.slice(1).join(' ') || '';
+    }
+    
+    const result = await query(
+      `INSERT INTO users (first_name, last_name, email, password_hash, phone, role, email_verified, phone_verified) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) 
+       RETURNING *`,
+      [first_name, last_name, email || null, password_hash || null, phone, role, email_verified === true, phone_verified === true]
+    );
+    return result.rows[0];
+  }
+
+  static async getUserByEmail(email) {
+    const result = await query(
+      'SELECT * FROM users WHERE email = $1',
+      [email]
+    );
+    return result.rows[0];
+  }
+
+  // Phone numbers saved at registration are stored as typed, so candidates are
+  // matched on their local digits and then compared in normalized form.
+  // A verified match wins over an unverified one.
+  static async getUserByPhone(phone) {
+    const { normalizePhoneNumber } = require('../utils/helpers');
+    const normalized = normalizePhoneNumber(phone);
+    if (!normalized) return undefined;
+
+    const result = await query(
+      `SELECT * FROM users
+       WHERE phone IS NOT NULL AND RIGHT(regexp_replace(phone, '[^0-9]', '', 'g'), 10) = $1
+       ORDER BY phone_verified DESC NULLS LAST, created_at ASC`,
+      [normalized.slice(-10)]
+    );
+    return result.rows.find(user => normalizePhoneNumber(user.phone) === normalized);
+  }
+
+  static async getUserById(id) {
+    const result = await query(
+      'SELECT * FROM users WHERE id = $1',
+      [id]
+    );
+    return result.rows[0];
+  }
+
+  static async updateUser(id, userData) {
+    const fields = Object.keys(userData);
+    const values = Object.values(userData);
+    const setClause = fields.map((field, index) => `${field} = $${index + 2}`).join(', ');
+    
+    // Only add updated_at if it's not already in userData
+    const hasUpdatedAt = fields.includes('updated_at');
+    const finalSetClause = hasUpdatedAt ? setClause : `${setClause}, updated_at = CURRENT_TIMESTAMP`;
+    
+    const result = await query(
+      `UPDATE users SET ${finalSetClause} WHERE id = $1 RETURNING *`,
+      [id, ...values]
+    );
+    return result.rows[0];
+  }
+
+  // Session operations (refresh tokens are stored as SHA-256 hashes)
+  static async createSession(sessionData) {
+    const { user_id, refresh_token_hash, user_agent, ip_address, expires_at } = sessionData;
+    const result = await query(
+      `INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [user_id, refresh_token_hash, user_agent, ip_address, expires_at]
+    );
+    return result.rows[0];
+  }
+
+  static async getActiveSession(sessionId) {
+    // Sessions of deactivated users are treated as inactive
+    const result = await query(
+      `SELECT s.* FROM user_sessions s
+       JOIN users u ON u.id = s.user_id
+       WHERE s.id = $1 AND s.revoked_at IS NULL AND s.expires_at > NOW() AND u.is_active IS NOT FALSE`,
+      [sessionId]
+    );
+    return result.rows[0];
+  }
+
+  static async getSessionByRefreshHash(refreshTokenHash) {
+    const result = await query(
+      'SELECT * FROM user_sessions WHERE refresh_token_hash = $1',
+      [refreshTokenHash]
+    );
+    return result.rows[0];
+  }
+
+  static async getSessionByPreviousRefreshHash(refreshTokenHash) {
+    const result = await query(
+      'SELECT * FROM user_sessions WHERE previous_refresh_token_hash = $1',
+      [refreshTokenHash]
+    );
+    return result.rows[0];
+  }
+
+  static async rotateSessionRefreshToken(sessionId, currentHash, nextHash, expiresAt) {
+    // Conditional on the current hash so two concurrent refreshes cannot both succeed
+    const result = await query(
+      `UPDATE user_sessions
+       SET refresh_token_hash = $3,
+           previous_refresh_token_hash = $2,
+           expires_at = $4,
+           last_used_at = NOW()
+       WHERE id = $1 AND refresh_token_hash = $2 AND revoked_at IS NULL
+       RETURNING *`,
+      [sessionId, currentHash, nextHash, expiresAt]
+    );
+    return result.rows[0];
+  }
+
+  static async revokeSession(sessionId, reason = 'logout') {
+    const result = await query(
+      `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $2
+       WHERE id = $1 AND revoked_at IS NULL
+       RETURNING id`,
+      [sessionId, reason]
+    );
+    return result.rowCount > 0;
+  }
+
+  static async revokeUserSessions(userId, reason = 'logout_all', exceptSessionId = null) {
+    const result = await query(
+      `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $2
+       WHERE user_id = $1 AND revoked_at IS NULL
+         AND ($3::uuid IS NULL OR id <> $3::uuid)`,
+      [userId, reason, exceptSessionId]
+    );
+    return result.rowCount;
+  }
+
+  static async getUserSessions(userId) {
+    const result = await query(
+      `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+       FROM user_sessions
+       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY last_used_at DESC`,
+      [userId]
+    );
+    return result.rows;
+  }
+
+  // Password reset operations (tokens are single-use and stored hashed)
+  static async createPasswordResetToken(userId, tokenHash, expiresAt, requestedIp = null) {
+    return transaction(async (client) => {
+      // Only the most recent reset link stays usable
+      await client.query(
+        `UPDATE password_reset_tokens SET used_at = NOW()
+         WHERE user_id = $1 AND used_at IS NULL`,
+        [userId]
+      );
+      const result = await client.query(
+        `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [userId, tokenHash, expiresAt, requestedIp]
+      );
+      return result.rows[0];
+    });
+  }
+
+  static async consumePasswordResetToken(tokenHash) {
+    const result = await query(
+      `UPDATE password_reset_tokens SET used_at = NOW()
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+       RETURNING *`,
+      [tokenHash]
+    );
+    return result.rows[0];
+  }
+
+  // Email verification operations (tokens are single-use and stored hashed)
+  static async createEmailVerificationToken(userId, tokenHash, expiresAt) {
+    return transaction(async (client) => {
+      // Resending invalidates earlier links
+      await client.query(
+        `UPDATE email_verification_tokens SET used_at = NOW()
+         WHERE user_id = $1 AND used_at IS NULL`,
+        [userId]
+      );
+      const result = await client.query(
+        `INSERT INTO email_verification_tokens (user_id, token_hash, expires_at)
+         VALUES ($1, $2, $3)
+         RETURNING *`,
+        [userId, tokenHash, expiresAt]
+      );
+      return result.rows[0];
+    });
+  }
+
+  static async getLatestEmailVerificationToken(userId) {
+    const result = await query(
+      `SELECT * FROM email_verification_tokens
+       WHERE user_id = $1
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [userId]
+    );
+    return result.rows[0];
+  }
+
+  static async verifyEmailWithToken(tokenHash) {
+    return transaction(async (client) => {
+      const tokenRes = await client.query(
+        `UPDATE email_verification_tokens SET used_at = NOW()
+         WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+         RETURNING *`,
+        [tokenHash]
+      );
+      const record = tokenRes.rows[0];
+      if (!record) return null;
+
+      const userRes = await client.query(
+        `UPDATE users SET email_verified = true, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [record.user_id]
+      );
+      return userRes.rows[0];
+    });
+  }
+
+  // Phone OTP operations (codes are stored as SHA-256 hashes)
+  static async createPhoneOtp(phone, codeHash, expiresAt, requestedIp = null) {
+    return transaction(async (client) => {
+      // Only the newest code for a phone is usable
+      await client.query(
+        'UPDATE phone_otps SET consumed_at = NOW() WHERE phone = $1 AND consumed_at IS NULL',
+        [phone]
+      );
+      const result = await client.query(
+        `INSERT INTO phone_otps (phone, code_hash, expires_at, requested_ip)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [phone, codeHash, expiresAt, requestedIp]
+      );
+      return result.rows[0];
+    });
+  }
+
+  static async getPhoneOtpIssuanceStats(phone, requestedIp) {
+    const result = await query(
+      `SELECT
+         COUNT(*) FILTER (WHERE phone = $1) AS phone_count,
+         COUNT(*) FILTER (WHERE $2::text IS NOT NULL AND requested_ip = $2) AS ip_count,
+         MAX(created_at) FILTER (WHERE phone = $1) AS last_sent_at
+       FROM phone_otps
+       WHERE created_at > NOW() - INTERVAL '1 hour'
+         AND (phone = $1 OR requested_ip = $2)`,
+      [phone, requestedIp]
+    );
+    const row = result.rows[0];
+    return {
+      phone_count: parseInt(row.phone_count, 10) || 0,
+      ip_count: parseInt(row.ip_count, 10) || 0,
+      last_sent_at: row.last_sent_at
+    };
+  }
+
+  static async getActivePhoneOtp(phone) {
+    const result = await query(
+      `SELECT * FROM phone_otps
+       WHERE phone = $1 AND consumed_at IS NULL AND expires_at > NOW()
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [phone]
+    );
+    return result.rows[0];
+  }
+
+  static async recordPhoneOtpFailure(id, maxAttempts) {
+    // Burn the code once it has been guessed at too often
+    const result = await query(
+      `UPDATE phone_otps
+       SET attempts = attempts + 1,
+           consumed_at = CASE WHEN attempts + 1 >= $2 THEN NOW() ELSE consumed_at END
+       WHERE id = $1
+       RETURNING *`,
+      [id, maxAttempts]
+    );
+    return result.rows[0];
+  }
+
+  static async consumePhoneOtp(id) {
+    const result = await query(
+      'UPDATE phone_otps SET consumed_at = NOW() WHERE id = $1 AND consumed_at IS NULL RETURNING *',
+      [id]
+    );
+    return result.rows[0];
+  }
+
+  // Two-factor authentication operations
+  static async getTwoFactor(userId) {
+    const result = await query(
+      'SELECT * FROM user_two_factor WHERE user_id = $1',
+      [userId]
+    );
+    return result.rows[0];
+  }
+
+  static async savePendingTwoFactor(userId, secretEncrypted) {
+    // Never overwrites an enabled secret
+    const result = await query(
+      `INSERT INTO user_two_factor (user_id, secret_encrypted)
+       VALUES ($1, $2)
+       ON CONFLICT (user_id) DO UPDATE SET
+         secret_encrypted = EXCLUDED.secret_encrypted,
+         last_used_counter = NULL,
+         updated_at = NOW()
+       WHERE user_two_factor.enabled_at IS NULL
+       RETURNING *`,
+      [userId, secretEncrypted]
+    );
+    return result.rows[0];
+  }
+
+  static async enableTwoFactor(userId, usedCounter, recoveryCodeHashes) {
+    return transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE user_two_factor
+         SET enabled_at = NOW(), last_used_counter = $2, updated_at = NOW()
+         WHERE user_id = $1 AND enabled_at IS NULL
+         RETURNING *`,
+        [userId, usedCounter]
+      );
+      await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+      for (const codeHash of recoveryCodeHashes) {
+        await client.query(
+          'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+          [userId, codeHash]
+        );
+      }
+      return result.rows[0];
+    });
+  }
+
+  static async markTwoFactorCounterUsed(userId, counter) {
+    // Conditional update so a code can't be replayed within its time step
+    const result = await query(
+      `UPDATE user_two_factor SET last_used_counter = $2, updated_at = NOW()
+       WHERE user_id = $1 AND (last_used_counter IS NULL OR last_used_counter < $2)
+       RETURNING user_id`,
+      [userId, counter]
+    );
+    return result.rowCount > 0;
+  }
+
+  static async disableTwoFactor(userId) {
+    return transaction(async (client) => {
+      await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+      await client.query('DELETE FROM two_factor_challenges WHERE user_id = $1', [userId]);
+      const result = await client.query('DELETE FROM user_two_factor WHERE user_id = $1', [userId]);
+      return result.rowCount > 0;
+    });
+  }
+
+  static async replaceRecoveryCodes(userId, recoveryCodeHashes) {
+    return transaction(async (client) => {
+      await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+      for (const codeHash of recoveryCodeHashes) {
+        await client.query(
+          'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+          [userId, codeHash]
+        );
+      }
+    });
+  }
+
+  static async consumeRecoveryCode(userId, codeHash) {
+    const result = await query(
+      `UPDATE user_recovery_codes SET used_at = NOW()
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING *`,
+      [userId, codeHash]
+    );
+    return result.rows[0];
+  }
+
+  static async countUnusedRecoveryCodes(userId) {
+    const result = await query(
+      'SELECT COUNT(*) FROM user_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+      [userId]
+    );
+    return parseInt(result.rows[0].count, 10);
+  }
+
+  static async createTwoFactorChallenge(userId, tokenHash, expiresAt, ipAddress = null) {
     const result = await query(
-      `INSERT INTO users (first_name, last_name, email, password_hash, phone, role) 
-       VALUES ($1, $2, $3, $4, $5, $6) 
+      `INSERT INTO two_factor_challenges (user_id, token_hash, expires_at, ip_address)
+       VALUES ($1, $2, $3, $4)
        RETURNING *`,
-      [first_name, last_name, email, password_hash, phone, role]
+      [userId, tokenHash, expiresAt, ipAddress]
     );
     return result.rows[0];
   }
 
-  static async getUserByEmail(email) {
+  static async getActiveTwoFactorChallenge(tokenHash) {
     const result = await query(
-      'SELECT * FROM users WHERE email = $1',
-      [email]
+      `SELECT * FROM two_factor_challenges
+       WHERE token_hash = $1 AND consumed_at IS NULL AND expires_at > NOW()`,
+      [tokenHash]
     );
     return result.rows[0];
   }
 
-  static async getUserById(id) {
+  static async recordTwoFactorChallengeFailure(id, maxAttempts) {
     const result = await query(
-      'SELECT * FROM users WHERE id = $1',
+      `UPDATE two_factor_challenges
+       SET attempts = attempts + 1,
+           consumed_at = CASE WHEN attempts + 1 >= $2 THEN NOW() ELSE consumed_at END
+       WHERE id = $1
+       RETURNING *`,
+      [id, maxAttempts]
+    );
+    return result.rows[0];
+  }
+
+  static async consumeTwoFactorChallenge(id) {
+    const result = await query(
+      'UPDATE two_factor_challenges SET consumed_at = NOW() WHERE id = $1 AND consumed_at IS NULL RETURNING *',
       [id]
     );
     return result.rows[0];
   }
 
-  static async updateUser(id, userData) {
-    const fields = Object.keys(userData);
-    const values = Object.values(userData);
-    const setClause = fields.map((field, index) => `${field} = $${index + 2}`).join(', ');
-    
-    // Only add updated_at if it's not already in userData
-    const hasUpdatedAt = fields.includes('updated_at');
-    const finalSetClause = hasUpdatedAt ? setClause : `${setClause}, updated_at = CURRENT_TIMESTAMP`;
-    
+  // Login throttle operations
+  static async getLoginThrottles(keys) {
+    if (!keys.length) return [];
+    const conditions = keys.map((_, i) => `(scope = $${i * 2 + 1} AND throttle_key = $${i * 2 + 2})`);
+    const params = keys.flatMap(({ scope, key }) => [scope, key]);
     const result = await query(
-      `UPDATE users SET ${finalSetClause} WHERE id = $1 RETURNING *`,
-      [id, ...values]
+      `SELECT * FROM login_throttles WHERE ${conditions.join(' OR ')}`,
+      params
+    );
+    return result.rows;
+  }
+
+  static async recordLoginFailure(scope, key, windowMinutes) {
+    // Counters restart when the previous failure is older than the attempt window
+    const result = await query(
+      `INSERT INTO login_throttles (scope, throttle_key, failed_count, last_failed_at)
+       VALUES ($1, $2, 1, NOW())
+       ON CONFLICT (scope, throttle_key) DO UPDATE SET
+         failed_count = CASE
+           WHEN login_throttles.last_failed_at < NOW() - ($3 * INTERVAL '1 minute')
+             AND (login_throttles.locked_until IS NULL OR login_throttles.locked_until < NOW())
+           THEN 1
+           ELSE login_throttles.failed_count + 1
+         END,
+         last_failed_at = NOW(),
+         updated_at = NOW()
+       RETURNING *`,
+      [scope, key, windowMinutes]
     );
     return result.rows[0];
   }
 
+  static async setLoginThrottleLock(scope, key, lockedUntil) {
+    await query(
+      `UPDATE login_throttles SET locked_until = $3, updated_at = NOW()
+       WHERE scope = $1 AND throttle_key = $2`,
+      [scope, key, lockedUntil]
+    );
+  }
+
+  static async clearLoginThrottle(scope, key) {
+    const result = await query(
+      'DELETE FROM login_throttles WHERE scope = $1 AND throttle_key = $2',
+      [scope, key]
+    );
+    return result.rowCount;
+  }
+
+  // Idempotency key operations
+  /**
+   * Claim an Idempotency-Key for a request. The first request with a key gets { claimed: true };
+   * later ones get the stored record (an expired record is dropped and the key claimed afresh).
+   */
+  static async claimIdempotencyKey({ owner, key, method, path, requestHash, ttlHours }) {
+    const insert = () => query(
+      `INSERT INTO idempotency_keys (owner, idempotency_key, method, path, request_hash, expires_at)
+       VALUES ($1, $2, $3, $4, $5, NOW() + ($6 * INTERVAL '1 hour'))
+       ON CONFLICT (owner, idempotency_key) DO NOTHING
+       RETURNING id`,
+      [owner, key, method, path, requestHash, ttlHours]
+    );
+
+    if ((await insert()).rows.length > 0) return { claimed: true };
+    const expired = await query(
+      'DELETE FROM idempotency_keys WHERE owner = $1 AND idempotency_key = $2 AND expires_at <= NOW()',
+      [owner, key]
+    );
+    if (expired.rowCount > 0 && (await insert()).rows.length > 0) return { claimed: true };
+
+    const result = await query(
+      'SELECT * FROM idempotency_keys WHERE owner = $1 AND idempotency_key = $2',
+      [owner, key]
+    );
+    return { claimed: false, record: result.rows[0] || null };
+  }
+
+  static async completeIdempotencyKey(owner, key, responseStatus, responseBody) {
+    await query(
+      `UPDATE idempotency_keys
+       SET status = 'completed', response_status = $3, response_body = $4, completed_at = NOW()
+       WHERE owner = $1 AND idempotency_key = $2`,
+      [owner, key, responseStatus, JSON.stringify(responseBody ?? null)]
+    );
+  }
+
+  // Forget a claimed key whose request failed, so the client can retry with it
+  static async releaseIdempotencyKey(owner, key) {
+    await query(
+      `DELETE FROM idempotency_keys WHERE owner = $1 AND idempotency_key = $2 AND status = 'processing'`,
+      [owner, key]
+    );
+  }
+
+  static async purgeExpiredIdempotencyKeys() {
+    const result = await query('DELETE FROM idempotency_keys WHERE expires_at <= NOW()');
+    return result.rowCount;
+  }
+
   // Farm operations
   static async createFarm(farmData) {
     const { 
@@ -780,7 +4116,15 @@ class DatabaseService {
        RETURNING *`,
       [name, type || 'mixed', description || bio, location, address, contact_number || phone, email, website, banner_image, build_year, owner_id, manager_id]
     );
-    return result.rows[0];
+    const farm = result.rows[0];
+
+    if (owner_id) {
+      await DatabaseService.addFarmMember(farm.id, owner_id, 'owner');
+    }
+    if (manager_id && manager_id !== owner_id) {
+      await DatabaseService.addFarmMember(farm.id, manager_id, 'manager', owner_id || null);
+    }
+    return farm;
   }
 
   static async getFarmById(id) {
@@ -967,8 +4311,9 @@ class DatabaseService {
         sp.store_price,
         sp.store_price AS price,
         sp.stock_quantity AS store_stock_quantity,
-        sp.stock_quantity AS available_stock,
+        GREATEST(sp.stock_quantity - ${heldStockSql()}, 0) AS available_stock,
         sp.stock_quantity AS stock,
+        ${heldStockSql()} AS held_stock,
         sp.is_featured,
         sp.discount_percentage,
         sp.is_available,
@@ -1158,12 +4503,14 @@ class DatabaseService {
       `SELECT 
           sp.id AS _id,
           sp.product_id,
+          p.category_id,
           p.farm_id AS farm_id,
           sp.store_price,
           sp.store_price AS price,
           sp.stock_quantity AS store_stock_quantity,
-          sp.stock_quantity AS available_stock,
+          GREATEST(sp.stock_quantity - ${heldStockSql()}, 0) AS available_stock,
           sp.stock_quantity AS stock,
+          ${heldStockSql()} AS held_stock,
           sp.is_featured,
           sp.discount_percentage,
           sp.is_available,
@@ -1176,6 +4523,7 @@ class DatabaseService {
           p.description AS product_description,
           COALESCE(sp.description, p.description) AS description,
           p.unit,
+          p.weight_kg,
           p.product_type,
           p.quantity AS product_quantity,
           NULL AS base_product_image_url,
@@ -1199,17 +4547,23 @@ class DatabaseService {
     return result.rows;
   }
 
-  static async getStoreProductById(id) {
+  /**
+   * With `customerId`, available_stock counts that customer's own reservations as available to them
+   */
+  static async getStoreProductById(id, { customerId } = {}) {
+    const heldStock = heldStockSql(customerId ? '$2' : null);
     const result = await query(
       `SELECT 
           sp.id AS _id,
           sp.product_id,
+          p.category_id,
           p.farm_id AS farm_id,
           sp.store_price,
           sp.store_price AS price,
           sp.stock_quantity AS store_stock_quantity,
-          sp.stock_quantity AS available_stock,
+          GREATEST(sp.stock_quantity - ${heldStock}, 0) AS available_stock,
           sp.stock_quantity AS stock,
+          ${heldStock} AS held_stock,
           sp.is_featured,
           sp.discount_percentage,
           sp.is_available,
@@ -1222,6 +4576,7 @@ class DatabaseService {
           p.description AS product_description,
           COALESCE(sp.description, p.description) AS description,
           p.unit,
+          p.weight_kg,
           p.product_type,
           p.quantity AS product_quantity,
           NULL AS base_product_image_url,
@@ -1229,6 +4584,7 @@ class DatabaseService {
           f.name AS farm_name, 
           f.location AS farm_location, 
           f.address AS farm_address,
+          f.vat_registered,
           CASE 
             WHEN COALESCE(sp.discount_percentage, 0) > 0 
             THEN sp.store_price * (1 - sp.discount_percentage / 100.0)
@@ -1239,7 +4595,7 @@ class DatabaseService {
        LEFT JOIN product_categories pc ON p.category_id = pc.id
        LEFT JOIN farms f ON p.farm_id = f.id
        WHERE sp.id = $1`,
-      [id]
+      customerId ? [id, customerId] : [id]
     );
     return result.rows[0];
   }
@@ -1277,9 +4633,10 @@ class DatabaseService {
         p.farm_id AS farm_id,
         sp.store_price,
         sp.store_price AS price,
-        sp.stock_quantity AS available_stock,
+        GREATEST(sp.stock_quantity - ${heldStockSql()}, 0) AS available_stock,
         sp.stock_quantity AS store_stock_quantity,
         sp.stock_quantity AS stock,
+        ${heldStockSql()} AS held_stock,
         sp.is_featured,
         sp.discount_percentage,
         sp.is_available,
@@ -1597,7 +4954,8 @@ class DatabaseService {
       batch_name,
       product_type = 'others',
       farm_id,
-      status = 'unsold'
+      status = 'unsold',
+      weight_kg = null
     } = productData;
 
     // Normalize and validate numeric fields
@@ -1637,10 +4995,10 @@ class DatabaseService {
     const result = await query(
       `INSERT INTO products (
         name, description, unit, quantity, total_price, unit_price, base_price,
-        batch_name, product_type, farm_id, status,
+        batch_name, product_type, farm_id, status, weight_kg,
         created_at, updated_at
       )
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW(), NOW())
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW(), NOW())
        RETURNING *`,
       [
         name,
@@ -1653,7 +5011,8 @@ class DatabaseService {
         normalizedBatchName,
         product_type,
         farm_id,
-        status
+        status,
+        weight_kg
       ]
     );
     return result.rows[0];
@@ -1741,15 +5100,268 @@ class DatabaseService {
     return parseInt(result.rows[0].count);
   }
 
-  // Utility functions
-  static async verifyFarmOwnership(farmId, userId) {
+  // Farm membership operations
+  static async getFarmRole(farmId, userId) {
+    // farms.owner_id always counts as owner, even without a farm_members row
     const result = await query(
-      'SELECT id FROM farms WHERE id = $1 AND owner_id = $2',
+      `SELECT CASE WHEN f.owner_id = $2 THEN 'owner' ELSE fm.role END AS role
+       FROM farms f
+       LEFT JOIN farm_members fm ON fm.farm_id = f.id AND fm.user_id = $2
+       WHERE f.id = $1`,
       [farmId, userId]
     );
-    return result.rows.length > 0;
+    return result.rows[0]?.role || null;
+  }
+
+  /**
+   * Check a farm permission for a user id or an authenticated principal (req.user).
+   * API key principals are limited to their own farm and granted permissions.
+   */
+  static async hasFarmPermission(farmId, userOrId, permission) {
+    if (!farmId || !userOrId) return false;
+
+    if (typeof userOrId === 'object') {
+      if (userOrId.apiKey) {
+        roleHasPermission(null, permission); // rejects unknown permission names
+        return String(userOrId.apiKey.farm_id).toLowerCase() === String(farmId).toLowerCase()
+          && userOrId.apiKey.permissions.includes(permission);
+      }
+      userOrId = userOrId.userId;
+      if (!userOrId) return false;
+    }
+
+    const role = await DatabaseService.getFarmRole(farmId, userOrId);
+    return roleHasPermission(role, permission);
+  }
+
+  static async getFarmMembers(farmId) {
+    const result = await query(
+      `SELECT fm.id, fm.farm_id, fm.user_id, fm.role, fm.created_at, fm.updated_at,
+              u.email, u.first_name, u.last_name, u.phone
+       FROM farm_members fm
+       JOIN users u ON u.id = fm.user_id
+       WHERE fm.farm_id = $1
+       ORDER BY CASE fm.role WHEN 'owner' THEN 0 WHEN 'manager' THEN 1 WHEN 'accountant' THEN 2 ELSE 3 END, fm.created_at`,
+      [farmId]
+    );
+    return result.rows;
+  }
+
+  static async getFarmMember(farmId, userId) {
+    const result = await query(
+      'SELECT * FROM farm_members WHERE farm_id = $1 AND user_id = $2',
+      [farmId, userId]
+    );
+    return result.rows[0];
+  }
+
+  static async addFarmMember(farmId, userId, role, addedBy = null) {
+    const result = await query(
+      `INSERT INTO farm_members (farm_id, user_id, role, added_by)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (farm_id, user_id) DO UPDATE SET role = EXCLUDED.role, updated_at = NOW()
+       RETURNING *`,
+      [farmId, userId, role, addedBy]
+    );
+    return result.rows[0];
+  }
+
+  static async updateFarmMemberRole(farmId, userId, role) {
+    const result = await query(
+      `UPDATE farm_members SET role = $3, updated_at = NOW()
+       WHERE farm_id = $1 AND user_id = $2
+       RETURNING *`,
+      [farmId, userId, role]
+    );
+    return result.rows[0];
+  }
+
+  static async removeFarmMember(farmId, userId) {
+    return transaction(async (client) => {
+      const result = await client.query(
+        'DELETE FROM farm_members WHERE farm_id = $1 AND user_id = $2',
+        [farmId, userId]
+      );
+      if (result.rowCount === 0) return false;
+
+      // Undo the links set when the member joined
+      await client.query(
+        'UPDATE users SET farm_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $2 AND farm_id = $1',
+        [farmId, userId]
+      );
+      await client.query(
+        'UPDATE farms SET manager_id = NULL WHERE id = $1 AND manager_id = $2 AND owner_id <> $2',
+        [farmId, userId]
+      );
+      return true;
+    });
+  }
+
+  static async getMemberFarm(userId) {
+    const result = await query(
+      `SELECT f.*, fm.role AS member_role
+       FROM farm_members fm
+       JOIN farms f ON f.id = fm.farm_id
+       WHERE fm.user_id = $1
+       ORDER BY CASE fm.role WHEN 'owner' THEN 0 ELSE 1 END, fm.created_at
+       LIMIT 1`,
+      [userId]
+    );
+    return result.rows[0];
+  }
+
+  // Farm API key operations (keys are stored as SHA-256 hashes)
+  static async createFarmApiKey({ farm_id, name, key_prefix, key_hash, permissions, created_by, expires_at }) {
+    const result = await query(
+      `INSERT INTO farm_api_keys (farm_id, name, key_prefix, key_hash, permissions, created_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id, farm_id, name, key_prefix, permissions, created_by, expires_at, last_used_at, revoked_at, created_at`,
+      [farm_id, name, key_prefix, key_hash, permissions, created_by, expires_at || null]
+    );
+    return result.rows[0];
+  }
+
+  static async getFarmApiKeys(farmId) {
+    const result = await query(
+      `SELECT id, farm_id, name, key_prefix, permissions, created_by, expires_at,
+              last_used_at, last_used_ip, revoked_at, created_at
+       FROM farm_api_keys
+       WHERE farm_id = $1
+       ORDER BY created_at DESC`,
+      [farmId]
+    );
+    return result.rows;
+  }
+
+  static async getActiveFarmApiKeyByHash(keyHash) {
+    const result = await query(
+      `SELECT k.* FROM farm_api_keys k
+       JOIN users u ON u.id = k.created_by
+       WHERE k.key_hash = $1 AND k.revoked_at IS NULL AND (k.expires_at IS NULL OR k.expires_at > NOW())
+         AND u.is_active IS NOT FALSE`,
+      [keyHash]
+    );
+    return result.rows[0];
+  }
+
+  static async touchFarmApiKey(id, ipAddress = null) {
+    await query(
+      'UPDATE farm_api_keys SET last_used_at = NOW(), last_used_ip = $2 WHERE id = $1',
+      [id, ipAddress]
+    );
+  }
+
+  static async revokeFarmApiKey(farmId, id) {
+    const result = await query(
+      `UPDATE farm_api_keys SET revoked_at = NOW()
+       WHERE farm_id = $1 AND id = $2 AND revoked_at IS NULL
+       RETURNING id, farm_id, name, key_prefix, revoked_at`,
+      [farmId, id]
+    );
+    return result.rows[0];
+  }
+
+  // Farm invitation operations
+  static async createFarmInvitation({ farm_id, email, role, token_hash, invited_by, expires_at }) {
+    return transaction(async (client) => {
+      // A new invitation replaces any pending one for the same email
+      await client.query(
+        `UPDATE farm_invitations SET status = 'revoked', responded_at = NOW()
+         WHERE farm_id = $1 AND LOWER(email) = LOWER($2) AND status = 'pending'`,
+        [farm_id, email]
+      );
+      const result = await client.query(
+        `INSERT INTO farm_invitations (farm_id, email, role, token_hash, invited_by, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [farm_id, email, role, token_hash, invited_by, expires_at]
+      );
+      return result.rows[0];
+    });
+  }
+
+  static async getFarmInvitations(farmId, status = null) {
+    const params = [farmId];
+    let sql = `SELECT fi.id, fi.farm_id, fi.email, fi.role, fi.status, fi.expires_at, fi.responded_at, fi.created_at,
+                      fi.invited_by, u.email AS invited_by_email
+               FROM farm_invitations fi
+               LEFT JOIN users u ON u.id = fi.invited_by
+               WHERE fi.farm_id = $1`;
+    if (status) {
+      params.push(status);
+      sql += ` AND fi.status = $${params.length}`;
+    }
+    sql += ' ORDER BY fi.created_at DESC';
+    const result = await query(sql, params);
+    return result.rows;
+  }
+
+  static async getFarmInvitationByTokenHash(farmId, tokenHash) {
+    const result = await query(
+      'SELECT * FROM farm_invitations WHERE farm_id = $1 AND token_hash = $2',
+      [farmId, tokenHash]
+    );
+    return result.rows[0];
+  }
+
+  static async revokeFarmInvitation(farmId, invitationId) {
+    const result = await query(
+      `UPDATE farm_invitations SET status = 'revoked', responded_at = NOW()
+       WHERE farm_id = $1 AND id = $2 AND status = 'pending'
+       RETURNING *`,
+      [farmId, invitationId]
+    );
+    return result.rows[0];
+  }
+
+  static async declineFarmInvitation(invitationId) {
+    const result = await query(
+      `UPDATE farm_invitations SET status = 'declined', responded_at = NOW()
+       WHERE id = $1 AND status = 'pending'
+       RETURNING *`,
+      [invitationId]
+    );
+    return result.rows[0];
   }
 
+  static async acceptFarmInvitation(invitationId, userId) {
+    return transaction(async (client) => {
+      const inviteRes = await client.query(
+        `UPDATE farm_invitations SET status = 'accepted', responded_at = NOW(), accepted_by = $2
+         WHERE id = $1 AND status = 'pending' AND expires_at > NOW()
+         RETURNING *`,
+        [invitationId, userId]
+      );
+      const invitation = inviteRes.rows[0];
+      if (!invitation) return null;
+
+      const memberRes = await client.query(
+        `INSERT INTO farm_members (farm_id, user_id, role, added_by)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (farm_id, user_id) DO UPDATE SET role = EXCLUDED.role, updated_at = NOW()
+         RETURNING *`,
+        [invitation.farm_id, userId, invitation.role, invitation.invited_by]
+      );
+
+      // Link the user to the farm the same way farm creation does, without touching ownership
+      await client.query(
+        `UPDATE users SET farm_id = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2 AND farm_id IS NULL`,
+        [invitation.farm_id, userId]
+      );
+      if (invitation.role === 'manager') {
+        await client.query(
+          'UPDATE farms SET manager_id = $2 WHERE id = $1 AND manager_id IS NULL',
+          [invitation.farm_id, userId]
+        );
+      }
+
+      return { invitation, member: memberRes.rows[0] };
+    });
+  }
+
+  // Utility functions
+
   static async checkStoreProductExists(productId, farmId) {
     const result = await query(
       'SELECT id FROM store_products WHERE product_id = $1',
@@ -1946,6 +5558,23 @@ class DatabaseService {
         WHERE farm_id = $1
       `, [farmId]);
 
+      // Get refunds paid out on this farm's orders
+      const refundsResult = await query(`
+        SELECT 
+          COALESCE(SUM(amount), 0) as total_refunds,
+          COUNT(*) as refund_count
+        FROM order_refunds 
+        WHERE farm_id = $1 AND status = 'refunded'
+      `, [farmId]);
+
+      // Get VAT charged on this farm's delivered orders
+      const vatResult = await query(`
+        SELECT COALESCE(SUM(oi.tax_amount), 0) as total_vat
+        FROM order_items oi
+        JOIN order_fulfilments f ON oi.fulfilment_id = f.id
+        WHERE f.farm_id = $1 AND f.status = 'delivered'
+      `, [farmId]);
+
       const totalProductValue = parseFloat(productsResult.rows[0].total_product_value) || 0;
       const productCount = parseInt(productsResult.rows[0].product_count) || 0;
       const totalExpenses = parseFloat(expensesResult.rows[0].total_expenses) || 0;
@@ -1953,6 +5582,9 @@ class DatabaseService {
       const totalSalesRevenue = parseFloat(salesResult.rows[0].total_sales_revenue) || 0;
       const soldProductCount = parseInt(salesResult.rows[0].sold_product_count) || 0;
       const salesProfit = parseFloat(salesResult.rows[0].sales_profit) || 0;
+      const totalRefunds = parseFloat(refundsResult.rows[0].total_refunds) || 0;
+      const refundCount = parseInt(refundsResult.rows[0].refund_count) || 0;
+      const totalVat = parseFloat(vatResult.rows[0].total_vat) || 0;
 
       // Calculate Farm's Gross Profit: Sales Profit - Total Investments
       const grossProfit = salesProfit - totalInvestments;
@@ -1974,6 +5606,9 @@ class DatabaseService {
         sold_product_count: soldProductCount,
         roi: roi,
         total_investment: totalInvestment,
+        total_refunds: totalRefunds,
+        refund_count: refundCount,
+        total_vat: totalVat,
       };
     } catch (error) {
       console.error('Error calculating farm stats:', error);
@@ -2025,6 +5660,12 @@ class DatabaseService {
          ORDER BY oi.created_at DESC`,
         [farmId]
       )).rows;
+      const orderPayments = (await query(
+        `SELECT op.* FROM order_payments op
+         WHERE op.order_id = ANY($1::uuid[])
+         ORDER BY op.created_at DESC`,
+        [orders.map(o => o.id)]
+      )).rows;
       const cartItems = (await query(
         `SELECT sc.* FROM shopping_cart sc
          JOIN store_products sp ON sc.store_product_id = sp.id
@@ -2055,6 +5696,7 @@ class DatabaseService {
         storeProducts: serializeDocs(storeProducts),
         orders: serializeDocs(orders),
         orderItems: serializeDocs(orderItems),
+        orderPayments: serializeDocs(orderPayments),
         cartItems: serializeDocs(cartItems)
       };
     } catch (error) {
@@ -2074,30 +5716,36 @@ class DatabaseService {
 
       const summary = {};
 
-      // Orders and order items (orders are related to farms through order_items -> store_products -> products)
+      // This farm's fulfilments and their items; other farms' parts of shared orders are kept
       const delOrderItems = await client.query(
-        `DELETE FROM order_items WHERE order_id IN (
-          SELECT DISTINCT o.id FROM orders o
-          JOIN order_items oi ON o.id = oi.order_id
-          JOIN store_products sp ON oi.store_product_id = sp.id
-          JOIN products p ON sp.product_id = p.id
-          WHERE p.farm_id = $1
+        `DELETE FROM order_items WHERE fulfilment_id IN (
+          SELECT id FROM order_fulfilments WHERE farm_id = $1
         )`,
         [farmId]
       );
       summary.order_items_deleted = delOrderItems.rowCount || 0;
 
-      const delOrders = await client.query(
-        `DELETE FROM orders WHERE id IN (
-          SELECT DISTINCT o.id FROM orders o
-          JOIN order_items oi ON o.id = oi.order_id
-          JOIN store_products sp ON oi.store_product_id = sp.id
-          JOIN products p ON sp.product_id = p.id
-          WHERE p.farm_id = $1
-        )`,
+      const delFulfilments = await client.query(
+        'DELETE FROM order_fulfilments WHERE farm_id = $1 RETURNING order_id',
         [farmId]
       );
+      const affectedOrderIds = [...new Set(delFulfilments.rows.map(r => r.order_id))];
+
+      // Orders left without any fulfilment are removed; the rest are re-totalled
+      const delOrders = await client.query(
+        `DELETE FROM orders o
+         WHERE o.id = ANY($1::uuid[])
+           AND NOT EXISTS (SELECT 1 FROM order_fulfilments f WHERE f.order_id = o.id)
+         RETURNING o.id`,
+        [affectedOrderIds]
+      );
       summary.orders_deleted = delOrders.rowCount || 0;
+      const deletedOrderIds = new Set(delOrders.rows.map(r => String(r.id)));
+      for (const orderId of affectedOrderIds) {
+        if (!deletedOrderIds.has(String(orderId))) {
+          await DatabaseService.syncOrderWithFulfilments(client, orderId);
+        }
+      }
 
       // Cart items and store products (store_products are related to farms through products)
       const delCartItems = await client.query(
@@ -2496,7 +6144,7 @@ class DatabaseService {
           THEN sp.store_price * (1 - sp.discount_percentage / 100.0)
           ELSE sp.store_price
         END AS price_after_discount,
-        sp.stock_quantity as available_stock,
+        GREATEST(sp.stock_quantity - ${heldStockSql('$1')}, 0) as available_stock,
         sp.is_available,
         sp.product_image_url,
         p.name,
@@ -2556,6 +6204,107 @@ class DatabaseService {
     return result.rows[0];
   }
 
+  // Stock reservation methods
+  static presentStockReservation(row) {
+    return {
+      _id: row.id,
+      store_product_id: row.store_product_id,
+      product_name: row.product_name,
+      quantity: Number(row.quantity),
+      status: row.status,
+      expires_at: row.expires_at,
+      order_id: row.order_id || null
+    };
+  }
+
+  /**
+   * Hold stock for a customer's checkout ({ store_product_id, quantity } items). The new holds
+   * replace the customer's earlier ones, so reserving again refreshes the expiry.
+   */
+  static async reserveStock(customerId, items, { minutes = STOCK_RESERVATION_MINUTES } = {}) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error('Items array is required');
+    }
+    const quantities = new Map();
+    for (const { store_product_id, quantity } of items) {
+      if (!store_product_id || !quantity || Number(quantity) <= 0) {
+        throw new Error('Each item must have store_product_id and positive quantity');
+      }
+      quantities.set(store_product_id, (quantities.get(store_product_id) || 0) + Number(quantity));
+    }
+
+    return transaction(async (client) => {
+      await client.query(
+        `UPDATE stock_reservations SET status = 'released' WHERE customer_id = $1 AND status = 'active'`,
+        [customerId]
+      );
+
+      const reservations = [];
+      // Lock products in a stable order so concurrent checkouts cannot deadlock
+      for (const storeProductId of [...quantities.keys()].sort()) {
+        const quantity = quantities.get(storeProductId);
+        await client.query('SELECT id FROM store_products WHERE id = $1 FOR UPDATE', [storeProductId]);
+        const spRes = await client.query(
+          `SELECT sp.is_available, COALESCE(p.name, 'Unknown Product') AS product_name,
+             GREATEST(sp.stock_quantity - ${heldStockSql()}, 0) AS available_stock
+           FROM store_products sp
+           JOIN products p ON sp.product_id = p.id
+           WHERE sp.id = $1`,
+          [storeProductId]
+        );
+        const sp = spRes.rows[0];
+        if (!sp) {
+          throw new Error('Store product not found');
+        }
+        if (!sp.is_available) {
+          throw new Error(`Product '${sp.product_name}' is not available`);
+        }
+        const available = Number(sp.available_stock);
+        if (available < quantity) {
+          throw new Error(`Insufficient stock for '${sp.product_name}'. Available: ${available}, Requested: ${quantity}`);
+        }
+
+        const inserted = await client.query(
+          `INSERT INTO stock_reservations (customer_id, store_product_id, quantity, expires_at)
+           VALUES ($1, $2, $3, NOW() + ($4 * INTERVAL '1 minute'))
+           RETURNING *`,
+          [customerId, storeProductId, quantity, minutes]
+        );
+        reservations.push(DatabaseService.presentStockReservation({ ...inserted.rows[0], product_name: sp.product_name }));
+      }
+      return reservations;
+    });
+  }
+
+  static async getStockReservations(customerId) {
+    const result = await query(
+      `SELECT r.*, COALESCE(p.name, 'Unknown Product') AS product_name
+       FROM stock_reservations r
+       JOIN store_products sp ON r.store_product_id = sp.id
+       JOIN products p ON sp.product_id = p.id
+       WHERE r.customer_id = $1 AND r.status = 'active' AND r.expires_at > NOW()
+       ORDER BY r.created_at`,
+      [customerId]
+    );
+    return result.rows.map(DatabaseService.presentStockReservation);
+  }
+
+  static async releaseStockReservations(customerId) {
+    const result = await query(
+      `UPDATE stock_reservations SET status = 'released' WHERE customer_id = $1 AND status = 'active'`,
+      [customerId]
+    );
+    return result.rowCount;
+  }
+
+  // Sweeper: mark holds past their expiry as expired (stock queries already ignore them)
+  static async expireStockReservations() {
+    const result = await query(
+      `UPDATE stock_reservations SET status = 'expired' WHERE status = 'active' AND expires_at <= NOW()`
+    );
+    return result.rowCount;
+  }
+
   // Import farm data from backup
   static async importFarmData(farmId, importData, replaceExisting = false, importedByUserId) {
     return transaction(async (client) => {
@@ -2578,6 +6327,7 @@ class DatabaseService {
           storeProducts: 0,
           orders: 0,
           orderItems: 0,
+          orderPayments: 0,
           cartItems: 0
         };
         const warnings = [];
@@ -2872,6 +6622,7 @@ class DatabaseService {
         }
 
         // Import orders
+        const importedOrderIds = [];
         if (importData.orders && Array.isArray(importData.orders)) {
           console.log('📋 Importing orders...');
           for (const order of importData.orders) {
@@ -2882,9 +6633,12 @@ class DatabaseService {
               );
               
               if (existingOrder.rowCount === 0) {
+                // Exports made before structured order metadata carry it as JSON in notes
+                const legacyMeta = DatabaseService.extractMetaFromNotes(order.notes);
+                const hasLegacyMeta = Object.keys(legacyMeta).length > 0;
                 await client.query(
-                  `INSERT INTO orders (id, customer_id, order_number, status, total_amount, discount_amount, tax_amount, shipping_amount, final_amount, payment_status, payment_method, shipping_address, billing_address, notes, order_date, confirmed_at, shipped_at, delivered_at, created_at, updated_at)
-                   VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)`,
+                  `INSERT INTO orders (id, customer_id, order_number, status, total_amount, discount_amount, tax_amount, shipping_amount, final_amount, payment_status, payment_method, shipping_address, billing_address, notes, order_date, confirmed_at, shipped_at, delivered_at, created_at, updated_at, customer_phone, temp_cart_id, cancellation_reason)
+                   VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23)`,
                   [
                     order.id,
                     order.customer_id,
@@ -2899,15 +6653,26 @@ class DatabaseService {
                     order.payment_method,
                     order.shipping_address,
                     order.billing_address,
-                    order.notes,
+                    hasLegacyMeta ? null : order.notes,
                     order.order_date,
                     order.confirmed_at,
                     order.shipped_at,
                     order.delivered_at,
                     order.created_at || new Date(),
-                    order.updated_at || new Date()
+                    order.updated_at || new Date(),
+                    order.customer_phone || legacyMeta.customer_phone || null,
+                    order.temp_cart_id || legacyMeta.temp_cart_id || null,
+                    order.cancellation_reason || legacyMeta.cancellation_reason || null
                   ]
                 );
+                if (legacyMeta.payment_info || legacyMeta.payment_message || legacyMeta.payment_reference) {
+                  await DatabaseService.upsertPendingPayment(client, order.id, {
+                    payment_info: legacyMeta.payment_info || null,
+                    payment_message: legacyMeta.payment_message || null,
+                    payment_reference: legacyMeta.payment_reference || null
+                  });
+                }
+                importedOrderIds.push(order.id);
                 imported_counts.orders++;
               } else {
                 warnings.push(`Order '${order.order_number}' already exists, skipped`);
@@ -2952,6 +6717,42 @@ class DatabaseService {
           }
         }
 
+        // Exports carry no fulfilments; rebuild them from the imported items
+        for (const orderId of importedOrderIds) {
+          await DatabaseService.createMissingFulfilments(client, orderId);
+        }
+
+        // Import payments of the imported orders
+        if (importData.orderPayments && Array.isArray(importData.orderPayments)) {
+          console.log('💳 Importing order payments...');
+          for (const payment of importData.orderPayments) {
+            if (!importedOrderIds.includes(payment.order_id)) continue;
+            try {
+              await client.query(
+                `INSERT INTO order_payments (id, order_id, provider, method, amount, status, payment_info, payment_message, payment_reference, created_by, created_at, updated_at)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NULL, $10, $11)
+                 ON CONFLICT (id) DO NOTHING`,
+                [
+                  payment.id,
+                  payment.order_id,
+                  payment.provider || 'manual',
+                  payment.method,
+                  payment.amount,
+                  payment.status || 'pending',
+                  payment.payment_info,
+                  payment.payment_message,
+                  payment.payment_reference,
+                  payment.created_at || new Date(),
+                  payment.updated_at || new Date()
+                ]
+              );
+              imported_counts.orderPayments++;
+            } catch (error) {
+              warnings.push(`Failed to import order payment: ${error.message}`);
+            }
+          }
+        }
+
         // Import cart items (optional, usually not needed for backups)
         if (importData.cartItems && Array.isArray(importData.cartItems)) {
           console.log('🛒 Importing cart items...');
@@ -0,0 +1,314 @@
+/**
+ * Invoice Service
+ * Printable invoices and receipts for a single order, as PDF or HTML.
+ *
+ * Customers and admins get the whole order; farm users only get the part fulfilled by farms
+ * they can read orders for, with totals for that part. Paid orders are titled "Receipt".
+ */
+
+const PDFDocument = require('pdfkit');
+const DatabaseService = require('./database.service');
+
+const formatCurrency = (amount) => (
+  `BDT ${Number(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+);
+
+const formatDate = (date) => {
+  if (!date) return 'N/A';
+  return new Date(date).toLocaleDateString('en-BD', { year: 'numeric', month: 'short', day: 'numeric' });
+};
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (ch) => (
+  { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]
+));
+
+const round = (n) => Number(Number(n).toFixed(2));
+const sameId = (a, b) => String(a) === String(b);
+
+function presentLine(item) {
+  return {
+    name: item.product_name,
+    quantity: Number(item.quantity),
+    unit: item.unit || null,
+    unit_price: Number(item.price),
+    amount: Number(item.total),
+    discount_amount: Number(item.discount_amount || 0),
+    tax_rate: Number(item.tax_rate || 0),
+    tax_inclusive: Boolean(item.tax_inclusive),
+    tax_amount: Number(item.tax_amount || 0)
+  };
+}
+
+/**
+ * Everything printed on an order's invoice, limited to what the principal may see
+ */
+async function buildInvoice(orderId, principal) {
+  const scope = await DatabaseService.getOrderAccessScope(orderId, principal);
+  if (!scope) throw new Error('Order not found');
+  if (!scope.full && scope.farm_ids.length === 0) throw new Error('Access denied');
+
+  const order = await DatabaseService.getOrderById(orderId);
+  if (!order) throw new Error('Order not found');
+  const items = order.items_details || await DatabaseService.getOrderItemsDetailed(orderId);
+
+  const fulfilments = (order.fulfilments || []).filter(f => scope.full || scope.farm_ids.some(id => sameId(id, f.farm_id)));
+  const farms = [];
+  for (const fulfilment of fulfilments) {
+    const farm = (await DatabaseService.getFarmById(fulfilment.farm_id)) || {};
+    farms.push({
+      farm_id: fulfilment.farm_id,
+      name: farm.name || fulfilment.farm_name || 'Farm',
+      address: farm.address || farm.location || null,
+      phone: farm.phone || null,
+      email: farm.email || null,
+      vat_registration_number: farm.vat_registered ? farm.vat_registration_number || null : null,
+      status: fulfilment.status,
+      items: items
+        .filter(item => (item.fulfilment_id ? sameId(item.fulfilment_id, fulfilment._id) : sameId(item.farm_id, fulfilment.farm_id)))
+        .map(presentLine),
+      subtotal: fulfilment.subtotal_amount,
+      discount: fulfilment.discount_amount,
+      tax: fulfilment.tax_amount,
+      delivery_fee: fulfilment.delivery_fee,
+      total: fulfilment.final_amount
+    });
+  }
+
+  const sum = (key) => round(farms.reduce((acc, farm) => acc + Number(farm[key] || 0), 0));
+  const totals = scope.full
+    ? {
+      subtotal: Number(order.total_amount),
+      discount: Number(order.discount_amount || 0),
+      tax: Number(order.tax_amount || 0),
+      delivery_fee: Number(order.delivery_fee || 0),
+      total: Number(order.final_amount)
+    }
+    : { subtotal: sum('subtotal'), discount: sum('discount'), tax: sum('tax'), delivery_fee: sum('delivery_fee'), total: sum('total') };
+
+  return {
+    title: order.payment_status === 'paid' ? 'Receipt' : 'Invoice',
+    order_id: order._id,
+    order_number: order.order_number,
+    order_date: order.created_at,
+    issued_at: new Date(),
+    status: order.status,
+    payment_status: order.payment_status,
+    payment_method: order.payment_method,
+    coupon_code: order.coupon_code || null,
+    customer: {
+      name: order.customer_name || null,
+      email: order.customer_email || null,
+      phone: order.customer_phone || null,
+      address: order.delivery_address || null
+    },
+    farms,
+    totals,
+    // Farm copies only cover the farm's own part of the order
+    partial: !scope.full
+  };
+}
+
+const humanize = (value) => (value ? String(value).replace(/_/g, ' ') : 'N/A');
+
+function taxLabel(line) {
+  if (!line.tax_amount) return '-';
+  return `${formatCurrency(line.tax_amount)} (${line.tax_rate}%${line.tax_inclusive ? ' incl.' : ''})`;
+}
+
+function totalRows(totals) {
+  const rows = [['Subtotal', formatCurrency(totals.subtotal)]];
+  if (totals.discount) rows.push(['Discount', `- ${formatCurrency(totals.discount)}`]);
+  if (totals.tax) rows.push(['VAT', formatCurrency(totals.tax)]);
+  rows.push(['Delivery fee', formatCurrency(totals.delivery_fee)]);
+  rows.push(['Total', formatCurrency(totals.total)]);
+  return rows;
+}
+
+function renderInvoiceHtml(invoice) {
+  const farmSections = invoice.farms.map((farm) => `
+    <section class="farm">
+      <h2>${escapeHtml(farm.name)}</h2>
+      <p class="muted">
+        ${[farm.address, farm.phone, farm.email].filter(Boolean).map(escapeHtml).join(' &middot; ')}
+        ${farm.vat_registration_number ? `<br>VAT registration (BIN): ${escapeHtml(farm.vat_registration_number)}` : ''}
+        <br>Status: ${escapeHtml(humanize(farm.status))}
+      </p>
+      <table>
+        <thead>
+          <tr><th>Item</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Discount</th><th class="num">VAT</th><th class="num">Amount</th></tr>
+        </thead>
+        <tbody>
+          ${farm.items.map(line => `
+          <tr>
+            <td>${escapeHtml(line.name)}</td>
+            <td class="num">${escapeHtml(line.quantity)}${line.unit ? ` ${escapeHtml(line.unit)}` : ''}</td>
+            <td class="num">${formatCurrency(line.unit_price)}</td>
+            <td class="num">${line.discount_amount ? formatCurrency(line.discount_amount) : '-'}</td>
+            <td class="num">${taxLabel(line)}</td>
+            <td class="num">${formatCurrency(line.amount)}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>
+      ${invoice.farms.length > 1 ? `<p class="farm-total">Delivery fee ${formatCurrency(farm.delivery_fee)} &middot; Farm total ${formatCurrency(farm.total)}</p>` : ''}
+    </section>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${invoice.title} ${escapeHtml(invoice.order_number)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #111827; max-width: 800px; margin: 32px auto; padding: 0 16px; }
+    header { display: flex; justify-content: space-between; border-bottom: 2px solid #16a34a; padding-bottom: 12px; }
+    .brand { color: #16a34a; font-size: 24px; font-weight: bold; }
+    h1 { margin: 0; font-size: 22px; }
+    h2 { font-size: 16px; margin: 24px 0 4px; }
+    .muted { color: #6b7280; font-size: 13px; margin: 4px 0 8px; }
+    table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    th, td { padding: 6px 8px; border-bottom: 1px solid #e5e7eb; text-align: left; }
+    th { background: #f3f4f6; }
+    .num { text-align: right; }
+    .farm-total { text-align: right; font-size: 13px; }
+    .totals { margin-left: auto; width: 320px; margin-top: 24px; }
+    .totals tr:last-child td { font-weight: bold; border-top: 2px solid #111827; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <header>
+    <div>
+      <div class="brand">FarmFresh BD</div>
+      <div class="muted">Issued ${formatDate(invoice.issued_at)}</div>
+    </div>
+    <div style="text-align: right">
+      <h1>${invoice.title}</h1>
+      <div>Order ${escapeHtml(invoice.order_number)}</div>
+      <div class="muted">Placed ${formatDate(invoice.order_date)}</div>
+    </div>
+  </header>
+  <section>
+    <h2>Billed to</h2>
+    <p class="muted">
+      ${[invoice.customer.name, invoice.customer.email, invoice.customer.phone].filter(Boolean).map(escapeHtml).join(' &middot; ')}
+      ${invoice.customer.address ? `<br>${escapeHtml(invoice.customer.address)}` : ''}
+    </p>
+    <p class="muted">
+      Payment: ${escapeHtml(humanize(invoice.payment_status))} (${escapeHtml(humanize(invoice.payment_method))})
+      ${invoice.coupon_code ? ` &middot; Coupon: ${escapeHtml(invoice.coupon_code)}` : ''}
+    </p>
+  </section>
+  ${farmSections}
+  <table class="totals">
+    ${totalRows(invoice.totals).map(([label, value]) => `<tr><td>${label}</td><td class="num">${value}</td></tr>`).join('')}
+  </table>
+  ${invoice.partial ? '<p class="muted">This copy only covers the items fulfilled by the farm(s) listed above.</p>' : ''}
+</body>
+</html>`;
+}
+
+/**
+ * Render an invoice as a PDF document stream (already ended; pipe it to the response)
+ */
+function renderInvoicePdf(invoice) {
+  const doc = new PDFDocument({ margin: 50, size: 'A4' });
+  let y = 50;
+  const ensureSpace = (height) => {
+    if (y + height > doc.page.height - 60) {
+      doc.addPage();
+      y = 50;
+    }
+  };
+
+  doc.fontSize(22).fillColor('#16a34a').text('FarmFresh BD', 50, y);
+  doc.fontSize(18).fillColor('#000').text(invoice.title, 350, y, { width: 195, align: 'right' });
+  doc.fontSize(10).fillColor('#374151')
+    .text(`Order ${invoice.order_number}`, 350, y + 24, { width: 195, align: 'right' })
+    .text(`Placed ${formatDate(invoice.order_date)}`, 350, y + 38, { width: 195, align: 'right' })
+    .text(`Issued ${formatDate(invoice.issued_at)}`, 350, y + 52, { width: 195, align: 'right' });
+  y += 75;
+  doc.moveTo(50, y).lineTo(545, y).stroke('#16a34a');
+  y += 12;
+
+  doc.fontSize(12).fillColor('#374151').text('Billed to', 50, y);
+  y += 16;
+  doc.fontSize(10).fillColor('#000');
+  for (const line of [
+    [invoice.customer.name, invoice.customer.email, invoice.customer.phone].filter(Boolean).join(' | '),
+    invoice.customer.address,
+    `Payment: ${humanize(invoice.payment_status)} (${humanize(invoice.payment_method)})${invoice.coupon_code ? ` | Coupon: ${invoice.coupon_code}` : ''}`
+  ].filter(Boolean)) {
+    doc.text(line, 50, y, { width: 495 });
+    y = doc.y + 2;
+  }
+
+  const columns = [['Item', 50, 170], ['Qty', 220, 50], ['Unit price', 270, 70], ['Discount', 340, 65], ['VAT', 405, 70], ['Amount', 475, 70]];
+  for (const farm of invoice.farms) {
+    ensureSpace(90);
+    y += 14;
+    doc.fontSize(12).fillColor('#374151').text(farm.name, 50, y);
+    y = doc.y + 2;
+    doc.fontSize(9).fillColor('#6b7280');
+    const details = [farm.address, farm.phone, farm.email].filter(Boolean).join(' | ');
+    if (details) {
+      doc.text(details, 50, y, { width: 495 });
+      y = doc.y + 1;
+    }
+    if (farm.vat_registration_number) {
+      doc.text(`VAT registration (BIN): ${farm.vat_registration_number}`, 50, y);
+      y = doc.y + 1;
+    }
+    doc.text(`Status: ${humanize(farm.status)}`, 50, y);
+    y = doc.y + 6;
+
+    doc.rect(50, y - 3, 495, 16).fillAndStroke('#f3f4f6', '#d1d5db');
+    doc.fontSize(9).fillColor('#000');
+    columns.forEach(([label, x, width], i) => doc.text(label, x + 4, y, { width: width - 8, align: i === 0 ? 'left' : 'right' }));
+    y += 16;
+
+    for (const line of farm.items) {
+      ensureSpace(16);
+      const cells = [
+        line.name,
+        `${line.quantity}${line.unit ? ` ${line.unit}` : ''}`,
+        formatCurrency(line.unit_price),
+        line.discount_amount ? formatCurrency(line.discount_amount) : '-',
+        taxLabel(line),
+        formatCurrency(line.amount)
+      ];
+      columns.forEach(([, x, width], i) => doc.text(cells[i], x + 4, y, { width: width - 8, align: i === 0 ? 'left' : 'right', lineBreak: false, ellipsis: true }));
+      y += 14;
+      doc.moveTo(50, y - 2).lineTo(545, y - 2).stroke('#e5e7eb');
+    }
+    if (invoice.farms.length > 1) {
+      doc.fontSize(9).fillColor('#374151')
+        .text(`Delivery fee ${formatCurrency(farm.delivery_fee)} | Farm total ${formatCurrency(farm.total)}`, 50, y + 2, { width: 495, align: 'right' });
+      y = doc.y;
+    }
+  }
+
+  const rows = totalRows(invoice.totals);
+  ensureSpace(rows.length * 16 + 40);
+  y += 16;
+  rows.forEach(([label, value], index) => {
+    const last = index === rows.length - 1;
+    if (last) doc.moveTo(330, y - 3).lineTo(545, y - 3).stroke('#111827');
+    doc.fontSize(last ? 11 : 10).fillColor('#000')
+      .text(label, 330, y, { width: 100 })
+      .text(value, 430, y, { width: 115, align: 'right' });
+    y += 16;
+  });
+
+  if (invoice.partial) {
+    doc.fontSize(9).fillColor('#6b7280')
+      .text('This copy only covers the items fulfilled by the farm(s) listed above.', 50, y + 10, { width: 495 });
+  }
+
+  doc.end();
+  return doc;
+}
+
+module.exports = {
+  buildInvoice,
+  renderInvoiceHtml,
+  renderInvoicePdf,
+};
@@ -0,0 +1,117 @@
+/**
+ * Login Throttle Service
+ * Tracks failed login attempts per account (email) and per client IP in Postgres.
+ *
+ * Policy:
+ *   - the first LOGIN_FREE_ATTEMPTS failures are not delayed
+ *   - after that each failure blocks the key for an exponentially growing delay
+ *   - once LOGIN_MAX_ATTEMPTS_<SCOPE> is reached the key is locked for LOGIN_LOCKOUT_MINUTES
+ *   - failure counters reset once no failure was recorded for LOGIN_ATTEMPT_WINDOW_MINUTES
+ *
+ * Account keys are derived from the submitted email, whether or not a user exists,
+ * so throttling responses never reveal which emails are registered.
+ */
+
+const DatabaseService = require('./database.service');
+
+const FREE_ATTEMPTS = parseInt(process.env.LOGIN_FREE_ATTEMPTS, 10) || 3;
+const MAX_ATTEMPTS = {
+  account: parseInt(process.env.LOGIN_MAX_ATTEMPTS_ACCOUNT, 10) || 5,
+  ip: parseInt(process.env.LOGIN_MAX_ATTEMPTS_IP, 10) || 20
+};
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const ATTEMPT_WINDOW_MINUTES = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES, 10) || 15;
+
+function accountKey(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function throttleKeys(email, ip) {
+  const keys = [{ scope: 'account', key: accountKey(email) }];
+  if (ip) keys.push({ scope: 'ip', key: ip });
+  return keys;
+}
+
+/**
+ * Seconds a key stays blocked after its Nth consecutive failure (0 = not blocked)
+ */
+function lockDurationSeconds(scope, failedCount) {
+  const maxAttempts = MAX_ATTEMPTS[scope] || MAX_ATTEMPTS.account;
+  if (failedCount >= maxAttempts) {
+    return LOCKOUT_MINUTES * 60;
+  }
+  if (failedCount <= FREE_ATTEMPTS) {
+    return 0;
+  }
+  return Math.min(2 ** (failedCount - FREE_ATTEMPTS), LOCKOUT_MINUTES * 60);
+}
+
+function secondsUntil(date, now = new Date()) {
+  return Math.max(1, Math.ceil((new Date(date).getTime() - now.getTime()) / 1000));
+}
+
+/**
+ * Return the furthest active lock for an email/IP pair, or null when login may proceed
+ * @returns {Promise<{retry_after: number, retry_at: string}|null>}
+ */
+async function getActiveLock(email, ip) {
+  const rows = await DatabaseService.getLoginThrottles(throttleKeys(email, ip));
+  const now = new Date();
+  const lockedUntil = rows
+    .map(row => row.locked_until && new Date(row.locked_until))
+    .filter(date => date && date > now)
+    .sort((a, b) => b - a)[0];
+
+  if (!lockedUntil) return null;
+  return { retry_after: secondsUntil(lockedUntil, now), retry_at: lockedUntil.toISOString() };
+}
+
+/**
+ * Record a failed attempt against both the account and the IP
+ * @returns {Promise<{retry_after: number, retry_at: string}|null>} lock applied by this failure, if any
+ */
+async function recordFailure(email, ip) {
+  const now = new Date();
+  let lockedUntil = null;
+
+  for (const { scope, key } of throttleKeys(email, ip)) {
+    const row = await DatabaseService.recordLoginFailure(scope, key, ATTEMPT_WINDOW_MINUTES);
+    const seconds = lockDurationSeconds(scope, row.failed_count);
+    if (seconds > 0) {
+      const until = new Date(now.getTime() + seconds * 1000);
+      await DatabaseService.setLoginThrottleLock(scope, key, until);
+      if (!lockedUntil || until > lockedUntil) lockedUntil = until;
+    }
+  }
+
+  if (!lockedUntil) return null;
+  return { retry_after: secondsUntil(lockedUntil, now), retry_at: lockedUntil.toISOString() };
+}
+
+/**
+ * Clear the account counter after a successful login.
+ * The IP counter is left to expire so one valid account can't reset it for guesses at others.
+ */
+async function recordSuccess(email) {
+  await DatabaseService.clearLoginThrottle('account', accountKey(email));
+}
+
+/**
+ * Lift lockouts for an account and, optionally, an IP address (admin action)
+ * @returns {Promise<number>} number of throttle records cleared
+ */
+async function unlock(email, ip = null) {
+  let cleared = await DatabaseService.clearLoginThrottle('account', accountKey(email));
+  if (ip) {
+    cleared += await DatabaseService.clearLoginThrottle('ip', ip);
+  }
+  return cleared;
+}
+
+module.exports = {
+  getActiveLock,
+  recordFailure,
+  recordSuccess,
+  unlock,
+  lockDurationSeconds,
+};
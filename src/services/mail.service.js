@@ -0,0 +1,148 @@
+/**
+ * Mail Service
+ * Sends outgoing email through a pluggable transport.
+ *
+ * Built-in transports:
+ *   - smtp:    delivers through an SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+ *   - console: prints the message to stdout (default)
+ *   - file:    writes each message as a JSON file to MAIL_OUTBOX_DIR
+ *
+ * console and file expose reset, verification and invitation links, so they are refused in
+ * production unless MAIL_DEV_TRANSPORT_ENABLED=true.
+ *
+ * Other transports (SMTP, SES, ...) can be plugged in with registerTransport().
+ * A transport is any object with an async send(message) method.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'FarmFresh BD <no-reply@farmfreshbd.com>';
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+function assertDevTransportAllowed(name, env) {
+  if (env.NODE_ENV === 'production' && env.MAIL_DEV_TRANSPORT_ENABLED !== 'true') {
+    throw new Error(`Mail transport ${name} is not allowed in production; configure MAIL_TRANSPORT=smtp`);
+  }
+}
+
+function createSmtpTransport(env = process.env) {
+  if (!env.SMTP_HOST) {
+    throw new Error('Mail transport smtp requires SMTP_HOST');
+  }
+  const secure = env.SMTP_SECURE === 'true';
+  const transporter = nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port: parseInt(env.SMTP_PORT, 10) || (secure ? 465 : 587),
+    secure,
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+  });
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail({
+        from: message.from,
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+        html: message.html || undefined
+      });
+      return { id: info.messageId };
+    }
+  };
+}
+
+function createConsoleTransport(env = process.env) {
+  assertDevTransportAllowed('console', env);
+  return {
+    name: 'console',
+    async send(message) {
+      console.log('📧 ========== OUTGOING EMAIL ==========');
+      console.log(`From: ${message.from}`);
+      console.log(`To: ${message.to}`);
+      console.log(`Subject: ${message.subject}`);
+      console.log('');
+      console.log(message.text);
+      console.log('📧 ====================================');
+      return { id: crypto.randomUUID() };
+    }
+  };
+}
+
+function createFileTransport(env = process.env) {
+  assertDevTransportAllowed('file', env);
+  const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'tmp', 'mail-outbox');
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+      const id = crypto.randomUUID();
+      const filename = `${new Date().toISOString().replace(/[:.]/g, '-')}-${id}.json`;
+      await fs.promises.writeFile(
+        path.join(outboxDir, filename),
+        JSON.stringify({ id, ...message, sent_at: new Date().toISOString() }, null, 2)
+      );
+      return { id, path: path.join(outboxDir, filename) };
+    }
+  };
+}
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  console: createConsoleTransport,
+  file: createFileTransport
+};
+
+let activeTransport = null;
+
+/**
+ * Register a transport factory under a name selectable via MAIL_TRANSPORT
+ */
+function registerTransport(name, factory) {
+  transportFactories[name] = factory;
+  activeTransport = null;
+}
+
+/**
+ * Resolve the transport selected by MAIL_TRANSPORT (defaults to console)
+ */
+function getTransport() {
+  if (activeTransport) return activeTransport;
+
+  const name = (process.env.MAIL_TRANSPORT || 'console').toLowerCase();
+  const factory = transportFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  activeTransport = factory();
+  return activeTransport;
+}
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, text, html }
+ */
+async function sendMail({ to, subject, text, html }) {
+  if (!to || !subject) {
+    throw new Error('Mail requires a recipient and a subject');
+  }
+  return getTransport().send({ from: MAIL_FROM, to, subject, text: text || '', html: html || null });
+}
+
+/**
+ * Build an absolute link into the frontend app
+ */
+function buildAppUrl(pathname, params = {}) {
+  const url = new URL(`${APP_URL}${pathname}`);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+}
+
+module.exports = {
+  sendMail,
+  buildAppUrl,
+  registerTransport,
+  getTransport,
+};
@@ -0,0 +1,132 @@
+/**
+ * bKash tokenized checkout
+ * Settings: BKASH_APP_KEY, BKASH_APP_SECRET, BKASH_USERNAME, BKASH_PASSWORD and
+ * BKASH_BASE_URL (defaults to the sandbox).
+ *
+ * bKash sends the customer back to the callback URL with ?paymentID=...&status=success|failure|cancel.
+ * That redirect is not signed, so it only tells us which payment to look at: on "success" the
+ * payment is captured with the execute API, and otherwise its status is queried. Only what bKash
+ * reports is recorded; a checkout abandoned at bKash stays pending until the payment times out.
+ */
+
+const { requestJson } = require('./common');
+
+const SANDBOX_URL = 'https://tokenized.sandbox.bka.sh/v1.2.0-beta';
+
+const TRANSACTION_STATUS = {
+  Completed: 'paid',
+  Initiated: 'pending',
+  Authorized: 'pending',
+  Failed: 'failed',
+  Cancelled: 'cancelled',
+  Expired: 'failed'
+};
+
+function createBkashProvider(env = process.env) {
+  const config = {
+    baseUrl: (env.BKASH_BASE_URL || SANDBOX_URL).replace(/\/+$/, ''),
+    appKey: env.BKASH_APP_KEY,
+    appSecret: env.BKASH_APP_SECRET,
+    username: env.BKASH_USERNAME,
+    password: env.BKASH_PASSWORD
+  };
+  if (!config.appKey || !config.appSecret || !config.username || !config.password) {
+    throw new Error('Payment provider bkash is not configured');
+  }
+
+  let token = null;
+
+  // Grant tokens live for an hour; renew a minute early
+  async function getToken() {
+    if (token && token.expiresAt > Date.now()) return token.value;
+    const res = await requestJson(`${config.baseUrl}/tokenized/checkout/token/grant`, {
+      method: 'POST',
+      headers: { username: config.username, password: config.password },
+      body: { app_key: config.appKey, app_secret: config.appSecret }
+    });
+    if (!res.id_token) throw new Error(res.statusMessage || 'bKash did not grant a token');
+    token = { value: res.id_token, expiresAt: Date.now() + (Number(res.expires_in || 3600) - 60) * 1000 };
+    return token.value;
+  }
+
+  async function call(path, body) {
+    const res = await requestJson(`${config.baseUrl}/tokenized/checkout/${path}`, {
+      method: 'POST',
+      headers: { Authorization: await getToken(), 'X-APP-Key': config.appKey },
+      body
+    });
+    if (res.statusCode && res.statusCode !== '0000') {
+      const error = new Error(res.statusMessage || `bKash error ${res.statusCode}`);
+      error.code = res.statusCode;
+      throw error;
+    }
+    return res;
+  }
+
+  function toResult(res) {
+    return {
+      status: TRANSACTION_STATUS[res.transactionStatus] || 'pending',
+      amount: res.amount !== undefined ? Number(res.amount) : undefined,
+      transaction_id: res.trxID || null,
+      raw: res
+    };
+  }
+
+  return {
+    name: 'bkash',
+    method: 'mobile_banking',
+
+    async initiate({ payment, order, callbackUrl }) {
+      const res = await call('create', {
+        mode: '0011',
+        payerReference: order.contact_phone || order.order_number || payment.id,
+        callbackURL: callbackUrl,
+        amount: Number(payment.amount).toFixed(2),
+        currency: payment.currency || 'BDT',
+        intent: 'sale',
+        merchantInvoiceNumber: order.order_number || payment.id
+      });
+      if (!res.paymentID || !res.bkashURL) {
+        throw new Error(res.statusMessage || 'bKash did not create a payment');
+      }
+      return { provider_ref: res.paymentID, redirect_url: res.bkashURL, raw: res };
+    },
+
+    parseCallback(payload) {
+      const { paymentID, status } = payload || {};
+      if (!paymentID) throw new Error('Invalid payment callback');
+      // The redirect's status is unsigned: it only says whether to try capturing the payment
+      return { provider_ref: String(paymentID), status: 'pending', capture: status === 'success' };
+    },
+
+    async verify(payment, { callback } = {}) {
+      if (callback && callback.capture) {
+        try {
+          return toResult(await call('execute', { paymentID: payment.provider_ref }));
+        } catch (error) {
+          // Already executed (or execution failed): fall through to the status query
+          if (!error.code) throw error;
+        }
+      }
+      return toResult(await call('payment/status', { paymentID: payment.provider_ref }));
+    },
+
+    async refund(payment, { amount, reason }) {
+      const res = await call('payment/refund', {
+        paymentID: payment.provider_ref,
+        trxID: payment.transaction_id,
+        amount: Number(amount).toFixed(2),
+        sku: 'order',
+        reason: reason || 'Refund'
+      });
+      if (res.transactionStatus !== 'Completed') {
+        throw new Error(res.statusMessage || 'bKash refund failed');
+      }
+      return { status: 'refunded', refund_ref: res.refundTrxID, raw: res };
+    }
+  };
+}
+
+module.exports = {
+  createBkashProvider,
+};
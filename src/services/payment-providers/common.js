@@ -0,0 +1,60 @@
+/**
+ * Helpers shared by payment gateway providers
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+/**
+ * Constant-time comparison of two signatures
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Call a gateway API and parse its JSON response
+ * @param {string} url
+ * @param {Object} [options] - { method, headers, body (JSON), form (urlencoded), timeoutMs }
+ */
+async function requestJson(url, { method = 'GET', headers = {}, body, form, timeoutMs } = {}) {
+  const init = { method, headers: { Accept: 'application/json', ...headers } };
+  if (form) {
+    init.body = new URLSearchParams(form).toString();
+    init.headers['Content-Type'] = 'application/x-www-form-urlencoded';
+  } else if (body !== undefined) {
+    init.body = JSON.stringify(body);
+    init.headers['Content-Type'] = 'application/json';
+  }
+
+  const timeout = timeoutMs || parseInt(process.env.PAYMENT_HTTP_TIMEOUT_MS || String(DEFAULT_TIMEOUT_MS), 10);
+  let response;
+  try {
+    response = await fetch(url, { ...init, signal: AbortSignal.timeout(timeout) });
+  } catch (error) {
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+      throw new Error('Payment provider timed out');
+    }
+    throw new Error(`Payment provider unreachable: ${error.message}`);
+  }
+
+  const text = await response.text();
+  let data;
+  try {
+    data = text ? JSON.parse(text) : {};
+  } catch {
+    throw new Error(`Unexpected response from payment provider (HTTP ${response.status})`);
+  }
+  if (!response.ok) {
+    throw new Error(data.message || data.statusMessage || `Payment provider returned HTTP ${response.status}`);
+  }
+  return data;
+}
+
+module.exports = {
+  safeEqual,
+  requestJson,
+};
@@ -0,0 +1,100 @@
+/**
+ * Mock payment gateway
+ * Keeps transactions in memory and signs its callbacks like a real gateway would.
+ * The outcome of each payment is PAYMENT_MOCK_OUTCOME (default success) or the
+ * `outcome` option passed when it is started:
+ *   - success: the callback reports the payment as paid
+ *   - failure: the callback reports the payment as failed
+ *   - timeout: the customer never finishes; the payment stays pending until it expires
+ */
+
+const crypto = require('crypto');
+const { safeEqual } = require('./common');
+
+const MOCK_OUTCOMES = ['success', 'failure', 'timeout'];
+const OUTCOME_STATUS = { success: 'paid', failure: 'failed', timeout: 'pending' };
+
+function createMockProvider(env = process.env) {
+  if (env.NODE_ENV === 'production' && env.PAYMENT_MOCK_ENABLED !== 'true') {
+    throw new Error('Payment provider mock is not configured');
+  }
+  const secret = env.PAYMENT_MOCK_SECRET || 'mock-payment-secret';
+  const defaultOutcome = env.PAYMENT_MOCK_OUTCOME || 'success';
+  const transactions = new Map();
+
+  function sign({ payment_id, provider_ref, status }) {
+    return crypto.createHmac('sha256', secret).update(`${payment_id}|${provider_ref}|${status}`).digest('hex');
+  }
+
+  /**
+   * Callback payload for a payment as the mock gateway would send it
+   */
+  function buildCallback(payment) {
+    const fields = { payment_id: payment.id, provider_ref: payment.provider_ref };
+    fields.status = transactions.get(payment.provider_ref)?.status || 'pending';
+    return { ...fields, signature: sign(fields) };
+  }
+
+  return {
+    name: 'mock',
+    method: 'mobile_banking',
+    buildCallback,
+
+    async initiate({ payment, callbackUrl, options = {} }) {
+      const outcome = options.outcome || defaultOutcome;
+      if (!MOCK_OUTCOMES.includes(outcome)) {
+        throw new Error(`Unknown mock payment outcome: ${outcome}`);
+      }
+      const providerRef = `MOCK-${crypto.randomUUID()}`;
+      const status = OUTCOME_STATUS[outcome];
+      transactions.set(providerRef, {
+        status,
+        amount: Number(payment.amount),
+        trx_id: status === 'paid' ? `MTRX${crypto.randomBytes(5).toString('hex').toUpperCase()}` : null,
+        refunded: 0
+      });
+
+      const callback = buildCallback({ id: payment.id, provider_ref: providerRef });
+      return {
+        provider_ref: providerRef,
+        redirect_url: `${callbackUrl}?${new URLSearchParams(callback).toString()}`,
+        raw: { outcome }
+      };
+    },
+
+    parseCallback(payload) {
+      const { payment_id, provider_ref, status, signature } = payload || {};
+      if (!payment_id || !provider_ref || !status || !safeEqual(signature, sign({ payment_id, provider_ref, status }))) {
+        throw new Error('Invalid payment signature');
+      }
+      return { payment_id, provider_ref, status };
+    },
+
+    async verify(payment) {
+      const trx = transactions.get(payment.provider_ref);
+      if (!trx) return { status: 'pending' };
+      return { status: trx.status, amount: trx.amount, transaction_id: trx.trx_id, raw: { ...trx } };
+    },
+
+    async refund(payment, { amount }) {
+      const trx = transactions.get(payment.provider_ref);
+      if (!trx || trx.status !== 'paid') {
+        throw new Error('Transaction is not refundable');
+      }
+      if (trx.refunded + amount > trx.amount + 0.001) {
+        throw new Error('Refund exceeds the paid amount');
+      }
+      trx.refunded = Number((trx.refunded + amount).toFixed(2));
+      return {
+        status: 'refunded',
+        refund_ref: `MREF${crypto.randomBytes(5).toString('hex').toUpperCase()}`,
+        raw: { refunded: trx.refunded }
+      };
+    }
+  };
+}
+
+module.exports = {
+  MOCK_OUTCOMES,
+  createMockProvider,
+};
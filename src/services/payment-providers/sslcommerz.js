@@ -0,0 +1,155 @@
+/**
+ * SSLCommerz hosted checkout (cards, mobile banking, internet banking)
+ * Settings: SSLCOMMERZ_STORE_ID, SSLCOMMERZ_STORE_PASSWORD and SSLCOMMERZ_BASE_URL
+ * (defaults to the sandbox).
+ *
+ * The callback URL is used as success, fail, cancel and IPN URL. Callbacks carry verify_sign,
+ * an MD5 over the fields listed in verify_key plus the hashed store password; paid callbacks
+ * are then confirmed with the validation API.
+ */
+
+const crypto = require('crypto');
+const { requestJson, safeEqual } = require('./common');
+
+const SANDBOX_URL = 'https://sandbox.sslcommerz.com';
+
+const GATEWAY_STATUS = {
+  VALID: 'paid',
+  VALIDATED: 'paid',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  UNATTEMPTED: 'failed',
+  EXPIRED: 'failed',
+  PENDING: 'pending'
+};
+
+function md5(value) {
+  return crypto.createHash('md5').update(String(value)).digest('hex');
+}
+
+/**
+ * Check the verify_sign of an SSLCommerz callback
+ */
+function verifySignature(payload, storePassword) {
+  const { verify_sign, verify_key } = payload || {};
+  if (!verify_sign || !verify_key) return false;
+
+  const fields = {};
+  for (const key of String(verify_key).split(',')) {
+    fields[key] = payload[key] !== undefined ? payload[key] : '';
+  }
+  fields.store_passwd = md5(storePassword);
+  const data = Object.keys(fields).sort().map(key => `${key}=${fields[key]}`).join('&');
+  return safeEqual(md5(data), verify_sign);
+}
+
+function createSslcommerzProvider(env = process.env) {
+  const config = {
+    baseUrl: (env.SSLCOMMERZ_BASE_URL || SANDBOX_URL).replace(/\/+$/, ''),
+    storeId: env.SSLCOMMERZ_STORE_ID,
+    storePassword: env.SSLCOMMERZ_STORE_PASSWORD
+  };
+  if (!config.storeId || !config.storePassword) {
+    throw new Error('Payment provider sslcommerz is not configured');
+  }
+
+  function validatorUrl(script, params) {
+    const search = new URLSearchParams({
+      ...params,
+      store_id: config.storeId,
+      store_passwd: config.storePassword,
+      format: 'json'
+    });
+    return `${config.baseUrl}/validator/api/${script}?${search.toString()}`;
+  }
+
+  function toResult(res) {
+    return {
+      status: GATEWAY_STATUS[String(res.status || '').toUpperCase()] || 'pending',
+      amount: res.amount !== undefined ? Number(res.amount) : undefined,
+      transaction_id: res.bank_tran_id || null,
+      raw: res
+    };
+  }
+
+  return {
+    name: 'sslcommerz',
+    method: 'credit_card',
+
+    async initiate({ payment, order, callbackUrl }) {
+      const res = await requestJson(`${config.baseUrl}/gwprocess/v4/api.php`, {
+        method: 'POST',
+        form: {
+          store_id: config.storeId,
+          store_passwd: config.storePassword,
+          total_amount: Number(payment.amount).toFixed(2),
+          currency: payment.currency || 'BDT',
+          tran_id: payment.id,
+          success_url: callbackUrl,
+          fail_url: callbackUrl,
+          cancel_url: callbackUrl,
+          ipn_url: callbackUrl,
+          cus_name: order.customer_name || 'Customer',
+          cus_email: order.customer_email || '',
+          cus_add1: order.shipping_address || '',
+          cus_city: 'Dhaka',
+          cus_country: 'Bangladesh',
+          cus_phone: order.contact_phone || '',
+          shipping_method: 'NO',
+          product_name: `Order ${order.order_number || payment.order_id}`,
+          product_category: 'Agricultural products',
+          product_profile: 'general'
+        }
+      });
+      if (res.status !== 'SUCCESS' || !res.GatewayPageURL) {
+        throw new Error(res.failedreason || 'SSLCommerz did not start a session');
+      }
+      return { provider_ref: payment.id, redirect_url: res.GatewayPageURL, raw: { sessionkey: res.sessionkey } };
+    },
+
+    parseCallback(payload) {
+      if (!verifySignature(payload, config.storePassword)) {
+        throw new Error('Invalid payment signature');
+      }
+      return {
+        payment_id: payload.tran_id,
+        provider_ref: payload.tran_id,
+        status: GATEWAY_STATUS[String(payload.status || '').toUpperCase()] || 'pending',
+        val_id: payload.val_id || null
+      };
+    },
+
+    async verify(payment, { callback } = {}) {
+      if (callback && callback.val_id) {
+        const res = await requestJson(validatorUrl('validationserverAPI.php', { val_id: callback.val_id }));
+        if (res.tran_id && String(res.tran_id) !== String(payment.provider_ref)) {
+          throw new Error('Validation does not match this payment');
+        }
+        return toResult(res);
+      }
+      if (callback && callback.status !== 'paid') {
+        return { status: callback.status, raw: callback };
+      }
+      const res = await requestJson(validatorUrl('merchantTransIDvalidationAPI.php', { tran_id: payment.provider_ref }));
+      const latest = Array.isArray(res.element) && res.element.length > 0 ? res.element[0] : null;
+      return latest ? toResult(latest) : { status: 'pending', raw: res };
+    },
+
+    async refund(payment, { amount, reason }) {
+      const res = await requestJson(validatorUrl('merchantTransIDvalidationAPI.php', {
+        bank_tran_id: payment.transaction_id,
+        refund_amount: Number(amount).toFixed(2),
+        refund_remarks: reason || 'Refund'
+      }));
+      if (res.APIConnect !== 'DONE' || res.status !== 'success') {
+        throw new Error(res.errorReason || 'SSLCommerz refund failed');
+      }
+      return { status: 'refunded', refund_ref: res.refund_ref_id, raw: res };
+    }
+  };
+}
+
+module.exports = {
+  verifySignature,
+  createSslcommerzProvider,
+};
@@ -0,0 +1,210 @@
+/**
+ * Payment Service
+ * Online payment of orders through pluggable gateway providers.
+ *
+ * Built-in providers:
+ *   - mock: in-memory gateway that simulates success, failure or timeout (development and tests;
+ *           disabled in production unless PAYMENT_MOCK_ENABLED=true)
+ *   - bkash: bKash tokenized checkout
+ *   - sslcommerz: SSLCommerz hosted checkout
+ *
+ * Other gateways (Nagad, ...) can be plugged in with registerProvider(). A provider has a
+ * `method` (orders.payment_method) and implements:
+ *   initiate({ payment, order, callbackUrl, options }) -> { provider_ref, redirect_url, raw }
+ *   parseCallback(payload)                -> { payment_id?, provider_ref?, status, ... }, throws on a bad signature
+ *   verify(payment, { callback })         -> { status, amount?, transaction_id?, raw }
+ *   refund(payment, { amount, reason })   -> { status: 'refunded', refund_ref, raw }
+ * Statuses are pending, paid, failed or cancelled. A callback only points at a payment;
+ * its final status always comes from verify().
+ */
+
+const DatabaseService = require('./database.service');
+const { createMockProvider } = require('./payment-providers/mock');
+const { createBkashProvider } = require('./payment-providers/bkash');
+const { createSslcommerzProvider } = require('./payment-providers/sslcommerz');
+
+const PAYMENT_TIMEOUT_MINUTES = parseInt(process.env.PAYMENT_TIMEOUT_MINUTES || '15', 10);
+
+const providerFactories = {
+  mock: createMockProvider,
+  bkash: createBkashProvider,
+  sslcommerz: createSslcommerzProvider
+};
+
+const activeProviders = new Map();
+
+/**
+ * Register a provider factory under a name
+ */
+function registerProvider(name, factory) {
+  providerFactories[name] = factory;
+  activeProviders.delete(name);
+}
+
+/**
+ * Resolve a configured provider by name
+ */
+function getProvider(name) {
+  const key = String(name || '').toLowerCase();
+  if (activeProviders.has(key)) return activeProviders.get(key);
+
+  const factory = providerFactories[key];
+  if (!factory) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  const provider = factory();
+  activeProviders.set(key, provider);
+  return provider;
+}
+
+/**
+ * Names of the providers that are configured in this environment
+ */
+function listProviders() {
+  return Object.keys(providerFactories).filter(name => {
+    try {
+      getProvider(name);
+      return true;
+    } catch {
+      return false;
+    }
+  });
+}
+
+function callbackUrl(providerName) {
+  const base = (process.env.PAYMENT_CALLBACK_BASE_URL || `http://localhost:${process.env.PORT || 8000}`).replace(/\/+$/, '');
+  return `${base}/api/payments/${providerName}/callback`;
+}
+
+function isExpired(payment, now = Date.now()) {
+  return new Date(payment.created_at).getTime() + PAYMENT_TIMEOUT_MINUTES * 60 * 1000 <= now;
+}
+
+/**
+ * Start paying an order through a gateway
+ * @returns {Object} presented payment, including the redirect_url to send the customer to
+ */
+async function initiatePayment(orderId, userId, providerName, options = {}) {
+  const provider = getProvider(providerName);
+  const order = await DatabaseService.getOrderForPayment(orderId);
+  if (!order) throw new Error('Order not found');
+  if (String(order.customer_id) !== String(userId)) throw new Error('Access denied');
+  if (['cancelled', 'refunded'].includes(order.status)) throw new Error('Order is not payable');
+  if (order.payment_status === 'paid') throw new Error('Order is already paid');
+  // A deposit paid ahead (pre-orders) leaves only the balance to pay
+  const amount = Number((Number(order.final_amount) - Number(order.paid_amount || 0)).toFixed(2));
+  if (!(amount > 0)) throw new Error('Order is not payable');
+
+  const payment = await DatabaseService.createGatewayPayment({
+    order_id: order.id,
+    provider: provider.name,
+    method: provider.method,
+    amount,
+    created_by: userId
+  });
+
+  let started;
+  try {
+    started = await provider.initiate({ payment, order, callbackUrl: callbackUrl(provider.name), options });
+  } catch (error) {
+    await DatabaseService.applyPaymentResult(payment.id, { status: 'failed', failure_reason: error.message });
+    throw new Error(`Payment initiation failed: ${error.message}`);
+  }
+
+  const updated = await DatabaseService.setPaymentInitiated(payment.id, {
+    provider_ref: started.provider_ref,
+    redirect_url: started.redirect_url,
+    gateway_response: started.raw
+  });
+  return DatabaseService.presentPayment(updated);
+}
+
+/**
+ * Ask the gateway for the final status of a pending payment and record it.
+ * Payments the gateway still reports as pending fail once PAYMENT_TIMEOUT_MINUTES have passed.
+ */
+async function settlePayment(payment, context = {}) {
+  if (payment.status !== 'pending') return payment;
+  const provider = getProvider(payment.provider);
+
+  const result = await provider.verify(payment, context);
+  if (result.status === 'pending') {
+    if (!isExpired(payment)) return payment;
+    return DatabaseService.applyPaymentResult(payment.id, {
+      status: 'failed',
+      gateway_response: result.raw,
+      failure_reason: 'Payment timed out'
+    });
+  }
+
+  if (result.status === 'paid' && result.amount !== undefined && Math.abs(result.amount - Number(payment.amount)) > 0.009) {
+    return DatabaseService.applyPaymentResult(payment.id, {
+      status: 'failed',
+      transaction_id: result.transaction_id,
+      gateway_response: result.raw,
+      failure_reason: `Amount mismatch: paid ${result.amount}, expected ${Number(payment.amount)}`
+    });
+  }
+
+  return DatabaseService.applyPaymentResult(payment.id, {
+    status: result.status,
+    transaction_id: result.transaction_id,
+    gateway_response: result.raw,
+    failure_reason: result.status === 'paid' ? null : (result.failure_reason || `Payment ${result.status}`)
+  });
+}
+
+/**
+ * Handle a gateway callback (browser redirect or server notification)
+ */
+async function handleCallback(providerName, payload) {
+  const provider = getProvider(providerName);
+  const callback = provider.parseCallback(payload);
+
+  const payment = callback.payment_id
+    ? await DatabaseService.getOrderPaymentById(callback.payment_id)
+    : await DatabaseService.findOrderPaymentByProviderRef(provider.name, callback.provider_ref);
+  if (!payment || payment.provider !== provider.name
+      || (callback.provider_ref && String(payment.provider_ref) !== String(callback.provider_ref))) {
+    throw new Error('Payment not found');
+  }
+
+  const settled = await settlePayment(payment, { callback });
+  return DatabaseService.presentPayment(settled);
+}
+
+/**
+ * Re-check a payment with its gateway (e.g. when the customer never came back from it)
+ */
+async function verifyPayment(orderId, paymentId, userId) {
+  const payment = await DatabaseService.getOrderPaymentById(paymentId);
+  if (!payment || String(payment.order_id) !== String(orderId)) throw new Error('Payment not found');
+  const order = await DatabaseService.getOrderForPayment(orderId);
+  if (!order || String(order.customer_id) !== String(userId)) throw new Error('Access denied');
+  if (payment.provider === 'manual') throw new Error('Manual payments cannot be verified');
+
+  const settled = await settlePayment(payment);
+  return DatabaseService.presentPayment(settled);
+}
+
+/**
+ * Refund part or all of a paid gateway payment at the gateway
+ */
+async function refundPayment(payment, { amount, reason } = {}) {
+  if (payment.status !== 'paid') throw new Error('Only paid payments can be refunded');
+  const refundAmount = amount === undefined ? Number(payment.amount) : Number(amount);
+  if (!Number.isFinite(refundAmount) || refundAmount <= 0 || refundAmount > Number(payment.amount)) {
+    throw new Error('Invalid refund amount');
+  }
+  return getProvider(payment.provider).refund(payment, { amount: refundAmount, reason });
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  initiatePayment,
+  handleCallback,
+  verifyPayment,
+  refundPayment,
+};
@@ -0,0 +1,274 @@
+/**
+ * Pre-order Service
+ * Pre-orders against upcoming harvests and batches (mangoes next month, broilers in three weeks).
+ *
+ * A farm opens a pre-order offer for one of its store products, optionally tied to the product
+ * batch it will be sold from, with a cap on the total quantity, an expected date (the batch's
+ * harvest or production date by default) and an optional deposit as a percentage of the price.
+ * Customers pre-order within the cap at the offer's price; deposits are paid to the farm by hand
+ * and recorded by it.
+ *
+ * When the batch is available the offer is released, by the farm (optionally adding the batch's
+ * quantity to stock) or automatically on its expected date. Its pending pre-orders are then
+ * converted into regular orders through placeOrder, oldest first and as far as stock allows, with
+ * a paid deposit counted towards the order's payment. Pre-orders whose deposit is still due, or
+ * that stock cannot cover yet, stay pending and are retried by the scheduler.
+ */
+
+const DatabaseService = require('./database.service');
+const { isAdmin } = require('../config/auth');
+
+async function canAccessFarm(farmId, principal, permission) {
+  return (await isAdmin(principal)) || DatabaseService.hasFarmPermission(farmId, principal, permission);
+}
+
+async function loadOffer(offerId) {
+  const offer = await DatabaseService.getPreorderOfferById(offerId);
+  if (!offer) throw new Error('Pre-order offer not found');
+  return offer;
+}
+
+async function getManagedOffer(offerId, principal) {
+  const offer = await loadOffer(offerId);
+  if (!(await canAccessFarm(offer.farm_id, principal, 'products:write'))) throw new Error('Access denied');
+  return offer;
+}
+
+async function loadPreorder(preorderId) {
+  const preorder = await DatabaseService.getPreorderById(preorderId);
+  if (!preorder) throw new Error('Pre-order not found');
+  return preorder;
+}
+
+// =========================
+// Offers
+// =========================
+
+/**
+ * Open a pre-order offer ({ store_product_id, batch_id?, max_quantity, expected_date?, unit_price?,
+ * deposit_percentage?, title?, description? }). Without expected_date the batch's harvest (or
+ * production) date is used.
+ */
+async function createOffer(principal, data = {}, now = new Date()) {
+  if (!data.store_product_id) throw new Error('store_product_id is required');
+  const storeProduct = await DatabaseService.getStoreProductById(data.store_product_id);
+  if (!storeProduct) throw new Error('Store product not found');
+  if (!(await canAccessFarm(storeProduct.farm_id, principal, 'products:write'))) throw new Error('Access denied');
+
+  let expectedDate = data.expected_date;
+  if (data.batch_id) {
+    const batch = await DatabaseService.getProductBatchById(data.batch_id);
+    if (!batch || String(batch.product_id) !== String(storeProduct.product_id)) {
+      throw new Error('Batch not found for this product');
+    }
+    expectedDate = expectedDate || DatabaseService.toDateKey(batch.harvest_date || batch.production_date);
+  }
+
+  const offer = DatabaseService.normalizePreorderOfferInput({ ...data, expected_date: expectedDate });
+  if (offer.expected_date < DatabaseService.toDateKey(now)) throw new Error('expected_date cannot be in the past');
+
+  return DatabaseService.createPreorderOffer(
+    storeProduct.farm_id,
+    data.store_product_id,
+    { ...offer, batch_id: data.batch_id || null },
+    principal.userId
+  );
+}
+
+/**
+ * Open offers, or those with the given status ('all' for any), of a farm or store product
+ */
+async function listOffers({ farm_id, store_product_id, status = 'open' } = {}) {
+  return DatabaseService.listPreorderOffers({
+    farmId: farm_id || null,
+    storeProductId: store_product_id || null,
+    statuses: status === 'all' ? null : [status]
+  });
+}
+
+/**
+ * Change an offer that has not been released. `status` can close it to new pre-orders or open it again.
+ */
+async function updateOffer(offerId, principal, data = {}) {
+  const offer = await getManagedOffer(offerId, principal);
+  if (!['open', 'closed'].includes(offer.status)) throw new Error('Only open or closed pre-order offers can be changed');
+
+  const changes = DatabaseService.normalizePreorderOfferInput(data, { partial: true });
+  if (data.status !== undefined) {
+    if (!['open', 'closed'].includes(data.status)) throw new Error('status must be open or closed');
+    changes.status = data.status;
+  }
+  if (Object.keys(changes).length === 0) throw new Error('No changes given');
+  if (changes.max_quantity !== undefined && changes.max_quantity < offer.preordered_quantity) {
+    throw new Error(`max_quantity cannot be below the ${offer.preordered_quantity} already pre-ordered`);
+  }
+  return DatabaseService.updatePreorderOffer(offer._id, changes);
+}
+
+/**
+ * The batch is available: release the offer, optionally adding `stock_quantity` to the store
+ * product's stock, and convert its pre-orders
+ */
+async function releaseOffer(offerId, principal, { stock_quantity } = {}) {
+  const offer = await getManagedOffer(offerId, principal);
+  const addStock = stock_quantity === undefined || stock_quantity === null ? 0 : Number(stock_quantity);
+  if (!Number.isFinite(addStock) || addStock < 0) throw new Error('stock_quantity must be a non-negative number');
+
+  const released = await DatabaseService.releasePreorderOffer(offer._id, addStock);
+  const conversion = await convertOfferPreorders(released);
+  return { ...(await DatabaseService.getPreorderOfferById(offer._id)), conversion };
+}
+
+async function cancelOffer(offerId, principal, { reason } = {}) {
+  const offer = await getManagedOffer(offerId, principal);
+  if (offer.status === 'released') throw new Error('A released pre-order offer cannot be cancelled');
+  return DatabaseService.cancelPreorderOffer(offer._id, reason || 'Pre-order offer cancelled by the farm');
+}
+
+async function getOfferPreorders(offerId, principal, { status } = {}) {
+  const offer = await loadOffer(offerId);
+  if (!(await canAccessFarm(offer.farm_id, principal, 'orders:read'))) throw new Error('Access denied');
+  const preorders = await DatabaseService.listPreorders({
+    offerId: offer._id,
+    statuses: status && status !== 'all' ? [status] : null
+  });
+  return { offer, preorders };
+}
+
+// =========================
+// Pre-orders
+// =========================
+
+async function placePreorder(customerId, offerId, data = {}) {
+  const preorder = DatabaseService.normalizePreorderInput(data);
+  const offer = await loadOffer(offerId);
+  const storeProduct = await DatabaseService.getStoreProductById(offer.store_product_id);
+  if (!storeProduct) throw new Error('Store product not found');
+
+  return DatabaseService.createPreorder(offer._id, customerId, {
+    ...preorder,
+    store_unit_price: Number(storeProduct.price_after_discount ?? storeProduct.store_price ?? 0)
+  });
+}
+
+async function listCustomerPreorders(customerId, { status } = {}) {
+  return DatabaseService.listPreorders({ customerId, statuses: status && status !== 'all' ? [status] : null });
+}
+
+/**
+ * A pre-order, for its customer, the farm or an admin
+ */
+async function getPreorder(preorderId, principal) {
+  const preorder = await loadPreorder(preorderId);
+  const allowed = String(preorder.customer_id) === String(principal.userId)
+    || await canAccessFarm(preorder.farm_id, principal, 'orders:read');
+  if (!allowed) throw new Error('Access denied');
+  return preorder;
+}
+
+/**
+ * Cancel a pending pre-order (its customer, the farm or an admin). A paid deposit is refunded by
+ * the farm outside the platform and recorded as refunded.
+ */
+async function cancelPreorder(preorderId, principal, { reason } = {}) {
+  const preorder = await loadPreorder(preorderId);
+  const byCustomer = String(preorder.customer_id) === String(principal.userId);
+  if (!byCustomer && !(await canAccessFarm(preorder.farm_id, principal, 'orders:manage'))) {
+    throw new Error('Access denied');
+  }
+  const fallback = byCustomer ? 'Cancelled by the customer' : 'Cancelled by the farm';
+  return DatabaseService.cancelPreorder(preorder._id, reason || fallback);
+}
+
+// The farm records the deposit it received for a pre-order
+async function recordDeposit(preorderId, principal, { reference } = {}) {
+  const preorder = await loadPreorder(preorderId);
+  if (!(await canAccessFarm(preorder.farm_id, principal, 'orders:manage'))) throw new Error('Access denied');
+  return DatabaseService.recordPreorderDeposit(preorder._id, reference);
+}
+
+// =========================
+// Conversion
+// =========================
+
+/**
+ * Turn a released offer's pending pre-orders into orders, oldest first
+ * @returns {{ converted, pending }}
+ */
+async function convertOfferPreorders(offer) {
+  const summary = { converted: 0, pending: 0 };
+  const preorders = await DatabaseService.listPreorders({ offerId: offer._id, statuses: ['pending'] });
+
+  for (const preorder of preorders) {
+    if (preorder.deposit_status === 'pending') {
+      summary.pending += 1;
+      continue;
+    }
+    // Another run (or a cancellation) got there first
+    if (!(await DatabaseService.claimPreorderConversion(preorder._id))) continue;
+
+    try {
+      const order = await DatabaseService.placeOrder(preorder.customer_id, {
+        items: [{ store_product_id: offer.store_product_id, quantity: preorder.quantity }],
+        delivery_address: preorder.delivery_address,
+        delivery_location: preorder.delivery_location,
+        customer_phone: preorder.customer_phone,
+        payment_method: preorder.payment_method,
+        notes: preorder.notes
+      }, {
+        unitPrices: { [offer.store_product_id]: preorder.unit_price },
+        deposit: preorder.deposit_status === 'paid'
+          ? { amount: preorder.deposit_amount, reference: preorder.deposit_reference }
+          : null
+      });
+      await DatabaseService.finishPreorderConversion(preorder._id, { order_id: order._id });
+      summary.converted += 1;
+    } catch (error) {
+      await DatabaseService.finishPreorderConversion(preorder._id, { note: error.message });
+      summary.pending += 1;
+    }
+  }
+  return summary;
+}
+
+/**
+ * Release offers whose expected date has come and convert the pending pre-orders of released offers
+ * @returns {{ released, converted, pending }}
+ */
+async function runDuePreorders(now = new Date()) {
+  const summary = { released: 0, converted: 0, pending: 0 };
+
+  const due = await DatabaseService.listPreorderOffers({ dueBy: DatabaseService.toDateKey(now) });
+  for (const offer of due) {
+    try {
+      await DatabaseService.releasePreorderOffer(offer._id);
+      summary.released += 1;
+    } catch (error) {
+      console.error(`Failed to release pre-order offer ${offer._id}:`, error);
+    }
+  }
+
+  const released = await DatabaseService.listPreorderOffers({ statuses: ['released'], withPendingPreorders: true });
+  for (const offer of released) {
+    const result = await convertOfferPreorders(offer);
+    summary.converted += result.converted;
+    summary.pending += result.pending;
+  }
+  return summary;
+}
+
+module.exports = {
+  createOffer,
+  listOffers,
+  updateOffer,
+  releaseOffer,
+  cancelOffer,
+  getOfferPreorders,
+  placePreorder,
+  listCustomerPreorders,
+  getPreorder,
+  cancelPreorder,
+  recordDeposit,
+  convertOfferPreorders,
+  runDuePreorders,
+};
@@ -0,0 +1,125 @@
+/**
+ * Refund Service
+ * Refund requests on orders and their review by the farm (or an admin).
+ *
+ * A customer (or admin) asks for a refund of a whole order or of selected items; one refund is
+ * created per farm fulfilment involved. Approving a refund optionally puts the quantities back
+ * into stock and pays the amount back through the gateway the order was paid with. Orders paid
+ * by hand (cash on delivery, bank transfer) are refunded outside the platform and only recorded.
+ */
+
+const DatabaseService = require('./database.service');
+const PaymentService = require('./payment.service');
+const { isAdmin, actingUserId } = require('../config/auth');
+
+async function actorRole(principal) {
+  return (await isAdmin(principal)) ? 'admin' : null;
+}
+
+async function canReview(refund, principal) {
+  if (await actorRole(principal) === 'admin') return true;
+  return DatabaseService.hasFarmPermission(refund.farm_id, principal, 'orders:refund');
+}
+
+async function getOrderRefund(orderId, refundId) {
+  const refund = await DatabaseService.getRefundById(refundId);
+  if (!refund || String(refund.order_id) !== String(orderId)) throw new Error('Refund not found');
+  return refund;
+}
+
+async function presentOne(orderId, refundId) {
+  const refunds = await DatabaseService.getOrderRefunds(orderId);
+  return refunds.find(r => String(r._id) === String(refundId));
+}
+
+/**
+ * Request a refund of an order ({ reason, items?: [{ order_item_id, quantity? }] })
+ * @returns {Array<Object>} the created refunds
+ */
+async function requestRefund(orderId, principal, { reason, items } = {}) {
+  const scope = await DatabaseService.getOrderAccessScope(orderId, principal);
+  if (!scope) throw new Error('Order not found');
+  if (!scope.full) throw new Error('Access denied');
+
+  const refundIds = await DatabaseService.requestOrderRefund(orderId, { reason, items }, {
+    actor_id: actingUserId(principal),
+    actor_role: (await actorRole(principal)) || 'customer'
+  });
+  const refunds = await DatabaseService.getOrderRefunds(orderId);
+  return refunds.filter(r => refundIds.some(id => String(id) === String(r._id)));
+}
+
+/**
+ * Pay out an approved refund: back to the gateway payment when there is one, otherwise it is
+ * recorded as refunded outside the platform
+ */
+async function payOut(refund, actor) {
+  const amount = Number(refund.amount);
+  const payment = amount > 0 ? await DatabaseService.getRefundablePayment(refund.order_id) : null;
+  if (!payment) {
+    return DatabaseService.completeRefund(refund.id, {
+      status: 'refunded',
+      note: 'Refunded outside the platform',
+      ...actor
+    });
+  }
+
+  const available = Number(payment.amount) - Number(payment.refunded_amount);
+  if (amount > available + 0.009) {
+    return DatabaseService.completeRefund(refund.id, {
+      status: 'failed',
+      payment_id: payment.id,
+      failure_reason: `Refund exceeds the ${available.toFixed(2)} left on the payment`,
+      ...actor
+    });
+  }
+
+  try {
+    const result = await PaymentService.refundPayment(payment, { amount, reason: refund.reason });
+    return DatabaseService.completeRefund(refund.id, {
+      status: 'refunded',
+      payment_id: payment.id,
+      provider_refund_ref: result.refund_ref || null,
+      ...actor
+    });
+  } catch (error) {
+    console.error('Error refunding payment:', error);
+    return DatabaseService.completeRefund(refund.id, {
+      status: 'failed',
+      payment_id: payment.id,
+      failure_reason: error.message || 'Refund failed',
+      ...actor
+    });
+  }
+}
+
+/**
+ * Approve a refund and pay it out. A refund whose payout failed can be approved again to retry.
+ */
+async function approveRefund(orderId, refundId, principal, { note, restock } = {}) {
+  const refund = await getOrderRefund(orderId, refundId);
+  if (!(await canReview(refund, principal))) throw new Error('Access denied');
+
+  const actor = { actor_id: actingUserId(principal), actor_role: (await actorRole(principal)) || 'farm' };
+  const approved = await DatabaseService.approveRefund(refundId, { ...actor, note, restock });
+  await payOut(approved, actor);
+  return presentOne(orderId, refundId);
+}
+
+async function rejectRefund(orderId, refundId, principal, { note } = {}) {
+  const refund = await getOrderRefund(orderId, refundId);
+  if (!(await canReview(refund, principal))) throw new Error('Access denied');
+
+  await DatabaseService.rejectRefund(refundId, {
+    actor_id: actingUserId(principal),
+    actor_role: (await actorRole(principal)) || 'farm',
+    note
+  });
+  return presentOne(orderId, refundId);
+}
+
+module.exports = {
+  requestRefund,
+  approveRefund,
+  rejectRefund,
+};
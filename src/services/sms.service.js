@@ -0,0 +1,81 @@
+/**
+ * SMS Service
+ * Sends text messages (OTP codes) through a pluggable provider.
+ *
+ * Built-in providers:
+ *   - log: prints the message to stdout and keeps it in memory (default; for development and tests).
+ *          Refused in production unless SMS_LOG_ENABLED=true, since it exposes OTP codes.
+ *
+ * Real gateways (SSL Wireless, BulkSMS BD, Twilio, ...) can be plugged in with registerProvider().
+ * A provider is any object with an async send({ to, message }) method.
+ */
+
+const crypto = require('crypto');
+
+const SMS_SENDER_ID = process.env.SMS_SENDER_ID || 'FarmFresh';
+
+// Messages sent through the log provider, newest last (tests read this)
+const sentMessages = [];
+
+function createLogProvider(env = process.env) {
+  if (env.NODE_ENV === 'production' && env.SMS_LOG_ENABLED !== 'true') {
+    throw new Error('SMS provider log is not allowed in production; configure SMS_PROVIDER');
+  }
+  return {
+    name: 'log',
+    async send(message) {
+      const id = crypto.randomUUID();
+      console.log(`📱 SMS to ${message.to} from ${message.from}: ${message.message}`);
+      sentMessages.push({ id, ...message, sent_at: new Date().toISOString() });
+      if (sentMessages.length > 100) sentMessages.shift();
+      return { id };
+    }
+  };
+}
+
+const providerFactories = {
+  log: createLogProvider
+};
+
+let activeProvider = null;
+
+/**
+ * Register a provider factory under a name selectable via SMS_PROVIDER
+ */
+function registerProvider(name, factory) {
+  providerFactories[name] = factory;
+  activeProvider = null;
+}
+
+/**
+ * Resolve the provider selected by SMS_PROVIDER (defaults to log)
+ */
+function getProvider() {
+  if (activeProvider) return activeProvider;
+
+  const name = (process.env.SMS_PROVIDER || 'log').toLowerCase();
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+  activeProvider = factory();
+  return activeProvider;
+}
+
+/**
+ * Send a text message
+ * @param {Object} message - { to, message }
+ */
+async function sendSms({ to, message }) {
+  if (!to || !message) {
+    throw new Error('SMS requires a recipient and a message');
+  }
+  return getProvider().send({ from: SMS_SENDER_ID, to, message });
+}
+
+module.exports = {
+  sendSms,
+  registerProvider,
+  getProvider,
+  sentMessages,
+};
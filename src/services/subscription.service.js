@@ -0,0 +1,407 @@
+/**
+ * Subscription Service
+ * Recurring orders (weekly produce boxes, milk deliveries) and the scheduler that places them.
+ *
+ * A subscription lists items from one farm, a frequency (weekly, fortnightly, monthly), a delivery
+ * day (weekday 0-6, or day of the month 1-28) and where to deliver. SUBSCRIPTION_ORDER_LEAD_DAYS
+ * before each delivery date the scheduler places a real order for it through placeOrder, so stock,
+ * VAT and delivery zones work as for any other order. Items that are short are ordered as far as
+ * stock allows (skip_item), or the whole delivery is skipped (skip_delivery).
+ *
+ * Customers can pause (optionally until a date), resume, skip or unskip single deliveries and
+ * cancel. Dates are 'YYYY-MM-DD' keys in the server's local calendar.
+ */
+
+const DatabaseService = require('./database.service');
+const { isAdmin } = require('../config/auth');
+
+const LEAD_DAYS = Math.max(parseInt(process.env.SUBSCRIPTION_ORDER_LEAD_DAYS, 10) || 1, 0);
+const MAX_SCHEDULE_DAYS = 90;
+
+// =========================
+// Delivery dates
+// =========================
+function parseDateKey(value) {
+  const key = String(value || '');
+  const date = new Date(`${key}T00:00:00Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(key) || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== key) {
+    throw new Error('Dates must be given as YYYY-MM-DD');
+  }
+  return date;
+}
+
+function addDays(key, days) {
+  const date = parseDateKey(key);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function todayKey(now = new Date()) {
+  return DatabaseService.toDateKey(now);
+}
+
+// Orders for earlier dates could not be placed in time
+function earliestDeliveryDate(now = new Date()) {
+  return addDays(todayKey(now), LEAD_DAYS);
+}
+
+/**
+ * First delivery date on or after `fromKey` for a subscription's frequency and delivery day
+ */
+function nextDeliveryDate({ frequency, delivery_day }, fromKey) {
+  const from = parseDateKey(fromKey);
+  if (frequency === 'monthly') {
+    const monthOffset = from.getUTCDate() <= delivery_day ? 0 : 1;
+    return new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth() + monthOffset, delivery_day)).toISOString().slice(0, 10);
+  }
+  return addDays(fromKey, (delivery_day - from.getUTCDay() + 7) % 7);
+}
+
+// Delivery date after `key` (itself a delivery date)
+function followingDeliveryDate({ frequency }, key) {
+  if (frequency === 'weekly') return addDays(key, 7);
+  if (frequency === 'fortnightly') return addDays(key, 14);
+  const date = parseDateKey(key);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate())).toISOString().slice(0, 10);
+}
+
+// Where the schedule continues: the next delivery of an active subscription, or after a dated pause
+function scheduleStart(subscription, now) {
+  if (subscription.status === 'active') return subscription.next_delivery_date;
+  if (subscription.status === 'paused' && subscription.paused_until) {
+    const earliest = earliestDeliveryDate(now);
+    return nextDeliveryDate(subscription, subscription.paused_until > earliest ? subscription.paused_until : earliest);
+  }
+  return null;
+}
+
+/**
+ * Deliveries of a subscription from `fromKey` to `untilKey`: those already processed (ordered,
+ * skipped or failed, from its runs) and the scheduled ones still to come
+ */
+function deliverySchedule(subscription, runs, fromKey, untilKey, now = new Date()) {
+  const deliveries = runs
+    .filter(run => run.delivery_date >= fromKey && run.delivery_date <= untilKey)
+    .map(run => ({
+      date: run.delivery_date,
+      status: run.status,
+      order_id: run.order_id,
+      skipped_items: run.skipped_items,
+      note: run.note
+    }));
+  const processed = new Set(deliveries.map(delivery => delivery.date));
+
+  let date = scheduleStart(subscription, now);
+  while (date && date <= untilKey) {
+    if (date >= fromKey && !processed.has(date)) {
+      deliveries.push({ date, status: 'scheduled', order_id: null, skipped_items: [], note: null });
+    }
+    date = followingDeliveryDate(subscription, date);
+  }
+  return deliveries.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function scheduleDays(days) {
+  const value = parseInt(days, 10) || 30;
+  return Math.min(Math.max(value, 1), MAX_SCHEDULE_DAYS);
+}
+
+// =========================
+// Subscriptions
+// =========================
+async function withSchedule(subscription, { days } = {}, now = new Date()) {
+  const today = todayKey(now);
+  const runs = await DatabaseService.getSubscriptionRuns([subscription._id]);
+  return {
+    ...subscription,
+    upcoming_deliveries: deliverySchedule(subscription, runs, today, addDays(today, scheduleDays(days)), now),
+    recent_deliveries: runs.filter(run => run.delivery_date < today).slice(-10).reverse()
+  };
+}
+
+// All items must exist and come from one farm, which the subscription then belongs to
+async function resolveSubscriptionFarm(items) {
+  const farmIds = new Set();
+  for (const item of items) {
+    const product = await DatabaseService.getStoreProductById(item.store_product_id);
+    if (!product) throw new Error(`Product not found: ${item.store_product_id}`);
+    farmIds.add(String(product.farm_id));
+  }
+  if (farmIds.size !== 1) throw new Error('All items in a subscription must come from the same farm');
+  return [...farmIds][0];
+}
+
+async function loadSubscription(subscriptionId) {
+  const subscription = await DatabaseService.getSubscriptionById(subscriptionId);
+  if (!subscription) throw new Error('Subscription not found');
+  return subscription;
+}
+
+// The subscriber (or an admin) manages a subscription
+async function getOwnSubscription(subscriptionId, principal) {
+  const subscription = await loadSubscription(subscriptionId);
+  if (String(subscription.customer_id) !== String(principal.userId) && !(await isAdmin(principal))) {
+    throw new Error('Access denied');
+  }
+  if (subscription.status === 'cancelled') throw new Error('Subscription has been cancelled');
+  return subscription;
+}
+
+/**
+ * Start a subscription. `start_date` (optional) is the earliest date of the first delivery.
+ */
+async function createSubscription(customerId, data = {}, now = new Date()) {
+  const subscription = DatabaseService.normalizeSubscriptionInput(data);
+  const farmId = await resolveSubscriptionFarm(subscription.items);
+
+  const earliest = earliestDeliveryDate(now);
+  if (data.start_date) parseDateKey(data.start_date);
+  const start = data.start_date || earliest;
+  const firstDelivery = nextDeliveryDate(subscription, start > earliest ? start : earliest);
+
+  const subscriptionId = await DatabaseService.createSubscription(customerId, farmId, subscription, firstDelivery);
+  return withSchedule(await DatabaseService.getSubscriptionById(subscriptionId), {}, now);
+}
+
+/**
+ * A subscription with its upcoming deliveries, for its subscriber, the farm or an admin
+ */
+async function getSubscription(subscriptionId, principal, { days } = {}) {
+  const subscription = await loadSubscription(subscriptionId);
+  const allowed = String(subscription.customer_id) === String(principal.userId)
+    || await isAdmin(principal)
+    || await DatabaseService.hasFarmPermission(subscription.farm_id, principal, 'orders:read');
+  if (!allowed) throw new Error('Access denied');
+  return withSchedule(subscription, { days });
+}
+
+async function listCustomerSubscriptions(customerId, { status, days } = {}) {
+  const statuses = status && status !== 'all' ? [status] : null;
+  const subscriptions = await DatabaseService.listSubscriptions({ customerId, statuses });
+  return Promise.all(subscriptions.map(subscription => withSchedule(subscription, { days })));
+}
+
+async function updateSubscription(subscriptionId, principal, data = {}, now = new Date()) {
+  const subscription = await getOwnSubscription(subscriptionId, principal);
+  const changes = DatabaseService.normalizeSubscriptionInput(data, { partial: true, current: subscription });
+  if (Object.keys(changes).length === 0) throw new Error('No changes given');
+
+  if (changes.items) changes.farm_id = await resolveSubscriptionFarm(changes.items);
+  // A new schedule starts from the first possible date for it
+  if (subscription.status === 'active' && (changes.frequency || changes.delivery_day !== undefined)) {
+    changes.next_delivery_date = nextDeliveryDate({ ...subscription, ...changes }, earliestDeliveryDate(now));
+  }
+  return withSchedule(await DatabaseService.updateSubscription(subscription._id, changes), {}, now);
+}
+
+/**
+ * Pause deliveries, indefinitely or until a date (deliveries resume on or after it)
+ */
+async function pauseSubscription(subscriptionId, principal, { until } = {}, now = new Date()) {
+  const subscription = await getOwnSubscription(subscriptionId, principal);
+  if (until) {
+    parseDateKey(until);
+    if (until <= todayKey(now)) throw new Error('Pause end date must be in the future');
+  }
+  const updated = await DatabaseService.updateSubscription(subscription._id, {
+    status: 'paused',
+    paused_until: until || null,
+    next_delivery_date: null
+  });
+  return withSchedule(updated, {}, now);
+}
+
+async function resumeSubscription(subscriptionId, principal, now = new Date()) {
+  const subscription = await getOwnSubscription(subscriptionId, principal);
+  if (subscription.status !== 'paused') throw new Error('Subscription is not paused');
+  const updated = await DatabaseService.updateSubscription(subscription._id, {
+    status: 'active',
+    paused_until: null,
+    next_delivery_date: nextDeliveryDate(subscription, earliestDeliveryDate(now))
+  });
+  return withSchedule(updated, {}, now);
+}
+
+/**
+ * Skip one upcoming delivery; its order is not placed
+ */
+async function skipDelivery(subscriptionId, principal, date, now = new Date()) {
+  const subscription = await getOwnSubscription(subscriptionId, principal);
+  parseDateKey(date);
+  const start = scheduleStart(subscription, now);
+  if (!start || date < start) throw new Error('This delivery has already been processed or is not scheduled');
+  if (nextDeliveryDate(subscription, date) !== date) throw new Error('No delivery is scheduled on this date');
+
+  await DatabaseService.skipSubscriptionDelivery(subscription._id, date);
+  return withSchedule(subscription, {}, now);
+}
+
+async function unskipDelivery(subscriptionId, principal, date, now = new Date()) {
+  const subscription = await getOwnSubscription(subscriptionId, principal);
+  parseDateKey(date);
+  const start = scheduleStart(subscription, now);
+  if (!start || date < start) throw new Error('This delivery has already been processed or is not scheduled');
+
+  const restored = await DatabaseService.unskipSubscriptionDelivery(subscription._id, date);
+  if (!restored) throw new Error('This delivery is not skipped');
+  return withSchedule(subscription, {}, now);
+}
+
+async function cancelSubscription(subscriptionId, principal) {
+  const subscription = await getOwnSubscription(subscriptionId, principal);
+  return DatabaseService.updateSubscription(subscription._id, {
+    status: 'cancelled',
+    paused_until: null,
+    next_delivery_date: null,
+    cancelled_at: new Date()
+  });
+}
+
+/**
+ * The farm's upcoming subscription deliveries, by date, with what to pack for each
+ */
+async function getFarmUpcomingDeliveries(farmId, { days } = {}, now = new Date()) {
+  const today = todayKey(now);
+  const until = addDays(today, scheduleDays(days));
+  const subscriptions = await DatabaseService.listSubscriptions({ farmId, statuses: ['active', 'paused'] });
+  const runs = await DatabaseService.getSubscriptionRuns(subscriptions.map(s => s._id), { fromDate: today });
+
+  const deliveries = [];
+  for (const subscription of subscriptions) {
+    const own = runs.filter(run => String(run.subscription_id) === String(subscription._id));
+    for (const delivery of deliverySchedule(subscription, own, today, until, now)) {
+      deliveries.push({
+        ...delivery,
+        subscription_id: subscription._id,
+        subscription_name: subscription.name,
+        customer_id: subscription.customer_id,
+        customer_name: subscription.customer_name,
+        delivery_address: subscription.delivery_address,
+        items: subscription.items.map(({ store_product_id, product_name, unit, quantity }) => ({
+          store_product_id, product_name, unit, quantity
+        }))
+      });
+    }
+  }
+  deliveries.sort((a, b) => a.date.localeCompare(b.date));
+  return { subscriptions, deliveries };
+}
+
+// =========================
+// Scheduler
+// =========================
+
+// Items to order for a delivery, and those that are short
+function itemsForDelivery(subscription) {
+  const items = [];
+  const skippedItems = [];
+  for (const item of subscription.items) {
+    const available = item.is_available ? item.available_stock : 0;
+    const quantity = Math.min(item.quantity, available);
+    if (quantity < item.quantity) {
+      skippedItems.push({
+        store_product_id: item.store_product_id,
+        product_name: item.product_name,
+        requested: item.quantity,
+        available
+      });
+    }
+    if (quantity > 0) items.push({ store_product_id: item.store_product_id, quantity });
+  }
+  return { items, skippedItems };
+}
+
+async function placeDelivery(subscription, run, today) {
+  const finish = (status, details = {}) => DatabaseService.finishSubscriptionRun(run._id, { status, ...details });
+
+  if (run.delivery_date < today) {
+    return finish('failed', { note: 'The delivery date passed before its order could be placed' });
+  }
+
+  const { items, skippedItems } = itemsForDelivery(subscription);
+  if (items.length === 0) {
+    return finish('skipped', { skipped_items: skippedItems, note: 'All items were out of stock' });
+  }
+  if (skippedItems.length > 0 && subscription.out_of_stock_policy === 'skip_delivery') {
+    return finish('skipped', { skipped_items: skippedItems, note: 'Some items were out of stock' });
+  }
+
+  try {
+    const order = await DatabaseService.placeOrder(subscription.customer_id, {
+      items,
+      delivery_address: subscription.delivery_address,
+      delivery_location: subscription.delivery_location,
+      customer_phone: subscription.customer_phone,
+      payment_method: subscription.payment_method,
+      notes: subscription.notes,
+      subscription_id: subscription._id,
+      scheduled_delivery_date: run.delivery_date
+    });
+    return finish('ordered', {
+      order_id: order._id,
+      skipped_items: skippedItems,
+      note: skippedItems.length > 0 ? 'Some items were out of stock' : null
+    });
+  } catch (error) {
+    return finish('failed', { skipped_items: skippedItems, note: error.message });
+  }
+}
+
+/**
+ * Resume subscriptions whose pause has ended and place the orders for deliveries due within
+ * SUBSCRIPTION_ORDER_LEAD_DAYS. Safe to run from several processes: each delivery is claimed once.
+ * A subscription that fell behind catches up one delivery per run.
+ * @returns {{ resumed, ordered, skipped, failed }}
+ */
+async function runDueSubscriptions(now = new Date()) {
+  const today = todayKey(now);
+  const summary = { resumed: 0, ordered: 0, skipped: 0, failed: 0 };
+
+  const pauseEnded = await DatabaseService.listSubscriptions({ pausedUntilBy: today });
+  for (const subscription of pauseEnded) {
+    await DatabaseService.updateSubscription(subscription._id, {
+      status: 'active',
+      paused_until: null,
+      next_delivery_date: nextDeliveryDate(subscription, earliestDeliveryDate(now))
+    });
+    summary.resumed += 1;
+  }
+
+  const due = await DatabaseService.listSubscriptions({ dueBy: addDays(today, LEAD_DAYS) });
+  for (const subscription of due) {
+    try {
+      const deliveryDate = subscription.next_delivery_date;
+      const claim = await DatabaseService.claimSubscriptionRun(
+        subscription._id, deliveryDate, followingDeliveryDate(subscription, deliveryDate)
+      );
+      // Another scheduler took it, or the customer skipped it ahead of time
+      if (!claim) continue;
+      if (!claim.claimed) {
+        if (claim.run.status === 'skipped') summary.skipped += 1;
+        continue;
+      }
+      const run = await placeDelivery(subscription, claim.run, today);
+      summary[run.status] += 1;
+    } catch (error) {
+      console.error(`Failed to process subscription ${subscription._id}:`, error);
+      summary.failed += 1;
+    }
+  }
+  return summary;
+}
+
+module.exports = {
+  nextDeliveryDate,
+  followingDeliveryDate,
+  createSubscription,
+  getSubscription,
+  listCustomerSubscriptions,
+  updateSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  skipDelivery,
+  unskipDelivery,
+  cancelSubscription,
+  getFarmUpcomingDeliveries,
+  runDueSubscriptions,
+};
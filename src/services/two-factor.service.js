@@ -0,0 +1,275 @@
+/**
+ * Two-Factor Authentication Service
+ * TOTP (RFC 6238, SHA-1, 6 digits, 30s step) compatible with Google Authenticator, Authy, etc.
+ *
+ * - Secrets are stored AES-256-GCM encrypted (TOTP_ENCRYPTION_KEY; outside production it falls back to JWT_SECRET)
+ * - Each TOTP step can only be used once (last_used_counter)
+ * - Recovery codes are single-use and stored as SHA-256 hashes
+ * - Login is a two-step challenge: password first, then a code against a short-lived challenge token
+ */
+
+const crypto = require('crypto');
+const DatabaseService = require('./database.service');
+
+const ISSUER = process.env.TOTP_ISSUER || 'FarmFresh BD';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL_MINUTES = 5;
+const CHALLENGE_MAX_ATTEMPTS = 5;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * HOTP/TOTP code for a given time step counter
+ */
+function generateTotp(secret, counter = Math.floor(Date.now() / 1000 / STEP_SECONDS)) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Return the matching time step counter for a code (allowing one step of clock drift), or null
+ */
+function matchTotp(secret, code, now = Date.now()) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const current = Math.floor(now / 1000 / STEP_SECONDS);
+  for (let drift = -DRIFT_STEPS; drift <= DRIFT_STEPS; drift++) {
+    const candidate = generateTotp(secret, current + drift);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return current + drift;
+    }
+  }
+  return null;
+}
+
+function buildOtpauthUri(secret, accountName) {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+function encryptionKey(env = process.env) {
+  const material = env.TOTP_ENCRYPTION_KEY || (env.NODE_ENV !== 'production' && env.JWT_SECRET);
+  if (!material) {
+    throw new Error('TOTP_ENCRYPTION_KEY is not configured');
+  }
+  return crypto.createHash('sha256').update(material).digest();
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+}
+
+function decryptSecret(payload) {
+  const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+function hashValue(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+/**
+ * Whether the admin 2FA policy applies to a role (ADMIN_REQUIRE_2FA=true)
+ */
+function isRequiredForRole(role) {
+  return role === 'admin' && process.env.ADMIN_REQUIRE_2FA === 'true';
+}
+
+async function isEnabled(userId) {
+  const record = await DatabaseService.getTwoFactor(userId);
+  return Boolean(record && record.enabled_at);
+}
+
+async function getStatus(user) {
+  const record = await DatabaseService.getTwoFactor(user.id);
+  const enabled = Boolean(record && record.enabled_at);
+  return {
+    enabled,
+    enabled_at: enabled ? record.enabled_at : null,
+    recovery_codes_remaining: enabled ? await DatabaseService.countUnusedRecoveryCodes(user.id) : 0,
+    required: isRequiredForRole(user.role)
+  };
+}
+
+/**
+ * Start enrolment: store a new pending secret and return it with its otpauth URI
+ */
+async function beginEnrolment(user) {
+  if (await isEnabled(user.id)) {
+    throw new Error('Two-factor authentication is already enabled');
+  }
+  const secret = base32Encode(crypto.randomBytes(20));
+  await DatabaseService.savePendingTwoFactor(user.id, encryptSecret(secret));
+  return {
+    secret,
+    otpauth_uri: buildOtpauthUri(secret, user.email || user.phone || user.id)
+  };
+}
+
+/**
+ * Finish enrolment with a code from the authenticator app
+ * @returns {Promise<string[]>} plaintext recovery codes (shown once)
+ */
+async function confirmEnrolment(userId, code) {
+  const record = await DatabaseService.getTwoFactor(userId);
+  if (!record) throw new Error('Two-factor setup has not been started');
+  if (record.enabled_at) throw new Error('Two-factor authentication is already enabled');
+
+  const counter = matchTotp(decryptSecret(record.secret_encrypted), code);
+  if (counter === null) throw new Error('Invalid authentication code');
+
+  const recoveryCodes = generateRecoveryCodes();
+  await DatabaseService.enableTwoFactor(userId, counter, recoveryCodes.map(c => hashValue(normalizeRecoveryCode(c))));
+  return recoveryCodes;
+}
+
+/**
+ * Check a TOTP code or a recovery code for a user with 2FA enabled (consumes what it matches)
+ * @returns {Promise<'totp'|'recovery_code'|null>}
+ */
+async function verifySecondFactor(userId, { code, recovery_code }) {
+  const record = await DatabaseService.getTwoFactor(userId);
+  if (!record || !record.enabled_at) return null;
+
+  if (code) {
+    const counter = matchTotp(decryptSecret(record.secret_encrypted), code);
+    if (counter !== null && await DatabaseService.markTwoFactorCounterUsed(userId, counter)) {
+      return 'totp';
+    }
+    return null;
+  }
+
+  if (recovery_code) {
+    const consumed = await DatabaseService.consumeRecoveryCode(userId, hashValue(normalizeRecoveryCode(recovery_code)));
+    return consumed ? 'recovery_code' : null;
+  }
+
+  return null;
+}
+
+async function regenerateRecoveryCodes(userId) {
+  const recoveryCodes = generateRecoveryCodes();
+  await DatabaseService.replaceRecoveryCodes(userId, recoveryCodes.map(c => hashValue(normalizeRecoveryCode(c))));
+  return recoveryCodes;
+}
+
+async function disable(userId) {
+  await DatabaseService.disableTwoFactor(userId);
+}
+
+/**
+ * Create the short-lived challenge returned by step one of login
+ */
+async function createChallenge(userId, ip = null) {
+  const challengeToken = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + CHALLENGE_TTL_MINUTES * 60 * 1000);
+  await DatabaseService.createTwoFactorChallenge(userId, hashValue(challengeToken), expiresAt, ip);
+  return { challenge_token: challengeToken, expires_in: CHALLENGE_TTL_MINUTES * 60 };
+}
+
+/**
+ * Complete step two of login
+ * @returns {Promise<{user_id: string, method: string}|null>}
+ */
+async function completeChallenge(challengeToken, factor) {
+  const challenge = await DatabaseService.getActiveTwoFactorChallenge(hashValue(String(challengeToken || '')));
+  if (!challenge) return null;
+
+  const method = await verifySecondFactor(challenge.user_id, factor);
+  if (!method) {
+    await DatabaseService.recordTwoFactorChallengeFailure(challenge.id, CHALLENGE_MAX_ATTEMPTS);
+    return null;
+  }
+
+  const consumed = await DatabaseService.consumeTwoFactorChallenge(challenge.id);
+  return consumed ? { user_id: challenge.user_id, method } : null;
+}
+
+module.exports = {
+  generateTotp,
+  matchTotp,
+  base32Encode,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+  isRequiredForRole,
+  isEnabled,
+  getStatus,
+  beginEnrolment,
+  confirmEnrolment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disable,
+  createChallenge,
+  completeChallenge,
+};
@@ -38,6 +38,18 @@ function toInteger(value) {
   return intValue;
 }
 
+/**
+ * Normalize a Bangladeshi mobile number to E.164 (+8801XXXXXXXXX)
+ * Accepts 01XXXXXXXXX, 8801XXXXXXXXX and +8801XXXXXXXXX (spaces/dashes ignored); returns null if invalid
+ */
+function normalizePhoneNumber(phone) {
+  if (!phone) return null;
+
+  const digits = String(phone).replace(/[\s-]/g, '').replace(/^\+/, '');
+  const match = digits.match(/^(?:880|0)?(1[3-9]\d{8})$/);
+  return match ? `+880${match[1]}` : null;
+}
+
 /**
  * Serialize document for API response
  */
@@ -76,6 +88,7 @@ module.exports = {
   isValidUUID,
   validateUUID,
   toInteger,
+  normalizePhoneNumber,
   serializeDoc,
   serializeDocs,
   asyncHandler,
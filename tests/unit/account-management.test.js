@@ -0,0 +1,123 @@
+jest.mock('../../src/services/database.service');
+
+const express = require('express');
+const request = require('supertest');
+const DatabaseService = require('../../src/services/database.service');
+const { issueSession, hashPassword } = require('../../src/config/auth');
+const authRouter = require('../../src/routes/auth');
+
+describe('Account management', () => {
+  let app;
+  let user;
+  let sessions;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    app = express();
+    app.use(express.json());
+    app.use('/auth', authRouter);
+
+    user = {
+      id: 'user-1',
+      email: 'farmer@example.com',
+      role: 'farmer',
+      first_name: 'Karim',
+      last_name: 'Uddin',
+      phone: null,
+      is_active: true,
+      password_hash: await hashPassword('old-password')
+    };
+
+    sessions = {};
+    let counter = 0;
+    DatabaseService.createSession.mockImplementation(async (data) => {
+      const session = { id: `session-${++counter}`, revoked_at: null, ...data };
+      sessions[session.id] = session;
+      return session;
+    });
+    DatabaseService.getActiveSession.mockImplementation(async (id) => (
+      sessions[id] && !sessions[id].revoked_at ? sessions[id] : undefined
+    ));
+    DatabaseService.getSessionByRefreshHash.mockImplementation(async (hash) => (
+      Object.values(sessions).find(s => s.refresh_token_hash === hash)
+    ));
+    DatabaseService.getSessionByPreviousRefreshHash.mockResolvedValue(undefined);
+    DatabaseService.rotateSessionRefreshToken.mockImplementation(async (id, currentHash, nextHash) => {
+      sessions[id].refresh_token_hash = nextHash;
+      return sessions[id];
+    });
+    DatabaseService.revokeUserSessions.mockImplementation(async (userId, reason, exceptSessionId = null) => {
+      const active = Object.values(sessions).filter(s => s.user_id === userId && !s.revoked_at && s.id !== exceptSessionId);
+      active.forEach(s => { s.revoked_at = new Date(); s.revoked_reason = reason; });
+      return active.length;
+    });
+    DatabaseService.getUserById.mockImplementation(async (id) => (id === user.id ? user : undefined));
+    DatabaseService.updateUser.mockImplementation(async (id, data) => Object.assign(user, data));
+    DatabaseService.getFarmByOwnerId.mockResolvedValue(undefined);
+    DatabaseService.getMemberFarm.mockResolvedValue(undefined);
+  });
+
+  const refresh = (tokens) => request(app).post('/auth/refresh').send({ refresh_token: tokens.refresh_token });
+
+  it('updates the profile and clears phone verification when the number changes', async () => {
+    const { token } = await issueSession(user, { headers: {} });
+    user.phone = '+8801712345678';
+    user.phone_verified = true;
+
+    const res = await request(app)
+      .put('/auth/me')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Karim Ahmed Uddin', phone: '01812345678', password_hash: 'ignored' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.password_hash).toBeUndefined();
+    expect(DatabaseService.updateUser).toHaveBeenCalledWith(user.id, {
+      first_name: 'Karim',
+      last_name: 'Ahmed Uddin',
+      phone: '+8801812345678',
+      phone_verified: false
+    });
+  });
+
+  it('keeps the current session and revokes the others on a password change', async () => {
+    const current = await issueSession(user, { headers: {} });
+    const other = await issueSession(user, { headers: {} });
+
+    const wrong = await request(app)
+      .post('/auth/change-password')
+      .set('Authorization', `Bearer ${current.token}`)
+      .send({ current_password: 'not-my-password', new_password: 'new-password-1' });
+    expect(wrong.status).toBe(400);
+    expect(DatabaseService.revokeUserSessions).not.toHaveBeenCalled();
+
+    const res = await request(app)
+      .post('/auth/change-password')
+      .set('Authorization', `Bearer ${current.token}`)
+      .send({ current_password: 'old-password', new_password: 'new-password-1' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.other_sessions_revoked).toBe(1);
+    expect((await refresh(other)).status).toBe(401);
+    expect((await refresh(current)).status).toBe(200);
+
+    const otherAccess = await request(app).get('/auth/me').set('Authorization', `Bearer ${other.token}`);
+    expect(otherAccess.status).toBe(401);
+  });
+
+  it('ends every session of a deactivated account and stops it refreshing', async () => {
+    const current = await issueSession(user, { headers: {} });
+
+    const res = await request(app)
+      .post('/auth/deactivate')
+      .set('Authorization', `Bearer ${current.token}`)
+      .send({ password: 'old-password' });
+
+    expect(res.status).toBe(200);
+    expect(user.is_active).toBe(false);
+    expect((await refresh(current)).status).toBe(401);
+
+    // A session that escaped revocation still cannot be refreshed once the account is inactive
+    const stray = await issueSession(user, { headers: {} });
+    expect((await refresh(stray)).status).toBe(401);
+  });
+});
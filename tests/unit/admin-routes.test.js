@@ -0,0 +1,52 @@
+jest.mock('../../src/config/database', () => require('./helpers/db-mock').databaseMock({ testConnection: jest.fn(async () => true) }));
+jest.mock('../../src/services/database.service');
+
+const request = require('supertest');
+const DatabaseService = require('../../src/services/database.service');
+const { generateToken } = require('../../src/config/auth');
+const vercelHandler = require('../../api/index');
+
+describe('Admin account routes on the Vercel entry', () => {
+  const customer = { id: 'user-1', email: 'farmer@example.com', role: 'farmer', is_active: false };
+  const adminToken = generateToken('admin-1', 'admin@example.com', 'admin', 'session-admin');
+  const userToken = generateToken('user-2', 'user@example.com', 'customer', 'session-user');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    DatabaseService.getActiveSession.mockImplementation(async (sid) => (
+      { id: sid, user_id: sid === 'session-admin' ? 'admin-1' : 'user-2' }
+    ));
+    DatabaseService.getUserById.mockImplementation(async (id) => (id === customer.id ? customer : undefined));
+    DatabaseService.clearLoginThrottle.mockResolvedValue(1);
+    DatabaseService.updateUser.mockResolvedValue({});
+  });
+
+  it('lets an admin clear a login lockout', async () => {
+    const res = await request(vercelHandler)
+      .post(`/api/admin/users/${customer.id}/unlock`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ ip_address: '203.0.113.7' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.cleared).toBe(2);
+    expect(DatabaseService.clearLoginThrottle).toHaveBeenCalledWith('ip', '203.0.113.7');
+  });
+
+  it('lets an admin reactivate a deactivated account', async () => {
+    const res = await request(vercelHandler)
+      .post(`/api/admin/users/${customer.id}/reactivate`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(DatabaseService.updateUser).toHaveBeenCalledWith(customer.id, { is_active: true });
+  });
+
+  it('refuses non-admins', async () => {
+    const res = await request(vercelHandler)
+      .post(`/api/admin/users/${customer.id}/unlock`)
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(res.status).toBe(403);
+    expect(DatabaseService.clearLoginThrottle).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,98 @@
+jest.mock('../../src/services/database.service');
+
+const DatabaseService = require('../../src/services/database.service');
+const { issueSession, refreshSession, authenticate } = require('../../src/config/auth');
+
+describe('Session tokens', () => {
+  let sessions;
+
+  beforeEach(() => {
+    sessions = {};
+    let counter = 0;
+    DatabaseService.createSession.mockImplementation(async (data) => {
+      const session = { id: `session-${++counter}`, revoked_at: null, ...data };
+      sessions[session.id] = session;
+      return session;
+    });
+    DatabaseService.getActiveSession.mockImplementation(async (id) => (
+      sessions[id] && !sessions[id].revoked_at ? sessions[id] : undefined
+    ));
+    DatabaseService.getSessionByRefreshHash.mockImplementation(async (hash) => (
+      Object.values(sessions).find(s => s.refresh_token_hash === hash)
+    ));
+    DatabaseService.getSessionByPreviousRefreshHash.mockImplementation(async (hash) => (
+      Object.values(sessions).find(s => s.previous_refresh_token_hash === hash)
+    ));
+    DatabaseService.rotateSessionRefreshToken.mockImplementation(async (id, currentHash, nextHash) => {
+      const session = sessions[id];
+      if (!session || session.refresh_token_hash !== currentHash) return undefined;
+      session.previous_refresh_token_hash = currentHash;
+      session.refresh_token_hash = nextHash;
+      return session;
+    });
+    DatabaseService.revokeSession.mockImplementation(async (id) => {
+      sessions[id].revoked_at = new Date();
+      return true;
+    });
+    DatabaseService.getUserById.mockImplementation(async (id) => ({ id, email: 'farmer@example.com', role: 'farmer' }));
+  });
+
+  const user = { id: 'user-1', email: 'farmer@example.com', role: 'farmer' };
+
+  const runAuthenticate = async (token) => {
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    await authenticate(req, res, next);
+    return { req, res, next };
+  };
+
+  it('issues an access token bound to a stored session', async () => {
+    const tokens = await issueSession(user, { headers: {} });
+
+    expect(tokens.token).toBeDefined();
+    expect(tokens.refresh_token).toBeDefined();
+    expect(sessions[tokens.session_id].refresh_token_hash).not.toBe(tokens.refresh_token);
+
+    const { req, next } = await runAuthenticate(tokens.token);
+    expect(next).toHaveBeenCalled();
+    expect(req.user.sid).toBe(tokens.session_id);
+  });
+
+  it('rotates the refresh token on every use', async () => {
+    const tokens = await issueSession(user, { headers: {} });
+    const refreshed = await refreshSession(tokens.refresh_token);
+
+    expect(refreshed.refresh_token).not.toBe(tokens.refresh_token);
+    expect(refreshed.session_id).toBe(tokens.session_id);
+  });
+
+  it('revokes the session when a rotated refresh token is replayed', async () => {
+    const tokens = await issueSession(user, { headers: {} });
+    const refreshed = await refreshSession(tokens.refresh_token);
+
+    expect(await refreshSession(tokens.refresh_token)).toBeNull();
+    expect(sessions[tokens.session_id].revoked_at).not.toBeNull();
+
+    const { res, next } = await runAuthenticate(refreshed.token);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('accepts a farm API key in the X-API-Key header without a user identity', async () => {
+    DatabaseService.getActiveFarmApiKeyByHash.mockResolvedValue({
+      id: 'key-1', farm_id: 'farm-1', permissions: ['sales:write'], created_by: 'user-1'
+    });
+    DatabaseService.touchFarmApiKey.mockResolvedValue();
+
+    const req = { headers: { 'x-api-key': 'ffbd_test' }, ip: '10.0.0.5' };
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    await authenticate(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user.userId).toBeNull();
+    expect(req.user.apiKey).toEqual(expect.objectContaining({ farm_id: 'farm-1', created_by: 'user-1' }));
+    expect(DatabaseService.touchFarmApiKey).toHaveBeenCalledWith('key-1', '10.0.0.5');
+  });
+});
@@ -0,0 +1,100 @@
+jest.mock('../../src/config/database', () => require('./helpers/db-mock').databaseMock());
+
+const { query, transaction } = require('../../src/config/database');
+const { resetDatabaseMock } = require('./helpers/db-mock');
+const DatabaseService = require('../../src/services/database.service');
+
+describe('Coupons', () => {
+  afterEach(resetDatabaseMock);
+
+  const lines = [
+    { farm_id: 'farm-a', product_id: 'eggs', category_id: 'poultry', total_price: 300 },
+    { farm_id: 'farm-a', product_id: 'honey', category_id: 'pantry', total_price: 100 },
+    { farm_id: 'farm-b', product_id: 'milk', category_id: 'dairy', total_price: 200 }
+  ];
+
+  it('caps percent discounts and splits them across farms', () => {
+    const result = DatabaseService.calculateCouponDiscount(
+      { discount_type: 'percent', discount_value: 10, max_discount_amount: 45, min_order_amount: 0 },
+      lines
+    );
+    expect(result.discount_amount).toBe(45);
+    expect(result.discounts_by_farm).toEqual({ 'farm-a': 30, 'farm-b': 15 });
+  });
+
+  it('limits farm and targeted coupons to the matching items', () => {
+    const farmCoupon = { farm_id: 'farm-b', discount_type: 'flat', discount_value: 500, min_order_amount: 0 };
+    expect(DatabaseService.calculateCouponDiscount(farmCoupon, lines).discounts_by_farm).toEqual({ 'farm-b': 200 });
+
+    const targeted = { discount_type: 'percent', discount_value: 50, min_order_amount: 0, category_ids: ['poultry'], product_ids: ['milk'] };
+    const result = DatabaseService.calculateCouponDiscount(targeted, lines);
+    expect(result.eligible_subtotal).toBe(500);
+    expect(result.discount_amount).toBe(250);
+
+    expect(() => DatabaseService.calculateCouponDiscount({ ...farmCoupon, min_order_amount: 250 }, lines))
+      .toThrow('Order must be at least 250.00 to use this coupon');
+    expect(() => DatabaseService.calculateCouponDiscount({ ...targeted, category_ids: ['fish'], product_ids: [] }, lines))
+      .toThrow('Coupon does not apply to any item in this order');
+  });
+
+  it('enforces the validity window and usage limits', async () => {
+    const now = new Date('2026-10-19T12:00:00Z');
+    const coupon = { id: 'c-1', is_active: true, starts_at: '2026-10-01T00:00:00Z', ends_at: '2026-10-31T00:00:00Z', usage_limit: 100, per_customer_limit: 1 };
+
+    await expect(DatabaseService.assertCouponUsable({ ...coupon, ends_at: '2026-10-18T00:00:00Z' }, 'customer-1', { now }))
+      .rejects.toThrow('Coupon has expired');
+    await expect(DatabaseService.assertCouponUsable({ ...coupon, starts_at: '2026-10-20T00:00:00Z' }, 'customer-1', { now }))
+      .rejects.toThrow('Coupon is not active yet');
+
+    query.mockResolvedValueOnce({ rows: [{ total_uses: '3', customer_uses: '1' }] });
+    await expect(DatabaseService.assertCouponUsable(coupon, 'customer-1', { now }))
+      .rejects.toThrow('You have already used this coupon the maximum number of times');
+
+    query.mockResolvedValueOnce({ rows: [{ total_uses: '100', customer_uses: '0' }] });
+    await expect(DatabaseService.assertCouponUsable(coupon, 'customer-2', { now }))
+      .rejects.toThrow('Coupon usage limit reached');
+  });
+
+  it('applies the coupon when placing an order and records the redemption', async () => {
+    const products = {
+      'sp-1': { farm_id: 'farm-a', product_id: 'eggs', product_name: 'Eggs', is_available: true, store_stock_quantity: 10, price_after_discount: 100 },
+      'sp-2': { farm_id: 'farm-b', product_id: 'milk', product_name: 'Milk', is_available: true, store_stock_quantity: 10, price_after_discount: 100 }
+    };
+    jest.spyOn(DatabaseService, 'getStoreProductById').mockImplementation(async (id) => products[id]);
+    jest.spyOn(DatabaseService, 'getOrderItemsDetailed').mockResolvedValue([]);
+    jest.spyOn(DatabaseService, 'getOrderFulfilments').mockResolvedValue([]);
+    jest.spyOn(DatabaseService, 'getActiveDeliveryZones').mockResolvedValue([
+      { id: 'zone-a', farm_id: 'farm-a', zone_type: 'area', district: 'Dhaka', base_fee: '60', per_kg_fee: '0' }
+    ]);
+
+    const coupon = { id: 'c-1', code: 'FRESH20', is_active: true, discount_type: 'percent', discount_value: 20, min_order_amount: 0 };
+    const client = { query: jest.fn() };
+    client.query.mockImplementation(async (sql, params) => {
+      if (/FROM coupons WHERE UPPER\(code\)/.test(sql)) return { rows: [coupon] };
+      if (/INSERT INTO orders/.test(sql)) return { rows: [{ id: 'order-1', discount_amount: params[2], final_amount: params[5], coupon_code: params[12] }] };
+      if (/INSERT INTO order_fulfilments/.test(sql)) return { rows: [{ id: `ful-${params[1]}` }] };
+      return { rows: [], rowCount: 1 };
+    });
+    transaction.mockImplementation(async (fn) => fn(client));
+
+    const order = await DatabaseService.placeOrder('customer-1', {
+      items: [{ store_product_id: 'sp-1', quantity: 2 }, { store_product_id: 'sp-2', quantity: 1 }],
+      delivery_address: 'Dhaka',
+      delivery_location: { district: 'Dhaka' },
+      coupon_code: 'fresh20'
+    });
+
+    expect(order.discount_amount).toBe(60);
+    expect(order.final_amount).toBe(300);
+    expect(order.coupon_code).toBe('FRESH20');
+    const lock = client.query.mock.calls.find(([sql]) => /FROM coupons WHERE UPPER\(code\)/.test(sql));
+    expect(lock[0]).toMatch(/FOR UPDATE/);
+    const redemption = client.query.mock.calls.find(([sql]) => /INSERT INTO coupon_redemptions/.test(sql));
+    expect(redemption[1]).toEqual(['c-1', 'order-1', 'customer-1', 60]);
+    const fulfilmentInserts = client.query.mock.calls.filter(([sql]) => /INSERT INTO order_fulfilments/.test(sql));
+    expect(fulfilmentInserts.map(([, params]) => params.slice(1))).toEqual([
+      ['farm-a', 200, 60, 220, 40, 0, 'zone-a'],
+      ['farm-b', 100, 0, 80, 20, 0, null]
+    ]);
+  });
+});
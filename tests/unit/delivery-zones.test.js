@@ -0,0 +1,107 @@
+jest.mock('../../src/config/database', () => require('./helpers/db-mock').databaseMock());
+
+const express = require('express');
+const request = require('supertest');
+const { query, transaction } = require('../../src/config/database');
+const { resetDatabaseMock } = require('./helpers/db-mock');
+const DatabaseService = require('../../src/services/database.service');
+const { generateToken } = require('../../src/config/auth');
+const farmsRouter = require('../../src/routes/farms');
+
+describe('Delivery zones', () => {
+  afterEach(resetDatabaseMock);
+
+  const zones = [
+    { id: 'dhaka', farm_id: 'farm-a', farm_name: 'Green Acres', zone_type: 'area', district: 'Dhaka', base_fee: '80', per_kg_fee: '5' },
+    { id: 'savar', farm_id: 'farm-a', farm_name: 'Green Acres', zone_type: 'area', district: 'Dhaka', upazila: 'Savar', base_fee: '40', per_kg_fee: '0', free_delivery_threshold: '1000' },
+    { id: 'near', farm_id: 'farm-a', farm_name: 'Green Acres', zone_type: 'radius', center_latitude: '23.8103', center_longitude: '90.4125', radius_km: '5', base_fee: '30', per_kg_fee: '0' },
+    { id: 'wide', farm_id: 'farm-a', farm_name: 'Green Acres', zone_type: 'radius', center_latitude: '23.8103', center_longitude: '90.4125', radius_km: '50', base_fee: '120', per_kg_fee: '0' }
+  ];
+
+  it('prefers the upazila, then the district, then the smallest radius covering the address', () => {
+    expect(DatabaseService.findDeliveryZone(zones, { district: 'dhaka', upazila: 'savar' }).id).toBe('savar');
+    expect(DatabaseService.findDeliveryZone(zones, { district: 'Dhaka', upazila: 'Dhamrai' }).id).toBe('dhaka');
+    // Gazipur, about 20 km north of the centre
+    expect(DatabaseService.findDeliveryZone(zones, { district: 'Gazipur', latitude: 23.9999, longitude: 90.4203 }).id).toBe('wide');
+    expect(DatabaseService.findDeliveryZone(zones, { district: 'Sylhet', latitude: 24.8949, longitude: 91.8687 })).toBeNull();
+  });
+
+  it('charges the base fee plus weight, and nothing over the free-delivery threshold', () => {
+    expect(DatabaseService.lineWeightKg({ unit: 'kg' }, 3)).toBe(3);
+    expect(DatabaseService.lineWeightKg({ unit: 'dozen', weight_kg: '0.75' }, 2)).toBe(1.5);
+    expect(DatabaseService.lineWeightKg({ unit: 'piece' }, 4)).toBe(0);
+
+    expect(DatabaseService.calculateDeliveryFee(zones[0], { subtotal: 500, weight_kg: 4.5 })).toBe(102.5);
+    expect(DatabaseService.calculateDeliveryFee(zones[1], { subtotal: 1000, weight_kg: 10 })).toBe(0);
+  });
+
+  it('quotes each farm from its own zones and refuses addresses a farm does not cover', () => {
+    const lines = [
+      { farm_id: 'farm-a', total_price: 300, weight_kg: 2 },
+      { farm_id: 'farm-a', total_price: 200, weight_kg: 2 },
+      { farm_id: 'farm-b', total_price: 150, weight_kg: 1 }
+    ];
+    const quote = DatabaseService.quoteDelivery(lines, { district: 'Dhaka', upazila: null, latitude: null, longitude: null }, zones);
+    expect(quote.delivery_fee).toBe(100);
+    expect(quote.fees_by_farm).toEqual({ 'farm-a': 100, 'farm-b': 0 });
+    expect(quote.farms[0]).toMatchObject({ zone_id: 'dhaka', subtotal: 500, weight_kg: 4, free_delivery: false });
+    // farm-b has no zones and sets its fee on the order itself
+    expect(quote.farms[1]).toMatchObject({ zone_id: null, delivery_fee: 0 });
+
+    expect(() => DatabaseService.quoteDelivery(lines, null, zones)).toThrow('delivery_location is required');
+    expect(() => DatabaseService.quoteDelivery(lines, { district: 'Sylhet' }, zones)).toThrow('Green Acres does not deliver to this address');
+  });
+
+  it('ignores a client-supplied delivery fee when placing an order', async () => {
+    jest.spyOn(DatabaseService, 'getStoreProductById').mockResolvedValue({
+      farm_id: 'farm-a', product_name: 'Potatoes', unit: 'kg', is_available: true, store_stock_quantity: 50, price_after_discount: 40
+    });
+    jest.spyOn(DatabaseService, 'getOrderItemsDetailed').mockResolvedValue([]);
+    jest.spyOn(DatabaseService, 'getOrderFulfilments').mockResolvedValue([]);
+    jest.spyOn(DatabaseService, 'getActiveDeliveryZones').mockResolvedValue(zones);
+
+    const client = { query: jest.fn() };
+    client.query.mockImplementation(async (sql, params) => {
+      if (/INSERT INTO orders/.test(sql)) return { rows: [{ id: 'order-1', shipping_amount: params[4], final_amount: params[5], delivery_district: params[13], delivery_upazila: params[14] }] };
+      if (/INSERT INTO order_fulfilments/.test(sql)) return { rows: [{ id: 'ful-1' }] };
+      return { rows: [], rowCount: 1 };
+    });
+    transaction.mockImplementation(async (fn) => fn(client));
+
+    const order = await DatabaseService.placeOrder('customer-1', {
+      items: [{ store_product_id: 'sp-1', quantity: 5 }],
+      delivery_address: 'House 1, Savar',
+      delivery_location: { district: 'Dhaka', upazila: 'Savar' },
+      delivery_fee: 0
+    });
+
+    expect(order.delivery_fee).toBe(40);
+    expect(order.final_amount).toBe(240);
+    expect(order.delivery_location).toEqual({ district: 'Dhaka', upazila: 'Savar', latitude: null, longitude: null });
+    const [, fulfilment] = client.query.mock.calls.find(([sql]) => /INSERT INTO order_fulfilments/.test(sql));
+    expect(fulfilment[7]).toBe('savar');
+  });
+
+  it('answers 400 only for invalid zones and hides other failures behind a 500', async () => {
+    const farmId = '11111111-1111-4111-8111-111111111111';
+    const app = express();
+    app.use(express.json());
+    app.use('/farms', farmsRouter);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(DatabaseService, 'getActiveSession').mockResolvedValue({ id: 'session-1', user_id: 'farmer-1' });
+    jest.spyOn(DatabaseService, 'hasFarmPermission').mockResolvedValue(true);
+    const create = (body) => request(app)
+      .post(`/farms/${farmId}/delivery-zones`)
+      .set('Authorization', `Bearer ${generateToken('farmer-1', 'farmer@example.com', 'farmer', 'session-1')}`)
+      .send(body);
+
+    const invalid = await create({ name: 'Dhaka', zone_type: 'area' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toBe('district is required for area zones');
+
+    query.mockRejectedValue(new Error('relation "delivery_zones" does not exist'));
+    const failed = await create({ name: 'Dhaka', zone_type: 'area', district: 'Dhaka' });
+    expect(failed.status).toBe(500);
+    expect(failed.body).toEqual({ error: 'Failed to create delivery zone' });
+  });
+});
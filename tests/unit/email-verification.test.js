@@ -0,0 +1,55 @@
+jest.mock('../../src/services/database.service');
+
+const express = require('express');
+const request = require('supertest');
+const DatabaseService = require('../../src/services/database.service');
+const { registerTransport } = require('../../src/services/mail.service');
+const authRouter = require('../../src/routes/auth');
+
+describe('Email verification resend', () => {
+  let app;
+  let failMail;
+
+  const user = { id: 'user-1', email: 'farmer@example.com', role: 'farmer', email_verified: false };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    process.env.MAIL_TRANSPORT = 'memory';
+    failMail = false;
+    registerTransport('memory', () => ({
+      name: 'memory',
+      async send() {
+        if (failMail) throw new Error('SMTP connection refused');
+        return { id: 'mail-1' };
+      }
+    }));
+
+    app = express();
+    app.use(express.json());
+    app.use('/auth', authRouter);
+
+    DatabaseService.getUserByEmail.mockImplementation(async (email) => (email === user.email ? user : undefined));
+    DatabaseService.getLatestEmailVerificationToken.mockResolvedValue(undefined);
+    DatabaseService.createEmailVerificationToken.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    delete process.env.MAIL_TRANSPORT;
+    jest.restoreAllMocks();
+  });
+
+  it('answers anonymous callers the same way whether or not the account exists or mail fails', async () => {
+    const unknown = await request(app).post('/auth/resend-verification').send({ email: 'nobody@example.com' });
+    const sent = await request(app).post('/auth/resend-verification').send({ email: user.email });
+    failMail = true;
+    const failed = await request(app).post('/auth/resend-verification').send({ email: user.email });
+
+    for (const res of [sent, failed]) {
+      expect(res.status).toBe(unknown.status);
+      expect(res.body).toEqual(unknown.body);
+    }
+    expect(unknown.status).toBe(200);
+    expect(DatabaseService.createEmailVerificationToken).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,192 @@
+jest.mock('../../src/services/database.service');
+
+const express = require('express');
+const request = require('supertest');
+const DatabaseService = require('../../src/services/database.service');
+const { registerTransport } = require('../../src/services/mail.service');
+const { generateToken, hashToken } = require('../../src/config/auth');
+const farmsRouter = require('../../src/routes/farms');
+
+const FARM_ID = '11111111-1111-4111-8111-111111111111';
+
+describe('Farm invitations', () => {
+  let app;
+  let outbox;
+  let invitations;
+  let users;
+
+  const tokenFor = (user) => generateToken(user.id, user.email, user.role, `session-${user.id}`);
+
+  const invite = (email = 'worker@example.com', role = 'worker') => request(app)
+    .post(`/farms/${FARM_ID}/invitations`)
+    .set('Authorization', `Bearer ${tokenFor(users.owner)}`)
+    .send({ email, role });
+
+  const mailedToken = () => outbox[outbox.length - 1].text.match(/token=([a-f0-9]+)/)[1];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    process.env.MAIL_TRANSPORT = 'memory';
+    outbox = [];
+    registerTransport('memory', () => ({
+      name: 'memory',
+      async send(message) {
+        outbox.push(message);
+        return { id: `mail-${outbox.length}` };
+      }
+    }));
+
+    app = express();
+    app.use(express.json());
+    app.use('/farms', farmsRouter);
+
+    users = {
+      owner: { id: 'user-owner', email: 'owner@example.com', role: 'farmer' },
+      worker: { id: 'user-worker', email: 'Worker@Example.com', role: 'customer' },
+      other: { id: 'user-other', email: 'other@example.com', role: 'customer' },
+      phoneOnly: { id: 'user-phone', email: null, role: 'customer', phone: '+8801712345678' }
+    };
+    invitations = [];
+
+    DatabaseService.getActiveSession.mockImplementation(async (sid) => ({ id: sid, user_id: sid.replace('session-', '') }));
+    DatabaseService.getUserById.mockImplementation(async (id) => Object.values(users).find(u => u.id === id));
+    DatabaseService.getUserByEmail.mockResolvedValue(undefined);
+    DatabaseService.hasFarmPermission.mockImplementation(async (farmId, principal) => (principal?.userId ?? principal) === users.owner.id);
+    DatabaseService.getFarmById.mockResolvedValue({ id: FARM_ID, name: 'Green Valley' });
+    DatabaseService.createFarmInvitation.mockImplementation(async (data) => {
+      const invitation = { id: `inv-${invitations.length + 1}`, status: 'pending', ...data };
+      invitations.push(invitation);
+      return invitation;
+    });
+    DatabaseService.getFarmInvitationByTokenHash.mockImplementation(async (farmId, hash) => (
+      invitations.find(i => i.farm_id === farmId && i.token_hash === hash)
+    ));
+    DatabaseService.acceptFarmInvitation.mockImplementation(async (id, userId) => {
+      const invitation = invitations.find(i => i.id === id && i.status === 'pending');
+      if (!invitation) return null;
+      invitation.status = 'accepted';
+      return { invitation, member: { farm_id: invitation.farm_id, user_id: userId, role: invitation.role } };
+    });
+    DatabaseService.declineFarmInvitation.mockImplementation(async (id) => {
+      const invitation = invitations.find(i => i.id === id && i.status === 'pending');
+      if (!invitation) return null;
+      invitation.status = 'declined';
+      return invitation;
+    });
+    DatabaseService.revokeFarmInvitation.mockImplementation(async (farmId, id) => {
+      const invitation = invitations.find(i => i.farm_id === farmId && i.id === id && i.status === 'pending');
+      if (!invitation) return null;
+      invitation.status = 'revoked';
+      return invitation;
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.MAIL_TRANSPORT;
+    jest.restoreAllMocks();
+  });
+
+  it('emails a link to the invitee without exposing the token hash', async () => {
+    const res = await invite();
+
+    expect(res.status).toBe(201);
+    expect(res.body.invitation.token_hash).toBeUndefined();
+    expect(outbox[0].to).toBe('worker@example.com');
+    expect(invitations[0].token_hash).toBe(hashToken(mailedToken()));
+  });
+
+  it('only lets members with members:manage invite', async () => {
+    const res = await request(app)
+      .post(`/farms/${FARM_ID}/invitations`)
+      .set('Authorization', `Bearer ${tokenFor(users.other)}`)
+      .send({ email: 'worker@example.com', role: 'worker' });
+
+    expect(res.status).toBe(403);
+    expect(DatabaseService.createFarmInvitation).not.toHaveBeenCalled();
+
+    const owner = await invite('worker@example.com', 'owner');
+    expect(owner.status).toBe(400);
+  });
+
+  it('adds the invited user to the farm on accept, once', async () => {
+    await invite();
+    const token = mailedToken();
+    const accept = () => request(app)
+      .post(`/farms/${FARM_ID}/invitations/accept`)
+      .set('Authorization', `Bearer ${tokenFor(users.worker)}`)
+      .send({ token });
+
+    const res = await accept();
+    expect(res.status).toBe(200);
+    expect(res.body.role).toBe('worker');
+    expect(DatabaseService.acceptFarmInvitation).toHaveBeenCalledWith('inv-1', users.worker.id);
+
+    expect((await accept()).status).toBe(400);
+  });
+
+  it('refuses to accept for a different or missing email address', async () => {
+    await invite();
+    const token = mailedToken();
+
+    for (const user of [users.other, users.phoneOnly]) {
+      const res = await request(app)
+        .post(`/farms/${FARM_ID}/invitations/accept`)
+        .set('Authorization', `Bearer ${tokenFor(user)}`)
+        .send({ token });
+      expect(res.status).toBe(403);
+    }
+    expect(DatabaseService.acceptFarmInvitation).not.toHaveBeenCalled();
+  });
+
+  it('rejects an expired invitation', async () => {
+    await invite();
+    invitations[0].expires_at = new Date(Date.now() - 1000);
+
+    const res = await request(app)
+      .post(`/farms/${FARM_ID}/invitations/accept`)
+      .set('Authorization', `Bearer ${tokenFor(users.worker)}`)
+      .send({ token: mailedToken() });
+    expect(res.status).toBe(400);
+  });
+
+  it('lets the invitee decline with the token alone', async () => {
+    await invite();
+    const token = mailedToken();
+
+    const res = await request(app).post(`/farms/${FARM_ID}/invitations/decline`).send({ token });
+    expect(res.status).toBe(200);
+    expect(invitations[0].status).toBe('declined');
+
+    const again = await request(app).post(`/farms/${FARM_ID}/invitations/decline`).send({ token });
+    expect(again.status).toBe(400);
+  });
+
+  it('lets a farm manager revoke a pending invitation so it can no longer be accepted', async () => {
+    await invite();
+    const token = mailedToken();
+    const invitationId = '22222222-2222-4222-8222-222222222222';
+    invitations[0].id = invitationId;
+
+    const denied = await request(app)
+      .delete(`/farms/${FARM_ID}/invitations/${invitationId}`)
+      .set('Authorization', `Bearer ${tokenFor(users.other)}`);
+    expect(denied.status).toBe(403);
+
+    const res = await request(app)
+      .delete(`/farms/${FARM_ID}/invitations/${invitationId}`)
+      .set('Authorization', `Bearer ${tokenFor(users.owner)}`);
+    expect(res.status).toBe(200);
+
+    const accept = await request(app)
+      .post(`/farms/${FARM_ID}/invitations/accept`)
+      .set('Authorization', `Bearer ${tokenFor(users.worker)}`)
+      .send({ token });
+    expect(accept.status).toBe(400);
+
+    const again = await request(app)
+      .delete(`/farms/${FARM_ID}/invitations/${invitationId}`)
+      .set('Authorization', `Bearer ${tokenFor(users.owner)}`);
+    expect(again.status).toBe(404);
+  });
+});
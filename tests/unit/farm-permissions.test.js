@@ -0,0 +1,39 @@
+jest.mock('../../src/config/database', () => require('./helpers/db-mock').databaseMock());
+
+const { query } = require('../../src/config/database');
+const { resetDatabaseMock } = require('./helpers/db-mock');
+const DatabaseService = require('../../src/services/database.service');
+const { roleHasPermission } = require('../../src/config/permissions');
+
+describe('Farm permissions', () => {
+  afterEach(resetDatabaseMock);
+
+  it('lets a worker record expenses but not delete farm data', () => {
+    expect(roleHasPermission('worker', 'expenses:write')).toBe(true);
+    expect(roleHasPermission('worker', 'farm:delete_data')).toBe(false);
+    expect(roleHasPermission('worker', 'reports:read')).toBe(false);
+    expect(roleHasPermission('owner', 'farm:delete_data')).toBe(true);
+  });
+
+  it('denies users without a role and rejects unknown permissions', () => {
+    expect(roleHasPermission(null, 'products:read')).toBe(false);
+    expect(() => roleHasPermission('owner', 'farm:destroy')).toThrow('Unknown farm permission');
+  });
+
+  it('resolves the caller role from farm membership', async () => {
+    query.mockResolvedValueOnce({ rows: [{ role: 'accountant' }] });
+    await expect(DatabaseService.hasFarmPermission('farm-1', 'user-1', 'reports:read')).resolves.toBe(true);
+
+    query.mockResolvedValueOnce({ rows: [{ role: null }] });
+    await expect(DatabaseService.hasFarmPermission('farm-1', 'user-2', 'products:read')).resolves.toBe(false);
+  });
+
+  it('limits API keys to their farm and granted permissions', async () => {
+    const principal = { userId: null, role: 'api_key', apiKey: { farm_id: 'farm-1', permissions: ['sales:write', 'products:read'] } };
+
+    await expect(DatabaseService.hasFarmPermission('farm-1', principal, 'sales:write')).resolves.toBe(true);
+    await expect(DatabaseService.hasFarmPermission('farm-1', principal, 'expenses:write')).resolves.toBe(false);
+    await expect(DatabaseService.hasFarmPermission('farm-2', principal, 'sales:write')).resolves.toBe(false);
+    expect(query).not.toHaveBeenCalled();
+  });
+});
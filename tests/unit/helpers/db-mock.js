@@ -0,0 +1,44 @@
+/**
+ * Mock of src/config/database for unit tests that run DatabaseService against canned rows.
+ *
+ *   jest.mock('../../src/config/database', () => require('./helpers/db-mock').databaseMock());
+ *   const { withClient, resetDatabaseMock } = require('./helpers/db-mock');
+ *
+ *   afterEach(resetDatabaseMock);
+ */
+
+const DATABASE = '../../../src/config/database';
+
+/**
+ * Module factory for jest.mock; `overrides` adds or replaces exports
+ */
+function databaseMock(overrides = {}) {
+  return { query: jest.fn(), transaction: jest.fn(), ...overrides };
+}
+
+/**
+ * Run transactions against a client whose queries are answered by `handler(sql, params)`;
+ * queries it does not answer succeed with no rows
+ */
+function withClient(handler) {
+  const { transaction } = require(DATABASE);
+  const client = { query: jest.fn(async (sql, params) => handler(sql, params) || { rows: [], rowCount: 1 }) };
+  transaction.mockImplementation(async (fn) => fn(client));
+  return client;
+}
+
+/**
+ * Undo spies and forget the canned query and transaction results
+ */
+function resetDatabaseMock() {
+  const { query, transaction } = require(DATABASE);
+  jest.restoreAllMocks();
+  query.mockReset();
+  transaction.mockReset();
+}
+
+module.exports = {
+  databaseMock,
+  withClient,
+  resetDatabaseMock,
+};
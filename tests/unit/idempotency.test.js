@@ -0,0 +1,86 @@
+jest.mock('../../src/config/database', () => require('./helpers/db-mock').databaseMock());
+
+const express = require('express');
+const request = require('supertest');
+const DatabaseService = require('../../src/services/database.service');
+const { idempotent, requestFingerprint } = require('../../src/middleware/idempotency');
+
+describe('Idempotency-Key', () => {
+  let app;
+  let records;
+  let placed;
+
+  beforeEach(() => {
+    records = new Map();
+    placed = 0;
+    const id = (owner, key) => `${owner}|${key}`;
+    jest.spyOn(DatabaseService, 'claimIdempotencyKey').mockImplementation(async ({ owner, key, requestHash }) => {
+      if (records.has(id(owner, key))) return { claimed: false, record: records.get(id(owner, key)) };
+      records.set(id(owner, key), { request_hash: requestHash, status: 'processing' });
+      return { claimed: true };
+    });
+    jest.spyOn(DatabaseService, 'completeIdempotencyKey').mockImplementation(async (owner, key, status, body) => {
+      Object.assign(records.get(id(owner, key)), { status: 'completed', response_status: status, response_body: body });
+    });
+    jest.spyOn(DatabaseService, 'releaseIdempotencyKey').mockImplementation(async (owner, key) => {
+      if (records.get(id(owner, key))?.status === 'processing') records.delete(id(owner, key));
+    });
+    jest.spyOn(DatabaseService, 'purgeExpiredIdempotencyKeys').mockResolvedValue(0);
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { userId: req.get('X-Test-User') || 'customer-1' };
+      next();
+    });
+    app.post('/orders', idempotent, (req, res) => {
+      if (req.body.fail) return res.status(503).json({ error: 'Database unavailable' });
+      placed += 1;
+      res.status(201).json({ _id: `order-${placed}`, items: req.body.items });
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const order = { items: [{ store_product_id: 'sp-1', quantity: 2 }] };
+
+  it('replays the stored response to a retry instead of placing the order again', async () => {
+    const first = await request(app).post('/orders').set('Idempotency-Key', 'checkout-1').send(order);
+    const retry = await request(app).post('/orders').set('Idempotency-Key', 'checkout-1').send(order);
+
+    expect(first.status).toBe(201);
+    expect(retry.status).toBe(201);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(placed).toBe(1);
+
+    // Keys are per caller, and requests without a key are not affected
+    await request(app).post('/orders').set('Idempotency-Key', 'checkout-1').set('X-Test-User', 'customer-2').send(order);
+    await request(app).post('/orders').send(order);
+    expect(placed).toBe(3);
+  });
+
+  it('rejects reusing a key for a different request', async () => {
+    await request(app).post('/orders').set('Idempotency-Key', 'checkout-2').send(order);
+    const res = await request(app).post('/orders').set('Idempotency-Key', 'checkout-2')
+      .send({ items: [{ store_product_id: 'sp-1', quantity: 3 }] });
+
+    expect(res.status).toBe(422);
+    expect(placed).toBe(1);
+  });
+
+  it('answers 409 while the first request is still running', async () => {
+    const requestHash = requestFingerprint({ method: 'POST', path: '/orders', query: {}, body: order });
+    records.set('user:customer-1|checkout-3', { request_hash: requestHash, status: 'processing' });
+
+    const res = await request(app).post('/orders').set('Idempotency-Key', 'checkout-3').send(order);
+    expect(res.status).toBe(409);
+    expect(placed).toBe(0);
+  });
+
+  it('lets a request that failed on the server be retried with the same key', async () => {
+    const failed = await request(app).post('/orders').set('Idempotency-Key', 'checkout-4').send({ ...order, fail: true });
+    expect(failed.status).toBe(503);
+    expect(records.size).toBe(0);
+  });
+});
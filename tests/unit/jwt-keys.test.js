@@ -0,0 +1,61 @@
+const jwt = require('jsonwebtoken');
+const { createKeyring, assertProductionKeyConfig } = require('../../src/config/jwt-keys');
+const { generateKeyEntry } = require('../../src/scripts/generate-jwt-key');
+
+describe('JWT keyring', () => {
+  const legacy = { kid: 'legacy', alg: 'HS256', secret: 'old-shared-secret' };
+  const rsa = generateKeyEntry('RS256', 'rsa-1');
+  const ec = generateKeyEntry('ES256', 'ec-1');
+
+  it('signs with the active key and puts its kid in the header', () => {
+    const keyring = createKeyring([rsa, legacy]);
+    const token = keyring.sign({ userId: 'user-1' }, { expiresIn: '15m' });
+
+    expect(jwt.decode(token, { complete: true }).header).toEqual(expect.objectContaining({ alg: 'RS256', kid: 'rsa-1' }));
+    expect(keyring.verify(token).userId).toBe('user-1');
+  });
+
+  it('keeps retired keys valid during the grace window only', () => {
+    const oldToken = createKeyring([ec]).sign({ userId: 'user-1' });
+    const retiredAt = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+
+    const withinGrace = createKeyring([rsa, { ...ec, retired_at: retiredAt }], { graceHours: 24 });
+    expect(withinGrace.verify(oldToken).userId).toBe('user-1');
+    expect(withinGrace.activeKid).toBe('rsa-1');
+
+    const afterGrace = createKeyring([rsa, { ...ec, retired_at: retiredAt }], { graceHours: 1 });
+    expect(() => afterGrace.verify(oldToken)).toThrow('Unknown or expired signing key');
+  });
+
+  it('accepts pre-rotation tokens without a kid and refuses algorithm switching', () => {
+    const keyring = createKeyring([rsa, legacy]);
+    expect(keyring.verify(jwt.sign({ userId: 'user-1' }, 'old-shared-secret')).userId).toBe('user-1');
+
+    // An HS256 token "signed" with the RSA public key must not verify against that key
+    const forged = jwt.sign({ userId: 'admin' }, rsa.public_key, { algorithm: 'HS256', keyid: 'rsa-1' });
+    expect(() => keyring.verify(forged)).toThrow();
+  });
+
+  it('publishes only asymmetric public keys in the JWKS', () => {
+    const { keys } = createKeyring([rsa, ec, legacy]).getJwks();
+    expect(keys.map(k => k.kid)).toEqual(['rsa-1', 'ec-1']);
+    expect(keys[0]).toEqual(expect.objectContaining({ kty: 'RSA', alg: 'RS256', use: 'sig' }));
+    expect(keys.some(k => k.d || k.k)).toBe(false);
+  });
+
+  it('refuses the default secret in production', () => {
+    expect(() => assertProductionKeyConfig({ NODE_ENV: 'production' })).toThrow('default JWT secret');
+    expect(() => assertProductionKeyConfig({
+      NODE_ENV: 'production',
+      JWT_SECRET: 'your-secret-key-change-this-in-production-use-long-random-string'
+    })).toThrow('default JWT secret');
+    expect(() => assertProductionKeyConfig({ NODE_ENV: 'development' })).not.toThrow();
+  });
+
+  it('requires a separate TOTP encryption key in production', () => {
+    const env = { NODE_ENV: 'production', JWT_SECRET: 'a-long-random-production-secret' };
+    expect(() => assertProductionKeyConfig(env)).toThrow('TOTP_ENCRYPTION_KEY');
+    expect(() => assertProductionKeyConfig({ ...env, TOTP_ENCRYPTION_KEY: env.JWT_SECRET })).toThrow('TOTP_ENCRYPTION_KEY');
+    expect(() => assertProductionKeyConfig({ ...env, TOTP_ENCRYPTION_KEY: 'another-long-random-secret' })).not.toThrow();
+  });
+});
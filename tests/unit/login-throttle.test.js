@@ -0,0 +1,58 @@
+jest.mock('../../src/services/database.service');
+
+const DatabaseService = require('../../src/services/database.service');
+const LoginThrottle = require('../../src/services/login-throttle.service');
+
+describe('Login throttle', () => {
+  let rows;
+
+  beforeEach(() => {
+    rows = {};
+    const id = (scope, key) => `${scope}:${key}`;
+    DatabaseService.getLoginThrottles.mockImplementation(async (keys) => (
+      keys.map(({ scope, key }) => rows[id(scope, key)]).filter(Boolean)
+    ));
+    DatabaseService.recordLoginFailure.mockImplementation(async (scope, key) => {
+      const row = rows[id(scope, key)] || { scope, throttle_key: key, failed_count: 0 };
+      row.failed_count += 1;
+      rows[id(scope, key)] = row;
+      return row;
+    });
+    DatabaseService.setLoginThrottleLock.mockImplementation(async (scope, key, until) => {
+      rows[id(scope, key)].locked_until = until;
+    });
+    DatabaseService.clearLoginThrottle.mockImplementation(async (scope, key) => {
+      const existed = Boolean(rows[id(scope, key)]);
+      delete rows[id(scope, key)];
+      return existed ? 1 : 0;
+    });
+  });
+
+  it('grows the delay after the free attempts and locks out at the account limit', () => {
+    expect(LoginThrottle.lockDurationSeconds('account', 3)).toBe(0);
+    expect(LoginThrottle.lockDurationSeconds('account', 4)).toBe(2);
+    expect(LoginThrottle.lockDurationSeconds('account', 5)).toBe(15 * 60);
+    expect(LoginThrottle.lockDurationSeconds('ip', 5)).toBe(4);
+  });
+
+  it('locks the account key regardless of email case and reports when to retry', async () => {
+    for (let i = 0; i < 3; i++) {
+      expect(await LoginThrottle.recordFailure('Someone@Example.com', '10.0.0.1')).toBeNull();
+    }
+    const lock = await LoginThrottle.recordFailure('someone@example.com', '10.0.0.1');
+    expect(lock.retry_after).toBe(2);
+
+    const active = await LoginThrottle.getActiveLock('SOMEONE@example.com', '10.0.0.2');
+    expect(active).toEqual(expect.objectContaining({ retry_after: expect.any(Number), retry_at: expect.any(String) }));
+  });
+
+  it('clears the account lock on unlock but keeps other accounts locked', async () => {
+    for (let i = 0; i < 5; i++) {
+      await LoginThrottle.recordFailure('a@example.com', null);
+      await LoginThrottle.recordFailure('b@example.com', null);
+    }
+    expect(await LoginThrottle.unlock('a@example.com')).toBe(1);
+    expect(await LoginThrottle.getActiveLock('a@example.com', null)).toBeNull();
+    expect(await LoginThrottle.getActiveLock('b@example.com', null)).not.toBeNull();
+  });
+});
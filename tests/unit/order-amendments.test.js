@@ -0,0 +1,132 @@
+jest.mock('../../src/config/database', () => require('./helpers/db-mock').databaseMock());
+
+const { query, transaction } = require('../../src/config/database');
+const { resetDatabaseMock } = require('./helpers/db-mock');
+const DatabaseService = require('../../src/services/database.service');
+
+describe('Order amendments', () => {
+  afterEach(resetDatabaseMock);
+
+  const orderItems = [
+    { id: 'item-1', store_product_id: 'sp-1', product_name: 'Potatoes', unit: 'kg', quantity: '5', unit_price: '40', total_price: '200', discount_amount: '20', tax_rule_id: null, tax_rate: '0', tax_inclusive: false, tax_amount: '0' },
+    { id: 'item-2', store_product_id: 'sp-2', product_name: 'Milk', unit: 'litre', weight_kg: '1', quantity: '2', unit_price: '100', total_price: '200', discount_amount: '0', tax_rule_id: 'dairy', tax_rate: '7.5', tax_inclusive: false, tax_amount: '15' },
+    { id: 'item-3', store_product_id: 'sp-3', product_name: 'Eggs', unit: 'dozen', weight_kg: '0.5', quantity: '1', unit_price: '120', total_price: '120', discount_amount: '0', tax_rule_id: null, tax_rate: '0', tax_inclusive: false, tax_amount: '0' }
+  ];
+
+  function mockAmendment({ fulfilmentStatus = 'pending', openAmendment = false, stockLeft = true } = {}) {
+    jest.spyOn(DatabaseService, 'resolveManagedFulfilment').mockResolvedValue({ id: 'ful-1', farm_id: 'farm-a', delivery_zone_id: 'zone-a' });
+    jest.spyOn(DatabaseService, 'getDeliveryZoneById').mockResolvedValue({ id: 'zone-a', base_fee: '50', per_kg_fee: '10', free_delivery_threshold: null });
+    jest.spyOn(DatabaseService, 'getStoreProductById').mockResolvedValue({
+      _id: 'sp-9', farm_id: 'farm-a', product_name: 'Yoghurt', unit: 'pcs', weight_kg: '0.5', is_available: true, vat_registered: false, price_after_discount: 90
+    });
+    jest.spyOn(DatabaseService, 'applyFulfilmentTotals').mockResolvedValue({ id: 'order-1', status: 'pending' });
+    jest.spyOn(DatabaseService, 'buildOrderResponse').mockImplementation(async (row) => row);
+
+    const client = { query: jest.fn() };
+    client.query.mockImplementation(async (sql) => {
+      if (/FROM orders WHERE id = \$1 FOR UPDATE/.test(sql)) {
+        return { rows: [{ id: 'order-1', customer_id: 'customer-1', status: 'pending', payment_status: 'pending', payment_info: null }] };
+      }
+      if (/FROM order_fulfilments WHERE id = \$1 FOR UPDATE/.test(sql)) {
+        return { rows: [{ id: 'ful-1', status: fulfilmentStatus, final_amount: '565', shipping_amount: '60' }] };
+      }
+      if (/SELECT id FROM order_amendments/.test(sql)) return { rows: openAmendment ? [{ id: 'am-0' }] : [] };
+      if (/FROM order_items oi/.test(sql)) return { rows: orderItems };
+      if (/UPDATE store_products sp SET stock_quantity/.test(sql)) return { rows: [], rowCount: stockLeft ? 1 : 0 };
+      return { rows: [], rowCount: 1 };
+    });
+    transaction.mockImplementation(async (fn) => fn(client));
+    return client;
+  }
+
+  const changes = [
+    { order_item_id: 'item-1', quantity: 3 },
+    { order_item_id: 'item-2', substitute_store_product_id: 'sp-9' },
+    { order_item_id: 'item-3', remove: true }
+  ];
+
+  it('adjusts stock and items, re-prices the fulfilment and records the amendment', async () => {
+    const client = mockAmendment();
+    await DatabaseService.amendOrder('order-1', 'farmer-1', { changes, reason: 'Short on potatoes' });
+
+    const restocks = client.query.mock.calls.filter(([sql]) => /SET stock_quantity = stock_quantity \+/.test(sql)).map(([, params]) => params);
+    expect(restocks).toEqual([['sp-1', 2], ['sp-2', 2], ['sp-3', 1]]);
+    const deduct = client.query.mock.calls.find(([sql]) => /UPDATE store_products sp SET stock_quantity/.test(sql));
+    expect(deduct[1]).toEqual(['sp-9', 2, 'customer-1']);
+
+    const itemUpdates = client.query.mock.calls.filter(([sql]) => /UPDATE order_items/.test(sql)).map(([, params]) => params);
+    // The potatoes keep the matching share of their coupon discount; the substitute drops the milk's VAT
+    expect(itemUpdates).toEqual([
+      ['item-1', 'sp-1', 3, 40, 120, 12, null, 0, false, 108, 0],
+      ['item-2', 'sp-9', 2, 90, 180, 0, null, 0, false, 180, 0]
+    ]);
+    expect(client.query.mock.calls.some(([sql, params]) => /DELETE FROM order_items/.test(sql) && params[0] === 'item-3')).toBe(true);
+
+    // 4 kg left in the zone: 50 + 10/kg
+    const fulfilment = client.query.mock.calls.find(([sql]) => /UPDATE order_fulfilments/.test(sql));
+    expect(fulfilment[1]).toEqual(['ful-1', 300, 12, 0, 90, 378]);
+    const amendment = client.query.mock.calls.find(([sql]) => /INSERT INTO order_amendments/.test(sql));
+    expect(amendment[1].slice(5)).toEqual([565, 378, 'farmer-1']);
+    expect(JSON.parse(amendment[1][4]).map(c => c.action)).toEqual(['quantity', 'substitute', 'remove']);
+  });
+
+  it('only amends pending fulfilments without an open amendment and with stock for the changes', async () => {
+    mockAmendment({ fulfilmentStatus: 'confirmed' });
+    await expect(DatabaseService.amendOrder('order-1', 'farmer-1', { changes })).rejects.toThrow('Only pending orders can be amended');
+
+    mockAmendment({ openAmendment: true });
+    await expect(DatabaseService.amendOrder('order-1', 'farmer-1', { changes })).rejects.toThrow('awaiting the customer\'s response');
+
+    mockAmendment({ stockLeft: false });
+    await expect(DatabaseService.amendOrder('order-1', 'farmer-1', { changes })).rejects.toThrow("Insufficient stock for 'Yoghurt'");
+
+    mockAmendment();
+    await expect(DatabaseService.amendOrder('order-1', 'farmer-1', { changes: orderItems.map(i => ({ order_item_id: i.id, remove: true })) }))
+      .rejects.toThrow('An amendment cannot remove every item');
+    await expect(DatabaseService.amendOrder('order-1', 'farmer-1', { changes: [{ order_item_id: 'item-1' }] }))
+      .rejects.toThrow('Each change must set quantity, remove or substitute_store_product_id');
+  });
+
+  describe('customer response', () => {
+    beforeEach(() => {
+      jest.spyOn(DatabaseService, 'getOrderAmendmentById').mockResolvedValue({ id: 'am-1', order_id: 'order-1', fulfilment_id: 'ful-1', status: 'proposed' });
+      query.mockResolvedValue({ rows: [{ customer_id: 'customer-1' }] });
+    });
+
+    it('rejecting cancels the amended fulfilment', async () => {
+      jest.spyOn(DatabaseService, 'cancelOrder').mockResolvedValue({ _id: 'order-1', status: 'cancelled' });
+      await DatabaseService.rejectOrderAmendment('order-1', 'am-1', 'customer-1');
+      expect(DatabaseService.cancelOrder).toHaveBeenCalledWith('order-1', 'customer-1', 'Order amendment rejected', 'ful-1');
+
+      await expect(DatabaseService.rejectOrderAmendment('order-1', 'am-1', 'someone-else')).rejects.toThrow('Access denied');
+    });
+
+    it('accepting records the answer in the order history', async () => {
+      jest.spyOn(DatabaseService, 'buildOrderResponse').mockImplementation(async (row) => row);
+      const client = { query: jest.fn(async () => ({ rows: [{ id: 'order-1' }], rowCount: 1 })) };
+      transaction.mockImplementation(async (fn) => fn(client));
+
+      await DatabaseService.acceptOrderAmendment('order-1', 'am-1', 'customer-1', 'Fine by me');
+      const accepted = client.query.mock.calls.find(([sql]) => /SET status = 'accepted'/.test(sql));
+      expect(accepted[1]).toEqual(['am-1', 'customer-1', 'Fine by me']);
+      const history = client.query.mock.calls.find(([sql]) => /INSERT INTO order_status_history/.test(sql));
+      expect(history[1]).toEqual(['order-1', 'ful-1', 'pending', 'pending', 'customer-1', 'customer', 'Order amendment accepted: Fine by me']);
+    });
+  });
+
+  it('keeps the farm from moving an amended fulfilment on until the customer answers', async () => {
+    jest.spyOn(DatabaseService, 'resolveManagedFulfilment').mockResolvedValue({ id: 'ful-1', farm_id: 'farm-a' });
+    const client = { query: jest.fn() };
+    client.query.mockImplementation(async (sql) => {
+      if (/FROM orders WHERE id = \$1 FOR UPDATE/.test(sql)) return { rows: [{ id: 'order-1', status: 'pending', payment_status: 'pending' }] };
+      if (/FROM order_fulfilments WHERE id = \$1 FOR UPDATE/.test(sql)) return { rows: [{ id: 'ful-1', status: 'pending' }] };
+      if (/SELECT id FROM order_amendments/.test(sql)) return { rows: [{ id: 'am-1' }] };
+      return { rows: [], rowCount: 1 };
+    });
+    transaction.mockImplementation(async (fn) => fn(client));
+
+    await expect(DatabaseService.updateOrderStatus('order-1', 'farmer-1', 'confirmed'))
+      .rejects.toThrow('Order amendment is awaiting the customer\'s response');
+    expect(client.query.mock.calls.some(([sql]) => /UPDATE order_fulfilments/.test(sql))).toBe(false);
+  });
+});
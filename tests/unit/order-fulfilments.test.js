@@ -0,0 +1,96 @@
+jest.mock('../../src/config/database', () => require('./helpers/db-mock').databaseMock());
+
+const { query, transaction } = require('../../src/config/database');
+const { resetDatabaseMock } = require('./helpers/db-mock');
+const DatabaseService = require('../../src/services/database.service');
+
+describe('Order fulfilments', () => {
+  afterEach(resetDatabaseMock);
+
+  it('rolls the order status up from its fulfilments', () => {
+    expect(DatabaseService.rollupOrderStatus(['delivered', 'shipped'])).toBe('shipped');
+    expect(DatabaseService.rollupOrderStatus(['cancelled', 'confirmed'])).toBe('confirmed');
+    expect(DatabaseService.rollupOrderStatus(['cancelled', 'cancelled'])).toBe('cancelled');
+  });
+
+  it('splits a mixed cart into one fulfilment per farm with a combined total', async () => {
+    const products = {
+      'sp-1': { farm_id: 'farm-a', product_name: 'Eggs', is_available: true, store_stock_quantity: 10, price_after_discount: 12 },
+      'sp-2': { farm_id: 'farm-b', product_name: 'Milk', is_available: true, store_stock_quantity: 10, price_after_discount: 80 },
+      'sp-3': { farm_id: 'farm-a', product_name: 'Honey', is_available: true, store_stock_quantity: 10, price_after_discount: 500 }
+    };
+    jest.spyOn(DatabaseService, 'getStoreProductById').mockImplementation(async (id) => products[id]);
+    jest.spyOn(DatabaseService, 'getOrderItemsDetailed').mockResolvedValue([]);
+    jest.spyOn(DatabaseService, 'getOrderFulfilments').mockResolvedValue([]);
+    jest.spyOn(DatabaseService, 'getActiveDeliveryZones').mockResolvedValue([
+      { id: 'zone-a', farm_id: 'farm-a', zone_type: 'area', district: 'Dhaka', base_fee: '60', per_kg_fee: '0' },
+      { id: 'zone-b', farm_id: 'farm-b', zone_type: 'area', district: 'Dhaka', base_fee: '50', per_kg_fee: '0' }
+    ]);
+
+    const client = { query: jest.fn() };
+    client.query.mockImplementation(async (sql, params) => {
+      if (/INSERT INTO orders/.test(sql)) return { rows: [{ id: 'order-1', total_amount: params[1], shipping_amount: params[4], final_amount: params[5] }] };
+      if (/INSERT INTO order_fulfilments/.test(sql)) return { rows: [{ id: `ful-${params[1]}` }] };
+      return { rows: [], rowCount: 1 };
+    });
+    transaction.mockImplementation(async (fn) => fn(client));
+
+    const order = await DatabaseService.placeOrder('customer-1', {
+      items: [{ store_product_id: 'sp-1', quantity: 2 }, { store_product_id: 'sp-2', quantity: 1 }, { store_product_id: 'sp-3', quantity: 1 }],
+      delivery_address: 'Dhaka',
+      delivery_location: { district: 'Dhaka' }
+    });
+
+    expect(order.total_amount).toBe(604);
+    expect(order.delivery_fee).toBe(110);
+    expect(order.final_amount).toBe(714);
+
+    const fulfilmentInserts = client.query.mock.calls.filter(([sql]) => /INSERT INTO order_fulfilments/.test(sql));
+    expect(fulfilmentInserts.map(([, params]) => params.slice(1))).toEqual([
+      ['farm-a', 524, 60, 584, 0, 0, 'zone-a'],
+      ['farm-b', 80, 50, 130, 0, 0, 'zone-b']
+    ]);
+    const itemInserts = client.query.mock.calls.filter(([sql]) => /INSERT INTO order_items/.test(sql));
+    expect(itemInserts.map(([, params]) => params[1])).toEqual(['ful-farm-a', 'ful-farm-a', 'ful-farm-b']);
+  });
+
+  it('asks for a fulfilment when the caller manages several farms in the order', async () => {
+    query.mockImplementation(async (sql) => {
+      if (/FROM orders/.test(sql)) return { rows: [{ id: 'order-1' }], rowCount: 1 };
+      return { rows: [{ id: 'ful-a', farm_id: 'farm-a' }, { id: 'ful-b', farm_id: 'farm-b' }] };
+    });
+    const permission = jest.spyOn(DatabaseService, 'hasFarmPermission').mockResolvedValue(true);
+
+    await expect(DatabaseService.resolveManagedFulfilment('order-1', 'admin-1')).rejects.toThrow('fulfilment_id is required');
+    await expect(DatabaseService.resolveManagedFulfilment('order-1', 'admin-1', 'ful-b')).resolves.toEqual({ id: 'ful-b', farm_id: 'farm-b' });
+
+    permission.mockImplementation(async (farmId) => farmId === 'farm-a');
+    const manager = { userId: 'manager-a', role: 'farmer' };
+    await expect(DatabaseService.resolveManagedFulfilment('order-1', manager)).resolves.toEqual({ id: 'ful-a', farm_id: 'farm-a' });
+    await expect(DatabaseService.resolveManagedFulfilment('order-1', manager, 'ful-b')).rejects.toThrow('Access denied');
+
+    // Farm API keys carry no user id and are checked as the key itself
+    const apiKey = { userId: null, role: 'api_key', apiKey: { id: 'key-1', farm_id: 'farm-a', permissions: ['orders:manage'], created_by: 'manager-a' } };
+    await expect(DatabaseService.resolveManagedFulfilment('order-1', apiKey)).resolves.toEqual({ id: 'ful-a', farm_id: 'farm-a' });
+    expect(permission).toHaveBeenLastCalledWith('farm-b', apiKey, 'orders:manage');
+  });
+
+  it('gives admins the full order only under the admin two-factor policy', async () => {
+    query.mockImplementation(async (sql) => (
+      /FROM orders/.test(sql) ? { rows: [{ customer_id: 'customer-1' }] } : { rows: [] }
+    ));
+    const twoFactor = jest.spyOn(DatabaseService, 'getTwoFactor').mockResolvedValue(undefined);
+    const admin = { userId: 'admin-1', role: 'admin' };
+
+    await expect(DatabaseService.getOrderAccessScope('order-1', admin)).resolves.toEqual({ full: true, farm_ids: [] });
+
+    process.env.ADMIN_REQUIRE_2FA = 'true';
+    try {
+      await expect(DatabaseService.getOrderAccessScope('order-1', admin)).resolves.toEqual({ full: false, farm_ids: [] });
+      twoFactor.mockResolvedValue({ enabled_at: new Date() });
+      await expect(DatabaseService.getOrderAccessScope('order-1', admin)).resolves.toEqual({ full: true, farm_ids: [] });
+    } finally {
+      delete process.env.ADMIN_REQUIRE_2FA;
+    }
+  });
+});
@@ -0,0 +1,92 @@
+jest.mock('../../src/config/database', () => require('./helpers/db-mock').databaseMock());
+
+const DatabaseService = require('../../src/services/database.service');
+const InvoiceService = require('../../src/services/invoice.service');
+const { resetDatabaseMock } = require('./helpers/db-mock');
+
+describe('Order invoices', () => {
+  afterEach(resetDatabaseMock);
+
+  const order = {
+    _id: 'order-1',
+    order_number: 'ORD-1001',
+    status: 'confirmed',
+    payment_status: 'paid',
+    payment_method: 'mobile_banking',
+    total_amount: '600.00',
+    discount_amount: '60.00',
+    tax_amount: '15.00',
+    delivery_fee: '110.00',
+    final_amount: '665.00',
+    coupon_code: 'FRESH10',
+    customer_name: 'Rahim <Admin>',
+    customer_email: 'rahim@example.com',
+    delivery_address: 'House 1, Savar',
+    created_at: '2026-10-18T10:00:00Z',
+    items_details: [
+      { fulfilment_id: 'ful-a', farm_id: 'farm-a', product_name: 'Milk', quantity: '2', unit: 'liter', price: '100', total: '200', discount_amount: '20', tax_rate: '7.5', tax_inclusive: false, tax_amount: '15' },
+      { fulfilment_id: 'ful-b', farm_id: 'farm-b', product_name: 'Eggs', quantity: '1', unit: 'dozen', price: '400', total: '400', discount_amount: '40', tax_rate: '0', tax_inclusive: false, tax_amount: '0' }
+    ],
+    fulfilments: [
+      { _id: 'ful-a', farm_id: 'farm-a', status: 'confirmed', subtotal_amount: 200, discount_amount: 20, tax_amount: 15, delivery_fee: 60, final_amount: 255 },
+      { _id: 'ful-b', farm_id: 'farm-b', status: 'confirmed', subtotal_amount: 400, discount_amount: 40, tax_amount: 0, delivery_fee: 50, final_amount: 410 }
+    ]
+  };
+  const farms = {
+    'farm-a': { name: 'Green Acres', address: 'Savar, Dhaka', vat_registered: true, vat_registration_number: 'BIN-001' },
+    'farm-b': { name: 'Hen House', address: 'Gazipur', vat_registered: false }
+  };
+
+  beforeEach(() => {
+    jest.spyOn(DatabaseService, 'getOrderById').mockResolvedValue(order);
+    jest.spyOn(DatabaseService, 'getFarmById').mockImplementation(async (id) => farms[id]);
+  });
+
+  it('gives the customer the whole order as a receipt once paid', async () => {
+    jest.spyOn(DatabaseService, 'getOrderAccessScope').mockResolvedValue({ full: true, farm_ids: [] });
+    const invoice = await InvoiceService.buildInvoice('order-1', { userId: 'customer-1' });
+
+    expect(invoice.title).toBe('Receipt');
+    expect(invoice.farms.map(f => f.name)).toEqual(['Green Acres', 'Hen House']);
+    expect(invoice.farms[0].vat_registration_number).toBe('BIN-001');
+    expect(invoice.farms[1].vat_registration_number).toBeNull();
+    expect(invoice.totals).toEqual({ subtotal: 600, discount: 60, tax: 15, delivery_fee: 110, total: 665 });
+    expect(invoice.partial).toBe(false);
+
+    const html = InvoiceService.renderInvoiceHtml(invoice);
+    expect(html).toContain('ORD-1001');
+    expect(html).toContain('Rahim &lt;Admin&gt;');
+    expect(html).toContain('BDT 665.00');
+    expect(html).toContain('BDT 15.00 (7.5%)');
+  });
+
+  it('limits a farm copy to its own fulfilment and totals', async () => {
+    jest.spyOn(DatabaseService, 'getOrderAccessScope').mockResolvedValue({ full: false, farm_ids: ['farm-b'] });
+    const invoice = await InvoiceService.buildInvoice('order-1', { userId: 'farmer-b' });
+
+    expect(invoice.farms).toHaveLength(1);
+    expect(invoice.farms[0].items.map(i => i.name)).toEqual(['Eggs']);
+    expect(invoice.totals).toEqual({ subtotal: 400, discount: 40, tax: 0, delivery_fee: 50, total: 410 });
+    expect(invoice.partial).toBe(true);
+  });
+
+  it('refuses anyone else', async () => {
+    jest.spyOn(DatabaseService, 'getOrderAccessScope').mockResolvedValue({ full: false, farm_ids: [] });
+    await expect(InvoiceService.buildInvoice('order-1', { userId: 'stranger' })).rejects.toThrow('Access denied');
+    DatabaseService.getOrderAccessScope.mockResolvedValue(null);
+    await expect(InvoiceService.buildInvoice('order-2', { userId: 'stranger' })).rejects.toThrow('Order not found');
+  });
+
+  it('renders a PDF', async () => {
+    jest.spyOn(DatabaseService, 'getOrderAccessScope').mockResolvedValue({ full: true, farm_ids: [] });
+    const invoice = await InvoiceService.buildInvoice('order-1', { userId: 'customer-1' });
+    const doc = InvoiceService.renderInvoicePdf(invoice);
+    const chunks = [];
+    await new Promise((resolve, reject) => {
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', resolve);
+      doc.on('error', reject);
+    });
+    expect(Buffer.concat(chunks).subarray(0, 5).toString()).toBe('%PDF-');
+  });
+});
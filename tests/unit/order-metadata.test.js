@@ -0,0 +1,96 @@
+jest.mock('../../src/config/database', () => require('./helpers/db-mock').databaseMock());
+
+const { query, transaction } = require('../../src/config/database');
+const { resetDatabaseMock } = require('./helpers/db-mock');
+const DatabaseService = require('../../src/services/database.service');
+
+describe('Structured order metadata', () => {
+  afterEach(resetDatabaseMock);
+
+  it('shows waiting_for_payment only when the payment request has instructions', () => {
+    const row = { status: 'pending', payment_status: 'pending' };
+    expect(DatabaseService.presentStatus({ ...row, payment_info: 'Send to bKash 017xxxxxxxx' })).toBe('waiting_for_payment');
+    expect(DatabaseService.presentStatus({ ...row, payment_info: '  ' })).toBe('pending');
+    expect(DatabaseService.presentStatus({ ...row, notes: '{"payment_info":"legacy"}' })).toBe('pending');
+  });
+
+  it('keeps the legacy notes JSON in order responses', async () => {
+    query.mockResolvedValue({
+      rows: [{
+        _id: 'order-1',
+        status: 'pending',
+        payment_status: 'pending',
+        customer_notes: 'Leave at the gate',
+        contact_phone: '01700000000',
+        temp_cart_id: 'cart-1',
+        cancellation_reason: null,
+        payment_info: 'Send to bKash',
+        payment_message: null,
+        payment_reference: 'TRX1',
+        customer_phone: null
+      }]
+    });
+    jest.spyOn(DatabaseService, 'getOrderItemsDetailed').mockResolvedValue([]);
+    jest.spyOn(DatabaseService, 'getOrderFulfilments').mockResolvedValue([]);
+
+    const order = await DatabaseService.getOrderById('order-1');
+
+    expect(order.status).toBe('waiting_for_payment');
+    expect(JSON.parse(order.notes)).toEqual({
+      customer_phone: '01700000000',
+      temp_cart_id: 'cart-1',
+      payment_info: 'Send to bKash',
+      payment_reference: 'TRX1'
+    });
+    expect(order.customer_notes).toBe('Leave at the gate');
+    expect(order.customer_phone).toBe('01700000000');
+    expect(order).not.toHaveProperty('temp_cart_id');
+  });
+
+  it('stores the phone and cart session in columns and keeps free-text notes', async () => {
+    jest.spyOn(DatabaseService, 'getStoreProductById').mockResolvedValue({
+      farm_id: 'farm-a', product_name: 'Eggs', is_available: true, store_stock_quantity: 10, price_after_discount: 12
+    });
+    jest.spyOn(DatabaseService, 'getOrderItemsDetailed').mockResolvedValue([]);
+    jest.spyOn(DatabaseService, 'getOrderFulfilments').mockResolvedValue([]);
+    jest.spyOn(DatabaseService, 'getActiveDeliveryZones').mockResolvedValue([]);
+
+    const client = { query: jest.fn() };
+    client.query.mockImplementation(async (sql, params) => {
+      if (/INSERT INTO orders/.test(sql)) {
+        return { rows: [{ id: 'order-1', status: 'pending', payment_status: 'pending', notes: params[8], customer_phone: params[9], temp_cart_id: params[10] }] };
+      }
+      if (/INSERT INTO order_fulfilments/.test(sql)) return { rows: [{ id: 'ful-1' }] };
+      return { rows: [], rowCount: 1 };
+    });
+    transaction.mockImplementation(async (fn) => fn(client));
+
+    const order = await DatabaseService.placeOrder('customer-1', {
+      items: [{ store_product_id: 'sp-1', quantity: 1 }],
+      customer_phone: '01700000000',
+      notes: 'Ring twice',
+      temp_cart_id: 'cart-1'
+    });
+
+    const [, params] = client.query.mock.calls.find(([sql]) => /INSERT INTO orders/.test(sql));
+    expect(params.slice(8)).toEqual(['Ring twice', '01700000000', 'cart-1', null, null, null, null, null, null, null, null]);
+    expect(order.customer_phone).toBe('01700000000');
+    expect(order.status).toBe('pending');
+  });
+
+  it('reports a duplicate checkout of the same cart session', async () => {
+    jest.spyOn(DatabaseService, 'getStoreProductById').mockResolvedValue({
+      farm_id: 'farm-a', product_name: 'Eggs', is_available: true, store_stock_quantity: 10, price_after_discount: 12
+    });
+    jest.spyOn(DatabaseService, 'getActiveDeliveryZones').mockResolvedValue([]);
+    const client = {
+      query: jest.fn().mockRejectedValue(Object.assign(new Error('duplicate key'), { code: '23505', constraint: 'idx_orders_temp_cart_id' }))
+    };
+    transaction.mockImplementation(async (fn) => fn(client));
+
+    await expect(DatabaseService.placeOrder('customer-1', {
+      items: [{ store_product_id: 'sp-1', quantity: 1 }],
+      temp_cart_id: 'cart-1'
+    })).rejects.toThrow('Order already placed for this cart session');
+  });
+});
@@ -0,0 +1,131 @@
+jest.mock('../../src/config/database', () => require('./helpers/db-mock').databaseMock());
+
+const { query } = require('../../src/config/database');
+const { withClient, resetDatabaseMock } = require('./helpers/db-mock');
+const DatabaseService = require('../../src/services/database.service');
+const PaymentService = require('../../src/services/payment.service');
+const RefundService = require('../../src/services/refund.service');
+
+describe('Order refunds', () => {
+  afterEach(resetDatabaseMock);
+
+  const orderItems = [
+    { id: 'item-1', fulfilment_id: 'ful-a', farm_id: 'farm-a', fulfilment_status: 'delivered', quantity: '2', unit_price: '100', total_price: '200', refundable_quantity: '2' },
+    { id: 'item-2', fulfilment_id: 'ful-a', farm_id: 'farm-a', fulfilment_status: 'delivered', quantity: '1', unit_price: '50', total_price: '50', refundable_quantity: '1' }
+  ];
+
+  function requestClient() {
+    return withClient((sql, params) => {
+      if (/SELECT id FROM orders/.test(sql)) return { rows: [{ id: 'order-1' }] };
+      if (/FROM order_items oi/.test(sql)) return { rows: orderItems };
+      if (/FROM order_fulfilments f WHERE f.id/.test(sql)) return { rows: [{ id: params[0], farm_id: 'farm-a', final_amount: '310', refunded_amount: '0' }] };
+      if (/INSERT INTO order_refunds/.test(sql)) return { rows: [{ id: 'refund-1' }] };
+    });
+  }
+
+  it('refunds item prices for a partial refund and the whole fulfilment for a full one', async () => {
+    let client = requestClient();
+    await DatabaseService.requestOrderRefund('order-1', { reason: 'Damaged', items: [{ order_item_id: 'item-1', quantity: 1 }] }, { actor_id: 'customer-1', actor_role: 'customer' });
+    let insert = client.query.mock.calls.find(([sql]) => /INSERT INTO order_refunds/.test(sql));
+    expect(insert[1].slice(4)).toEqual([100, false, 'customer-1']);
+
+    // Everything on the fulfilment: the delivery fee goes back too
+    client = requestClient();
+    await DatabaseService.requestOrderRefund('order-1', { reason: 'Never arrived' }, { actor_id: 'customer-1', actor_role: 'customer' });
+    insert = client.query.mock.calls.find(([sql]) => /INSERT INTO order_refunds/.test(sql));
+    expect(insert[1].slice(4)).toEqual([310, true, 'customer-1']);
+    const events = client.query.mock.calls.filter(([sql]) => /INSERT INTO order_refund_events/.test(sql));
+    expect(events.map(([, params]) => params[1])).toEqual(['requested']);
+  });
+
+  it('rejects quantities beyond what is left to refund', async () => {
+    requestClient();
+    await expect(DatabaseService.requestOrderRefund('order-1', { reason: 'Damaged', items: [{ order_item_id: 'item-1', quantity: 3 }] }, { actor_role: 'customer' }))
+      .rejects.toThrow('Refund quantity exceeds what is left to refund');
+    await expect(DatabaseService.requestOrderRefund('order-1', { items: [] }, { actor_role: 'customer' }))
+      .rejects.toThrow('reason is required');
+  });
+
+  it('puts refunded quantities back into stock when a refund is approved before shipping', async () => {
+    const client = withClient((sql) => {
+      if (/SELECT \* FROM order_refunds/.test(sql)) return { rows: [{ id: 'refund-1', status: 'requested', fulfilment_id: 'ful-a' }] };
+      if (/UPDATE order_refunds/.test(sql)) return { rows: [{ id: 'refund-1', status: 'approved' }] };
+      if (/SELECT status FROM order_fulfilments/.test(sql)) return { rows: [{ status: 'processing' }] };
+      if (/FROM order_refund_items ri/.test(sql)) return { rows: [{ id: 'ri-1', quantity: '2', store_product_id: 'sp-1' }] };
+    });
+
+    await DatabaseService.approveRefund('refund-1', { actor_id: 'farmer-1', actor_role: 'farm' });
+    const restock = client.query.mock.calls.find(([sql]) => /UPDATE store_products/.test(sql));
+    expect(restock[1]).toEqual(['sp-1', '2']);
+    const events = client.query.mock.calls.filter(([sql]) => /INSERT INTO order_refund_events/.test(sql));
+    expect(events.map(([, params]) => params[1])).toEqual(['approved', 'restocked']);
+  });
+
+  describe('review', () => {
+    const refund = { id: 'refund-1', order_id: 'order-1', farm_id: 'farm-a', status: 'requested', amount: '100', reason: 'Damaged' };
+
+    beforeEach(() => {
+      jest.spyOn(DatabaseService, 'getRefundById').mockResolvedValue(refund);
+      jest.spyOn(DatabaseService, 'hasFarmPermission').mockImplementation(async (farmId, principal) => (
+        principal.userId === 'farmer-1' || principal.apiKey?.farm_id === farmId
+      ));
+      jest.spyOn(DatabaseService, 'approveRefund').mockResolvedValue({ ...refund, status: 'approved' });
+      jest.spyOn(DatabaseService, 'completeRefund').mockResolvedValue({});
+      jest.spyOn(DatabaseService, 'rejectRefund').mockResolvedValue({ ...refund, status: 'rejected' });
+      jest.spyOn(DatabaseService, 'getOrderRefunds').mockResolvedValue([{ _id: 'refund-1' }]);
+    });
+
+    it('pays an approved refund back through the gateway', async () => {
+      const mock = PaymentService.getProvider('mock');
+      const started = await mock.initiate({ payment: { id: 'pay-1', amount: 250 }, callbackUrl: 'http://localhost/cb', options: { outcome: 'success' } });
+      jest.spyOn(DatabaseService, 'getRefundablePayment').mockResolvedValue({
+        id: 'pay-1', provider: 'mock', status: 'paid', amount: '250', refunded_amount: '0', provider_ref: started.provider_ref
+      });
+
+      await RefundService.approveRefund('order-1', 'refund-1', { userId: 'farmer-1', role: 'farmer' }, {});
+      expect(DatabaseService.completeRefund).toHaveBeenCalledWith('refund-1', expect.objectContaining({
+        status: 'refunded', payment_id: 'pay-1', provider_refund_ref: expect.stringMatching(/^MREF/), actor_role: 'farm'
+      }));
+    });
+
+    it('marks the refund failed when the gateway refuses it', async () => {
+      jest.spyOn(DatabaseService, 'getRefundablePayment').mockResolvedValue({
+        id: 'pay-2', provider: 'mock', status: 'paid', amount: '250', refunded_amount: '0', provider_ref: 'MOCK-unknown'
+      });
+
+      await RefundService.approveRefund('order-1', 'refund-1', { userId: 'admin-1', role: 'admin' }, {});
+      expect(DatabaseService.completeRefund).toHaveBeenCalledWith('refund-1', expect.objectContaining({
+        status: 'failed', failure_reason: 'Transaction is not refundable', actor_role: 'admin'
+      }));
+    });
+
+    it('records the member who created a farm API key as the reviewer', async () => {
+      const apiKey = { userId: null, role: 'api_key', apiKey: { id: 'key-1', farm_id: 'farm-a', permissions: ['orders:refund'], created_by: 'farmer-2' } };
+
+      await RefundService.rejectRefund('order-1', 'refund-1', apiKey, { note: 'Not damaged' });
+      expect(DatabaseService.rejectRefund).toHaveBeenCalledWith('refund-1', {
+        actor_id: 'farmer-2', actor_role: 'farm', note: 'Not damaged'
+      });
+    });
+
+    it('only lets the farm or an admin review a refund', async () => {
+      await expect(RefundService.approveRefund('order-1', 'refund-1', { userId: 'customer-1', role: 'customer' }))
+        .rejects.toThrow('Access denied');
+      await expect(RefundService.rejectRefund('order-2', 'refund-1', { userId: 'farmer-1' }))
+        .rejects.toThrow('Refund not found');
+      expect(DatabaseService.approveRefund).not.toHaveBeenCalled();
+    });
+
+    it('holds admins to the admin two-factor policy', async () => {
+      jest.spyOn(DatabaseService, 'getTwoFactor').mockResolvedValue(undefined);
+      process.env.ADMIN_REQUIRE_2FA = 'true';
+      try {
+        await expect(RefundService.rejectRefund('order-1', 'refund-1', { userId: 'admin-1', role: 'admin' }))
+          .rejects.toThrow('Access denied');
+      } finally {
+        delete process.env.ADMIN_REQUIRE_2FA;
+      }
+      expect(DatabaseService.approveRefund).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,71 @@
+jest.mock('../../src/config/database', () => require('./helpers/db-mock').databaseMock());
+
+const { transaction } = require('../../src/config/database');
+const { resetDatabaseMock } = require('./helpers/db-mock');
+const DatabaseService = require('../../src/services/database.service');
+const { canTransition, allowedTransitions } = require('../../src/config/order-status');
+
+describe('Order status transitions', () => {
+  afterEach(resetDatabaseMock);
+
+  it('follows the transition graph for each actor', () => {
+    expect(canTransition('cancelled', 'delivered', 'farm')).toBe(false);
+    expect(canTransition('pending', 'confirmed', 'customer')).toBe(false);
+    expect(canTransition('confirmed', 'cancelled', 'customer')).toBe(true);
+    expect(canTransition('in_transit', 'cancelled', 'customer')).toBe(false);
+    expect(allowedTransitions('processing', 'farm')).toEqual(['in_transit']);
+    expect(() => canTransition('pending', 'confirmed', 'courier')).toThrow('Unknown order actor');
+  });
+
+  function mockOrder(fulfilmentStatus) {
+    const client = { query: jest.fn() };
+    client.query.mockImplementation(async (sql) => {
+      if (/FROM orders WHERE id = \$1 FOR UPDATE/.test(sql)) {
+        return { rows: [{ id: 'order-1', status: fulfilmentStatus, payment_status: 'pending', notes: null }] };
+      }
+      if (/FROM order_fulfilments WHERE id = \$1 FOR UPDATE/.test(sql)) {
+        return { rows: [{ id: 'ful-1', status: fulfilmentStatus, subtotal_amount: '100', discount_amount: '0', tax_amount: '0', shipping_amount: '20' }] };
+      }
+      return { rows: [], rowCount: 1 };
+    });
+    transaction.mockImplementation(async (fn) => fn(client));
+    jest.spyOn(DatabaseService, 'resolveManagedFulfilment').mockResolvedValue({ id: 'ful-1', farm_id: 'farm-1' });
+    jest.spyOn(DatabaseService, 'applyFulfilmentTotals').mockImplementation(async () => ({ id: 'order-1', status: 'shipped', payment_status: 'pending', notes: null }));
+    jest.spyOn(DatabaseService, 'buildOrderResponse').mockImplementation(async (row) => row);
+    return client;
+  }
+
+  it('refuses to move a cancelled fulfilment to delivered', async () => {
+    const client = mockOrder('cancelled');
+    await expect(DatabaseService.updateOrderStatus('order-1', 'manager-1', 'delivered'))
+      .rejects.toThrow('Cannot change order status from cancelled to delivered');
+    expect(client.query.mock.calls.some(([sql]) => /UPDATE order_fulfilments/.test(sql))).toBe(false);
+  });
+
+  it('records the fulfilment and the overall order change in the history', async () => {
+    const client = mockOrder('confirmed');
+    await DatabaseService.updateOrderStatus('order-1', 'manager-1', 'on-transit', { note: 'Handed to courier' });
+
+    const history = client.query.mock.calls
+      .filter(([sql]) => /INSERT INTO order_status_history/.test(sql))
+      .map(([, params]) => params);
+    expect(history).toEqual([
+      ['order-1', 'ful-1', 'confirmed', 'in_transit', 'manager-1', 'farm', 'Handed to courier'],
+      ['order-1', null, 'confirmed', 'in_transit', 'manager-1', 'farm', 'Handed to courier']
+    ]);
+  });
+
+  it('acts through a farm API key on behalf of the member who created it', async () => {
+    const client = mockOrder('confirmed');
+    const principal = { userId: null, role: 'api_key', apiKey: { id: 'key-1', farm_id: 'farm-1', permissions: ['orders:manage'], created_by: 'manager-1' } };
+    await DatabaseService.updateOrderStatus('order-1', principal, 'on-transit', { courier_ref_id: 'PX-1' });
+
+    expect(DatabaseService.resolveManagedFulfilment).toHaveBeenCalledWith('order-1', principal, undefined);
+    const actors = client.query.mock.calls
+      .filter(([sql]) => /INSERT INTO order_status_history/.test(sql))
+      .map(([, params]) => params[4]);
+    expect(actors).toEqual(['manager-1', 'manager-1']);
+    const shipment = client.query.mock.calls.find(([sql]) => /INSERT INTO order_shipments/.test(sql));
+    expect(shipment[1][4]).toBe('manager-1');
+  });
+});
@@ -0,0 +1,76 @@
+jest.mock('../../src/config/database', () => require('./helpers/db-mock').databaseMock());
+
+const { query, transaction } = require('../../src/config/database');
+const { resetDatabaseMock } = require('./helpers/db-mock');
+const DatabaseService = require('../../src/services/database.service');
+
+describe('Order VAT', () => {
+  afterEach(resetDatabaseMock);
+
+  const rules = [
+    { id: 'default', rate: '5', is_inclusive: false, is_active: true },
+    { id: 'dairy-type', product_type: 'dairy', rate: '7.5', is_inclusive: false, is_active: true },
+    { id: 'organic', category_id: 'cat-organic', rate: '15', is_inclusive: true, is_active: true },
+    { id: 'old', category_id: 'cat-fish', rate: '10', is_inclusive: false, is_active: false }
+  ];
+
+  it('picks the most specific active rule', () => {
+    expect(DatabaseService.findTaxRule(rules, { category_id: 'cat-organic', product_type: 'dairy' }).id).toBe('organic');
+    expect(DatabaseService.findTaxRule(rules, { category_id: 'cat-dairy', product_type: 'dairy' }).id).toBe('dairy-type');
+    expect(DatabaseService.findTaxRule(rules, { category_id: 'cat-fish', product_type: 'produce' }).id).toBe('default');
+    expect(DatabaseService.findTaxRule(rules.slice(1), { category_id: 'cat-fish', product_type: 'produce' })).toBeNull();
+  });
+
+  it('adds exclusive VAT and takes inclusive VAT out of the price', () => {
+    expect(DatabaseService.calculateLineTax(200, rules[1])).toEqual({
+      tax_rule_id: 'dairy-type', tax_rate: 7.5, tax_inclusive: false, taxable_amount: 200, tax_amount: 15
+    });
+    expect(DatabaseService.calculateLineTax(115, rules[2])).toEqual({
+      tax_rule_id: 'organic', tax_rate: 15, tax_inclusive: true, taxable_amount: 100, tax_amount: 15
+    });
+    expect(DatabaseService.calculateLineTax(80, null).tax_amount).toBe(0);
+  });
+
+  it('stores the VAT breakdown per line and only charges it for VAT-registered farms', async () => {
+    const products = {
+      'sp-milk': { farm_id: 'farm-a', vat_registered: true, product_type: 'dairy', category_id: 'cat-dairy', product_name: 'Milk', is_available: true, store_stock_quantity: 10, price_after_discount: 100 },
+      'sp-honey': { farm_id: 'farm-a', vat_registered: true, product_type: 'other', category_id: 'cat-organic', product_name: 'Honey', is_available: true, store_stock_quantity: 10, price_after_discount: 230 },
+      'sp-eggs': { farm_id: 'farm-b', vat_registered: false, product_type: 'other', category_id: 'cat-eggs', product_name: 'Eggs', is_available: true, store_stock_quantity: 10, price_after_discount: 50 }
+    };
+    jest.spyOn(DatabaseService, 'getStoreProductById').mockImplementation(async (id) => products[id]);
+    jest.spyOn(DatabaseService, 'getOrderItemsDetailed').mockResolvedValue([]);
+    jest.spyOn(DatabaseService, 'getOrderFulfilments').mockResolvedValue([]);
+    jest.spyOn(DatabaseService, 'getActiveDeliveryZones').mockResolvedValue([]);
+    query.mockResolvedValue({ rows: rules.filter(r => r.is_active) });
+
+    const client = { query: jest.fn() };
+    client.query.mockImplementation(async (sql, params) => {
+      if (/INSERT INTO orders/.test(sql)) return { rows: [{ id: 'order-1', total_amount: params[1], tax_amount: params[3], final_amount: params[5] }] };
+      if (/INSERT INTO order_fulfilments/.test(sql)) return { rows: [{ id: `ful-${params[1]}` }] };
+      return { rows: [], rowCount: 1 };
+    });
+    transaction.mockImplementation(async (fn) => fn(client));
+
+    const order = await DatabaseService.placeOrder('customer-1', {
+      items: [{ store_product_id: 'sp-milk', quantity: 2 }, { store_product_id: 'sp-honey', quantity: 1 }, { store_product_id: 'sp-eggs', quantity: 1 }],
+      delivery_address: 'Dhaka'
+    });
+
+    // Exclusive VAT on the milk (7.5% of 200) is added; the honey's 15% is already in its price
+    expect(order.total_amount).toBe(480);
+    expect(order.tax_amount).toBe(15);
+    expect(order.final_amount).toBe(495);
+
+    const itemInserts = client.query.mock.calls.filter(([sql]) => /INSERT INTO order_items/.test(sql));
+    expect(itemInserts.map(([, params]) => params.slice(6))).toEqual([
+      [0, 'dairy-type', 7.5, false, 200, 15],
+      [0, 'organic', 15, true, 200, 30],
+      [0, null, 0, false, 50, 0]
+    ]);
+    const fulfilmentInserts = client.query.mock.calls.filter(([sql]) => /INSERT INTO order_fulfilments/.test(sql));
+    expect(fulfilmentInserts.map(([, params]) => params.slice(1))).toEqual([
+      ['farm-a', 430, 0, 445, 0, 15, null],
+      ['farm-b', 50, 0, 50, 0, 0, null]
+    ]);
+  });
+});
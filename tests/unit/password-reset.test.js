@@ -0,0 +1,173 @@
+jest.mock('../../src/services/database.service');
+
+const express = require('express');
+const request = require('supertest');
+const DatabaseService = require('../../src/services/database.service');
+const { registerTransport } = require('../../src/services/mail.service');
+const { issueSession } = require('../../src/config/auth');
+const authRouter = require('../../src/routes/auth');
+
+describe('Password reset', () => {
+  let app;
+  let outbox;
+  let resetTokens;
+  let sessions;
+
+  const user = { id: 'user-1', email: 'farmer@example.com', role: 'farmer', first_name: 'Karim', is_active: true };
+
+  const requestResetToken = async () => {
+    const res = await request(app).post('/auth/forgot-password').send({ email: user.email });
+    expect(res.status).toBe(200);
+    return outbox[outbox.length - 1].text.match(/token=([a-f0-9]+)/)[1];
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.MAIL_TRANSPORT = 'memory';
+    outbox = [];
+    registerTransport('memory', () => ({
+      name: 'memory',
+      async send(message) {
+        outbox.push(message);
+        return { id: `mail-${outbox.length}` };
+      }
+    }));
+
+    app = express();
+    app.use(express.json());
+    app.use('/auth', authRouter);
+
+    resetTokens = [];
+    DatabaseService.getUserByEmail.mockImplementation(async (email) => (email === user.email ? user : undefined));
+    DatabaseService.getUserById.mockResolvedValue(user);
+    DatabaseService.updateUser.mockImplementation(async (id, data) => ({ ...user, ...data }));
+    DatabaseService.createPasswordResetToken.mockImplementation(async (user_id, token_hash, expires_at) => {
+      resetTokens.forEach(t => { t.used_at = t.used_at || new Date(); });
+      const token = { user_id, token_hash, expires_at, used_at: null };
+      resetTokens.push(token);
+      return token;
+    });
+    DatabaseService.consumePasswordResetToken.mockImplementation(async (hash) => {
+      const token = resetTokens.find(t => t.token_hash === hash && !t.used_at && new Date(t.expires_at) > new Date());
+      if (token) token.used_at = new Date();
+      return token;
+    });
+
+    sessions = {};
+    let counter = 0;
+    DatabaseService.createSession.mockImplementation(async (data) => {
+      const session = { id: `session-${++counter}`, revoked_at: null, ...data };
+      sessions[session.id] = session;
+      return session;
+    });
+    DatabaseService.getSessionByRefreshHash.mockImplementation(async (hash) => (
+      Object.values(sessions).find(s => s.refresh_token_hash === hash)
+    ));
+    DatabaseService.getSessionByPreviousRefreshHash.mockResolvedValue(undefined);
+    DatabaseService.revokeUserSessions.mockImplementation(async (userId, reason) => {
+      const active = Object.values(sessions).filter(s => s.user_id === userId && !s.revoked_at);
+      active.forEach(s => { s.revoked_at = new Date(); s.revoked_reason = reason; });
+      return active.length;
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.MAIL_TRANSPORT;
+  });
+
+  it('emails a single-use link and stores only the token hash', async () => {
+    const token = await requestResetToken();
+
+    expect(outbox[0].to).toBe(user.email);
+    expect(resetTokens[0].token_hash).not.toBe(token);
+
+    const first = await request(app).post('/auth/reset-password').send({ token, password: 'new-password-1' });
+    expect(first.status).toBe(200);
+    expect(DatabaseService.updateUser).toHaveBeenCalledWith(user.id, { password_hash: expect.any(String) });
+
+    const replay = await request(app).post('/auth/reset-password').send({ token, password: 'new-password-2' });
+    expect(replay.status).toBe(400);
+    expect(DatabaseService.updateUser).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects an expired token', async () => {
+    const token = await requestResetToken();
+    resetTokens[0].expires_at = new Date(Date.now() - 1000);
+
+    const res = await request(app).post('/auth/reset-password').send({ token, password: 'new-password-1' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/expired/);
+    expect(DatabaseService.updateUser).not.toHaveBeenCalled();
+  });
+
+  it('invalidates earlier links when a new one is requested', async () => {
+    const earlier = await requestResetToken();
+    await requestResetToken();
+
+    const res = await request(app).post('/auth/reset-password').send({ token: earlier, password: 'new-password-1' });
+    expect(res.status).toBe(400);
+  });
+
+  it('revokes every existing session after a reset', async () => {
+    const web = await issueSession(user, { headers: {} });
+    const mobile = await issueSession(user, { headers: {} });
+    const token = await requestResetToken();
+
+    const res = await request(app).post('/auth/reset-password').send({ token, password: 'new-password-1' });
+    expect(res.status).toBe(200);
+    expect(DatabaseService.revokeUserSessions).toHaveBeenCalledWith(user.id, 'password_reset');
+
+    for (const tokens of [web, mobile]) {
+      const refreshed = await request(app).post('/auth/refresh').send({ refresh_token: tokens.refresh_token });
+      expect(refreshed.status).toBe(401);
+    }
+  });
+
+  it('answers the same way for unknown emails', async () => {
+    const res = await request(app).post('/auth/forgot-password').send({ email: 'nobody@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(DatabaseService.createPasswordResetToken).not.toHaveBeenCalled();
+    expect(outbox).toHaveLength(0);
+  });
+
+  describe('mail transports', () => {
+    const env = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...env };
+      jest.dontMock('nodemailer');
+    });
+
+    it('refuses the console and file transports in production unless explicitly enabled', () => {
+      process.env.NODE_ENV = 'production';
+      for (const transport of ['console', 'file']) {
+        process.env.MAIL_TRANSPORT = transport;
+        jest.isolateModules(() => {
+          expect(() => require('../../src/services/mail.service').getTransport()).toThrow('not allowed in production');
+        });
+      }
+
+      process.env.MAIL_DEV_TRANSPORT_ENABLED = 'true';
+      jest.isolateModules(() => {
+        expect(require('../../src/services/mail.service').getTransport().name).toBe('file');
+      });
+    });
+
+    it('delivers through SMTP', async () => {
+      const sendMail = jest.fn().mockResolvedValue({ messageId: '<abc@smtp>' });
+      const createTransport = jest.fn(() => ({ sendMail }));
+      jest.doMock('nodemailer', () => ({ createTransport }));
+      Object.assign(process.env, { NODE_ENV: 'production', MAIL_TRANSPORT: 'smtp', SMTP_HOST: 'smtp.example.com', SMTP_USER: 'mailer', SMTP_PASS: 'secret' });
+
+      let mail;
+      jest.isolateModules(() => { mail = require('../../src/services/mail.service'); });
+      await expect(mail.sendMail({ to: user.email, subject: 'Hello', text: 'Hi' })).resolves.toEqual({ id: '<abc@smtp>' });
+
+      expect(createTransport).toHaveBeenCalledWith(expect.objectContaining({
+        host: 'smtp.example.com', port: 587, secure: false, auth: { user: 'mailer', pass: 'secret' }
+      }));
+      expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: user.email, subject: 'Hello', text: 'Hi' }));
+    });
+  });
+});
@@ -0,0 +1,136 @@
+jest.mock('../../src/services/database.service');
+
+const crypto = require('crypto');
+const DatabaseService = require('../../src/services/database.service');
+const PaymentService = require('../../src/services/payment.service');
+const { verifySignature } = require('../../src/services/payment-providers/sslcommerz');
+const { createBkashProvider } = require('../../src/services/payment-providers/bkash');
+
+describe('Payment gateways', () => {
+  let payments;
+
+  beforeEach(() => {
+    payments = new Map();
+    DatabaseService.getOrderForPayment.mockResolvedValue({
+      id: 'order-1', customer_id: 'customer-1', status: 'pending', payment_status: 'pending', final_amount: '250.00'
+    });
+    DatabaseService.createGatewayPayment.mockImplementation(async (data) => {
+      const payment = { id: `pay-${payments.size + 1}`, ...data, status: 'pending', created_at: new Date() };
+      payments.set(payment.id, payment);
+      return payment;
+    });
+    DatabaseService.setPaymentInitiated.mockImplementation(async (id, data) => Object.assign(payments.get(id), data));
+    DatabaseService.getOrderPaymentById.mockImplementation(async (id) => payments.get(id));
+    DatabaseService.applyPaymentResult.mockImplementation(async (id, result) => {
+      const payment = payments.get(id);
+      return payment.status === 'pending' ? Object.assign(payment, result) : payment;
+    });
+    DatabaseService.presentPayment.mockImplementation(row => ({ _id: row.id, ...row }));
+  });
+
+  afterEach(() => jest.resetAllMocks());
+
+  function callbackFrom(payment) {
+    return Object.fromEntries(new URL(payment.redirect_url).searchParams);
+  }
+
+  it('marks the order paid after a signed mock callback', async () => {
+    const payment = await PaymentService.initiatePayment('order-1', 'customer-1', 'mock', { outcome: 'success' });
+    expect(payment.method).toBe('mobile_banking');
+    expect(payment.amount).toBe(250);
+
+    const settled = await PaymentService.handleCallback('mock', callbackFrom(payment));
+    expect(settled.status).toBe('paid');
+    expect(DatabaseService.applyPaymentResult).toHaveBeenCalledWith(payment._id, expect.objectContaining({ status: 'paid' }));
+
+    // Repeated callbacks leave the settled payment alone
+    await PaymentService.handleCallback('mock', callbackFrom(payment));
+    expect(DatabaseService.applyPaymentResult).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects callbacks with a forged signature', async () => {
+    const payment = await PaymentService.initiatePayment('order-1', 'customer-1', 'mock', { outcome: 'failure' });
+    const forged = { ...callbackFrom(payment), status: 'paid' };
+
+    await expect(PaymentService.handleCallback('mock', forged)).rejects.toThrow('Invalid payment signature');
+    const settled = await PaymentService.handleCallback('mock', callbackFrom(payment));
+    expect(settled.status).toBe('failed');
+  });
+
+  it('fails a payment the customer never completes once it times out', async () => {
+    const payment = await PaymentService.initiatePayment('order-1', 'customer-1', 'mock', { outcome: 'timeout' });
+
+    const pending = await PaymentService.verifyPayment('order-1', payment._id, 'customer-1');
+    expect(pending.status).toBe('pending');
+
+    payments.get(payment._id).created_at = new Date(Date.now() - 16 * 60 * 1000);
+    const expired = await PaymentService.verifyPayment('order-1', payment._id, 'customer-1');
+    expect(expired.status).toBe('failed');
+    expect(expired.failure_reason).toBe('Payment timed out');
+  });
+
+  it('only lets the customer pay an open, unpaid order', async () => {
+    await expect(PaymentService.initiatePayment('order-1', 'someone-else', 'mock')).rejects.toThrow('Access denied');
+    DatabaseService.getOrderForPayment.mockResolvedValue({ id: 'order-1', customer_id: 'customer-1', status: 'pending', payment_status: 'paid', final_amount: '250.00' });
+    await expect(PaymentService.initiatePayment('order-1', 'customer-1', 'mock')).rejects.toThrow('Order is already paid');
+    await expect(PaymentService.initiatePayment('order-1', 'customer-1', 'paypal')).rejects.toThrow('Unknown payment provider');
+  });
+
+  describe('bKash callbacks', () => {
+    const realFetch = global.fetch;
+    let gatewayStatus;
+
+    beforeEach(() => {
+      PaymentService.registerProvider('bkash', () => createBkashProvider({
+        BKASH_APP_KEY: 'key', BKASH_APP_SECRET: 'secret', BKASH_USERNAME: 'merchant', BKASH_PASSWORD: 'pass'
+      }));
+      payments.set('pay-1', { id: 'pay-1', provider: 'bkash', provider_ref: 'TR0011', status: 'pending', amount: '250.00', created_at: new Date() });
+      DatabaseService.findOrderPaymentByProviderRef.mockImplementation(async (provider, ref) => (
+        [...payments.values()].find(p => p.provider === provider && p.provider_ref === ref)
+      ));
+      gatewayStatus = 'Initiated';
+      global.fetch = jest.fn(async (url) => {
+        const body = /token\/grant/.test(url)
+          ? { id_token: 'grant-token', expires_in: 3600 }
+          : /execute/.test(url)
+            ? { statusCode: '0000', transactionStatus: 'Completed', amount: '250.00', trxID: 'TRX1' }
+            : { statusCode: '0000', transactionStatus: gatewayStatus, amount: '250.00' };
+        return { ok: true, status: 200, text: async () => JSON.stringify(body) };
+      });
+    });
+
+    afterEach(() => {
+      global.fetch = realFetch;
+      PaymentService.registerProvider('bkash', createBkashProvider);
+    });
+
+    it('leaves the payment pending when an unsigned failure redirect is not confirmed by bKash', async () => {
+      for (const status of ['failure', 'cancel']) {
+        const settled = await PaymentService.handleCallback('bkash', { paymentID: 'TR0011', status });
+        expect(settled.status).toBe('pending');
+      }
+      expect(DatabaseService.applyPaymentResult).not.toHaveBeenCalled();
+      expect(global.fetch.mock.calls.map(([url]) => url).filter(url => /execute/.test(url))).toHaveLength(0);
+
+      gatewayStatus = 'Cancelled';
+      const settled = await PaymentService.handleCallback('bkash', { paymentID: 'TR0011', status: 'cancel' });
+      expect(settled.status).toBe('cancelled');
+    });
+
+    it('captures the payment on a success redirect and records what bKash returns', async () => {
+      const settled = await PaymentService.handleCallback('bkash', { paymentID: 'TR0011', status: 'success' });
+      expect(settled.status).toBe('paid');
+      expect(settled.transaction_id).toBe('TRX1');
+    });
+  });
+
+  it('checks the SSLCommerz verify_sign', () => {
+    const md5 = (value) => crypto.createHash('md5').update(value).digest('hex');
+    const payload = { tran_id: 'pay-1', val_id: 'VAL1', amount: '250.00', status: 'VALID', verify_key: 'amount,status,tran_id,val_id' };
+    payload.verify_sign = md5(`amount=250.00&status=VALID&store_passwd=${md5('store-secret')}&tran_id=pay-1&val_id=VAL1`);
+
+    expect(verifySignature(payload, 'store-secret')).toBe(true);
+    expect(verifySignature({ ...payload, amount: '1.00' }, 'store-secret')).toBe(false);
+    expect(verifySignature({ ...payload, verify_sign: undefined }, 'store-secret')).toBe(false);
+  });
+});
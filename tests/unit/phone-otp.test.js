@@ -0,0 +1,108 @@
+jest.mock('../../src/services/database.service');
+
+const express = require('express');
+const request = require('supertest');
+const DatabaseService = require('../../src/services/database.service');
+const { sentMessages } = require('../../src/services/sms.service');
+const authRouter = require('../../src/routes/auth');
+
+describe('Phone OTP login', () => {
+  let app;
+  let otps;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    app = express();
+    app.use(express.json());
+    app.use('/auth', authRouter);
+
+    otps = [];
+    DatabaseService.getPhoneOtpIssuanceStats.mockResolvedValue({ phone_count: 0, ip_count: 0, last_sent_at: null });
+    DatabaseService.createPhoneOtp.mockImplementation(async (phone, code_hash, expires_at) => {
+      const otp = { id: `otp-${otps.length + 1}`, phone, code_hash, expires_at, attempts: 0, consumed_at: null };
+      otps.push(otp);
+      return otp;
+    });
+    DatabaseService.getActivePhoneOtp.mockImplementation(async (phone) => (
+      otps.filter(o => o.phone === phone && !o.consumed_at).pop()
+    ));
+    DatabaseService.consumePhoneOtp.mockImplementation(async (id) => {
+      const otp = otps.find(o => o.id === id);
+      otp.consumed_at = new Date();
+      return otp;
+    });
+    DatabaseService.recordPhoneOtpFailure.mockResolvedValue({});
+    DatabaseService.getUserByPhone.mockResolvedValue(undefined);
+    DatabaseService.createUser.mockImplementation(async (data) => ({ id: 'user-1', email: null, ...data, first_name: 'Rahim', last_name: '' }));
+    DatabaseService.createSession.mockImplementation(async (data) => ({ id: 'session-1', ...data }));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('sends a code by SMS and registers a customer on first verification', async () => {
+    const sent = await request(app).post('/auth/otp/request').send({ phone: '01712-345678' });
+    expect(sent.status).toBe(200);
+    expect(sent.body.phone).toBe('+8801712345678');
+
+    const code = sentMessages[sentMessages.length - 1].message.match(/\d{6}/)[0];
+    expect(otps[0].code_hash).not.toContain(code);
+
+    const verified = await request(app).post('/auth/otp/verify').send({ phone: '+8801712345678', code, name: 'Rahim' });
+    expect(verified.status).toBe(201);
+    expect(verified.body.is_new_user).toBe(true);
+    expect(verified.body.refresh_token).toBeDefined();
+    expect(DatabaseService.createUser).toHaveBeenCalledWith(expect.objectContaining({ role: 'customer', phone_verified: true }));
+  });
+
+  it('verifies the phone on an existing account instead of creating a second one', async () => {
+    const existing = { id: 'user-7', email: 'rahim@example.com', role: 'farmer', phone: '01712-345678', phone_verified: false, is_active: true };
+    DatabaseService.getUserByPhone.mockResolvedValue(existing);
+    DatabaseService.updateUser.mockImplementation(async (id, data) => ({ ...existing, ...data }));
+
+    await request(app).post('/auth/otp/request').send({ phone: '01712345678' });
+    const code = sentMessages[sentMessages.length - 1].message.match(/\d{6}/)[0];
+
+    const res = await request(app).post('/auth/otp/verify').send({ phone: '01712345678', code });
+    expect(res.status).toBe(200);
+    expect(res.body.is_new_user).toBe(false);
+    expect(res.body.user.id).toBe(existing.id);
+    expect(DatabaseService.getUserByPhone).toHaveBeenCalledWith('+8801712345678');
+    expect(DatabaseService.updateUser).toHaveBeenCalledWith(existing.id, { phone: '+8801712345678', phone_verified: true });
+    expect(DatabaseService.createUser).not.toHaveBeenCalled();
+  });
+
+  it('rejects a wrong code and counts the attempt', async () => {
+    await request(app).post('/auth/otp/request').send({ phone: '01812345678' });
+
+    const res = await request(app).post('/auth/otp/verify').send({ phone: '01812345678', code: '000000x' });
+    expect(res.status).toBe(400);
+    expect(DatabaseService.recordPhoneOtpFailure).toHaveBeenCalledWith('otp-1', 5);
+  });
+
+  it('enforces the resend cooldown', async () => {
+    DatabaseService.getPhoneOtpIssuanceStats.mockResolvedValue({ phone_count: 1, ip_count: 1, last_sent_at: new Date() });
+
+    const res = await request(app).post('/auth/otp/request').send({ phone: '01912345678' });
+    expect(res.status).toBe(429);
+    expect(res.headers['retry-after']).toBeDefined();
+  });
+
+  it('refuses the log provider in production unless explicitly enabled', () => {
+    const env = { NODE_ENV: process.env.NODE_ENV, SMS_LOG_ENABLED: process.env.SMS_LOG_ENABLED };
+    process.env.NODE_ENV = 'production';
+    try {
+      jest.isolateModules(() => {
+        expect(() => require('../../src/services/sms.service').getProvider()).toThrow('not allowed in production');
+      });
+      process.env.SMS_LOG_ENABLED = 'true';
+      jest.isolateModules(() => {
+        expect(require('../../src/services/sms.service').getProvider().name).toBe('log');
+      });
+    } finally {
+      process.env.NODE_ENV = env.NODE_ENV;
+      if (env.SMS_LOG_ENABLED === undefined) delete process.env.SMS_LOG_ENABLED;
+      else process.env.SMS_LOG_ENABLED = env.SMS_LOG_ENABLED;
+    }
+  });
+});
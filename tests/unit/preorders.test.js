@@ -0,0 +1,129 @@
+jest.mock('../../src/config/database', () => require('./helpers/db-mock').databaseMock());
+
+const { query } = require('../../src/config/database');
+const { withClient, resetDatabaseMock } = require('./helpers/db-mock');
+const DatabaseService = require('../../src/services/database.service');
+const PreorderService = require('../../src/services/preorder.service');
+
+describe('Pre-orders', () => {
+  afterEach(resetDatabaseMock);
+
+  describe('opening an offer', () => {
+    const farmer = { userId: 'farmer-1', role: 'farmer' };
+
+    beforeEach(() => {
+      jest.spyOn(DatabaseService, 'getStoreProductById').mockResolvedValue({ _id: 'sp-mango', product_id: 'p-mango', farm_id: 'farm-a' });
+      jest.spyOn(DatabaseService, 'hasFarmPermission').mockResolvedValue(true);
+      jest.spyOn(DatabaseService, 'createPreorderOffer').mockImplementation(async (farmId, spId, offer) => ({ farm_id: farmId, store_product_id: spId, ...offer }));
+    });
+
+    it('expects the batch on its harvest date unless told otherwise', async () => {
+      jest.spyOn(DatabaseService, 'getProductBatchById').mockResolvedValue({ id: 'batch-1', product_id: 'p-mango', harvest_date: new Date(2026, 10, 20) });
+      const now = new Date(2026, 9, 19);
+
+      const offer = await PreorderService.createOffer(farmer, { store_product_id: 'sp-mango', batch_id: 'batch-1', max_quantity: 500, deposit_percentage: 20 }, now);
+      expect(offer).toEqual(expect.objectContaining({ farm_id: 'farm-a', batch_id: 'batch-1', expected_date: '2026-11-20', max_quantity: 500, deposit_percentage: 20 }));
+      expect(DatabaseService.hasFarmPermission).toHaveBeenCalledWith('farm-a', farmer, 'products:write');
+
+      await expect(PreorderService.createOffer(farmer, { store_product_id: 'sp-mango', max_quantity: 500, expected_date: '2026-10-01' }, now))
+        .rejects.toThrow('expected_date cannot be in the past');
+      DatabaseService.getProductBatchById.mockResolvedValue({ id: 'batch-2', product_id: 'p-broiler' });
+      await expect(PreorderService.createOffer(farmer, { store_product_id: 'sp-mango', batch_id: 'batch-2', max_quantity: 500 }, now))
+        .rejects.toThrow('Batch not found for this product');
+    });
+  });
+
+  describe('pre-ordering', () => {
+    const customerPreorder = {
+      quantity: 4, delivery_address: 'Dhaka', delivery_location: null, customer_phone: null,
+      payment_method: 'cash_on_delivery', notes: null, store_unit_price: 100
+    };
+
+    it('takes a deposit share of the price and closes the offer at its cap', async () => {
+      jest.spyOn(DatabaseService, 'getPreorderById').mockResolvedValue({ _id: 'pre-1' });
+      const client = withClient((sql) => {
+        if (/FROM preorder_offers WHERE id = \$1 FOR UPDATE/.test(sql)) {
+          return { rows: [{ id: 'offer-1', status: 'open', max_quantity: '10', unit_price: null, deposit_percentage: '20' }] };
+        }
+        if (/AS taken/.test(sql)) return { rows: [{ taken: '6' }] };
+        if (/INSERT INTO preorders/.test(sql)) return { rows: [{ id: 'pre-1' }] };
+      });
+
+      await DatabaseService.createPreorder('offer-1', 'customer-1', customerPreorder);
+      const insert = client.query.mock.calls.find(([sql]) => /INSERT INTO preorders/.test(sql));
+      expect(insert[1].slice(0, 6)).toEqual(['offer-1', 'customer-1', 4, 100, 80, 'pending']);
+      expect(client.query.mock.calls.some(([sql]) => /SET status = 'closed'/.test(sql))).toBe(true);
+
+      await expect(DatabaseService.createPreorder('offer-1', 'customer-2', { ...customerPreorder, quantity: 5 }))
+        .rejects.toThrow('Only 4 left to pre-order');
+    });
+  });
+
+  it('converts released pre-orders through placeOrder at their price with the paid deposit', async () => {
+    const preorder = (id, overrides = {}) => ({
+      _id: id, customer_id: `customer-${id}`, quantity: 5, unit_price: 120, deposit_amount: 0, deposit_status: 'not_required',
+      deposit_reference: null, delivery_address: 'Dhaka', delivery_location: null, customer_phone: null,
+      payment_method: 'cash_on_delivery', notes: null, ...overrides
+    });
+    jest.spyOn(DatabaseService, 'listPreorders').mockResolvedValue([
+      preorder('a', { deposit_amount: 120, deposit_status: 'paid', deposit_reference: 'bkash-77' }),
+      preorder('b', { deposit_amount: 120, deposit_status: 'pending' }),
+      preorder('c')
+    ]);
+    jest.spyOn(DatabaseService, 'claimPreorderConversion').mockResolvedValue(true);
+    jest.spyOn(DatabaseService, 'finishPreorderConversion').mockResolvedValue();
+    jest.spyOn(DatabaseService, 'placeOrder')
+      .mockResolvedValueOnce({ _id: 'order-a' })
+      .mockRejectedValueOnce(new Error("Insufficient stock for 'Mango'"));
+
+    const summary = await PreorderService.convertOfferPreorders({ _id: 'offer-1', store_product_id: 'sp-mango' });
+
+    expect(summary).toEqual({ converted: 1, pending: 2 });
+    expect(DatabaseService.claimPreorderConversion).not.toHaveBeenCalledWith('b');
+    expect(DatabaseService.placeOrder).toHaveBeenCalledWith('customer-a', expect.objectContaining({
+      items: [{ store_product_id: 'sp-mango', quantity: 5 }], delivery_address: 'Dhaka'
+    }), { unitPrices: { 'sp-mango': 120 }, deposit: { amount: 120, reference: 'bkash-77' } });
+    expect(DatabaseService.finishPreorderConversion.mock.calls).toEqual([
+      ['a', { order_id: 'order-a' }],
+      ['c', { note: "Insufficient stock for 'Mango'" }]
+    ]);
+  });
+
+  it('places the converted order at the pre-order price and counts the deposit as paid', async () => {
+    jest.spyOn(DatabaseService, 'getStoreProductById').mockResolvedValue({
+      farm_id: 'farm-a', product_name: 'Mango', is_available: true, available_stock: '50', price_after_discount: 150
+    });
+    jest.spyOn(DatabaseService, 'getOrderItemsDetailed').mockResolvedValue([]);
+    jest.spyOn(DatabaseService, 'getOrderFulfilments').mockResolvedValue([]);
+    jest.spyOn(DatabaseService, 'getActiveDeliveryZones').mockResolvedValue([]);
+    const client = withClient((sql, params) => {
+      if (/INSERT INTO orders/.test(sql)) return { rows: [{ id: 'order-1', total_amount: params[1], final_amount: params[5], payment_status: 'pending' }] };
+      if (/INSERT INTO order_fulfilments/.test(sql)) return { rows: [{ id: 'ful-1' }] };
+    });
+
+    const order = await DatabaseService.placeOrder('customer-1', { items: [{ store_product_id: 'sp-mango', quantity: 5 }], delivery_address: 'Dhaka' }, {
+      unitPrices: { 'sp-mango': 120 }, deposit: { amount: 120, reference: 'bkash-77' }
+    });
+
+    expect(order.total_amount).toBe(600);
+    expect(order.payment_status).toBe('partial');
+    const payment = client.query.mock.calls.find(([sql]) => /INSERT INTO order_payments/.test(sql));
+    expect(payment[1]).toEqual(['order-1', 'cash_on_delivery', 120, 'bkash-77', 'customer-1']);
+  });
+
+  it('holds admins to the admin two-factor policy', async () => {
+    jest.spyOn(DatabaseService, 'getPreorderById').mockResolvedValue({ _id: 'pre-1', customer_id: 'customer-1', farm_id: 'farm-1' });
+    jest.spyOn(DatabaseService, 'hasFarmPermission').mockResolvedValue(false);
+    const twoFactor = jest.spyOn(DatabaseService, 'getTwoFactor').mockResolvedValue(undefined);
+    const admin = { userId: 'admin-1', role: 'admin' };
+
+    process.env.ADMIN_REQUIRE_2FA = 'true';
+    try {
+      await expect(PreorderService.getPreorder('pre-1', admin)).rejects.toThrow('Access denied');
+      twoFactor.mockResolvedValue({ enabled_at: new Date() });
+      await expect(PreorderService.getPreorder('pre-1', admin)).resolves.toEqual(expect.objectContaining({ _id: 'pre-1' }));
+    } finally {
+      delete process.env.ADMIN_REQUIRE_2FA;
+    }
+  });
+});
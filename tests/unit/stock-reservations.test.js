@@ -0,0 +1,119 @@
+jest.mock('../../src/config/database', () => require('./helpers/db-mock').databaseMock());
+
+const express = require('express');
+const request = require('supertest');
+const { query } = require('../../src/config/database');
+const { withClient, resetDatabaseMock } = require('./helpers/db-mock');
+const DatabaseService = require('../../src/services/database.service');
+const commerceRouter = require('../../src/routes/commerce');
+
+describe('Stock reservations', () => {
+  afterEach(resetDatabaseMock);
+
+  it('holds stock net of other reservations and replaces the earlier holds', async () => {
+    const client = withClient((sql, params) => {
+      if (/SELECT sp.is_available/.test(sql)) return { rows: [{ is_available: true, product_name: 'Potatoes', available_stock: '5' }] };
+      if (/INSERT INTO stock_reservations/.test(sql)) {
+        return { rows: [{ id: 'res-1', store_product_id: params[1], quantity: String(params[2]), status: 'active', expires_at: '2026-10-19T12:15:00Z' }] };
+      }
+    });
+
+    const reservations = await DatabaseService.reserveStock('customer-1', [
+      { store_product_id: 'sp-1', quantity: 2 },
+      { store_product_id: 'sp-1', quantity: 3 }
+    ], { minutes: 15 });
+
+    expect(reservations).toEqual([expect.objectContaining({ store_product_id: 'sp-1', product_name: 'Potatoes', quantity: 5, status: 'active' })]);
+    const sqls = client.query.mock.calls.map(([sql]) => sql);
+    expect(sqls[0]).toMatch(/SET status = 'released'/);
+    expect(sqls[1]).toMatch(/FOR UPDATE/);
+    expect(sqls[2]).toMatch(/r.status = 'active' AND r.expires_at > NOW\(\)/);
+    const insert = client.query.mock.calls.find(([sql]) => /INSERT INTO stock_reservations/.test(sql));
+    expect(insert[1]).toEqual(['customer-1', 'sp-1', 5, 15]);
+  });
+
+  it('refuses to hold more than is left after other customers\' holds', async () => {
+    withClient((sql) => {
+      if (/SELECT sp.is_available/.test(sql)) return { rows: [{ is_available: true, product_name: 'Potatoes', available_stock: '0' }] };
+    });
+
+    await expect(DatabaseService.reserveStock('customer-2', [{ store_product_id: 'sp-1', quantity: 5 }]))
+      .rejects.toThrow("Insufficient stock for 'Potatoes'. Available: 0, Requested: 5");
+    await expect(DatabaseService.reserveStock('customer-2', [])).rejects.toThrow('Items array is required');
+  });
+
+  it('leaves the customer\'s own holds out of their available stock', async () => {
+    query.mockResolvedValue({ rows: [{ _id: 'sp-1' }] });
+    await DatabaseService.getStoreProductById('sp-1', { customerId: 'customer-1' });
+    expect(query.mock.calls[0][0]).toMatch(/r.customer_id <> \$2/);
+    expect(query.mock.calls[0][1]).toEqual(['sp-1', 'customer-1']);
+
+    await DatabaseService.getStoreProductById('sp-1');
+    expect(query.mock.calls[1][0]).not.toMatch(/r.customer_id <>/);
+    expect(query.mock.calls[1][1]).toEqual(['sp-1']);
+  });
+
+  describe('placing an order', () => {
+    beforeEach(() => {
+      jest.spyOn(DatabaseService, 'getStoreProductById').mockResolvedValue({
+        farm_id: 'farm-a', product_name: 'Potatoes', is_available: true, store_stock_quantity: 10, available_stock: '5', price_after_discount: 40
+      });
+      jest.spyOn(DatabaseService, 'getOrderItemsDetailed').mockResolvedValue([]);
+      jest.spyOn(DatabaseService, 'getOrderFulfilments').mockResolvedValue([]);
+      jest.spyOn(DatabaseService, 'getActiveDeliveryZones').mockResolvedValue([]);
+      query.mockResolvedValue({ rows: [] });
+    });
+
+    function orderClient(deducted) {
+      return withClient((sql, params) => {
+        if (/INSERT INTO orders/.test(sql)) return { rows: [{ id: 'order-1', total_amount: params[1], final_amount: params[5] }] };
+        if (/INSERT INTO order_fulfilments/.test(sql)) return { rows: [{ id: 'ful-1' }] };
+        if (/UPDATE store_products sp SET stock_quantity/.test(sql)) return { rows: [], rowCount: deducted ? 1 : 0 };
+      });
+    }
+
+    it('deducts stock only past other customers\' holds and consumes the customer\'s own', async () => {
+      const client = orderClient(true);
+      await DatabaseService.placeOrder('customer-1', { items: [{ store_product_id: 'sp-1', quantity: 4 }], delivery_address: 'Dhaka' });
+
+      expect(DatabaseService.getStoreProductById).toHaveBeenCalledWith('sp-1', { customerId: 'customer-1' });
+      const deduct = client.query.mock.calls.find(([sql]) => /UPDATE store_products sp SET stock_quantity/.test(sql));
+      expect(deduct[0]).toMatch(/r.customer_id <> \$3/);
+      expect(deduct[1]).toEqual(['sp-1', 4, 'customer-1']);
+      const consume = client.query.mock.calls.find(([sql]) => /SET status = 'consumed'/.test(sql));
+      expect(consume[1]).toEqual(['customer-1', 'order-1', ['sp-1']]);
+    });
+
+    it('fails when other customers have reserved the stock in the meantime', async () => {
+      orderClient(false);
+      await expect(DatabaseService.placeOrder('customer-1', { items: [{ store_product_id: 'sp-1', quantity: 4 }], delivery_address: 'Dhaka' }))
+        .rejects.toThrow("Insufficient stock for 'Potatoes'");
+
+      await expect(DatabaseService.placeOrder('customer-1', { items: [{ store_product_id: 'sp-1', quantity: 6 }], delivery_address: 'Dhaka' }))
+        .rejects.toThrow("Insufficient stock for 'Potatoes'. Available: 5, Requested: 6");
+    });
+  });
+
+  it('expires active holds past their expiry', async () => {
+    query.mockResolvedValue({ rowCount: 3 });
+    await expect(DatabaseService.expireStockReservations()).resolves.toBe(3);
+    expect(query.mock.calls[0][0]).toMatch(/SET status = 'expired' WHERE status = 'active' AND expires_at <= NOW\(\)/);
+  });
+
+  it('runs the sweep for the cron secret and nobody else', async () => {
+    const app = express().use('/api', commerceRouter);
+    jest.spyOn(DatabaseService, 'expireStockReservations').mockResolvedValue(2);
+    process.env.CRON_SECRET = 'cron-secret';
+    try {
+      const res = await request(app).get('/api/cart/reserve/expire').set('Authorization', 'Bearer cron-secret');
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ expired: 2 });
+
+      expect((await request(app).get('/api/cart/reserve/expire')).status).toBe(401);
+      expect((await request(app).get('/api/cart/reserve/expire').set('Authorization', 'Bearer wrong')).status).toBe(401);
+      expect(DatabaseService.expireStockReservations).toHaveBeenCalledTimes(1);
+    } finally {
+      delete process.env.CRON_SECRET;
+    }
+  });
+});
@@ -0,0 +1,150 @@
+jest.mock('../../src/config/database', () => require('./helpers/db-mock').databaseMock());
+
+const DatabaseService = require('../../src/services/database.service');
+const SubscriptionService = require('../../src/services/subscription.service');
+const { resetDatabaseMock } = require('./helpers/db-mock');
+
+describe('Subscriptions', () => {
+  afterEach(resetDatabaseMock);
+
+  // Monday 19 October 2026, local time
+  const now = new Date(2026, 9, 19, 9, 0);
+
+  it('works out delivery dates for each frequency', () => {
+    const { nextDeliveryDate, followingDeliveryDate } = SubscriptionService;
+    expect(nextDeliveryDate({ frequency: 'weekly', delivery_day: 5 }, '2026-10-19')).toBe('2026-10-23');
+    expect(nextDeliveryDate({ frequency: 'weekly', delivery_day: 1 }, '2026-10-19')).toBe('2026-10-19');
+    expect(nextDeliveryDate({ frequency: 'monthly', delivery_day: 10 }, '2026-10-19')).toBe('2026-11-10');
+    expect(nextDeliveryDate({ frequency: 'monthly', delivery_day: 28 }, '2026-12-29')).toBe('2027-01-28');
+
+    expect(followingDeliveryDate({ frequency: 'weekly' }, '2026-10-23')).toBe('2026-10-30');
+    expect(followingDeliveryDate({ frequency: 'fortnightly' }, '2026-12-25')).toBe('2027-01-08');
+    expect(followingDeliveryDate({ frequency: 'monthly' }, '2026-10-28')).toBe('2026-11-28');
+  });
+
+  it('validates the delivery day against the frequency', () => {
+    const base = { frequency: 'weekly', delivery_day: 5, delivery_address: 'Dhaka', items: [{ store_product_id: 'sp-1', quantity: 2 }] };
+    expect(DatabaseService.normalizeSubscriptionInput(base)).toEqual(expect.objectContaining({ frequency: 'weekly', delivery_day: 5 }));
+    expect(() => DatabaseService.normalizeSubscriptionInput({ ...base, delivery_day: 7 })).toThrow('weekday from 0 (Sunday) to 6');
+    expect(() => DatabaseService.normalizeSubscriptionInput({ ...base, frequency: 'monthly', delivery_day: 0 })).toThrow('day of the month from 1 to 28');
+    expect(() => DatabaseService.normalizeSubscriptionInput({ ...base, items: [base.items[0], base.items[0]] })).toThrow('only be listed once');
+
+    // Switching an existing Sunday delivery to monthly needs a day of the month
+    expect(() => DatabaseService.normalizeSubscriptionInput({ frequency: 'monthly' }, { partial: true, current: { frequency: 'weekly', delivery_day: 0 } }))
+      .toThrow('day of the month');
+  });
+
+  describe('scheduler', () => {
+    const subscription = (overrides = {}) => ({
+      _id: 'sub-1',
+      customer_id: 'customer-1',
+      frequency: 'weekly',
+      delivery_day: 2,
+      delivery_address: 'Dhaka',
+      delivery_location: { district: 'Dhaka', upazila: 'Mirpur', latitude: null, longitude: null },
+      customer_phone: '01700000000',
+      payment_method: 'cash_on_delivery',
+      notes: null,
+      out_of_stock_policy: 'skip_item',
+      status: 'active',
+      next_delivery_date: '2026-10-20',
+      items: [
+        { store_product_id: 'sp-milk', product_name: 'Milk', quantity: 7, available_stock: 20, is_available: true },
+        { store_product_id: 'sp-eggs', product_name: 'Eggs', quantity: 2, available_stock: 1, is_available: true },
+        { store_product_id: 'sp-ghee', product_name: 'Ghee', quantity: 1, available_stock: 5, is_available: false }
+      ],
+      ...overrides
+    });
+
+    function mockScheduler(due, claim = (id, date) => ({ claimed: true, run: { _id: `run-${id}`, delivery_date: date } })) {
+      jest.spyOn(DatabaseService, 'listSubscriptions').mockImplementation(async ({ dueBy }) => (dueBy ? due : []));
+      jest.spyOn(DatabaseService, 'claimSubscriptionRun').mockImplementation(async (id, date) => claim(id, date));
+      jest.spyOn(DatabaseService, 'finishSubscriptionRun').mockImplementation(async (runId, result) => ({ _id: runId, ...result }));
+      jest.spyOn(DatabaseService, 'placeOrder').mockResolvedValue({ _id: 'order-1' });
+    }
+
+    it('places due deliveries through placeOrder, ordering what is in stock', async () => {
+      mockScheduler([subscription()]);
+      const summary = await SubscriptionService.runDueSubscriptions(now);
+
+      expect(summary).toEqual({ resumed: 0, ordered: 1, skipped: 0, failed: 0 });
+      expect(DatabaseService.listSubscriptions).toHaveBeenCalledWith({ dueBy: '2026-10-20' });
+      expect(DatabaseService.claimSubscriptionRun).toHaveBeenCalledWith('sub-1', '2026-10-20', '2026-10-27');
+      expect(DatabaseService.placeOrder).toHaveBeenCalledWith('customer-1', {
+        items: [{ store_product_id: 'sp-milk', quantity: 7 }, { store_product_id: 'sp-eggs', quantity: 1 }],
+        delivery_address: 'Dhaka',
+        delivery_location: { district: 'Dhaka', upazila: 'Mirpur', latitude: null, longitude: null },
+        customer_phone: '01700000000',
+        payment_method: 'cash_on_delivery',
+        notes: null,
+        subscription_id: 'sub-1',
+        scheduled_delivery_date: '2026-10-20'
+      });
+      const [runId, result] = DatabaseService.finishSubscriptionRun.mock.calls[0];
+      expect(runId).toBe('run-sub-1');
+      expect(result.status).toBe('ordered');
+      expect(result.order_id).toBe('order-1');
+      expect(result.skipped_items.map(i => [i.product_name, i.requested, i.available])).toEqual([['Eggs', 2, 1], ['Ghee', 1, 0]]);
+    });
+
+    it('skips the whole delivery when asked to, and deliveries skipped or taken by another run', async () => {
+      mockScheduler([subscription({ out_of_stock_policy: 'skip_delivery' })]);
+      expect(await SubscriptionService.runDueSubscriptions(now)).toEqual({ resumed: 0, ordered: 0, skipped: 1, failed: 0 });
+      expect(DatabaseService.finishSubscriptionRun.mock.calls[0][1]).toEqual(expect.objectContaining({ status: 'skipped', note: 'Some items were out of stock' }));
+      expect(DatabaseService.placeOrder).not.toHaveBeenCalled();
+
+      jest.restoreAllMocks();
+      mockScheduler([subscription(), subscription({ _id: 'sub-2' })], (id, date) => (id === 'sub-1'
+        ? { claimed: false, run: { delivery_date: date, status: 'skipped' } }
+        : null));
+      expect(await SubscriptionService.runDueSubscriptions(now)).toEqual({ resumed: 0, ordered: 0, skipped: 1, failed: 0 });
+      expect(DatabaseService.placeOrder).not.toHaveBeenCalled();
+      expect(DatabaseService.finishSubscriptionRun).not.toHaveBeenCalled();
+    });
+
+    it('records a failed run when the order cannot be placed', async () => {
+      mockScheduler([subscription()]);
+      DatabaseService.placeOrder.mockRejectedValue(new Error("Insufficient stock for 'Milk'"));
+      expect(await SubscriptionService.runDueSubscriptions(now)).toEqual({ resumed: 0, ordered: 0, skipped: 0, failed: 1 });
+      expect(DatabaseService.finishSubscriptionRun.mock.calls[0][1]).toEqual(expect.objectContaining({ status: 'failed', note: "Insufficient stock for 'Milk'" }));
+    });
+  });
+
+  it('lets the subscriber skip only scheduled deliveries that are still to come', async () => {
+    jest.spyOn(DatabaseService, 'getSubscriptionById').mockResolvedValue({
+      _id: 'sub-1', customer_id: 'customer-1', frequency: 'weekly', delivery_day: 2, status: 'active', next_delivery_date: '2026-10-27'
+    });
+    jest.spyOn(DatabaseService, 'getSubscriptionRuns').mockResolvedValue([]);
+    jest.spyOn(DatabaseService, 'skipSubscriptionDelivery').mockResolvedValue({});
+    const customer = { userId: 'customer-1', role: 'customer' };
+
+    const result = await SubscriptionService.skipDelivery('sub-1', customer, '2026-11-03', now);
+    expect(DatabaseService.skipSubscriptionDelivery).toHaveBeenCalledWith('sub-1', '2026-11-03');
+    expect(result.upcoming_deliveries.map(d => d.date)).toEqual(['2026-10-27', '2026-11-03', '2026-11-10', '2026-11-17']);
+
+    await expect(SubscriptionService.skipDelivery('sub-1', customer, '2026-11-04', now)).rejects.toThrow('No delivery is scheduled on this date');
+    await expect(SubscriptionService.skipDelivery('sub-1', customer, '2026-10-20', now)).rejects.toThrow('already been processed');
+    await expect(SubscriptionService.skipDelivery('sub-1', { userId: 'someone-else' }, '2026-11-03', now)).rejects.toThrow('Access denied');
+  });
+
+  it('holds admins to the admin two-factor policy', async () => {
+    jest.spyOn(DatabaseService, 'getSubscriptionById').mockResolvedValue({
+      _id: 'sub-1', customer_id: 'customer-1', farm_id: 'farm-1', frequency: 'weekly', delivery_day: 2, status: 'active', next_delivery_date: '2026-10-27'
+    });
+    jest.spyOn(DatabaseService, 'getSubscriptionRuns').mockResolvedValue([]);
+    jest.spyOn(DatabaseService, 'hasFarmPermission').mockResolvedValue(false);
+    const twoFactor = jest.spyOn(DatabaseService, 'getTwoFactor').mockResolvedValue(undefined);
+    const admin = { userId: 'admin-1', role: 'admin' };
+
+    process.env.ADMIN_REQUIRE_2FA = 'true';
+    try {
+      await expect(SubscriptionService.getSubscription('sub-1', admin)).rejects.toThrow('Access denied');
+      await expect(SubscriptionService.pauseSubscription('sub-1', admin)).rejects.toThrow('Access denied');
+
+      twoFactor.mockResolvedValue({ enabled_at: new Date() });
+      await expect(SubscriptionService.getSubscription('sub-1', admin)).resolves.toEqual(expect.objectContaining({ _id: 'sub-1' }));
+    } finally {
+      delete process.env.ADMIN_REQUIRE_2FA;
+    }
+  });
+});
@@ -0,0 +1,60 @@
+jest.mock('../../src/services/database.service');
+
+process.env.TOTP_ENCRYPTION_KEY = 'test-totp-encryption-key';
+
+const DatabaseService = require('../../src/services/database.service');
+const TwoFactor = require('../../src/services/two-factor.service');
+
+// RFC 6238 SHA-1 seed "12345678901234567890"
+const RFC_SECRET = TwoFactor.base32Encode(Buffer.from('12345678901234567890'));
+
+describe('Two-factor authentication', () => {
+  it('generates RFC 6238 codes', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(TwoFactor.generateTotp(RFC_SECRET, 1)).toBe('287082');
+    expect(TwoFactor.generateTotp(RFC_SECRET, 37037036)).toBe('081804');
+  });
+
+  it('accepts one step of clock drift and nothing further', () => {
+    const now = 1111111109 * 1000;
+    expect(TwoFactor.matchTotp(RFC_SECRET, '081804', now)).toBe(37037036);
+    expect(TwoFactor.matchTotp(RFC_SECRET, '081804', now + 30 * 1000)).toBe(37037036);
+    expect(TwoFactor.matchTotp(RFC_SECRET, '081804', now + 90 * 1000)).toBeNull();
+    expect(TwoFactor.matchTotp(RFC_SECRET, 'abc123', now)).toBeNull();
+  });
+
+  it('encrypts secrets at rest', () => {
+    const encrypted = TwoFactor.encryptSecret(RFC_SECRET);
+    expect(encrypted).not.toContain(RFC_SECRET);
+    expect(TwoFactor.decryptSecret(encrypted)).toBe(RFC_SECRET);
+  });
+
+  it('completes a login challenge with a current code and refuses to replay it', async () => {
+    const record = { user_id: 'user-1', secret_encrypted: TwoFactor.encryptSecret(RFC_SECRET), enabled_at: new Date(), last_used_counter: null };
+    DatabaseService.getActiveTwoFactorChallenge.mockResolvedValue({ id: 'challenge-1', user_id: 'user-1' });
+    DatabaseService.getTwoFactor.mockResolvedValue(record);
+    DatabaseService.markTwoFactorCounterUsed.mockImplementation(async (userId, counter) => {
+      if (record.last_used_counter !== null && record.last_used_counter >= counter) return false;
+      record.last_used_counter = counter;
+      return true;
+    });
+    DatabaseService.consumeTwoFactorChallenge.mockResolvedValue({ id: 'challenge-1' });
+    DatabaseService.recordTwoFactorChallengeFailure.mockResolvedValue({});
+
+    const code = TwoFactor.generateTotp(RFC_SECRET);
+    await expect(TwoFactor.completeChallenge('token', { code })).resolves.toEqual({ user_id: 'user-1', method: 'totp' });
+    await expect(TwoFactor.completeChallenge('token', { code })).resolves.toBeNull();
+    expect(DatabaseService.recordTwoFactorChallengeFailure).toHaveBeenCalledWith('challenge-1', 5);
+  });
+
+  it('only makes 2FA mandatory for admins when the policy is on', () => {
+    const previous = process.env.ADMIN_REQUIRE_2FA;
+    process.env.ADMIN_REQUIRE_2FA = 'true';
+    expect(TwoFactor.isRequiredForRole('admin')).toBe(true);
+    expect(TwoFactor.isRequiredForRole('farmer')).toBe(false);
+    process.env.ADMIN_REQUIRE_2FA = 'false';
+    expect(TwoFactor.isRequiredForRole('admin')).toBe(false);
+    if (previous === undefined) delete process.env.ADMIN_REQUIRE_2FA;
+    else process.env.ADMIN_REQUIRE_2FA = previous;
+  });
+});